@@ -3,15 +3,26 @@ import mongoose from 'mongoose';
 import router from './routes/route.js';
 import cors from 'cors';
 import cookieParser from 'cookie-parser';
+import { checkRevokedTokens } from './controllers/utils.js';
 
 const app = express();
 const port = process.env.PORT || 3000;
 
 mongoose.set('strictQuery', true);
 
+// behind a reverse proxy, the address of the client (used by the login limits) is read from X-Forwarded-For:
+// TRUST_PROXY is the number of proxies, or the addresses of the trusted ones
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 app.use(cors());
+// bank statements are imported as JSON strings and can be larger than the default limit, kept by all the other routes
+app.post('/api/users/:username/transactions/import', express.json({ limit: '10mb' }));
 app.use(express.json());
 app.use(cookieParser());
+app.use('/api', checkRevokedTokens);
 app.use('/api', router);
 
 export { app, port };
\ No newline at end of file
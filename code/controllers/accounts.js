@@ -0,0 +1,248 @@
+import mongoose from "mongoose";
+import { accounts, categories, transactions } from "../models/model.js";
+import { User } from "../models/User.js";
+import { verifyAuth } from "./utils.js";
+import { REFERENCE_CURRENCY, getRatesTable, convertAmount, baseAmountExpression, checkCurrency } from "./rates.js";
+
+/**
+ * Return an account given its id
+ * @param id the `_id` of the account, as received in a request
+ * @param username when given, the account must belong to this user
+ * @returns the account document, or null if the id is not valid or there is no such account
+ */
+export const findAccount = async (id, username) => {
+    if (!mongoose.isValidObjectId(id)) {
+        return null;
+    }
+    const filter = { _id: id };
+    if (username !== undefined) {
+        filter.username = username;
+    }
+    return await accounts.findOne(filter);
+}
+
+/**
+ * Build the aggregation pipeline computing the movements of an account: incomes and credits of transfers increase it,
+ * expenses decrease it (debits of transfers already have a negative amount). Transactions without `kind` are expenses.
+ * @param account the `_id` of the account
+ * @param amount the expression converting the amount of a transaction in the currency of the account (see `baseAmountExpression`)
+ * @returns an array of aggregation stages, producing at most one document having attribute `total`
+ */
+export const accountBalancePipeline = (account, amount) => [
+    { $match: { account: account } },
+    {
+        $group: {
+            _id: null,
+            total: { $sum: { $cond: [{ $eq: [{ $ifNull: ["$kind", "expense"] }, "expense"] }, { $multiply: [-1, amount] }, amount] } }
+        }
+    }
+]
+
+/**
+ * Compute the current balance of an account, in its currency
+ */
+const accountBalance = async (account, table) => {
+    const result = await transactions.aggregate(accountBalancePipeline(account._id, baseAmountExpression(table, account.currency)));
+    return account.initialBalance + (result.length > 0 ? result[0].total : 0);
+}
+
+/** USER
+ * Create an account (checking account, cash, credit card...) of a user
+  - Request Body Content: An object having attribute `name`, and optionally `currency` (the base currency of the user by default)
+    and `initialBalance` (the balance before the first transaction of the account, 0 by default)
+  - Response `data` Content: An object having attributes `_id`, `name`, `currency`, `initialBalance` and `balance`
+  - Optional behavior:
+    - error 400 is returned if the user does not exist
+    - error 400 is returned if the currency or the initial balance are not valid
+    - error 400 is returned if the user already has an account with the same name
+ */
+export const createAccount = async (req, res) => {
+    try {
+        const username = req.params.username;
+        const userAuth = verifyAuth(req, res, { authType: "User", username: username })
+        if (userAuth.authorized) {
+            //User auth successful
+            let { name, currency, initialBalance } = req.body;
+            if (!name) {
+                return res.status(400).json({ error: "Some Parameter is Missing" });
+            }
+            if (name.trim().length === 0 || (initialBalance !== undefined && initialBalance.toString().trim().length === 0)) {
+                return res.status(400).json({ error: "Some Parameter is an Empty String" });
+            }
+            if (initialBalance === undefined) {
+                initialBalance = 0;
+            } else {
+                initialBalance = parseFloat(initialBalance);
+                if (isNaN(initialBalance)) {
+                    return res.status(400).json({ error: "Initial balance not valid" });
+                }
+            }
+            const user = await User.findOne({ username: username });
+            if (user === null) {
+                return res.status(400).json({ error: "User not Found." });
+            }
+            if (currency !== undefined) {
+                try {
+                    checkCurrency(currency, await getRatesTable());
+                } catch (error) {
+                    if (typeof error !== "string")
+                        throw error;
+                    return res.status(400).json({ error: error });
+                }
+            } else {
+                currency = user.currency || REFERENCE_CURRENCY;
+            }
+            const existing = await accounts.findOne({ username: username, name: name });
+            if (existing !== null) {
+                return res.status(400).json({ error: "Account already exists" });
+            }
+            const account = await accounts.create({ username, name, currency, initialBalance });
+            res.status(200).json({ data: { _id: account._id, name: name, currency: currency, initialBalance: initialBalance, balance: initialBalance }, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: userAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
+
+/** USER
+ * Return the accounts of a user with their current balance
+  - Request Body Content: None
+  - Response `data` Content: An array of objects, each one having attributes `_id`, `name`, `currency`, `initialBalance` and `balance`,
+    the latter being the initial balance plus the incomes and minus the expenses of the account, transfers included, converted in the currency of the account
+  - Optional behavior:
+    - error 400 is returned if the user does not exist
+    - empty array is returned if the user has no accounts
+ */
+export const getAccounts = async (req, res) => {
+    try {
+        const username = req.params.username;
+        const userAuth = verifyAuth(req, res, { authType: "User", username: username })
+        if (userAuth.authorized) {
+            //User auth successful
+            const user = await User.findOne({ username: username });
+            if (user === null) {
+                return res.status(400).json({ error: "User not Found." });
+            }
+            const found = await accounts.find({ username: username });
+            const table = await getRatesTable();
+            let data = [];
+            for (let account of found) {
+                data.push({ _id: account._id, name: account.name, currency: account.currency, initialBalance: account.initialBalance, balance: await accountBalance(account, table) });
+            }
+            res.status(200).json({ data: data, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: userAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
+
+/** USER
+ * Delete an account of a user
+  - Request Parameters: The `id` of the account
+  - Request Body Content: None
+  - Response `data` Content: A message confirming successful deletion
+  - Optional behavior:
+    - error 400 is returned if the account does not exist or belongs to another user
+    - error 400 is returned if some transactions refer to the account
+ */
+export const deleteAccount = async (req, res) => {
+    try {
+        const username = req.params.username;
+        const userAuth = verifyAuth(req, res, { authType: "User", username: username })
+        if (userAuth.authorized) {
+            //User auth successful
+            const account = await findAccount(req.params.id, username);
+            if (account === null) {
+                return res.status(400).json({ error: "Account not Found." });
+            }
+            // trashed transactions can be restored, so they still refer to the account
+            const used = await transactions.findOne({ account: account._id }, null, { withDeleted: true });
+            if (used !== null) {
+                return res.status(400).json({ error: "Account has transactions" });
+            }
+            await accounts.deleteOne({ _id: account._id });
+            res.status(200).json({ data: { message: "Account deleted" }, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: userAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
+
+/** USER
+ * Move money between two accounts of a user, creating the debit transaction on the source account and the credit transaction
+ * on the destination one. The amount is converted when the accounts have different currencies.
+  - Request Body Content: An object having attributes `from` and `to` (the `_id` of the accounts), `amount` (in the currency of `from`)
+    and `type` (the category of both transactions), and optionally a `description`
+  - Response `data` Content: An object having attributes `transfer` (the id shared by both transactions), `type`, `date`, `description`,
+    and `debit` and `credit`, objects having attributes `_id`, `account`, `amount` and `currency` of each transaction
+  - Optional behavior:
+    - error 400 is returned if one of the accounts does not exist or belongs to another user, or if they are the same account
+    - error 400 is returned if the amount is not a positive number or if the category does not exist
+    - error 400 is returned if there is no exchange rate between the currencies of the accounts
+ */
+export const createTransfer = async (req, res) => {
+    try {
+        const username = req.params.username;
+        const userAuth = verifyAuth(req, res, { authType: "User", username: username })
+        if (userAuth.authorized) {
+            //User auth successful
+            let { from, to, amount, type, description } = req.body;
+            if (!from || !to || amount === undefined || amount === null || !type) {
+                return res.status(400).json({ error: "Some Parameter is Missing" });
+            }
+            if ([from, to, amount, type].some((value) => value.toString().trim().length === 0)) {
+                return res.status(400).json({ error: "Some Parameter is an Empty String" });
+            }
+            amount = parseFloat(amount);
+            if (isNaN(amount) || amount <= 0) {
+                return res.status(400).json({ error: "Amount not valid" });
+            }
+            if (description !== undefined && typeof description !== "string") {
+                return res.status(400).json({ error: "Description not valid" });
+            }
+            if (from === to) {
+                return res.status(400).json({ error: "Accounts must be different" });
+            }
+            const source = await findAccount(from, username);
+            const destination = await findAccount(to, username);
+            if (source === null || destination === null) {
+                return res.status(400).json({ error: "Account not Found." });
+            }
+            const category = await categories.findOne({ type: type });
+            if (category === null) {
+                return res.status(400).json({ error: "Category does not exist!" });
+            }
+            const credited = convertAmount(amount, source.currency, destination.currency, await getRatesTable());
+            if (credited === null) {
+                return res.status(400).json({ error: "Currency not supported" });
+            }
+            const transfer = new mongoose.Types.ObjectId();
+            const date = new Date();
+            const common = { username: username, type: type, kind: "transfer", date: date, transfer: transfer, description: description };
+            let created;
+            try {
+                // both transactions are written by a single command; if one of them fails the other one is removed,
+                // as the standalone database does not support multi-document transactions
+                created = await transactions.insertMany([
+                    { ...common, account: source._id, amount: -amount, currency: source.currency },
+                    { ...common, account: destination._id, amount: credited, currency: destination.currency }
+                ]);
+            } catch (error) {
+                await transactions.deleteMany({ transfer: transfer });
+                throw error;
+            }
+            const [debit, credit] = created.map((t) => ({ _id: t._id, account: t.account, amount: t.amount, currency: t.currency }));
+            res.status(200).json({ data: { transfer: transfer, type: type, date: date, description: description, debit: debit, credit: credit }, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: userAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
@@ -1,14 +1,108 @@
 import bcrypt from 'bcryptjs';
-import { User } from '../models/User.js';
+import mongoose from 'mongoose';
+import { randomUUID, createHash, timingSafeEqual } from 'crypto';
+import { User, Session } from '../models/User.js';
 import jwt from 'jsonwebtoken';
-import { verifyAuth } from './utils.js';
+import { verifyAuth, getAuthenticatedUsername, getSessionId } from './utils.js';
+import { sendVerificationMail, isVerificationRequired } from './verification.js';
+import { getLoginRetryDelay, recordLoginFailure, clearLoginFailures } from './limits.js';
+import { useSecondFactor } from './twofactor.js';
+
+const ACCESS_TOKEN_MAX_AGE = 60 * 60 * 1000;
+const REFRESH_TOKEN_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+const CHALLENGE_TOKEN_MAX_AGE = '5m';
+
+/**
+ * Create an access token and a refresh token for a user. The refresh token also carries the `family` it belongs to (the `_id` of its session)
+ * and its `jti`, the id that the session must have as current for the token to be exchanged (see `refresh`).
+ * @param user the user document
+ * @param family the `_id` of the session
+ * @returns an object having attributes `accessToken`, `refreshToken` and `jti`
+ */
+const issueTokens = (user, family) => {
+    const payload = {
+        email: user.email,
+        id: user.id,
+        username: user.username,
+        role: user.role
+    };
+    const jti = randomUUID();
+    const accessToken = jwt.sign(payload, process.env.ACCESS_KEY, { expiresIn: '1h' })
+    const refreshToken = jwt.sign({ ...payload, family: family.toString(), jti: jti }, process.env.ACCESS_KEY, { expiresIn: '7d' })
+    return { accessToken, refreshToken, jti };
+}
 
 /**
- * Register a new user in the system
+ * Return the options of the token cookies. Cookies are bound to the host of the request, unless `COOKIE_DOMAIN` is set
+ */
+const cookieOptions = (maxAge) => {
+    const options = { httpOnly: true, path: '/api', maxAge: maxAge, sameSite: 'none', secure: true };
+    if (process.env.COOKIE_DOMAIN) {
+        options.domain = process.env.COOKIE_DOMAIN;
+    }
+    return options;
+}
+
+/**
+ * Set the cookies of the tokens returned by `login` and `refresh`
+ */
+const setTokenCookies = (res, accessToken, refreshToken) => {
+    res.cookie("accessToken", accessToken, cookieOptions(ACCESS_TOKEN_MAX_AGE))
+    res.cookie('refreshToken', refreshToken, cookieOptions(REFRESH_TOKEN_MAX_AGE))
+}
+
+/**
+ * Remove the cookies set by `setTokenCookies`
+ */
+const clearTokenCookies = (res) => {
+    res.cookie("accessToken", "", cookieOptions(0))
+    res.cookie('refreshToken', "", cookieOptions(0))
+}
+
+/**
+ * Return the label of the device making a request: the `device` given in the body, or its user agent
+ */
+const deviceLabel = (req) => {
+    if (req.body && typeof req.body.device === "string" && req.body.device.trim().length > 0) {
+        return req.body.device.trim();
+    }
+    return req.headers && req.headers["user-agent"] ? req.headers["user-agent"] : "unknown";
+}
+
+/**
+ * Start a new session of a user for a device, revoking the previous session of the same device if any, and send the tokens
+ * of the session as the response of the login. The failed logins of the user are forgotten.
+ */
+const startSession = async (req, res, user, device) => {
+    await clearLoginFailures(user.email);
+    await Session.updateMany({ username: user.username, device: device, revoked: false }, { $set: { revoked: true } });
+    const session = new mongoose.Types.ObjectId();
+    //CREATE ACCESSTOKEN AND REFRESH TOKEN
+    const { accessToken, refreshToken, jti } = issueTokens(user, session);
+    //SAVE THE SESSION TO DB
+    await Session.create({
+        _id: session,
+        username: user.username,
+        device: device,
+        ip: req.ip,
+        userAgent: req.headers ? req.headers["user-agent"] : undefined,
+        jti: jti,
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE)
+    });
+    setTokenCookies(res, accessToken, refreshToken)
+    res.status(200).json({data: {accessToken: accessToken, refreshToken: refreshToken}})
+}
+
+// whether a user found with the `withDeleted` option is in the trash
+const isInTrash = (user) => Boolean(user && user.deletedAt);
+
+/**
+ * Register a new user in the system, sending a verification token to its email
   - Request Body Content: An object having attributes `username`, `email` and `password`
   - Response `data` Content: A message confirming successful insertion
   - Optional behavior:
-    - error 400 is returned if there is already a user with the same username and/or email
+    - error 400 is returned if there is already a user with the same username and/or email, also if the user is in the trash
  */
 export const register = async (req, res) => {
     try {
@@ -23,8 +117,12 @@ export const register = async (req, res) => {
         if (regex.test(email) === false) {
             return res.status(400).json({ error: "Invalid email format" });
         }
-        const existingUserMail = await User.findOne({ email: email });
-        const existingUserUsername = await User.findOne({ username: username });
+        // the usernames and emails of the users in the trash are still taken
+        const existingUserMail = await User.findOne({ email: email }, null, { withDeleted: true });
+        const existingUserUsername = await User.findOne({ username: username }, null, { withDeleted: true });
+        if (isInTrash(existingUserMail) || isInTrash(existingUserUsername)) {
+            return res.status(400).json({ error: "User is in the trash, ask an Admin to restore it" });
+        }
         if (existingUserMail || existingUserUsername) {
             return res.status(400).json({ error: "already existing user" });
         }
@@ -34,6 +132,7 @@ export const register = async (req, res) => {
             email,
             password: hashedPassword,
         });
+        await sendVerificationMail({ username, email });
         res.status(200).json({data: {message: "User added successfully"}});
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -41,15 +140,62 @@ export const register = async (req, res) => {
 };
 
 /**
- * Register a new user in the system with an Admin role
+ * Tell whether a request can create the first administrator: the database has no Admin yet and the request carries,
+ * in its `X-Bootstrap-Secret` header, the secret of the `ADMIN_BOOTSTRAP_SECRET` environment variable
+ */
+const isBootstrapAllowed = async (req) => {
+    const secret = process.env.ADMIN_BOOTSTRAP_SECRET;
+    const provided = req.headers ? req.headers["x-bootstrap-secret"] : undefined;
+    if (!secret || typeof provided !== "string") {
+        return false;
+    }
+    // digests have the same length, as required by timingSafeEqual
+    const digest = (value) => createHash("sha256").update(value).digest();
+    if (!timingSafeEqual(digest(secret), digest(provided))) {
+        return false;
+    }
+    return (await User.findOne({ role: "Admin" })) === null;
+}
+
+/**
+ * Create the first administrator of an empty installation, e.g. from `db/createAdmin.js`. The user is created already verified.
+ * @param user an object having attributes `username`, `email` and `password`
+ * @throws an error if some attribute is missing, an Admin already exists or a user has the same username or email
+ */
+export const bootstrapAdmin = async ({ username, email, password }) => {
+    if (!username || !email || !password) {
+        throw ("Some Parameter is Missing");
+    }
+    const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (regex.test(email) === false) {
+        throw ("Invalid email format");
+    }
+    if (await User.findOne({ role: "Admin" })) {
+        throw ("An Admin already exists");
+    }
+    if (await User.findOne({ $or: [{ username: username }, { email: email }] }, null, { withDeleted: true })) {
+        throw ("already existing user");
+    }
+    return await User.create({ username, email, password: await bcrypt.hash(password, 12), role: "Admin", verified: true });
+}
+
+/**
+ * Register a new user in the system with an Admin role, sending a verification token to its email.
+ * Only an Admin can call it, except for creating the first Admin (see `isBootstrapAllowed`).
+  - Auth type: Admin
   - Request Body Content: An object having attributes `username`, `email` and `password`
   - Response `data` Content: A message confirming successful insertion
   - Optional behavior:
-    - error 400 is returned if there is already a user with the same username and/or email
+    - error 400 is returned if there is already a user with the same username and/or email, also if the user is in the trash
+    - error 401 is returned if the request is not made by an Admin and is not a valid bootstrap request
  */
 export const registerAdmin = async (req, res) => {
     try {
-        //Admin auth successful
+        const adminAuth = verifyAuth(req, res, { authType: "Admin" });
+        if (!adminAuth.authorized && !(await isBootstrapAllowed(req))) {
+            return res.status(401).json({ error: adminAuth.cause });
+        }
+        //Admin auth or bootstrap successful
         const { username, email, password } = req.body;
         if (!username || !email || !password) {
             return res.status(400).json({ error: "Some Parameter is Missing" });
@@ -61,8 +207,11 @@ export const registerAdmin = async (req, res) => {
         if (regex.test(email) === false) {
             return res.status(400).json({ error: "Invalid email format" });
         }
-        const existingUserMail = await User.findOne({ email: email });
-        const existingUserUsername = await User.findOne({ username: username });
+        const existingUserMail = await User.findOne({ email: email }, null, { withDeleted: true });
+        const existingUserUsername = await User.findOne({ username: username }, null, { withDeleted: true });
+        if (isInTrash(existingUserMail) || isInTrash(existingUserUsername)) {
+            return res.status(400).json({ error: "User is in the trash, restore it" });
+        }
         if (existingUserMail || existingUserUsername) {
             return res.status(400).json({ error: "already existing user" });
         }
@@ -73,6 +222,7 @@ export const registerAdmin = async (req, res) => {
             password: hashedPassword,
             role: "Admin"
         });
+        await sendVerificationMail({ username, email });
         res.status(200).json({data: {message: "User added successfully"}});
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -80,12 +230,19 @@ export const registerAdmin = async (req, res) => {
 }
 
 /**
- * Perform login 
-  - Request Body Content: An object having attributes `email` and `password`
+ * Perform login, starting a new session for the device (the previous session of the same device, if any, is revoked).
+ * Sessions of other devices are not affected.
+  - Request Body Content: An object having attributes `email` and `password`, and optionally `device` (a label of the device, its user agent by default)
   - Response `data` Content: An object with the created accessToken and refreshToken
   - Optional behavior:
     - error 400 is returned if the user does not exist
     - error 400 is returned if the supplied password does not match with the one in the database
+    - error 400 is returned if the user did not verify the email and `EMAIL_VERIFICATION_REQUIRED` includes `login`
+    - error 400 is returned if the user was disabled by an Admin
+    - error 429 is returned, with a `Retry-After` header, if the account or the address of the client made too many failed logins
+      (see `getLoginRetryDelay`). Failed logins are counted also for emails that are not registered
+    - if the user enabled the two-factor authentication no session is started: `data` is an object having attributes
+      `twoFactorRequired` (true) and `challengeToken`, valid for 5 minutes, to be sent to `loginTwoFactor` with the code
  */
 export const login = async (req, res) => {
     try {
@@ -100,61 +257,173 @@ export const login = async (req, res) => {
         if (regex.test(email) === false) {
             return res.status(400).json({ error: "Invalid email format" });
         }
+        const wait = await getLoginRetryDelay(email, req.ip);
+        if (wait > 0) {
+            res.set("Retry-After", String(Math.ceil(wait / 1000)));
+            return res.status(429).json({ error: "Too many failed login attempts, retry later" });
+        }
         const existingUser = await User.findOne({ email: email });
         if (!existingUser) {
+            await recordLoginFailure(email, req.ip);
             return res.status(400).json({ error: 'please you need to register' });
         }
         const match = await bcrypt.compare(password, existingUser.password)
         if (!match) {
+            await recordLoginFailure(email, req.ip);
             return res.status(400).json({error: 'wrong credentials' });
         }
-        //CREATE ACCESSTOKEN
-        const accessToken = jwt.sign({
-            email: existingUser.email,
-            id: existingUser.id,
-            username: existingUser.username,
-            role: existingUser.role
-        }, process.env.ACCESS_KEY, { expiresIn: '1h' })
-        //CREATE REFRESH TOKEN
-        const refreshToken = jwt.sign({
-            email: existingUser.email,
-            id: existingUser.id,
-            username: existingUser.username,
-            role: existingUser.role
-        }, process.env.ACCESS_KEY, { expiresIn: '7d' })
-        //SAVE REFRESH TOKEN TO DB
-        existingUser.refreshToken = refreshToken
-        const savedUser = await existingUser.save()
-        res.cookie("accessToken", accessToken, { httpOnly: true, domain: "localhost", path: "/api", maxAge: 60 * 60 * 1000, sameSite: "none", secure: true })
-        res.cookie('refreshToken', refreshToken, { httpOnly: true, domain: "localhost", path: '/api', maxAge: 7 * 24 * 60 * 60 * 1000, sameSite: 'none', secure: true })
-        res.status(200).json({data: {accessToken: accessToken, refreshToken: refreshToken}})
+        if (!existingUser.verified && isVerificationRequired("login")) {
+            return res.status(400).json({ error: "Email not verified" });
+        }
+        if (existingUser.disabled) {
+            return res.status(400).json({ error: "User disabled" });
+        }
+        const device = deviceLabel(req);
+        if (existingUser.twoFactor && existingUser.twoFactor.enabled) {
+            // the failed logins are not forgotten yet, otherwise whoever knows the password could guess the codes without limits
+            const challengeToken = jwt.sign({ username: existingUser.username, device: device, purpose: "2fa" }, process.env.ACCESS_KEY, { expiresIn: CHALLENGE_TOKEN_MAX_AGE })
+            return res.status(200).json({ data: { twoFactorRequired: true, challengeToken: challengeToken } })
+        }
+        //START A NEW SESSION FOR THE DEVICE
+        await startSession(req, res, existingUser, device)
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
+
+/**
+ * Complete the login of a user with the two-factor authentication enabled, starting the session as `login` does
+  - Request Body Content: An object having attributes `challengeToken` (returned by `login`) and `code` (the TOTP code),
+    or `recoveryCode` instead of `code`
+  - Response `data` Content: An object with the created accessToken and refreshToken
+  - Optional behavior:
+    - error 400 is returned if the challenge token is missing, not valid or expired
+    - error 400 is returned if the code is missing or not valid; the failure is counted as a failed login
+    - error 400 is returned if the user was disabled after the first step
+    - error 429 is returned, with a `Retry-After` header, if the account or the address of the client made too many failed logins
+ */
+export const loginTwoFactor = async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body
+        if (!challengeToken || (!code && !recoveryCode)) {
+            return res.status(400).json({ error: "Some Parameter is Missing" });
+        }
+        let challenge;
+        try {
+            challenge = jwt.verify(challengeToken, process.env.ACCESS_KEY);
+        } catch (err) {
+            return res.status(400).json({ error: "Challenge token not valid" });
+        }
+        if (challenge.purpose !== "2fa") {
+            return res.status(400).json({ error: "Challenge token not valid" });
+        }
+        const user = await User.findOne({ username: challenge.username });
+        if (!user || !user.twoFactor || !user.twoFactor.enabled) {
+            return res.status(400).json({ error: "Challenge token not valid" });
+        }
+        if (user.disabled) {
+            return res.status(400).json({ error: "User disabled" });
+        }
+        const wait = await getLoginRetryDelay(user.email, req.ip);
+        if (wait > 0) {
+            res.set("Retry-After", String(Math.ceil(wait / 1000)));
+            return res.status(429).json({ error: "Too many failed login attempts, retry later" });
+        }
+        if (!(await useSecondFactor(user, { code, recoveryCode }))) {
+            await recordLoginFailure(user.email, req.ip);
+            return res.status(400).json({ error: "Code not valid" });
+        }
+        await startSession(req, res, user, challenge.device || deviceLabel(req))
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token (rotation). The refresh token can be used only once:
+ * presenting a refresh token that was already exchanged revokes its session, so that both the legitimate device
+ * and whoever stole the token have to login again.
+  - Request Body Content: Optionally an object having attribute `refreshToken`, by default the one in the `refreshToken` cookie is used
+  - Response `data` Content: An object with the new accessToken and refreshToken, that are also set as cookies
+  - Optional behavior:
+    - error 401 is returned if the refresh token is missing, not valid or expired
+    - error 401 is returned if the refresh token was already used or its session was revoked
+    - error 401 is returned if the user was disabled
+ */
+export const refresh = async (req, res) => {
+    try {
+        const token = req.body && req.body.refreshToken ? req.body.refreshToken : req.cookies && req.cookies.refreshToken;
+        if (!token) {
+            return res.status(401).json({ error: "Unauthorized" });
+        }
+        let decoded;
+        try {
+            decoded = jwt.verify(token, process.env.ACCESS_KEY);
+        } catch (err) {
+            return res.status(401).json({ error: err.name === "TokenExpiredError" ? "Perform login again" : "Refresh token not valid" });
+        }
+        // tokens issued before the rotation was introduced do not belong to any session
+        if (!decoded.family || !decoded.jti || !mongoose.isValidObjectId(decoded.family)) {
+            return res.status(401).json({ error: "Refresh token not valid" });
+        }
+        const user = await User.findOne({ username: decoded.username });
+        if (!user) {
+            return res.status(401).json({ error: "Perform login again" });
+        }
+        if (user.disabled) {
+            return res.status(401).json({ error: "User disabled" });
+        }
+        const { accessToken, refreshToken, jti } = issueTokens(user, decoded.family);
+        // the session moves to the new token only if the presented one is still its current token
+        const session = await Session.findOneAndUpdate(
+            { _id: decoded.family, jti: decoded.jti, revoked: false },
+            { $set: { jti: jti, lastUsedAt: new Date(), expiresAt: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE) } },
+            { new: true }
+        );
+        if (session === null) {
+            const revoked = await Session.findOneAndUpdate({ _id: decoded.family, revoked: false }, { $set: { revoked: true } });
+            return res.status(401).json({ error: revoked !== null ? "Refresh token reused" : "Refresh token revoked" });
+        }
+        setTokenCookies(res, accessToken, refreshToken)
+        res.status(200).json({ data: { accessToken: accessToken, refreshToken: refreshToken } })
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 }
 
 /**
- * Perform logout
+ * Perform logout, revoking the session of the device
   - Auth type: Simple
-  - Request Body Content: None
+  - Request Body Content: None, or an object having attribute `refreshToken` for clients authenticated with an `Authorization: Bearer` header
   - Response `data` Content: A message confirming successful logout
   - Optional behavior:
-    - error 400 is returned if the user does not exist
+    - error 400 is returned if the request has no refresh token
+    - error 400 is returned if the user or the session does not exist
  */
 export const logout = async (req, res) => {    
     try {
         const simpleAuth = verifyAuth(req, res, { authType: "Simple" });
         if (simpleAuth.authorized) {
-            const refreshToken = req.cookies.refreshToken;
-            //if (!refreshToken) return res.status(400).json("user not found");
-            const user = await User.findOne({ refreshToken: refreshToken })
-            if (!user) {
-                return res.status(400).json({ error: 'user not found' });
+            const refreshToken = req.body && req.body.refreshToken ? req.body.refreshToken : req.cookies && req.cookies.refreshToken;
+            if (!refreshToken) {
+                return res.status(400).json({ error: 'refresh token not in the cookies' });
             }
-            user.refreshToken = null
-            res.cookie("accessToken", "", { httpOnly: true, path: '/api', maxAge: 0, sameSite: 'none', secure: true })
-            res.cookie('refreshToken', "", { httpOnly: true, path: '/api', maxAge: 0, sameSite: 'none', secure: true })
-            const savedUser = await user.save()
+            const decoded = jwt.decode(refreshToken);
+            if (decoded && decoded.family && mongoose.isValidObjectId(decoded.family)) {
+                const session = await Session.findOneAndUpdate({ _id: decoded.family, username: getAuthenticatedUsername(req), revoked: false }, { $set: { revoked: true } });
+                if (!session) {
+                    return res.status(400).json({ error: 'session not found' });
+                }
+            } else {
+                // refresh tokens issued before sessions were introduced are stored in the user
+                const user = await User.findOne({ refreshToken: refreshToken })
+                if (!user) {
+                    return res.status(400).json({ error: 'user not found' });
+                }
+                user.refreshToken = null
+                const savedUser = await user.save()
+            }
+            clearTokenCookies(res)
             res.status(200).json({data: {message: "User logged out"}})
         } else {
             // not have refresh token in the cookies
@@ -164,3 +433,84 @@ export const logout = async (req, res) => {
         res.status(500).json({ error: error.message });
     }
 }
+
+/**
+ * Return the active sessions of the user making the request
+  - Auth type: Simple
+  - Request Body Content: None
+  - Response `data` Content: An array of objects, each one having attributes `_id`, `device`, `ip`, `userAgent`, `createdAt`, `lastUsedAt`
+    and `current` (true for the session making the request)
+ */
+export const getSessions = async (req, res) => {
+    try {
+        const simpleAuth = verifyAuth(req, res, { authType: "Simple" });
+        if (simpleAuth.authorized) {
+            const current = getSessionId(req);
+            const sessions = await Session.find({ username: getAuthenticatedUsername(req), revoked: false, expiresAt: { $gt: new Date() } });
+            const data = sessions.map((session) => ({
+                _id: session._id, device: session.device, ip: session.ip, userAgent: session.userAgent,
+                createdAt: session.createdAt, lastUsedAt: session.lastUsedAt, current: session._id.toString() === current
+            }));
+            res.status(200).json({ data: data, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: simpleAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
+
+/**
+ * Revoke a session of the user making the request: its refresh token cannot be used anymore.
+ * The access tokens already issued to the session stay valid until they expire.
+  - Auth type: Simple
+  - Request Parameters: The `id` of the session
+  - Response `data` Content: A message confirming the revocation
+  - Optional behavior:
+    - error 400 is returned if the session does not exist, was already revoked or belongs to another user
+ */
+export const deleteSession = async (req, res) => {
+    try {
+        const simpleAuth = verifyAuth(req, res, { authType: "Simple" });
+        if (simpleAuth.authorized) {
+            if (!mongoose.isValidObjectId(req.params.id)) {
+                return res.status(400).json({ error: "Session not Found." });
+            }
+            const session = await Session.findOneAndUpdate({ _id: req.params.id, username: getAuthenticatedUsername(req), revoked: false }, { $set: { revoked: true } });
+            if (session === null) {
+                return res.status(400).json({ error: "Session not Found." });
+            }
+            if (session._id.toString() === getSessionId(req)) {
+                clearTokenCookies(res)
+            }
+            res.status(200).json({ data: { message: "Session revoked" }, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: simpleAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
+
+/**
+ * Log out everywhere: revoke all the sessions of the user making the request, the current one included
+  - Auth type: Simple
+  - Request Body Content: None
+  - Response `data` Content: An object having attributes `message` and `count`, the number of sessions revoked
+ */
+export const deleteSessions = async (req, res) => {
+    try {
+        const simpleAuth = verifyAuth(req, res, { authType: "Simple" });
+        if (simpleAuth.authorized) {
+            const username = getAuthenticatedUsername(req);
+            const result = await Session.updateMany({ username: username, revoked: false }, { $set: { revoked: true } });
+            await User.updateOne({ username: username }, { $set: { refreshToken: null } });
+            clearTokenCookies(res)
+            res.status(200).json({ data: { message: "All sessions revoked", count: result.modifiedCount }, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: simpleAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
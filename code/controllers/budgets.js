@@ -0,0 +1,281 @@
+import { budgets, categories, transactions } from "../models/model.js";
+import { Group, User } from "../models/User.js";
+import { verifyAuth } from "./utils.js";
+import { REFERENCE_CURRENCY, getRatesTable, convertAmount, baseAmountExpression } from "./rates.js";
+
+/**
+ * Return the first instant of the month containing `date` and the first instant of the following one (UTC)
+ */
+const monthBounds = (date) => {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    const end = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+    return { start, end };
+}
+
+/**
+ * Sum the amounts of the expenses of the given users in a category during the month containing `date`.
+ * Income and transfers do not count, transactions without `kind` are expenses.
+ * @param amount the expression converting the amount of a transaction in the currency of the budget (see `baseAmountExpression`)
+ */
+const monthlySpending = async (usernames, type, date, amount) => {
+    const { start, end } = monthBounds(date);
+    const result = await transactions.aggregate([
+        { $match: { username: { $in: usernames }, type: type, kind: { $in: ["expense", null] }, date: { $gte: start, $lt: end } } },
+        { $group: { _id: null, total: { $sum: amount } } }
+    ]);
+    return result && result.length > 0 ? result[0].total : 0;
+}
+
+/**
+ * Return the usernames of all the members of a group
+ */
+const groupUsernames = async (group) => {
+    const emails = group.members.map((member) => member.email);
+    const users = await User.find({ email: { $in: emails } });
+    return users.map((user) => user.username);
+}
+
+/**
+ * Compute spent and remaining amount of a budget for the month containing `date`, in the currency of the budget
+ * @param table the object returned by `getRatesTable`
+ */
+const budgetStatus = async (budget, date, table) => {
+    let usernames = [budget.username];
+    if (budget.group) {
+        const group = await Group.findOne({ name: budget.group });
+        usernames = group ? await groupUsernames(group) : [];
+    }
+    const currency = budget.currency || REFERENCE_CURRENCY;
+    const spent = await monthlySpending(usernames, budget.type, date, baseAmountExpression(table, currency));
+    return { type: budget.type, amount: budget.amount, currency: currency, group: budget.group, spent: spent, remaining: budget.amount - spent, overBudget: spent > budget.amount };
+}
+
+/**
+ * Compute the budget situation of a user for a category in the month containing `date`.
+ * Both the personal budget of the user and the budget of his group (if any) are considered:
+ * `remainingBudget` is the smallest remaining amount among them, converted in the base currency of the user, or null if no budget applies.
+ * @param user the user document, having attributes `username`, `email` and `currency`
+ * @param type the category of the budget
+ * @param date any date in the month to consider
+ * @returns an object having attributes `remainingBudget` and `overBudget`
+ */
+export const getBudgetStatus = async (user, type, date) => {
+    const applicable = [];
+    const personal = await budgets.findOne({ username: user.username, type: type, group: null });
+    if (personal)
+        applicable.push(personal);
+    const group = await Group.findOne({ "members.email": user.email });
+    if (group) {
+        const shared = await budgets.findOne({ group: group.name, type: type });
+        if (shared)
+            applicable.push(shared);
+    }
+    if (applicable.length === 0) {
+        return { remainingBudget: null, overBudget: false };
+    }
+    const table = await getRatesTable();
+    let remainingBudget = Infinity;
+    for (let budget of applicable) {
+        const status = await budgetStatus(budget, date, table);
+        remainingBudget = Math.min(remainingBudget, convertAmount(status.remaining, status.currency, user.currency || REFERENCE_CURRENCY, table));
+    }
+    return { remainingBudget: remainingBudget, overBudget: remainingBudget < 0 };
+}
+
+/** USER
+ * Create a monthly budget for a category, either personal or shared with the group of the user
+  - Request Body Content: An object having attributes `type` and `amount`, in the base currency of the user, and optionally the `group` the budget belongs to
+  - Response `data` Content: An object having attributes `type`, `amount`, `currency` and `group`
+  - Optional behavior:
+    - error 400 is returned if the user or the category does not exist
+    - error 400 is returned if the user is not a member of the specified group
+    - error 400 is returned if a budget for the same category (and group) already exists
+ */
+export const createBudget = async (req, res) => {
+    try {
+        const username = req.params.username;
+        const userAuth = verifyAuth(req, res, { authType: "User", username: username })
+        if (userAuth.authorized) {
+            //User auth successful
+            let { type, amount, group } = req.body;
+            if (!type || amount === undefined || amount === null) {
+                return res.status(400).json({ error: "Some Parameter is Missing" });
+            }
+            if (type.trim().length === 0 || amount.toString().trim().length === 0 || (group !== undefined && group !== null && group.trim().length === 0)) {
+                return res.status(400).json({ error: "Some Parameter is an Empty String" });
+            }
+            amount = parseFloat(amount);
+            if (isNaN(amount) || amount <= 0) {
+                return res.status(400).json({ error: "Amount not valid" });
+            }
+            const user = await User.findOne({ username: username });
+            if (user === null) {
+                return res.status(400).json({ error: "User not Found." });
+            }
+            const category = await categories.findOne({ type: type });
+            if (category === null) {
+                return res.status(400).json({ error: "Category not Found." });
+            }
+            let existing;
+            if (group) {
+                const user_group = await Group.findOne({ name: group, "members.email": user.email });
+                if (user_group === null) {
+                    return res.status(400).json({ error: "User is not a member of the group" });
+                }
+                existing = await budgets.findOne({ group: group, type: type });
+            } else {
+                group = null;
+                existing = await budgets.findOne({ username: username, type: type, group: null });
+            }
+            if (existing !== null) {
+                return res.status(400).json({ error: "Budget already exists" });
+            }
+            const currency = user.currency || REFERENCE_CURRENCY;
+            await budgets.create({ username, type, amount, currency, group });
+            res.status(200).json({ data: { type: type, amount: amount, currency: currency, group: group }, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: userAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
+
+/** USER
+ * Return the budgets of a user (his own and the ones of his group) with the spending of the current month
+  - Request Body Content: None
+  - Response `data` Content: An array of objects, each one having attributes `type`, `amount`, `currency`, `group`, `spent`, `remaining` and `overBudget`,
+    `spent` being the spending of the category converted in the currency of the budget
+  - Optional behavior:
+    - error 400 is returned if the user does not exist
+    - empty array is returned if there are no budgets
+ */
+export const getBudgets = async (req, res) => {
+    try {
+        const username = req.params.username;
+        const userAuth = verifyAuth(req, res, { authType: "User", username: username })
+        if (userAuth.authorized) {
+            //User auth successful
+            const user = await User.findOne({ username: username });
+            if (user === null) {
+                return res.status(400).json({ error: "User not Found." });
+            }
+            const group = await Group.findOne({ "members.email": user.email });
+            const filter = [{ username: username, group: null }];
+            if (group !== null) {
+                filter.push({ group: group.name });
+            }
+            const found = await budgets.find({ $or: filter });
+            const now = new Date();
+            const table = await getRatesTable();
+            let data = [];
+            for (let budget of found) {
+                data.push(await budgetStatus(budget, now, table));
+            }
+            res.status(200).json({ data: data, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: userAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
+
+/** USER
+ * Change the amount of a budget
+  - Request Parameters: The `type` of the category of the budget
+  - Request Body Content: An object having attribute `amount`, in the currency of the budget, and optionally the `group` the budget belongs to
+  - Response `data` Content: An object having attributes `type`, `amount`, `currency` and `group`
+  - Optional behavior:
+    - error 400 is returned if the budget does not exist
+ */
+export const updateBudget = async (req, res) => {
+    try {
+        const { username, type } = req.params;
+        const userAuth = verifyAuth(req, res, { authType: "User", username: username })
+        if (userAuth.authorized) {
+            //User auth successful
+            let { amount, group } = req.body;
+            if (amount === undefined || amount === null) {
+                return res.status(400).json({ error: "Some Parameter is Missing" });
+            }
+            if (amount.toString().trim().length === 0) {
+                return res.status(400).json({ error: "Some Parameter is an Empty String" });
+            }
+            amount = parseFloat(amount);
+            if (isNaN(amount) || amount <= 0) {
+                return res.status(400).json({ error: "Amount not valid" });
+            }
+            const user = await User.findOne({ username: username });
+            if (user === null) {
+                return res.status(400).json({ error: "User not Found." });
+            }
+            let filter;
+            if (group) {
+                const user_group = await Group.findOne({ name: group, "members.email": user.email });
+                if (user_group === null) {
+                    return res.status(400).json({ error: "User is not a member of the group" });
+                }
+                filter = { group: group, type: type };
+            } else {
+                filter = { username: username, type: type, group: null };
+            }
+            const updated = await budgets.findOneAndUpdate(filter, { $set: { amount: amount } }, { new: true });
+            if (updated === null) {
+                return res.status(400).json({ error: "Budget not Found." });
+            }
+            res.status(200).json({ data: { type: updated.type, amount: updated.amount, currency: updated.currency || REFERENCE_CURRENCY, group: updated.group }, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: userAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
+
+/** USER
+ * Delete a budget
+  - Request Body Content: An object having attribute `type`, and optionally the `group` the budget belongs to
+  - Response `data` Content: A message confirming successful deletion
+  - Optional behavior:
+    - error 400 is returned if the budget does not exist
+ */
+export const deleteBudget = async (req, res) => {
+    try {
+        const username = req.params.username;
+        const userAuth = verifyAuth(req, res, { authType: "User", username: username })
+        if (userAuth.authorized) {
+            //User auth successful
+            const { type, group } = req.body;
+            if (!type) {
+                return res.status(400).json({ error: "Some Parameter is Missing" });
+            }
+            if (type.trim().length === 0) {
+                return res.status(400).json({ error: "Some Parameter is an Empty String" });
+            }
+            const user = await User.findOne({ username: username });
+            if (user === null) {
+                return res.status(400).json({ error: "User not Found." });
+            }
+            let filter;
+            if (group) {
+                const user_group = await Group.findOne({ name: group, "members.email": user.email });
+                if (user_group === null) {
+                    return res.status(400).json({ error: "User is not a member of the group" });
+                }
+                filter = { group: group, type: type };
+            } else {
+                filter = { username: username, type: type, group: null };
+            }
+            const deleted = await budgets.deleteOne(filter);
+            if (deleted.deletedCount === 0) {
+                return res.status(400).json({ error: "Budget not Found." });
+            }
+            res.status(200).json({ data: { message: "Budget deleted" }, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: userAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
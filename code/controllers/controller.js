@@ -1,15 +1,21 @@
-import { categories, transactions } from "../models/model.js";
+import { budgets, categories, transactions, recurring_transactions } from "../models/model.js";
 import { Group, User } from "../models/User.js";
-import { handleDateFilterParams, handleAmountFilterParams, verifyAuth } from "./utils.js";
+import mongoose from "mongoose";
+import { handleDateFilterParams, handleAmountFilterParams, handleSearchParams, handlePaginationParams, paginationStages, paginateResult, verifyAuth, getAuthenticatedUsername } from "./utils.js";
+import { getBudgetStatus } from "./budgets.js";
+import { findAccount } from "./accounts.js";
+import { REFERENCE_CURRENCY, getRatesTable, convertAmount, getBaseCurrency, checkCurrency } from "./rates.js";
 
 /** ADMIN ONLY
  * Create a new category 
   - Request Body Content: An object having attributes `type` and `color`
   - Response `data` Content: An object having attributes `type` and `color`
+  - Optional behavior:
+    - error 400 is returned if a category with the same type exists, or is in the trash (it can then be restored instead)
  */
 export const createCategory = async (req, res) => {
     try {
-        const adminAuth = verifyAuth(req, res, { authType: "Admin" })
+        const adminAuth = verifyAuth(req, res, { authType: "Permission", permission: "categories:manage" })
         if (adminAuth.authorized) {
             //Admin auth successful
             const { type, color } = req.body;
@@ -19,6 +25,10 @@ export const createCategory = async (req, res) => {
             if (type.trim().length === 0 || color.trim().length === 0) {
                 return res.status(400).json({ error: "Some Parameter is an Empty String" });
             }
+            const existing = await categories.findOne({ type: type }, null, { withDeleted: true });
+            if (existing && existing.deletedAt) {
+                return res.status(400).json({ error: "Category is in the trash, restore it" });
+            }
             const new_categories = new categories({ type, color });
             await new_categories.save()
                 .then(() => { res.status(200).json({ data: { type: type, color: color }, refreshedTokenMessage: res.locals.refreshedTokenMessage }) })
@@ -41,7 +51,7 @@ export const createCategory = async (req, res) => {
  */
 export const updateCategory = async (req, res) => {
     try {
-        const adminAuth = verifyAuth(req, res, { authType: "Admin" })
+        const adminAuth = verifyAuth(req, res, { authType: "Permission", permission: "categories:manage" })
         if (adminAuth.authorized) {
             //Admin auth successful
             // if type or color are undefined or only spaces, consider them as invalid values
@@ -56,7 +66,8 @@ export const updateCategory = async (req, res) => {
             if (url_type === null) {
                 return res.status(400).json({ error: 'This category does not exist.' });
             }
-            const new_exists = await categories.findOne({ type: type });
+            // the types of the categories in the trash are still taken
+            const new_exists = await categories.findOne({ type: type }, null, { withDeleted: true });
             // se url moto e {"type":"moto", "color":"red"} quindi cambio solo colore devo poterlo fare
             if (new_exists !== null && new_exists.type !== req.params.type) {
                 return res.status(400).json({ error: 'New Category Type already exists.' });
@@ -67,6 +78,8 @@ export const updateCategory = async (req, res) => {
             } else {*/
             // change all related transactions
             const updated_transactions = await transactions.updateMany({ type: req.params.type }, { type: type });
+            await budgets.updateMany({ type: req.params.type }, { type: type });
+            await recurring_transactions.updateMany({ type: req.params.type }, { type: type });
             res.status(200).json({ data: { message: "Category edited successfully", count: updated_transactions.modifiedCount }, refreshedTokenMessage: res.locals.refreshedTokenMessage })
             //}
         } else {
@@ -81,12 +94,13 @@ export const updateCategory = async (req, res) => {
  * Delete a category 
   - Request Body Content: An array of strings that lists the `types` of the categories to be deleted
   - Response `data` Content: An object with parameter `message` that confirms successful deletion and a parameter `count` that is equal to the count of affected transactions (deleting a category sets all transactions with that category to have `investment` as their new category)
+  - The categories are moved to the trash (see `softDelete`), from which they can be restored without their transactions; their budgets are removed
   - Optional behavior:
     - error 400 is returned if the specified category does not exist
  */
 export const deleteCategory = async (req, res) => {
     try {
-        const adminAuth = verifyAuth(req, res, { authType: "Admin" })
+        const adminAuth = verifyAuth(req, res, { authType: "Permission", permission: "categories:manage" })
         if (adminAuth.authorized) {
             //Admin auth successful
             if (!req.body.types) {
@@ -121,14 +135,18 @@ export const deleteCategory = async (req, res) => {
 
                 if (numbCateg > req.body.types.length) {
                     firstCat = await categories.findOne({ type: { $nin: req.body.types } }, null, { sort: { _id: 1 } });
-                    await categories.deleteOne({ type: type });
+                    await categories.updateOne({ type: type }, { $set: { deletedAt: new Date() } });
+                    await budgets.deleteMany({ type: type });
                     const updated_transactions = await transactions.updateMany({ type: type }, { type: firstCat.type });
+                    await recurring_transactions.updateMany({ type: type }, { type: firstCat.type });
                     count += updated_transactions.modifiedCount;
                 } else if (numbCateg <= req.body.types.length && type !== firstCat.type) {
 
                     // case: MOTO,AUTO,VESPA   MOTO,AUTO,VESPA => rimane MOTO
-                    await categories.deleteOne({ type: type });
+                    await categories.updateOne({ type: type }, { $set: { deletedAt: new Date() } });
+                    await budgets.deleteMany({ type: type });
                     const updated_transactions = await transactions.updateMany({ type: type }, { type: firstCat.type });
+                    await recurring_transactions.updateMany({ type: type }, { type: firstCat.type });
                     count += updated_transactions.modifiedCount;
                 }
             }
@@ -168,12 +186,53 @@ export const getCategories = async (req, res) => {
 }
 
 
+export const TRANSACTION_KINDS = ["income", "expense", "transfer"];
+
+/**
+ * Read the optional attributes of a transaction from the body of a request
+ * @param body the request body, that can contain `kind` (one of `TRANSACTION_KINDS`), `description`, `notes` (strings) and `tags` (an array of strings)
+ * @returns an object having only the attributes present in the body, with `tags` trimmed and without duplicates
+ * @throws an error if one of the attributes does not have the expected type
+ */
+const handleTransactionDetails = (body) => {
+    const { kind, description, notes, tags } = body;
+    let details = {};
+    if (kind !== undefined) {
+        if (!TRANSACTION_KINDS.includes(kind))
+            throw ("Kind not valid");
+        details.kind = kind;
+    }
+    if (description !== undefined) {
+        if (typeof description !== "string")
+            throw ("Description not valid");
+        details.description = description;
+    }
+    if (notes !== undefined) {
+        if (typeof notes !== "string")
+            throw ("Notes not valid");
+        details.notes = notes;
+    }
+    if (tags !== undefined) {
+        if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== "string" || tag.trim().length === 0))
+            throw ("Tags not valid");
+        details.tags = [...new Set(tags.map((tag) => tag.trim()))];
+    }
+    return details;
+}
+
 /** ADMIN/USER
  * Create a new transaction made by a specific user 
-  - Request Body Content: An object having attributes `username`, `type` and `amount`
-  - Response `data` Content: An object having attributes `username`, `type`, `amount` and `date`
+  - Request Body Content: An object having attributes `username`, `type` and `amount`, and optionally `kind` (`income` or `expense`,
+    `expense` by default), `account` (the `_id` of an account of the user), `currency` (the currency of the account or, without account,
+    the base currency of the user by default), `description`, `notes` and `tags`
+  - Response `data` Content: An object having attributes `username`, `type`, `amount`, `kind`, `currency`, `date` and the given `account`, `description`, `notes` and `tags`,
+    plus the `remainingBudget` for the category in the current month, in the base currency of the user (null if no budget applies), and an `overBudget` flag
   - Optional behavior:
     - error 400 is returned if the username or the type of category does not exist
+    - error 400 is returned if `kind` is not valid, if `description` or `notes` are not strings or if `tags` is not an array of non-empty strings
+    - error 400 is returned if `kind` is `transfer`: transfers are created in pairs with `POST /api/users/:username/transfers`
+    - error 400 is returned if the account does not exist or belongs to another user
+    - error 400 is returned if the currency is not valid or has no exchange rate
  */
 export const createTransaction = async (req, res) => {
     try {
@@ -206,11 +265,36 @@ export const createTransaction = async (req, res) => {
                 return res.status(400).json({ error: "Amount not valid" })
             else
                 amount = parseFloat(amount)
+            let details;
+            // transactions are in the currency of their account, or in the base currency of the user, unless another one is given
+            let currency = user.currency || REFERENCE_CURRENCY;
+            try {
+                details = handleTransactionDetails(req.body);
+                if (details.kind === "transfer")
+                    throw ("Transfers cannot be created as single transactions");
+                if (req.body.account !== undefined) {
+                    const account = await findAccount(req.body.account, username);
+                    if (account === null)
+                        throw ("Account not Found.");
+                    details.account = account._id;
+                    currency = account.currency;
+                }
+                if (req.body.currency !== undefined) {
+                    checkCurrency(req.body.currency, await getRatesTable());
+                    currency = req.body.currency;
+                }
+            } catch (error) {
+                if (typeof error !== "string")
+                    throw error;
+                return res.status(400).json({ error: error });
+            }
             // create transaction
             const date = new Date();
-            const new_transaction = new transactions({ username, amount, type, date: date });//date is also taken as default in the costructor but we insert it anyway
-            new_transaction.save()
-                .then(() => res.status(200).json({data: {username: username, amount: amount, type: type, date: date}, refreshedTokenMessage: res.locals.refreshedTokenMessage}))
+            const new_transaction = new transactions({ username, amount, currency, type, date: date, ...details });//date is also taken as default in the costructor but we insert it anyway
+            await new_transaction.save()
+            // budget situation of the month, including the transaction just created
+            const { remainingBudget, overBudget } = await getBudgetStatus(user, type, date);
+            res.status(200).json({data: {username: username, amount: amount, kind: "expense", currency: currency, type: type, date: date, ...details, remainingBudget: remainingBudget, overBudget: overBudget}, refreshedTokenMessage: res.locals.refreshedTokenMessage})
         } else {
             res.status(401).json({ error: userAuth.cause })
         }
@@ -219,32 +303,80 @@ export const createTransaction = async (req, res) => {
     }
 }
 
+/**
+ * Return a page of the transactions matching `match`, each one with the color of its category and its amount converted in `baseCurrency`.
+ * Only the transactions of the page are joined with their category, whose color is null if it does not exist, and the total is counted without the join.
+ * @param match the filter selecting the transactions, applied before any other stage
+ * @param pagination the object returned by `handlePaginationParams`
+ * @param baseCurrency the currency of the `baseAmount` of the transactions
+ * @returns an object having attributes `data` (the array of transactions, each one having attributes `username`, `type`, `amount`, `kind`, `currency`,
+ *  `baseAmount` (null if there is no exchange rate), `date`, `color` and, when present, `account`, `description`, `notes` and `tags`),
+ *  `total` (the number of transactions matching `match`) and `nextCursor`
+ */
+const findTransactionsPage = async (match, pagination, baseCurrency) => {
+    const joinCategories = [
+        {
+            $lookup: {
+                from: "categories",
+                localField: "type",
+                foreignField: "type",
+                as: "categories_info"
+            }
+        },
+        { $unwind: { path: "$categories_info", preserveNullAndEmptyArrays: true } }
+    ];
+    const result = await transactions.aggregate([{ $match: match }, ...paginationStages(pagination), ...joinCategories]);
+    const total = await transactions.countDocuments(match);
+    const { page, nextCursor } = paginateResult(result, pagination);
+    const table = await getRatesTable();
+    const data = page.map(v => Object.assign({}, {
+        username: v.username, type: v.type, amount: v.amount, kind: v.kind || "expense", currency: v.currency || REFERENCE_CURRENCY,
+        baseAmount: convertAmount(v.amount, v.currency, baseCurrency, table), date: v.date, color: v.categories_info ? v.categories_info.color : null,
+        account: v.account, description: v.description, notes: v.notes, tags: v.tags
+    }));
+    return { data: data, total: total, nextCursor: nextCursor };
+}
+
+/**
+ * Return the usernames of the members of a group
+ */
+const groupUsernames = async (group) => {
+    const emails = group.members.map((member) => member.email);
+    const users = await User.find({ email: { $in: emails } });
+    return users.map((user) => user.username);
+}
+
 /** ADMIN ONLY
  * Return all transactions made by all users 
   - Request Body Content: None
-  - Response `data` Content: An array of objects, each one having attributes `username`, `type`, `amount`, `date` and `color`
+  - Request Query Parameters: the date and amount filters (`from`, `upTo`, `date`, `min`, `max`), the full-text search `q`, `category` and `username`
+    to only return the transactions of a category or of a user, and the pagination parameters handled by `handlePaginationParams` (`limit`, `page`, `cursor`, `sort`)
+  - Response `data` Content: An array of objects, each one having attributes `username`, `type`, `amount`, `kind`, `currency`, `baseAmount`, `date` and `color`.
+    The response also has the attributes `total` (number of transactions of all the pages), `nextCursor` and `baseCurrency`
   - Optional behavior:
     - empty array must be returned if there are no transactions
+    - error 400 is returned if the filter or pagination parameters are not valid
  */
 export const getAllTransactions = async (req, res) => {
     try {
-        const adminAuth = verifyAuth(req, res, { authType: "Admin" })
+        const adminAuth = verifyAuth(req, res, { authType: "Permission", permission: "transactions:read" })
         if (adminAuth.authorized) {
             //Admin auth successful
-            transactions.aggregate([
-                {
-                    $lookup: {
-                        from: "categories",
-                        localField: "type",
-                        foreignField: "type",
-                        as: "categories_info"
-                    }
-                },
-                { $unwind: "$categories_info" }
-            ]).then((result) => {
-                let data = result.map(v => Object.assign({}, { username: v.username, type: v.type, amount: v.amount, date: v.date, color: v.categories_info.color }))
-                res.status(200).json({data: data, refreshedTokenMessage: res.locals.refreshedTokenMessage});
-            })
+            let match;
+            let pagination;
+            try {
+                match = { ...handleDateFilterParams(req), ...handleAmountFilterParams(req), ...handleSearchParams(req) };
+                if (req.query.category !== undefined)
+                    match.type = String(req.query.category);
+                if (req.query.username !== undefined)
+                    match.username = String(req.query.username);
+                pagination = handlePaginationParams(req);
+            } catch (error) {
+                return res.status(400).json({ error: error });
+            }
+            const baseCurrency = await getBaseCurrency(getAuthenticatedUsername(req));
+            const { data, total, nextCursor } = await findTransactionsPage(match, pagination, baseCurrency);
+            res.status(200).json({ data: data, total: total, nextCursor: nextCursor, baseCurrency: baseCurrency, refreshedTokenMessage: res.locals.refreshedTokenMessage });
         } else {
             return res.status(401).json({ error: adminAuth.cause })
         }
@@ -256,25 +388,25 @@ export const getAllTransactions = async (req, res) => {
 /** ADMIN(all transaction of a given user)/USER(only his transactions)
  * Return all transactions made by a specific user 
   - Request Body Content: None
-  - Response `data` Content: An array of objects, each one having attributes `username`, `type`, `amount`, `date` and `color`
+  - Request Query Parameters: the date and amount filters (`from`, `upTo`, `date`, `min`, `max`), the full-text search `q` and the pagination parameters
+  - Response `data` Content: An array of objects, each one having attributes `username`, `type`, `amount`, `kind`, `currency`, `baseAmount`, `date` and `color`.
+    The response also has the attributes `total` (number of transactions of all the pages), `nextCursor` and `baseCurrency`
   - Optional behavior:
     - error 400 is returned if the user does not exist
     - empty array is returned if there are no transactions made by the user
-    - if there are query parameters and the function has been called by a Regular user then the returned transactions must be filtered according to the query parameters
+    - if there are query parameters then the returned transactions must be filtered according to the query parameters, both for Regular users and Admins
+    - error 400 is returned if the filter or pagination parameters are not valid
  */
 export const getTransactionsByUser = async (req, res) => {
     try {
         //Distinction between route accessed by Admins or Regular users for functions that can be called by both
         //and different behaviors and access rights
         let auth;
-        let is_admin;
         const username = req.params.username;
         if (req.url.indexOf("/transactions/users/") >= 0) {
-            auth = verifyAuth(req, res, { authType: "Admin" });
-            is_admin = true;
+            auth = verifyAuth(req, res, { authType: "Permission", permission: "transactions:read" });
         } else {
             auth = verifyAuth(req, res, { authType: "User", username: username });
-            is_admin = false;
         }
         if (auth.authorized) {
             //User or Admin auth successful
@@ -284,35 +416,19 @@ export const getTransactionsByUser = async (req, res) => {
             }
             let filterByDate;
             let filterByAmount;
-            if (is_admin) {
-                //admin (not filtering, so all true to match in the query)
-                filterByDate = {};
-                filterByAmount = {};
-            } else {
-                //users (filtering, so apply all the filters)
+            let search;
+            let pagination;
+            try {
                 filterByDate = handleDateFilterParams(req);
                 filterByAmount = handleAmountFilterParams(req);
+                search = handleSearchParams(req);
+                pagination = handlePaginationParams(req);
+            } catch (error) {
+                return res.status(400).json({ error: error });
             }
-            //find all transactions then 
-            let allTransactions = [];
-            transactions.aggregate([
-                {
-                    $lookup: {
-                        from: "categories",
-                        localField: "type",
-                        foreignField: "type",
-                        as: "categories_info"
-                    }
-                },
-                { $match: { $and: [filterByDate, filterByAmount] } },
-                { $unwind: "$categories_info" }
-            ]).then((result) => {
-                allTransactions = result.map(v => Object.assign({}, { username: v.username, type: v.type, amount: v.amount, date: v.date, color: v.categories_info.color }))
-                    .filter(tr => tr.username === username);
-                //Distinction between route accessed by Admins or Regular users for functions that can be called by both
-                //and different behaviors and access rights
-                res.status(200).json({ data: allTransactions, refreshedTokenMessage: res.locals.refreshedTokenMessage })
-            });
+            const baseCurrency = await getBaseCurrency(getAuthenticatedUsername(req));
+            const { data, total, nextCursor } = await findTransactionsPage({ username: username, ...filterByDate, ...filterByAmount, ...search }, pagination, baseCurrency);
+            res.status(200).json({ data: data, total: total, nextCursor: nextCursor, baseCurrency: baseCurrency, refreshedTokenMessage: res.locals.refreshedTokenMessage })
         } else {
             return res.status(401).json({ error: auth.cause })
         }
@@ -324,17 +440,20 @@ export const getTransactionsByUser = async (req, res) => {
 /** ADMIN(all transaction of a given user)/USER(only his transactions)
  * Return all transactions made by a specific user filtered by a specific category 
   - Request Body Content: None
-  - Response `data` Content: An array of objects, each one having attributes `username`, `type`, `amount`, `date` and `color`, filtered so that `type` is the same for all objects
+  - Request Query Parameters: the date and amount filters (`from`, `upTo`, `date`, `min`, `max`), the full-text search `q` and the pagination parameters
+  - Response `data` Content: An array of objects, each one having attributes `username`, `type`, `amount`, `kind`, `currency`, `baseAmount`, `date` and `color`, filtered so that `type` is the same for all objects.
+    The response also has the attributes `total` (number of transactions of all the pages), `nextCursor` and `baseCurrency`
   - Optional behavior:
     - empty array is returned if there are no transactions made by the user with the specified category
     - error 400 is returned if the user or the category does not exist
+    - error 400 is returned if the filter or pagination parameters are not valid
  */
 export const getTransactionsByUserByCategory = async (req, res) => {
     try {
         let auth;
         const { username, category } = req.params;
         if (req.url.indexOf("/transactions/users/") >= 0) {
-            auth = verifyAuth(req, res, { authType: "Admin" });
+            auth = verifyAuth(req, res, { authType: "Permission", permission: "transactions:read" });
         } else {
             auth = verifyAuth(req, res, { authType: "User", username: username });
         }
@@ -348,23 +467,21 @@ export const getTransactionsByUserByCategory = async (req, res) => {
             if (url_category === null) {
                 return res.status(400).json({ error: "Category not Found." });
             }
-            let allTransactions = [];
-            transactions.aggregate([
-                {
-                    $lookup: {
-                        from: "categories",
-                        localField: "type",
-                        foreignField: "type",
-                        as: "categories_info"
-                    }
-                },
-                { $unwind: "$categories_info" }
-            ]).then((result) => {
-                allTransactions = result.map(v => Object.assign({}, { username: v.username, type: v.type, amount: v.amount, date: v.date, color: v.categories_info.color }))
-                    .filter(tr => (tr.username === req.params.username && tr.type === req.params.category))
-                // return the transactions
-                res.status(200).json({ data: allTransactions, refreshedTokenMessage: res.locals.refreshedTokenMessage })
-            });
+            let filterByDate;
+            let filterByAmount;
+            let search;
+            let pagination;
+            try {
+                filterByDate = handleDateFilterParams(req);
+                filterByAmount = handleAmountFilterParams(req);
+                search = handleSearchParams(req);
+                pagination = handlePaginationParams(req);
+            } catch (error) {
+                return res.status(400).json({ error: error });
+            }
+            const baseCurrency = await getBaseCurrency(getAuthenticatedUsername(req));
+            const { data, total, nextCursor } = await findTransactionsPage({ username: username, type: category, ...filterByDate, ...filterByAmount, ...search }, pagination, baseCurrency);
+            res.status(200).json({ data: data, total: total, nextCursor: nextCursor, baseCurrency: baseCurrency, refreshedTokenMessage: res.locals.refreshedTokenMessage })
         } else {
             return res.status(401).json({ error: auth.cause })
         }
@@ -376,10 +493,13 @@ export const getTransactionsByUserByCategory = async (req, res) => {
 /** ADMIN(all transaction of a given group)/USER(only his group)
  * Return all transactions made by members of a specific group
   - Request Body Content: None
-  - Response `data` Content: An array of objects, each one having attributes `username`, `type`, `amount`, `date` and `color`
+  - Request Query Parameters: the date and amount filters (`from`, `upTo`, `date`, `min`, `max`), the full-text search `q` and the pagination parameters
+  - Response `data` Content: An array of objects, each one having attributes `username`, `type`, `amount`, `kind`, `currency`, `baseAmount`, `date` and `color`.
+    The response also has the attributes `total` (number of transactions of all the pages), `nextCursor` and `baseCurrency`
   - Optional behavior:
     - error 400 is returned if the group does not exist
     - empty array must be returned if there are no transactions made by the group
+    - error 400 is returned if the filter or pagination parameters are not valid
  */
 export const getTransactionsByGroup = async (req, res) => {
     try {
@@ -391,67 +511,27 @@ export const getTransactionsByGroup = async (req, res) => {
         }
         const emails = url_group.members.map((member) => member.email);
         if (req.url.indexOf("/transactions/groups/") >= 0) {
-            auth = verifyAuth(req, res, { authType: "Admin" });
+            auth = verifyAuth(req, res, { authType: "Permission", permission: "transactions:read" });
         } else {
             auth = verifyAuth(req, res, { authType: "Group", emails: emails });
         }
         if (auth.authorized) {
-            let allTransactions = [];
-            transactions.aggregate([
-                {
-                    $lookup: {
-                        from: 'users',
-                        localField: 'username',
-                        foreignField: 'username',
-                        as: 'user'
-                    }
-                },
-                {
-                    $unwind: '$user'
-                },
-                {
-                    $lookup: {
-                        from: 'groups',
-                        localField: 'user.email',
-                        foreignField: 'members.email',
-                        as: 'group'
-                    }
-                },
-                {
-                    $unwind: '$group'
-                },
-                {
-                    $lookup: {
-                        from: 'categories',
-                        localField: 'type',
-                        foreignField: 'type',
-                        as: 'category'
-                    }
-                },
-                {
-                    $unwind: '$category'
-                },
-                {
-                    $match: {
-                        'group.name': req.params.name
-                    }
-                },
-                {
-                    $project: {
-                        'user.username': 1,
-                        'user.email': 1,
-                        'group.name': 1,
-                        'category.type': 1,
-                        'amount': 1,
-                        'date': 1,
-                        'category.color': 1
-                    }
-                }
-            ]).then((result) => {
-                allTransactions = result.map(v => Object.assign({}, { username: v.user.username, type: v.category.type, amount: v.amount, date: v.date, color: v.category.color }))
-                // return the transactions
-                res.status(200).json({ data: allTransactions, refreshedTokenMessage: res.locals.refreshedTokenMessage });
-            });
+            let filterByDate;
+            let filterByAmount;
+            let search;
+            let pagination;
+            try {
+                filterByDate = handleDateFilterParams(req);
+                filterByAmount = handleAmountFilterParams(req);
+                search = handleSearchParams(req);
+                pagination = handlePaginationParams(req);
+            } catch (error) {
+                return res.status(400).json({ error: error });
+            }
+            const usernames = await groupUsernames(url_group);
+            const baseCurrency = await getBaseCurrency(getAuthenticatedUsername(req));
+            const { data, total, nextCursor } = await findTransactionsPage({ username: { $in: usernames }, ...filterByDate, ...filterByAmount, ...search }, pagination, baseCurrency);
+            res.status(200).json({ data: data, total: total, nextCursor: nextCursor, baseCurrency: baseCurrency, refreshedTokenMessage: res.locals.refreshedTokenMessage });
         } else {
             return res.status(401).json({ error: auth.cause })
         }
@@ -463,10 +543,13 @@ export const getTransactionsByGroup = async (req, res) => {
 /** ADMIN(all transaction of a given group)/USER(only his group)
  * Return all transactions made by members of a specific group filtered by a specific category
   - Request Body Content: None
-  - Response `data` Content: An array of objects, each one having attributes `username`, `type`, `amount`, `date` and `color`, filtered so that `type` is the same for all objects.
+  - Request Query Parameters: the date and amount filters (`from`, `upTo`, `date`, `min`, `max`), the full-text search `q` and the pagination parameters
+  - Response `data` Content: An array of objects, each one having attributes `username`, `type`, `amount`, `kind`, `currency`, `baseAmount`, `date` and `color`, filtered so that `type` is the same for all objects.
+    The response also has the attributes `total` (number of transactions of all the pages), `nextCursor` and `baseCurrency`
   - Optional behavior:
     - error 400 is returned if the group or the category does not exist
     - empty array must be returned if there are no transactions made by the group with the specified category
+    - error 400 is returned if the filter or pagination parameters are not valid
  */
 export const getTransactionsByGroupByCategory = async (req, res) => {
     try {
@@ -478,7 +561,7 @@ export const getTransactionsByGroupByCategory = async (req, res) => {
         }
         const emails = url_group.members.map((member) => member.email);
         if (req.url.indexOf("/transactions/groups/") >= 0) {
-            auth = verifyAuth(req, res, { authType: "Admin" });
+            auth = verifyAuth(req, res, { authType: "Permission", permission: "transactions:read" });
         } else {
             auth = verifyAuth(req, res, { authType: "Group", emails: emails });
         }
@@ -487,63 +570,22 @@ export const getTransactionsByGroupByCategory = async (req, res) => {
             if (url_category === null) {
                 return res.status(400).json({ error: "Category not Found." });
             }
-            let allTransactions = [];
-            transactions.aggregate([
-                {
-                    $lookup: {
-                        from: 'users',
-                        localField: 'username',
-                        foreignField: 'username',
-                        as: 'user'
-                    }
-                },
-                {
-                    $unwind: '$user'
-                },
-                {
-                    $lookup: {
-                        from: 'groups',
-                        localField: 'user.email',
-                        foreignField: 'members.email',
-                        as: 'group'
-                    }
-                },
-                {
-                    $unwind: '$group'
-                },
-                {
-                    $lookup: {
-                        from: 'categories',
-                        localField: 'type',
-                        foreignField: 'type',
-                        as: 'category'
-                    }
-                },
-                {
-                    $unwind: '$category'
-                },
-                {
-                    $match: {
-                        'group.name': req.params.name,
-                        'category.type': req.params.category
-                    }
-                },
-                {
-                    $project: {
-                        'user.username': 1,
-                        'user.email': 1,
-                        'group.name': 1,
-                        'category.type': 1,
-                        'amount': 1,
-                        'date': 1,
-                        'category.color': 1
-                    }
-                }
-            ]).then((result) => {
-                allTransactions = result.map(v => Object.assign({}, { username: v.user.username, type: v.category.type, amount: v.amount, date: v.date, color: v.category.color }))
-                // return the transactions
-                res.status(200).json({ data: allTransactions, refreshedTokenMessage: res.locals.refreshedTokenMessage });
-            });
+            let filterByDate;
+            let filterByAmount;
+            let search;
+            let pagination;
+            try {
+                filterByDate = handleDateFilterParams(req);
+                filterByAmount = handleAmountFilterParams(req);
+                search = handleSearchParams(req);
+                pagination = handlePaginationParams(req);
+            } catch (error) {
+                return res.status(400).json({ error: error });
+            }
+            const usernames = await groupUsernames(url_group);
+            const baseCurrency = await getBaseCurrency(getAuthenticatedUsername(req));
+            const { data, total, nextCursor } = await findTransactionsPage({ username: { $in: usernames }, type: category, ...filterByDate, ...filterByAmount, ...search }, pagination, baseCurrency);
+            res.status(200).json({ data: data, total: total, nextCursor: nextCursor, baseCurrency: baseCurrency, refreshedTokenMessage: res.locals.refreshedTokenMessage });
         } else {
             return res.status(401).json({ error: auth.cause })
         }
@@ -552,8 +594,99 @@ export const getTransactionsByGroupByCategory = async (req, res) => {
     }
 }
 
+/** ADMIN(any transaction)/USER(only his transactions)
+ * Edit a transaction, keeping its `_id`
+  - Request Body Content: An object having at least one of the attributes `amount`, `kind`, `account`, `currency`, `type`, `date`, `description`, `notes` and `tags`
+  - Response `data` Content: An object having attributes `_id`, `username`, `amount`, `kind`, `account`, `currency`, `type`, `date`, `description`, `notes` and `tags` of the updated transaction
+  - Optional behavior:
+    - error 400 is returned if the body does not contain any of the attributes or if one of them is an empty string
+    - error 400 is returned if the amount, the currency or the date are not valid or if the category does not exist
+    - error 400 is returned if the account does not exist or belongs to a user other than the one who made the transaction
+    - error 400 is returned if the transaction does not exist or, on the `/users/:username/transactions/:id` route, if it was made by another user
+    - error 400 is returned if the transaction is a transfer, or `kind` is `transfer`: the two transactions of a transfer must cancel out,
+      so transfers can only be deleted and created again
+ */
+export const updateTransaction = async (req, res) => {
+    try {
+        //Distinction between route accessed by Admins or Regular users
+        let auth;
+        let filter = { _id: req.params.id };
+        if (req.url.indexOf("/users/") >= 0) {
+            auth = verifyAuth(req, res, { authType: "User", username: req.params.username });
+            filter.username = req.params.username;
+        } else {
+            auth = verifyAuth(req, res, { authType: "Permission", permission: "transactions:manage" });
+        }
+        if (auth.authorized) {
+            let { amount, account, currency, type, date } = req.body;
+            let update;
+            try {
+                update = handleTransactionDetails(req.body);
+                if (currency !== undefined) {
+                    checkCurrency(currency, await getRatesTable());
+                    update.currency = currency;
+                }
+                if (account !== undefined) {
+                    const found = await findAccount(account, filter.username);
+                    if (found === null)
+                        throw ("Account not Found.");
+                    update.account = found._id;
+                    // on the admin route, the transaction must belong to the owner of the account
+                    filter.username = found.username;
+                }
+            } catch (error) {
+                if (typeof error !== "string")
+                    throw error;
+                return res.status(400).json({ error: error });
+            }
+            if (amount === undefined && type === undefined && date === undefined && Object.keys(update).length === 0) {
+                return res.status(400).json({ error: "Some Parameter is Missing" });
+            }
+            if (update.kind === "transfer") {
+                return res.status(400).json({ error: "Transfers cannot be edited" });
+            }
+            if ([amount, type, date].some((value) => value !== undefined && value.toString().trim().length === 0)) {
+                return res.status(400).json({ error: "Some Parameter is an Empty String" });
+            }
+            if (amount !== undefined) {
+                if (isNaN(parseFloat(amount)))
+                    return res.status(400).json({ error: "Amount not valid" })
+                update.amount = parseFloat(amount);
+            }
+            if (date !== undefined) {
+                update.date = new Date(date);
+                if (update.date == "Invalid Date") {
+                    return res.status(400).json({ error: "Date not valid" });
+                }
+            }
+            if (type !== undefined) {
+                const category = await categories.findOne({ type: type });
+                if (category === null) {
+                    return res.status(400).json({ error: "Category does not exist!" });
+                }
+                update.type = type;
+            }
+            if (!mongoose.isValidObjectId(req.params.id)) {
+                return res.status(400).json({ error: "Transaction not Found." });
+            }
+            const transaction = await transactions.findOneAndUpdate({ ...filter, kind: { $ne: "transfer" } }, { $set: update }, { new: true });
+            if (transaction === null) {
+                const transfer = await transactions.findOne(filter);
+                return res.status(400).json({ error: transfer ? "Transfers cannot be edited" : "Transaction not Found." });
+            }
+            const data = { _id: transaction._id, username: transaction.username, amount: transaction.amount, kind: transaction.kind, account: transaction.account, currency: transaction.currency, type: transaction.type, date: transaction.date, description: transaction.description, notes: transaction.notes, tags: transaction.tags };
+            res.status(200).json({ data: data, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: auth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
+
 /** ADMIN/USER
- * Delete a transaction made by a specific user
+ * Delete a transaction made by a specific user. Deleting one of the transactions of a transfer between accounts deletes the other one too.
+ * Deleted transactions are moved to the trash, from which an Admin can restore them.
   - Request Body Content: The `_id` of the transaction to be deleted
   - Response `data` Content: A string indicating successful deletion of the transaction
   - Optional behavior:
@@ -582,7 +715,12 @@ export const deleteTransaction = async (req, res) => {
             if (transaction === null) {
                 return res.status(400).json({ error: "Transaction not Found." });
             }
-            let data = await transactions.deleteOne({ _id: req.body._id });
+            const deletion = { $set: { deletedAt: new Date() } };
+            if (transaction.transfer) {
+                await transactions.updateMany({ transfer: transaction.transfer, deletedAt: null }, deletion);
+            } else {
+                await transactions.updateOne({ _id: req.body._id }, deletion);
+            }
             res.status(200).json({ data: { message: "Transaction deleted" }, refreshedTokenMessage: res.locals.refreshedTokenMessage })
         } else {
             res.status(401).json({ error: userAuth.cause })
@@ -593,7 +731,8 @@ export const deleteTransaction = async (req, res) => {
 }
 
 /** ADMIN
- * Delete multiple transactions identified by their ids
+ * Delete multiple transactions identified by their ids, moving them to the trash.
+ * Deleting one of the transactions of a transfer between accounts deletes the other one too.
   - Request Body Content: An array of strings that lists the `_ids` of the transactions to be deleted
   - Response `data` Content: A message confirming successful deletion
   - Optional behavior:
@@ -601,13 +740,14 @@ export const deleteTransaction = async (req, res) => {
  */
 export const deleteTransactions = async (req, res) => {
     try {
-        const adminAuth = verifyAuth(req, res, { authType: "Admin" })
+        const adminAuth = verifyAuth(req, res, { authType: "Permission", permission: "transactions:manage" })
         if (adminAuth.authorized) {
             //Admin auth successful
             let ids = req.body._ids;
             if (!ids) {
                 return res.status(400).json({ error: "Some Parameter is Missing" });
             }
+            let transfers = [];
             for (let id of ids) {
                 if (id.trim().length === 0) {
                     return res.status(400).json({ error: "Some Parameter is an Empty String" });
@@ -616,10 +756,11 @@ export const deleteTransactions = async (req, res) => {
                 if (el_finded === null) {
                     return res.status(400).json({ error: "Transaction not found." });
                 }
+                if (el_finded.transfer) {
+                    transfers.push(el_finded.transfer);
+                }
             }
-            for (let id of ids) {
-                await transactions.deleteOne({ _id: id });
-            }
+            await transactions.updateMany({ $or: [{ _id: { $in: ids } }, { transfer: { $in: transfers } }], deletedAt: null }, { $set: { deletedAt: new Date() } });
             res.status(200).json({ data: { message: "Transactions deleted" }, refreshedTokenMessage: res.locals.refreshedTokenMessage });
         } else {
             res.status(401).json({ error: adminAuth.cause })
@@ -0,0 +1,196 @@
+import { categories, transactions } from "../models/model.js";
+import { Group, User } from "../models/User.js";
+import { handleDateFilterParams, handleAmountFilterParams, verifyAuth } from "./utils.js";
+import { REFERENCE_CURRENCY, getRatesTable } from "./rates.js";
+
+const CSV_COLUMNS = ["username", "type", "amount", "currency", "kind", "date", "color", "description"];
+
+const csvField = (value) => {
+    const text = value === undefined || value === null ? "" : value.toString();
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const ofxValue = (value) => value.toString().replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+const ofxDate = (date) => date.toISOString().replace(/[-:T]/g, "").slice(0, 14);
+
+// the amounts of an OFX statement are in the reference currency, unless their transaction says otherwise with
+// the value of one unit of its currency in the reference one (omitted if the currency has no exchange rate)
+const ofxCurrency = (currency, table) => currency === REFERENCE_CURRENCY ? ""
+    : "<CURRENCY>\r\n" + (table[currency] !== undefined ? `<CURRATE>${table[currency]}\r\n` : "") + `<CURSYM>${ofxValue(currency)}\r\n</CURRENCY>\r\n`;
+
+/**
+ * Writers of the supported export formats: each one has the `contentType` of the file and the functions
+ * producing its beginning, the text of one transaction (`first` tells if it is the first one, `table` is the
+ * exchange rate table returned by `getRatesTable`) and its end
+ */
+export const EXPORT_FORMATS = {
+    csv: {
+        contentType: "text/csv",
+        header: () => CSV_COLUMNS.join(",") + "\r\n",
+        row: (transaction) => CSV_COLUMNS.map((column) => csvField(column === "date" ? transaction.date.toISOString() : transaction[column])).join(",") + "\r\n",
+        footer: () => ""
+    },
+    json: {
+        contentType: "application/json",
+        header: () => "[",
+        row: (transaction, first) => (first ? "" : ",") + JSON.stringify(transaction),
+        footer: () => "]"
+    },
+    ofx: {
+        contentType: "application/x-ofx",
+        header: () => "OFXHEADER:100\r\nDATA:OFXSGML\r\nVERSION:102\r\nENCODING:UTF-8\r\n\r\n"
+            + `<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><CURDEF>${REFERENCE_CURRENCY}<BANKTRANLIST>\r\n`,
+        row: (transaction, first, table = {}) => "<STMTTRN>\r\n<TRNTYPE>OTHER\r\n"
+            + `<DTPOSTED>${ofxDate(transaction.date)}\r\n`
+            + `<TRNAMT>${transaction.amount}\r\n`
+            + `<FITID>${transaction._id}\r\n`
+            + `<NAME>${ofxValue(transaction.description || transaction.type)}\r\n`
+            + `<MEMO>${ofxValue(transaction.type)}\r\n`
+            + ofxCurrency(transaction.currency, table) + "</STMTTRN>\r\n",
+        footer: () => "</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>\r\n"
+    }
+}
+
+/**
+ * Write a chunk of the file to the response. When the buffer of the response is full, wait until the client has read it
+ * (`drain`) or the connection is closed, so that a slow client does not make the whole file pile up in memory.
+ * @returns false if the response was closed and nothing else can be written
+ */
+const writeChunk = async (res, chunk) => {
+    if (!res.write(chunk)) {
+        await new Promise((resolve) => {
+            const done = () => {
+                res.removeListener("drain", done);
+                res.removeListener("close", done);
+                resolve();
+            };
+            res.on("drain", done);
+            res.on("close", done);
+        });
+    }
+    return !res.destroyed;
+}
+
+/**
+ * Write the transactions matching `filter` to the response one by one, in the requested format, ordered by date
+ * @param res the response object
+ * @param filter the MongoDB filter selecting the transactions
+ * @param format one of the keys of `EXPORT_FORMATS`
+ * @param filename the name suggested to the client for the downloaded file, without extension
+ */
+const streamTransactions = async (res, filter, format, filename) => {
+    const writer = EXPORT_FORMATS[format];
+    const colors = new Map((await categories.find({})).map((category) => [category.type, category.color]));
+    const table = await getRatesTable();
+    res.status(200);
+    res.setHeader("Content-Type", writer.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.${format}"`);
+    if (!(await writeChunk(res, writer.header()))) {
+        return;
+    }
+    let first = true;
+    for await (const transaction of transactions.find(filter).sort({ date: 1 }).cursor()) {
+        const written = await writeChunk(res, writer.row({
+            _id: transaction._id,
+            username: transaction.username,
+            type: transaction.type,
+            amount: transaction.amount,
+            currency: transaction.currency || REFERENCE_CURRENCY,
+            kind: transaction.kind || "expense",
+            date: transaction.date,
+            color: colors.get(transaction.type),
+            description: transaction.description
+        }, first, table));
+        if (!written) {
+            // leaving the loop closes the cursor
+            return;
+        }
+        first = false;
+    }
+    res.end(writer.footer());
+}
+
+/**
+ * Read the format and the filters of an export request
+ * @returns an object having attributes `format` and `filter`
+ * @throws an error if the format is not supported or the filters are not valid
+ */
+const exportParams = (req) => {
+    const format = req.query.format || "csv";
+    if (!EXPORT_FORMATS.hasOwnProperty(format))
+        throw ("Format not supported");
+    return { format: format, filter: { ...handleDateFilterParams(req), ...handleAmountFilterParams(req) } };
+}
+
+/** USER
+ * Download all the transactions of a user as a file
+  - Request Query Parameters: `format` (`csv`, `json` or `ofx`, default `csv`) and the same date and amount filters of `getTransactionsByUser`
+  - Response Content: the file, streamed, having for each transaction the attributes `username`, `type`, `amount`, `currency`, `kind`, `date`, `color` and `description`
+  - Optional behavior:
+    - error 400 is returned if the user does not exist
+    - error 400 is returned if the format is not supported or the filters are not valid
+ */
+export const exportTransactionsByUser = async (req, res) => {
+    try {
+        const username = req.params.username;
+        const userAuth = verifyAuth(req, res, { authType: "User", username: username })
+        if (userAuth.authorized) {
+            //User auth successful
+            let params;
+            try {
+                params = exportParams(req);
+            } catch (error) {
+                return res.status(400).json({ error: error });
+            }
+            const user = await User.findOne({ username: username });
+            if (user === null) {
+                return res.status(400).json({ error: "User not Found." });
+            }
+            await streamTransactions(res, { username: username, ...params.filter }, params.format, `${username}-transactions`);
+        } else {
+            res.status(401).json({ error: userAuth.cause })
+        }
+    } catch (error) {
+        if (res.headersSent)
+            return res.end();
+        res.status(500).json({ error: error.message })
+    }
+}
+
+/** USER (members of the group)
+ * Download all the transactions of the members of a group as a file
+  - Request Query Parameters: `format` (`csv`, `json` or `ofx`, default `csv`) and the same date and amount filters of `getTransactionsByUser`
+  - Response Content: the file, streamed, having for each transaction the attributes `username`, `type`, `amount`, `currency`, `kind`, `date`, `color` and `description`
+  - Optional behavior:
+    - error 400 is returned if the group does not exist
+    - error 400 is returned if the format is not supported or the filters are not valid
+ */
+export const exportTransactionsByGroup = async (req, res) => {
+    try {
+        const group = await Group.findOne({ name: req.params.name });
+        if (group === null) {
+            return res.status(400).json({ error: "Group not Found." });
+        }
+        const emails = group.members.map((member) => member.email);
+        const groupAuth = verifyAuth(req, res, { authType: "Group", emails: emails })
+        if (groupAuth.authorized) {
+            //Group auth successful
+            let params;
+            try {
+                params = exportParams(req);
+            } catch (error) {
+                return res.status(400).json({ error: error });
+            }
+            const members = await User.find({ email: { $in: emails } });
+            const usernames = members.map((member) => member.username);
+            await streamTransactions(res, { username: { $in: usernames }, ...params.filter }, params.format, `${group.name}-transactions`);
+        } else {
+            res.status(401).json({ error: groupAuth.cause })
+        }
+    } catch (error) {
+        if (res.headersSent)
+            return res.end();
+        res.status(500).json({ error: error.message })
+    }
+}
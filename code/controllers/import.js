@@ -0,0 +1,218 @@
+import { categories, transactions } from "../models/model.js";
+import { User } from "../models/User.js";
+import { verifyAuth } from "./utils.js";
+import { REFERENCE_CURRENCY } from "./rates.js";
+
+const DEFAULT_MAPPING = { date: "date", amount: "amount", type: "type", description: "description" };
+
+/**
+ * Split CSV text into rows of fields. Fields can be quoted with `"`, quoted fields can contain the delimiter,
+ * line breaks and escaped quotes (`""`). Empty lines are skipped.
+ * @param text the content of the CSV file
+ * @param delimiter the character separating the fields
+ * @returns an array of rows, each one an array of strings
+ */
+export const parseCsv = (text, delimiter = ",") => {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n")
+                i++;
+            row.push(field);
+            if (row.length > 1 || row[0].trim().length > 0)
+                rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    if (row.length > 1 || row[0].trim().length > 0)
+        rows.push(row);
+    return rows;
+}
+
+/**
+ * Turn the rows of a CSV file into raw records, using the header row and a column mapping
+ * @param text the content of the CSV file
+ * @param mapping an object that maps `date`, `amount`, `type` and `description` to the names of the columns in the header
+ * @param delimiter the character separating the fields
+ * @returns an array of objects having the (string) attributes `date`, `amount`, `type` and `description`
+ * @throws an error if the header does not contain the mapped `date` and `amount` columns
+ */
+export const readCsvRecords = (text, mapping = {}, delimiter = ",") => {
+    const columns = Object.assign({}, DEFAULT_MAPPING, mapping);
+    const [header, ...rows] = parseCsv(text, delimiter);
+    if (!header)
+        throw ("Empty file");
+    const names = header.map((name) => name.trim());
+    const index = {};
+    for (let key of Object.keys(DEFAULT_MAPPING)) {
+        index[key] = names.indexOf(columns[key]);
+    }
+    if (index.date < 0 || index.amount < 0)
+        throw ("Date or amount column not found");
+    return rows.map((row) => ({
+        date: row[index.date],
+        amount: row[index.amount],
+        type: index.type >= 0 ? row[index.type] : undefined,
+        description: index.description >= 0 ? row[index.description] : undefined
+    }));
+}
+
+/**
+ * Turn the `STMTTRN` blocks of an OFX statement (both SGML and XML flavours) into raw records.
+ * OFX has no categories, so `type` is always undefined; the description is the `NAME` of the transaction, or its `MEMO`.
+ * @param text the content of the OFX file
+ * @returns an array of objects having the (string) attributes `date` (as YYYY-MM-DD), `amount` and `description`
+ * @throws an error if the file contains no transactions
+ */
+export const readOfxRecords = (text) => {
+    const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi);
+    if (!blocks)
+        throw ("No transactions found");
+    return blocks.map((block) => {
+        const tags = {};
+        for (let match of block.matchAll(/<(\w+)>([^<\r\n]*)/g)) {
+            tags[match[1].toUpperCase()] = match[2].trim();
+        }
+        const posted = tags.DTPOSTED || "";
+        return {
+            date: posted.length >= 8 ? `${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}` : posted,
+            amount: tags.TRNAMT,
+            type: undefined,
+            description: tags.NAME || tags.MEMO
+        };
+    });
+}
+
+/**
+ * Convert an amount as written in a statement to a number, accepting both `1234.56`/`1,234.56` and the decimal comma `1234,56`
+ */
+const parseAmount = (value) => {
+    const amount = value.trim();
+    if (amount.length === 0)
+        return NaN;
+    return Number(amount.includes(".") ? amount.replace(/,/g, "") : amount.replace(",", "."));
+}
+
+const duplicateKey = (date, amount, description) => `${date.toISOString()}|${amount}|${description || ""}`;
+
+/** USER
+ * Import the transactions of a bank statement, in the base currency of the user
+  - Request Body Content: An object having attributes `format` (`csv` or `ofx`) and `content` (the text of the file), and optionally:
+    - `mapping`: for CSV files, an object mapping `date`, `amount`, `type` and `description` to the names of the columns of the file
+    - `delimiter`: for CSV files, the character separating the fields (default `,`)
+    - `type`: the category assigned to the rows that do not specify one (always the case for OFX files)
+  - Response `data` Content: An object having attributes `imported` (number of created transactions), `duplicates` (number of rows
+    skipped because a transaction with the same date, amount and description already exists, each transaction matching one row at most) and `errors` (an array of objects
+    having attributes `row`, starting from 1, and `error`)
+  - Optional behavior:
+    - error 400 is returned if the user does not exist
+    - error 400 is returned if the format is not supported or the file cannot be read
+    - rows that are not valid are reported in `errors` and do not prevent the import of the others
+ */
+export const importTransactions = async (req, res) => {
+    try {
+        const username = req.params.username;
+        const userAuth = verifyAuth(req, res, { authType: "User", username: username })
+        if (userAuth.authorized) {
+            //User auth successful
+            const { format, content, mapping, delimiter, type } = req.body;
+            if (!format || !content) {
+                return res.status(400).json({ error: "Some Parameter is Missing" });
+            }
+            if (format !== "csv" && format !== "ofx") {
+                return res.status(400).json({ error: "Format not supported" });
+            }
+            const user = await User.findOne({ username: username });
+            if (user === null) {
+                return res.status(400).json({ error: "User not Found." });
+            }
+            let records;
+            try {
+                records = format === "csv" ? readCsvRecords(content, mapping, delimiter) : readOfxRecords(content);
+            } catch (error) {
+                return res.status(400).json({ error: error });
+            }
+
+            // the amounts of a statement are in the base currency of the user, as those of the transactions it creates
+            const currency = user.currency || REFERENCE_CURRENCY;
+            const existingTypes = new Set((await categories.find({})).map((category) => category.type));
+            const errors = [];
+            const valid = [];
+            records.forEach((record, i) => {
+                const row = i + 1;
+                const recordType = record.type && record.type.trim().length > 0 ? record.type.trim() : type;
+                const date = record.date ? new Date(record.date.trim()) : new Date(NaN);
+                const amount = record.amount !== undefined ? parseAmount(record.amount) : NaN;
+                if (date == "Invalid Date") {
+                    errors.push({ row: row, error: "Date not valid" });
+                } else if (isNaN(amount)) {
+                    errors.push({ row: row, error: "Amount not valid" });
+                } else if (!recordType) {
+                    errors.push({ row: row, error: "Category is missing" });
+                } else if (!existingTypes.has(recordType)) {
+                    errors.push({ row: row, error: "Category does not exist!" });
+                } else {
+                    const description = record.description ? record.description.trim() : undefined;
+                    valid.push({ username: username, type: recordType, amount: amount, currency: currency, date: date, description: description });
+                }
+            });
+
+            // duplicates are searched among the transactions of the user in the period of the statement: each of them matches
+            // one row at most, so that identical rows of the file (e.g. two equal purchases on the same day) are all imported
+            let toInsert = [];
+            let duplicates = 0;
+            if (valid.length > 0) {
+                // a loop rather than Math.min(...dates), which exceeds the maximum number of arguments on large statements
+                const range = valid.reduce(({ from, to }, transaction) => ({
+                    from: transaction.date < from ? transaction.date : from,
+                    to: transaction.date > to ? transaction.date : to
+                }), { from: valid[0].date, to: valid[0].date });
+                const existing = await transactions.find({ username: username, date: { $gte: range.from, $lte: range.to } });
+                const unmatched = new Map();
+                for (let transaction of existing) {
+                    const key = duplicateKey(transaction.date, transaction.amount, transaction.description);
+                    unmatched.set(key, (unmatched.get(key) || 0) + 1);
+                }
+                for (let transaction of valid) {
+                    const key = duplicateKey(transaction.date, transaction.amount, transaction.description);
+                    if (unmatched.get(key) > 0) {
+                        unmatched.set(key, unmatched.get(key) - 1);
+                        duplicates++;
+                    } else {
+                        toInsert.push(transaction);
+                    }
+                }
+            }
+            if (toInsert.length > 0) {
+                await transactions.insertMany(toInsert);
+            }
+            res.status(200).json({ data: { imported: toInsert.length, duplicates: duplicates, errors: errors }, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: userAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
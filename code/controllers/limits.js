@@ -0,0 +1,115 @@
+import { LoginAttempt } from '../models/User.js';
+
+// failures older than this, without newer ones, are forgotten
+const ATTEMPT_WINDOW = 15 * 60 * 1000;
+const LOCKOUT_DURATION = 15 * 60 * 1000;
+const MAX_DELAY = 60 * 1000;
+
+// failed logins tolerated before each new attempt has to wait a growing delay, and before the logins are locked
+const ACCOUNT_LIMITS = { freeAttempts: 3, lockoutAttempts: 10 };
+const IP_LIMITS = { freeAttempts: 10, lockoutAttempts: 50 };
+
+const accountKey = (email) => `account:${email}`;
+
+/**
+ * Return the keys of the failed-attempt records a login is subject to, with their limits
+ */
+const attemptKeys = (email, ip) => [
+    { key: accountKey(email), ...ACCOUNT_LIMITS },
+    { key: `ip:${ip}`, ...IP_LIMITS }
+];
+
+/**
+ * Return how long a login for an email from an address must wait. A record that reached the lockout threshold rejects logins
+ * until `lockedUntil`; otherwise, once its free attempts are used, the next attempt has to wait from the last failure
+ * 1 second, then 2, 4 and so on for each further failure, up to one minute.
+ * @param email the email the login is for
+ * @param ip the address of the client
+ * @returns the milliseconds to wait, 0 if the login can be attempted now
+ */
+export const getLoginRetryDelay = async (email, ip) => {
+    const keys = attemptKeys(email, ip);
+    const attempts = await LoginAttempt.find({ key: { $in: keys.map(({ key }) => key) } }) || [];
+    const now = Date.now();
+    let wait = 0;
+    for (const attempt of attempts) {
+        const { freeAttempts } = keys.find(({ key }) => key === attempt.key);
+        if (attempt.lockedUntil && attempt.lockedUntil.getTime() > now) {
+            wait = Math.max(wait, attempt.lockedUntil.getTime() - now);
+        } else if (attempt.failures >= freeAttempts && attempt.lastFailureAt) {
+            const delay = Math.min(1000 * 2 ** (attempt.failures - freeAttempts), MAX_DELAY);
+            wait = Math.max(wait, attempt.lastFailureAt.getTime() + delay - now);
+        }
+    }
+    return wait;
+}
+
+/**
+ * Record a failed login for an email from an address, locking the account or the address that reach their lockout threshold.
+ * Failures are recorded for unknown emails too, so that locking does not reveal which emails are registered.
+ * @param email the email the login was for
+ * @param ip the address of the client
+ */
+export const recordLoginFailure = async (email, ip) => {
+    const now = new Date();
+    for (const { key, lockoutAttempts } of attemptKeys(email, ip)) {
+        const attempt = await LoginAttempt.findOneAndUpdate(
+            { key: key },
+            { $inc: { failures: 1 }, $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + ATTEMPT_WINDOW) } },
+            { upsert: true, new: true }
+        );
+        if (attempt && attempt.failures >= lockoutAttempts) {
+            // the count starts again when the lockout ends
+            const lockedUntil = new Date(now.getTime() + LOCKOUT_DURATION);
+            await LoginAttempt.updateOne({ key: key }, { $set: { failures: 0, lockedUntil: lockedUntil, expiresAt: lockedUntil } });
+        }
+    }
+}
+
+/**
+ * Forget the failed logins and the lockout of an account, after a successful login or when an Admin unlocks it
+ * @param email the email of the account
+ * @returns true if the account had failed logins or was locked
+ */
+export const clearLoginFailures = async (email) => {
+    const result = await LoginAttempt.deleteOne({ key: accountKey(email) });
+    return Boolean(result && result.deletedCount > 0);
+}
+
+const rateLimitHits = new Map();
+
+/**
+ * Create a middleware that accepts at most `max` requests every `windowMs` milliseconds from the same address,
+ * answering the others with error 429. Requests are counted in memory, separately for each `name`.
+ * @param name the name of the limited routes
+ * @param options an object having attributes `windowMs` and `max`
+ */
+export const rateLimit = (name, { windowMs, max }) => (req, res, next) => {
+    const now = Date.now();
+    const key = `${name}:${req.ip}`;
+    let hits = rateLimitHits.get(key);
+    if (!hits || hits.resetAt <= now) {
+        if (rateLimitHits.size >= 10000) {
+            for (const [expiredKey, expired] of rateLimitHits) {
+                if (expired.resetAt <= now) {
+                    rateLimitHits.delete(expiredKey);
+                }
+            }
+        }
+        hits = { count: 0, resetAt: now + windowMs };
+        rateLimitHits.set(key, hits);
+    }
+    hits.count++;
+    if (hits.count > max) {
+        res.set("Retry-After", String(Math.ceil((hits.resetAt - now) / 1000)));
+        return res.status(429).json({ error: "Too many requests, retry later" });
+    }
+    next();
+}
+
+/**
+ * Forget all the requests counted by the rate limiters
+ */
+export const resetRateLimits = () => {
+    rateLimitHits.clear();
+}
@@ -0,0 +1,45 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+
+/**
+ * Create a mail transport that writes every message as a JSON file in a local directory, so that mails can be read without a mail server
+ * @param directory the outbox directory, by default the one in the `MAIL_OUTBOX` environment variable or `data/outbox`. It is created if missing
+ * @returns a transport, i.e. an object having an async `send(message)` method
+ */
+export const outboxTransport = (directory) => ({
+    send: async (message) => {
+        const outbox = directory || process.env.MAIL_OUTBOX || "data/outbox";
+        await fs.mkdir(outbox, { recursive: true });
+        const file = path.join(outbox, `${Date.now()}-${randomUUID()}.json`);
+        await fs.writeFile(file, JSON.stringify(message, null, 2));
+        return file;
+    }
+});
+
+let transport = outboxTransport();
+
+/**
+ * Replace the transport used by `sendMail`, e.g. with one delivering the messages through an SMTP server
+ * @param newTransport an object having an async `send(message)` method
+ * @throws an error if the transport has no `send` method
+ */
+export const setMailTransport = (newTransport) => {
+    if (!newTransport || typeof newTransport.send !== "function") {
+        throw ("Mail transport not valid");
+    }
+    transport = newTransport;
+}
+
+/**
+ * Send a mail through the current transport
+ * @param message an object having attributes `to`, `subject` and `text`
+ * @returns the value returned by the transport
+ * @throws an error if an attribute of the message is missing
+ */
+export const sendMail = async ({ to, subject, text }) => {
+    if (!to || !subject || !text) {
+        throw ("Mail not valid");
+    }
+    return await transport.send({ from: process.env.MAIL_FROM || "no-reply@ezwallet.local", to, subject, text, date: new Date() });
+}
@@ -0,0 +1,86 @@
+import bcrypt from 'bcryptjs';
+import { randomBytes } from 'crypto';
+import { User, Session, PasswordReset } from '../models/User.js';
+import { hashToken } from './utils.js';
+import { sendMail } from './mail.js';
+
+const PASSWORD_RESET_MAX_AGE = 60 * 60 * 1000;
+
+/**
+ * Start the reset of a forgotten password, sending by mail a reset token to the user with the given email.
+ * The token is valid for one hour and can be used only once; the tokens previously requested by the user stop being valid.
+  - Request Body Content: An object having attribute `email`
+  - Response `data` Content: A message confirming the request. The same message is returned when no user has the email,
+    so that the response does not reveal which emails are registered
+  - Optional behavior:
+    - error 400 is returned if the email is missing, is an empty string or is not in a valid email format
+ */
+export const forgotPassword = async (req, res) => {
+    try {
+        const { email } = req.body;
+        if (!email) {
+            return res.status(400).json({ error: "Some Parameter is Missing" });
+        }
+        if (email.trim().length === 0) {
+            return res.status(400).json({ error: "Some Parameter is an Empty String" });
+        }
+        const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (regex.test(email) === false) {
+            return res.status(400).json({ error: "Invalid email format" });
+        }
+        const user = await User.findOne({ email: email });
+        if (user) {
+            await PasswordReset.deleteMany({ username: user.username });
+            const token = randomBytes(32).toString("hex");
+            await PasswordReset.create({ username: user.username, tokenHash: hashToken(token), expiresAt: new Date(Date.now() + PASSWORD_RESET_MAX_AGE) });
+            await sendMail({
+                to: user.email,
+                subject: "Reset your EzWallet password",
+                text: `Hi ${user.username},\n\nuse this token to choose a new password within one hour:\n\n${token}\n\nIf you did not ask to reset your password, ignore this message.`
+            });
+        }
+        res.status(200).json({ data: { message: "If the email belongs to a user, a reset token has been sent to it" } });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
+
+/**
+ * Set a new password using a reset token sent by `forgotPassword`. All the sessions of the user are revoked, so that
+ * whoever knew the old password has to login again.
+  - Request Body Content: An object having attributes `token` and `password`
+  - Response `data` Content: A message confirming the update
+  - Optional behavior:
+    - error 400 is returned if the request body does not contain all the necessary attributes or at least one of them is an empty string
+    - error 400 is returned if the token does not exist, has expired or was already used
+ */
+export const resetPassword = async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        if (!token || !password) {
+            return res.status(400).json({ error: "Some Parameter is Missing" });
+        }
+        if (token.trim().length === 0 || password.trim().length === 0) {
+            return res.status(400).json({ error: "Some Parameter is an Empty String" });
+        }
+        // marking the token as used in the same query that finds it prevents two concurrent resets with the same token
+        const reset = await PasswordReset.findOneAndUpdate(
+            { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+            { $set: { usedAt: new Date() } }
+        );
+        if (reset === null) {
+            return res.status(400).json({ error: "Reset token not valid" });
+        }
+        const user = await User.findOne({ username: reset.username });
+        if (user === null) {
+            return res.status(400).json({ error: "Reset token not valid" });
+        }
+        user.password = await bcrypt.hash(password, 12);
+        user.refreshToken = null;
+        await user.save();
+        await Session.updateMany({ username: user.username, revoked: false }, { $set: { revoked: true } });
+        res.status(200).json({ data: { message: "Password updated" } });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
@@ -0,0 +1,229 @@
+import { promises as fs } from "fs";
+import { exchange_rates } from "../models/model.js";
+import { User } from "../models/User.js";
+import { verifyAuth } from "./utils.js";
+
+/**
+ * Currency in which the exchange rates are expressed: its rate is always 1
+ */
+export const REFERENCE_CURRENCY = "EUR";
+
+const CURRENCY_FORMAT = /^[A-Z]{3}$/;
+
+/**
+ * Return the exchange rate table
+ * @returns an object mapping each known currency to the value of one unit of it in the reference currency
+ */
+export const getRatesTable = async () => {
+    const rows = await exchange_rates.find({});
+    let table = { [REFERENCE_CURRENCY]: 1 };
+    for (let row of rows) {
+        table[row.currency] = row.rate;
+    }
+    return table;
+}
+
+/**
+ * Convert an amount between two currencies
+ * @param table the object returned by `getRatesTable`
+ * @returns the converted amount, or null if the rate of one of the currencies is unknown
+ */
+export const convertAmount = (amount, from, to, table) => {
+    const source = table[from || REFERENCE_CURRENCY];
+    const target = table[to];
+    if (source === undefined || target === undefined) {
+        return null;
+    }
+    return amount * source / target;
+}
+
+/**
+ * Build the aggregation expression converting the `amount` of a transaction in `to`, the same conversion of `convertAmount`.
+ * Transactions without `currency` are in the reference currency, those in a currency without rate are converted to null.
+ * @param table the object returned by `getRatesTable`
+ */
+export const baseAmountExpression = (table, to) => {
+    if (table[to] === undefined) {
+        return null;
+    }
+    const branches = Object.keys(table).map((currency) => ({
+        case: { $eq: [{ $ifNull: ["$currency", REFERENCE_CURRENCY] }, currency] },
+        then: table[currency] / table[to]
+    }));
+    return { $multiply: ["$amount", { $switch: { branches: branches, default: null } }] };
+}
+
+/**
+ * Return the base currency of a user, the reference currency if the user is unknown
+ */
+export const getBaseCurrency = async (username) => {
+    if (!username) {
+        return REFERENCE_CURRENCY;
+    }
+    const user = await User.findOne({ username: username });
+    return user && user.currency ? user.currency : REFERENCE_CURRENCY;
+}
+
+/**
+ * Check that a currency can be used for transactions and as base currency
+ * @throws an error if `currency` is not an ISO 4217 code or has no exchange rate
+ */
+export const checkCurrency = (currency, table) => {
+    if (typeof currency !== "string" || !CURRENCY_FORMAT.test(currency))
+        throw ("Currency not valid");
+    if (table[currency] === undefined)
+        throw ("Currency not supported");
+}
+
+/**
+ * Insert or replace exchange rates. Currencies not mentioned keep their current rate.
+ * @param rates an object mapping ISO 4217 codes to the value of one unit of the currency in the reference currency
+ * @returns the updated rate table
+ * @throws an error if one of the codes or of the rates is not valid
+ */
+export const setExchangeRates = async (rates) => {
+    if (!rates || typeof rates !== "object" || Array.isArray(rates) || Object.keys(rates).length === 0)
+        throw ("Rates not valid");
+    for (let [currency, rate] of Object.entries(rates)) {
+        if (!CURRENCY_FORMAT.test(currency))
+            throw ("Currency not valid");
+        if (typeof rate !== "number" || !(rate > 0) || (currency === REFERENCE_CURRENCY && rate !== 1))
+            throw ("Rates not valid");
+    }
+    await exchange_rates.bulkWrite(Object.entries(rates).map(([currency, rate]) => ({
+        updateOne: { filter: { currency: currency }, update: { $set: { rate: rate } }, upsert: true }
+    })));
+    return await getRatesTable();
+}
+
+/**
+ * Load the exchange rates from a local JSON file having the same format of the `rates` accepted by `setExchangeRates`,
+ * e.g. `{ "USD": 0.92, "GBP": 1.16 }`
+ * @param path the file to read, by default the one in the `EXCHANGE_RATES_FILE` environment variable or `data/exchange_rates.json`
+ * @returns the updated rate table
+ * @throws an error if the file cannot be read or its content is not valid
+ */
+export const loadExchangeRatesFile = async (path = process.env.EXCHANGE_RATES_FILE || "data/exchange_rates.json") => {
+    let rates;
+    try {
+        rates = JSON.parse(await fs.readFile(path, "utf8"));
+    } catch (error) {
+        throw ("Exchange rates file not readable");
+    }
+    return await setExchangeRates(rates);
+}
+
+/** ADMIN/USER
+ * Return the exchange rate table
+  - Request Body Content: None
+  - Response `data` Content: An object having attributes `reference` (the reference currency) and `rates`,
+    mapping each currency to the value of one unit of it in the reference currency
+ */
+export const getExchangeRates = async (req, res) => {
+    try {
+        const simpleAuth = verifyAuth(req, res, { authType: "Simple" })
+        if (simpleAuth.authorized) {
+            //User or Admin auth successful
+            const table = await getRatesTable();
+            res.status(200).json({ data: { reference: REFERENCE_CURRENCY, rates: table }, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: simpleAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
+
+/** ADMIN ONLY
+ * Insert or replace exchange rates
+  - Request Body Content: An object having attribute `rates`, mapping ISO 4217 codes to the value of one unit of the currency in the reference currency
+    - Example: `{rates: {USD: 0.92, GBP: 1.16}}`
+  - Response `data` Content: the same content of `getExchangeRates`, after the update
+  - Optional behavior:
+    - error 400 is returned if one of the codes or of the rates is not valid
+ */
+export const updateExchangeRates = async (req, res) => {
+    try {
+        const adminAuth = verifyAuth(req, res, { authType: "Permission", permission: "rates:manage" })
+        if (adminAuth.authorized) {
+            //Admin auth successful
+            let table;
+            try {
+                table = await setExchangeRates(req.body.rates);
+            } catch (error) {
+                if (typeof error !== "string")
+                    throw error;
+                return res.status(400).json({ error: error });
+            }
+            res.status(200).json({ data: { reference: REFERENCE_CURRENCY, rates: table }, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: adminAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
+
+/** ADMIN ONLY
+ * Load the exchange rates from the local file configured on the server (see `loadExchangeRatesFile`)
+  - Request Body Content: None
+  - Response `data` Content: the same content of `getExchangeRates`, after the update
+  - Optional behavior:
+    - error 400 is returned if the file cannot be read or its content is not valid
+ */
+export const loadExchangeRates = async (req, res) => {
+    try {
+        const adminAuth = verifyAuth(req, res, { authType: "Permission", permission: "rates:manage" })
+        if (adminAuth.authorized) {
+            //Admin auth successful
+            let table;
+            try {
+                table = await loadExchangeRatesFile();
+            } catch (error) {
+                if (typeof error !== "string")
+                    throw error;
+                return res.status(400).json({ error: error });
+            }
+            res.status(200).json({ data: { reference: REFERENCE_CURRENCY, rates: table }, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: adminAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
+
+/** USER
+ * Change the base currency of a user
+  - Request Body Content: An object having attribute `currency`, an ISO 4217 code with a known exchange rate
+  - Response `data` Content: An object having attributes `username` and `currency`
+  - Optional behavior:
+    - error 400 is returned if the user does not exist
+    - error 400 is returned if the currency is not valid or has no exchange rate
+ */
+export const updateBaseCurrency = async (req, res) => {
+    try {
+        const username = req.params.username;
+        const userAuth = verifyAuth(req, res, { authType: "User", username: username })
+        if (userAuth.authorized) {
+            //User auth successful
+            const currency = req.body.currency;
+            try {
+                checkCurrency(currency, await getRatesTable());
+            } catch (error) {
+                if (typeof error !== "string")
+                    throw error;
+                return res.status(400).json({ error: error });
+            }
+            const user = await User.findOneAndUpdate({ username: username }, { $set: { currency: currency } }, { new: true });
+            if (user === null) {
+                return res.status(400).json({ error: "User not Found." });
+            }
+            res.status(200).json({ data: { username: user.username, currency: user.currency }, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: userAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
@@ -0,0 +1,313 @@
+import { categories, transactions, recurring_transactions } from "../models/model.js";
+import { User } from "../models/User.js";
+import { verifyAuth } from "./utils.js";
+import { REFERENCE_CURRENCY, getRatesTable, checkCurrency } from "./rates.js";
+
+const FREQUENCIES = ["daily", "weekly", "monthly", "yearly"];
+const KINDS = ["income", "expense"];
+
+// how far back the start date of a new recurring transaction can be, so that the occurrences already due at its creation are a bounded number
+const MAX_BACKFILL_DAYS = 366;
+
+/**
+ * Compute the date of the `index`-th occurrence (starting from 0) of a recurring transaction.
+ * Monthly and yearly occurrences keep the day of `start`, clamped to the last day of shorter months
+ * (a rule starting on the 31st falls on the 28th/29th in February and on the 31st again in March).
+ * @param start the date of the first occurrence
+ * @param frequency one of `daily`, `weekly`, `monthly`, `yearly`
+ * @param index the number of the occurrence
+ * @returns a new Date object
+ */
+export const occurrenceDate = (start, frequency, index) => {
+    const date = new Date(start);
+    if (frequency === "daily") {
+        date.setUTCDate(date.getUTCDate() + index);
+        return date;
+    }
+    if (frequency === "weekly") {
+        date.setUTCDate(date.getUTCDate() + 7 * index);
+        return date;
+    }
+    const months = frequency === "monthly" ? index : 12 * index;
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + months;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    date.setUTCFullYear(year, month, Math.min(date.getUTCDate(), lastDay));
+    return date;
+}
+
+/**
+ * Create the transactions of all the occurrences of a rule that are due at `now` and were not created yet.
+ * Every occurrence is upserted on (`recurring`, `date`), so running it twice for the same period never duplicates a transaction.
+ * The transactions have the kind and the currency of the rule.
+ * @param rule a recurring transaction document
+ * @param now the instant up to which occurrences are due
+ * @returns the number of transactions created
+ */
+export const materializeRule = async (rule, now) => {
+    let created = 0;
+    let index = rule.occurrences;
+    let date = occurrenceDate(rule.startDate, rule.frequency, index);
+    if (date > now || (rule.endDate && date > rule.endDate)) {
+        return created;
+    }
+    let currency = rule.currency;
+    if (!currency) {
+        const user = await User.findOne({ username: rule.username });
+        currency = user && user.currency ? user.currency : REFERENCE_CURRENCY;
+    }
+    while (date <= now && (!rule.endDate || date <= rule.endDate)) {
+        const result = await transactions.updateOne(
+            { recurring: rule._id, date: date },
+            { $setOnInsert: { username: rule.username, type: rule.type, amount: rule.amount, kind: rule.kind || "expense", currency: currency } },
+            { upsert: true }
+        );
+        created += result.upsertedCount;
+        index++;
+        date = occurrenceDate(rule.startDate, rule.frequency, index);
+    }
+    if (index !== rule.occurrences) {
+        await recurring_transactions.updateOne({ _id: rule._id }, { $set: { occurrences: index } });
+    }
+    return created;
+}
+
+/**
+ * Create the due transactions of every recurring transaction in the system
+ * @param now the instant up to which occurrences are due
+ * @returns the number of transactions created
+ */
+export const materializeRecurringTransactions = async (now = new Date()) => {
+    const rules = await recurring_transactions.find({ startDate: { $lte: now } });
+    let created = 0;
+    for (let rule of rules) {
+        created += await materializeRule(rule, now);
+    }
+    return created;
+}
+
+/**
+ * Periodically create the due occurrences of recurring transactions. A run is skipped while the previous one is still in progress.
+ * @param interval milliseconds between two runs
+ * @returns the timer, that can be passed to `clearInterval` to stop the scheduler
+ */
+export const startRecurringScheduler = (interval = 60 * 60 * 1000) => {
+    let running = false;
+    const run = async () => {
+        if (running)
+            return;
+        running = true;
+        try {
+            await materializeRecurringTransactions(new Date());
+        } catch (error) {
+            console.log(error);
+        } finally {
+            running = false;
+        }
+    }
+    run();
+    return setInterval(run, interval);
+}
+
+const ruleData = (rule) => ({
+    _id: rule._id,
+    username: rule.username,
+    type: rule.type,
+    amount: rule.amount,
+    kind: rule.kind,
+    currency: rule.currency,
+    frequency: rule.frequency,
+    startDate: rule.startDate,
+    endDate: rule.endDate
+})
+
+/** USER
+ * Create a recurring transaction. The occurrences already due are created with it, the following ones by the scheduler
+  - Request Body Content: An object having attributes `type`, `amount` and `frequency` (`daily`, `weekly`, `monthly` or `yearly`),
+    and optionally `kind` (`income` or `expense`, `expense` by default), `currency` (the base currency of the user by default),
+    `startDate` (default: now, at most one year in the past) and `endDate`
+  - Response `data` Content: An object having attributes `_id`, `username`, `type`, `amount`, `kind`, `currency`, `frequency`, `startDate` and `endDate`
+  - Optional behavior:
+    - error 400 is returned if the user or the category does not exist
+    - error 400 is returned if the kind, the currency, the frequency or the dates are not valid
+    - error 400 is returned if the start date is more than one year in the past
+ */
+export const createRecurringTransaction = async (req, res) => {
+    try {
+        const username = req.params.username;
+        const userAuth = verifyAuth(req, res, { authType: "User", username: username })
+        if (userAuth.authorized) {
+            //User auth successful
+            let { type, amount, frequency, startDate, endDate, kind, currency } = req.body;
+            if (!type || !amount || !frequency) {
+                return res.status(400).json({ error: "Some Parameter is Missing" });
+            }
+            if (type.trim().length === 0 || amount.toString().trim().length === 0 || frequency.trim().length === 0) {
+                return res.status(400).json({ error: "Some Parameter is an Empty String" });
+            }
+            if (isNaN(parseFloat(amount)))
+                return res.status(400).json({ error: "Amount not valid" })
+            amount = parseFloat(amount)
+            if (!FREQUENCIES.includes(frequency)) {
+                return res.status(400).json({ error: "Frequency not valid" });
+            }
+            if (kind !== undefined && !KINDS.includes(kind)) {
+                return res.status(400).json({ error: "Kind not valid" });
+            }
+            startDate = startDate ? new Date(startDate) : new Date();
+            endDate = endDate ? new Date(endDate) : null;
+            if (startDate == "Invalid Date" || endDate == "Invalid Date") {
+                return res.status(400).json({ error: "Date not valid" });
+            }
+            if (endDate && endDate < startDate) {
+                return res.status(400).json({ error: "End date before start date" });
+            }
+            if (startDate < new Date(Date.now() - MAX_BACKFILL_DAYS * 24 * 60 * 60 * 1000)) {
+                return res.status(400).json({ error: "Start date too far in the past" });
+            }
+            const user = await User.findOne({ username: username });
+            if (user === null) {
+                return res.status(400).json({ error: "User not Found." });
+            }
+            const category = await categories.findOne({ type: type });
+            if (category === null) {
+                return res.status(400).json({ error: "Category not Found." });
+            }
+            if (currency !== undefined) {
+                try {
+                    checkCurrency(currency, await getRatesTable());
+                } catch (error) {
+                    return res.status(400).json({ error: error });
+                }
+            } else {
+                currency = user.currency || REFERENCE_CURRENCY;
+            }
+            kind = kind || "expense";
+            const rule = await recurring_transactions.create({ username, type, amount, kind, currency, frequency, startDate, endDate });
+            await materializeRule(rule, new Date());
+            res.status(200).json({ data: ruleData(rule), refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: userAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
+
+/** USER
+ * Return the recurring transactions of a user
+  - Request Body Content: None
+  - Response `data` Content: An array of objects, each one having attributes `_id`, `username`, `type`, `amount`, `kind`, `currency`, `frequency`, `startDate` and `endDate`
+  - Optional behavior:
+    - error 400 is returned if the user does not exist
+    - empty array is returned if the user has no recurring transactions
+ */
+export const getRecurringTransactions = async (req, res) => {
+    try {
+        const username = req.params.username;
+        const userAuth = verifyAuth(req, res, { authType: "User", username: username })
+        if (userAuth.authorized) {
+            //User auth successful
+            const user = await User.findOne({ username: username });
+            if (user === null) {
+                return res.status(400).json({ error: "User not Found." });
+            }
+            const rules = await recurring_transactions.find({ username: username });
+            res.status(200).json({ data: rules.map(ruleData), refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: userAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
+
+/** USER
+ * Edit a recurring transaction. Only future occurrences are affected, the transactions already created are left untouched
+  - Request Parameters: The `_id` of the recurring transaction
+  - Request Body Content: An object having at least one of the attributes `type`, `amount` and `endDate` (null removes the end date)
+  - Response `data` Content: An object having attributes `_id`, `username`, `type`, `amount`, `kind`, `currency`, `frequency`, `startDate` and `endDate`
+  - Optional behavior:
+    - error 400 is returned if the recurring transaction or the category does not exist
+    - error 400 is returned if the end date is not valid or is before the start date
+ */
+export const updateRecurringTransaction = async (req, res) => {
+    try {
+        const { username, id } = req.params;
+        const userAuth = verifyAuth(req, res, { authType: "User", username: username })
+        if (userAuth.authorized) {
+            //User auth successful
+            let { type, amount, endDate } = req.body;
+            if (type === undefined && amount === undefined && endDate === undefined) {
+                return res.status(400).json({ error: "Some Parameter is Missing" });
+            }
+            const update = {};
+            if (type !== undefined) {
+                if (type.trim().length === 0) {
+                    return res.status(400).json({ error: "Some Parameter is an Empty String" });
+                }
+                const category = await categories.findOne({ type: type });
+                if (category === null) {
+                    return res.status(400).json({ error: "Category not Found." });
+                }
+                update.type = type;
+            }
+            if (amount !== undefined) {
+                if (isNaN(parseFloat(amount)))
+                    return res.status(400).json({ error: "Amount not valid" })
+                update.amount = parseFloat(amount);
+            }
+            if (endDate !== undefined) {
+                update.endDate = endDate === null ? null : new Date(endDate);
+                if (update.endDate == "Invalid Date") {
+                    return res.status(400).json({ error: "Date not valid" });
+                }
+            }
+            const filter = { _id: id, username: username };
+            // the end date is checked against the start date of the rule in the same query that updates it
+            const rule = await recurring_transactions.findOneAndUpdate(update.endDate ? { ...filter, startDate: { $lte: update.endDate } } : filter, { $set: update }, { new: true });
+            if (rule === null) {
+                const existing = update.endDate ? await recurring_transactions.findOne(filter) : null;
+                return res.status(400).json({ error: existing ? "End date before start date" : "Recurring transaction not Found." });
+            }
+            res.status(200).json({ data: ruleData(rule), refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: userAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
+
+/** USER
+ * Delete a recurring transaction. The transactions already created are kept
+  - Request Body Content: The `_id` of the recurring transaction to be deleted
+  - Response `data` Content: A message confirming successful deletion
+  - Optional behavior:
+    - error 400 is returned if the recurring transaction does not exist
+ */
+export const deleteRecurringTransaction = async (req, res) => {
+    try {
+        const username = req.params.username;
+        const userAuth = verifyAuth(req, res, { authType: "User", username: username })
+        if (userAuth.authorized) {
+            //User auth successful
+            const id = req.body._id;
+            if (!id) {
+                return res.status(400).json({ error: "Some Parameter is Missing" });
+            }
+            if (id.trim().length === 0) {
+                return res.status(400).json({ error: "Some Parameter is an Empty String" });
+            }
+            const deleted = await recurring_transactions.deleteOne({ _id: id, username: username });
+            if (deleted.deletedCount === 0) {
+                return res.status(400).json({ error: "Recurring transaction not Found." });
+            }
+            res.status(200).json({ data: { message: "Recurring transaction deleted" }, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: userAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
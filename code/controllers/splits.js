@@ -0,0 +1,343 @@
+import { group_expenses } from "../models/model.js";
+import { Group, User } from "../models/User.js";
+import { handleDateFilterParams, verifyAuth, getAuthenticatedUsername } from "./utils.js";
+import { getRatesTable, convertAmount, getBaseCurrency, checkCurrency } from "./rates.js";
+
+export const SPLIT_TYPES = ["equal", "percentage", "exact"];
+
+/**
+ * Convert an amount in cents, avoiding the rounding errors of the floating point representation
+ */
+const cents = (amount) => Math.round(amount * 100);
+
+/**
+ * Compute the part of a shared expense owed by each participant, rounded to the cent.
+ * The cents left over by the rounding are assigned to the first participants, so that the parts always add up to `amount`.
+ * @param amount the amount of the expense
+ * @param split one of `SPLIT_TYPES`
+ * @param shares for `equal`, the array of the usernames of the participants (all the members of the group if undefined);
+ *  for `percentage` and `exact`, an object mapping the username of each participant to his percentage or to the amount he owes
+ * @param members the usernames of the members of the group
+ * @returns an array of objects having attributes `username` and `amount`
+ * @throws an error if the split or the shares are not valid, or if a participant is not a member of the group
+ */
+export const splitShares = (amount, split, shares, members) => {
+    if (!SPLIT_TYPES.includes(split))
+        throw ("Split not valid");
+    const total = cents(amount);
+    let parts;
+    if (split === "equal") {
+        const participants = shares === undefined ? members : shares;
+        if (!Array.isArray(participants) || participants.length === 0 || participants.some((username) => typeof username !== "string"))
+            throw ("Shares not valid");
+        const unique = [...new Set(participants)];
+        const part = Math.floor(total / unique.length);
+        parts = unique.map((username) => [username, part]);
+    } else {
+        if (!shares || typeof shares !== "object" || Array.isArray(shares) || Object.keys(shares).length === 0
+            || Object.values(shares).some((value) => typeof value !== "number" || !(value >= 0)))
+            throw ("Shares not valid");
+        const entries = Object.entries(shares);
+        if (split === "percentage") {
+            const sum = entries.reduce((acc, [, percentage]) => acc + percentage, 0);
+            if (Math.abs(sum - 100) > 0.0001)
+                throw ("Shares do not add up to 100%");
+            parts = entries.map(([username, percentage]) => [username, Math.floor(total * percentage / 100 + 0.0001)]);
+        } else {
+            parts = entries.map(([username, value]) => [username, cents(value)]);
+            if (parts.reduce((acc, [, part]) => acc + part, 0) !== total)
+                throw ("Shares do not add up to the amount");
+        }
+    }
+    let remainder = total - parts.reduce((acc, [, part]) => acc + part, 0);
+    for (let i = 0; remainder > 0; i = (i + 1) % parts.length, remainder--) {
+        parts[i][1]++;
+    }
+    if (parts.some(([username]) => !members.includes(username)))
+        throw ("User is not a member of the group");
+    return parts.map(([username, part]) => ({ username: username, amount: part / 100 }));
+}
+
+/**
+ * Compute the balance of each member of a group: what he paid minus what he owes, for expenses and settlements alike
+ * @param records the expenses and settlements of the group
+ * @param members the usernames of the members of the group, whose balance is 0 when they have no records
+ * @param baseCurrency the currency of the balances
+ * @param table the object returned by `getRatesTable`
+ * @returns an object mapping each username to his balance, positive if he is owed money
+ * @throws an error if a record is in a currency without exchange rate
+ */
+export const groupBalances = (records, members, baseCurrency, table) => {
+    let balances = {};
+    for (let username of members) {
+        balances[username] = 0;
+    }
+    for (let record of records) {
+        const rate = convertAmount(1, record.currency, baseCurrency, table);
+        if (rate === null)
+            throw ("Currency not supported");
+        balances[record.paidBy] = (balances[record.paidBy] || 0) + record.amount * rate;
+        for (let share of record.shares) {
+            balances[share.username] = (balances[share.username] || 0) - share.amount * rate;
+        }
+    }
+    for (let username of Object.keys(balances)) {
+        balances[username] = (cents(balances[username]) || 0) / 100;
+    }
+    return balances;
+}
+
+/**
+ * Find the payments that zero the balances of a group, matching the largest debts with the largest credits
+ * @param balances the object returned by `groupBalances`
+ * @returns an array of objects having attributes `from` (who has to pay), `to` and `amount`
+ */
+export const settleDebts = (balances) => {
+    const creditors = [];
+    const debtors = [];
+    for (let [username, balance] of Object.entries(balances)) {
+        const value = cents(balance);
+        if (value > 0)
+            creditors.push({ username: username, value: value });
+        else if (value < 0)
+            debtors.push({ username: username, value: -value });
+    }
+    const byValue = (a, b) => b.value - a.value || a.username.localeCompare(b.username);
+    creditors.sort(byValue);
+    debtors.sort(byValue);
+    let debts = [];
+    let i = 0;
+    let j = 0;
+    while (i < debtors.length && j < creditors.length) {
+        const amount = Math.min(debtors[i].value, creditors[j].value);
+        debts.push({ from: debtors[i].username, to: creditors[j].username, amount: amount / 100 });
+        debtors[i].value -= amount;
+        creditors[j].value -= amount;
+        if (debtors[i].value === 0)
+            i++;
+        if (creditors[j].value === 0)
+            j++;
+    }
+    return debts;
+}
+
+/**
+ * Return the usernames of the members of a group
+ */
+const groupUsernames = async (emails) => {
+    const users = await User.find({ email: { $in: emails } });
+    return users.map((user) => user.username);
+}
+
+/**
+ * Turn an expense or a settlement into the `data` of a response
+ */
+const recordData = (record) => ({
+    _id: record._id, kind: record.kind, paidBy: record.paidBy, amount: record.amount, currency: record.currency,
+    split: record.split, shares: record.shares, description: record.description, date: record.date
+})
+
+/** USER (members of the group)
+ * Record an expense paid by a member of a group and split among some of the members
+  - Request Body Content: An object having attributes `amount` and `split` (`equal`, `percentage` or `exact`), and optionally:
+    - `shares`: for `equal`, an array with the usernames of the participants (all the members by default); for `percentage`, an object mapping
+      the username of each participant to his percentage, e.g. `{"mario": 60, "luigi": 40}`; for `exact`, an object mapping the username of each participant
+      to the amount he owes, e.g. `{"mario": 12.5, "luigi": 7.5}`
+    - `paidBy`: the username of the member who paid (the user making the request by default)
+    - `currency` (the base currency of the user making the request by default) and `description`
+  - Response `data` Content: An object having attributes `_id`, `kind`, `paidBy`, `amount`, `currency`, `split`, `shares` (an array of objects having attributes
+    `username` and `amount`, the part owed by each participant), `description` and `date`
+  - Optional behavior:
+    - error 400 is returned if the group does not exist
+    - error 400 is returned if the amount, the split, the shares, the currency or the description are not valid
+    - error 400 is returned if percentages do not add up to 100 or exact shares do not add up to the amount
+    - error 400 is returned if the payer or one of the participants is not a member of the group
+ */
+export const createGroupExpense = async (req, res) => {
+    try {
+        const group = await Group.findOne({ name: req.params.name });
+        if (group === null) {
+            return res.status(400).json({ error: "Group not Found." });
+        }
+        const emails = group.members.map((member) => member.email);
+        const groupAuth = verifyAuth(req, res, { authType: "Group", emails: emails })
+        if (groupAuth.authorized) {
+            //Group auth successful
+            let { amount, split, shares, paidBy, currency, description } = req.body;
+            if (amount === undefined || amount === null || !split) {
+                return res.status(400).json({ error: "Some Parameter is Missing" });
+            }
+            if (amount.toString().trim().length === 0 || split.trim().length === 0) {
+                return res.status(400).json({ error: "Some Parameter is an Empty String" });
+            }
+            amount = parseFloat(amount);
+            if (isNaN(amount) || amount <= 0) {
+                return res.status(400).json({ error: "Amount not valid" });
+            }
+            const members = await groupUsernames(emails);
+            const caller = getAuthenticatedUsername(req);
+            paidBy = paidBy === undefined ? caller : paidBy;
+            try {
+                if (description !== undefined && typeof description !== "string")
+                    throw ("Description not valid");
+                if (!members.includes(paidBy))
+                    throw ("User is not a member of the group");
+                shares = splitShares(amount, split, shares, members);
+                if (currency !== undefined)
+                    checkCurrency(currency, await getRatesTable());
+                else
+                    currency = await getBaseCurrency(caller);
+            } catch (error) {
+                if (typeof error !== "string")
+                    throw error;
+                return res.status(400).json({ error: error });
+            }
+            const expense = await group_expenses.create({ group: group.name, kind: "expense", paidBy, amount, currency, split, shares, description });
+            res.status(200).json({ data: recordData(expense), refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: groupAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
+
+/** USER (members of the group)
+ * Record a payment between two members of a group, settling (part of) a debt
+  - Request Body Content: An object having attributes `to` (the username of the member receiving the money) and `amount`, and optionally
+    `from` (the username of the member paying, the user making the request by default), `currency` (the base currency of the user making the request by default)
+    and `description`
+  - Response `data` Content: the same content of `createGroupExpense`, with `kind` equal to `settlement` and the recipient as the only element of `shares`
+  - Optional behavior:
+    - error 400 is returned if the group does not exist
+    - error 400 is returned if the amount, the currency or the description are not valid
+    - error 400 is returned if one of the users is not a member of the group or if they are the same user
+ */
+export const createSettlement = async (req, res) => {
+    try {
+        const group = await Group.findOne({ name: req.params.name });
+        if (group === null) {
+            return res.status(400).json({ error: "Group not Found." });
+        }
+        const emails = group.members.map((member) => member.email);
+        const groupAuth = verifyAuth(req, res, { authType: "Group", emails: emails })
+        if (groupAuth.authorized) {
+            //Group auth successful
+            let { from, to, amount, currency, description } = req.body;
+            if (!to || amount === undefined || amount === null) {
+                return res.status(400).json({ error: "Some Parameter is Missing" });
+            }
+            if (to.trim().length === 0 || amount.toString().trim().length === 0) {
+                return res.status(400).json({ error: "Some Parameter is an Empty String" });
+            }
+            amount = parseFloat(amount);
+            if (isNaN(amount) || amount <= 0) {
+                return res.status(400).json({ error: "Amount not valid" });
+            }
+            const members = await groupUsernames(emails);
+            const caller = getAuthenticatedUsername(req);
+            from = from === undefined ? caller : from;
+            try {
+                if (description !== undefined && typeof description !== "string")
+                    throw ("Description not valid");
+                if (!members.includes(from) || !members.includes(to))
+                    throw ("User is not a member of the group");
+                if (from === to)
+                    throw ("Users must be different");
+                if (currency !== undefined)
+                    checkCurrency(currency, await getRatesTable());
+                else
+                    currency = await getBaseCurrency(caller);
+            } catch (error) {
+                if (typeof error !== "string")
+                    throw error;
+                return res.status(400).json({ error: error });
+            }
+            const settlement = await group_expenses.create({ group: group.name, kind: "settlement", paidBy: from, amount, currency, shares: [{ username: to, amount: amount }], description });
+            res.status(200).json({ data: recordData(settlement), refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: groupAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
+
+/** USER (members of the group)
+ * Return the shared expenses and the settlements of a group, from the oldest one
+  - Request Query Parameters: the date filters of `getTransactionsByUser` (`from`, `upTo`, `date`)
+  - Response `data` Content: An array of objects having the attributes of the `data` of `createGroupExpense`
+  - Optional behavior:
+    - error 400 is returned if the group does not exist
+    - error 400 is returned if the date filters are not valid
+    - empty array is returned if there are no expenses
+ */
+export const getGroupExpenses = async (req, res) => {
+    try {
+        const group = await Group.findOne({ name: req.params.name });
+        if (group === null) {
+            return res.status(400).json({ error: "Group not Found." });
+        }
+        const emails = group.members.map((member) => member.email);
+        const groupAuth = verifyAuth(req, res, { authType: "Group", emails: emails })
+        if (groupAuth.authorized) {
+            //Group auth successful
+            let filterByDate;
+            try {
+                filterByDate = handleDateFilterParams(req);
+            } catch (error) {
+                return res.status(400).json({ error: error });
+            }
+            const records = await group_expenses.find({ group: group.name, ...filterByDate }).sort({ date: 1 });
+            res.status(200).json({ data: records.map(recordData), refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: groupAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
+
+/** USER (members of the group)
+ * Return who owes whom in a group, considering all its expenses and settlements
+  - Request Body Content: None
+  - Response `data` Content: An object having attributes `baseCurrency` (the base currency of the user making the request), `balances`, an array of objects
+    having attributes `username` and `balance` (what the member paid minus what he owes, in `baseCurrency`), and `debts`, an array of objects having attributes
+    `from`, `to` and `amount`: the payments that would settle all the balances
+  - Optional behavior:
+    - error 400 is returned if the group does not exist
+ */
+export const getGroupDebts = async (req, res) => {
+    try {
+        const group = await Group.findOne({ name: req.params.name });
+        if (group === null) {
+            return res.status(400).json({ error: "Group not Found." });
+        }
+        const emails = group.members.map((member) => member.email);
+        const groupAuth = verifyAuth(req, res, { authType: "Group", emails: emails })
+        if (groupAuth.authorized) {
+            //Group auth successful
+            const members = await groupUsernames(emails);
+            const records = await group_expenses.find({ group: group.name });
+            const baseCurrency = await getBaseCurrency(getAuthenticatedUsername(req));
+            let balances;
+            try {
+                balances = groupBalances(records, members, baseCurrency, await getRatesTable());
+            } catch (error) {
+                if (typeof error !== "string")
+                    throw error;
+                return res.status(400).json({ error: error });
+            }
+            const data = {
+                baseCurrency: baseCurrency,
+                balances: Object.entries(balances).map(([username, balance]) => ({ username: username, balance: balance })),
+                debts: settleDebts(balances)
+            };
+            res.status(200).json({ data: data, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: groupAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
@@ -0,0 +1,271 @@
+import { transactions } from "../models/model.js";
+import { Group, User } from "../models/User.js";
+import { handleDateFilterParams, verifyAuth, getAuthenticatedUsername } from "./utils.js";
+import { REFERENCE_CURRENCY, getRatesTable, baseAmountExpression, getBaseCurrency } from "./rates.js";
+
+const PERIOD_FORMATS = {
+    day: "%Y-%m-%d",
+    week: "%G-W%V",
+    month: "%Y-%m"
+}
+
+/**
+ * Accumulators of a group of transactions, `amount` and `baseAmount` being the expressions of the amount converted in the reference
+ * and in the base currency: amounts in different currencies are never added as they are
+ */
+const totals = (amount, baseAmount) => ({
+    total: { $sum: amount },
+    count: { $sum: 1 },
+    average: { $avg: amount },
+    baseTotal: { $sum: baseAmount },
+    baseAverage: { $avg: baseAmount }
+})
+
+const bucketTotals = (v) => ({ total: v.total, count: v.count, average: v.average, baseTotal: v.baseTotal, baseAverage: v.baseAverage })
+
+/**
+ * Build the aggregation pipeline computing the spending summary of the transactions matching `match`.
+ * Only expenses are counted (transactions without a `kind` are expenses): income is not spending, and the two transactions
+ * of a transfer cancel out.
+ * @param match the filter selecting the transactions
+ * @param period `day`, `week`, `month` or undefined (no breakdown by period)
+ * @param amount the expression converting the amount of a transaction in the reference currency (see `baseAmountExpression`)
+ * @param baseAmount the expression converting the amount of a transaction in the base currency
+ * @returns an array of aggregation stages, producing a single document with the fields `overall`, `byCategory` and `byPeriod`
+ */
+export const summaryPipeline = (match, period, amount = null, baseAmount = null) => {
+    const facets = {
+        overall: [
+            { $group: { _id: null, ...totals(amount, baseAmount) } }
+        ],
+        byCategory: [
+            { $group: { _id: "$type", ...totals(amount, baseAmount) } },
+            { $lookup: { from: "categories", localField: "_id", foreignField: "type", as: "category" } },
+            { $unwind: { path: "$category", preserveNullAndEmptyArrays: true } },
+            { $sort: { total: -1, _id: 1 } }
+        ]
+    };
+    if (period) {
+        facets.byPeriod = [
+            { $group: { _id: { $dateToString: { format: PERIOD_FORMATS[period], date: "$date" } }, ...totals(amount, baseAmount) } },
+            { $sort: { _id: 1 } }
+        ];
+    }
+    return [{ $match: { ...match, kind: { $in: ["expense", null] } } }, { $facet: facets }];
+}
+
+/**
+ * Turn the result of `summaryPipeline` into the `data` of the response
+ */
+const summaryData = (result, period, baseCurrency) => {
+    const [facets] = result;
+    const overall = facets.overall.length > 0 ? facets.overall[0] : { total: 0, count: 0, average: 0, baseTotal: 0, baseAverage: 0 };
+    const data = {
+        ...bucketTotals(overall),
+        currency: REFERENCE_CURRENCY,
+        baseCurrency: baseCurrency,
+        byCategory: facets.byCategory.map((v) => ({ type: v._id, color: v.category ? v.category.color : null, ...bucketTotals(v) }))
+    };
+    if (period) {
+        data.byPeriod = facets.byPeriod.map((v) => ({ period: v._id, ...bucketTotals(v) }));
+    }
+    return data;
+}
+
+/**
+ * Read the `period` and the date filters of a summary request
+ * @returns an object having attributes `period` and `filterByDate`
+ * @throws an error if the period is not supported or the date filters are not valid
+ */
+const summaryParams = (req) => {
+    const period = req.query.period;
+    if (period !== undefined && !PERIOD_FORMATS.hasOwnProperty(period))
+        throw ("Period not valid");
+    return { period: period, filterByDate: handleDateFilterParams(req) };
+}
+
+/** USER
+ * Return the spending summary of a user
+  - Request Query Parameters: the date filters of `getTransactionsByUser` (`from`, `upTo`, `date`) and optionally `period` (`day`, `week` or `month`)
+  - Response `data` Content: An object having attributes `total`, `count` and `average` of all the selected transactions, their amounts converted in
+    `currency` (the reference currency of the exchange rates), `baseTotal` and `baseAverage` of their amounts converted in `baseCurrency`
+    (the base currency of the user), an array `byCategory` of objects having attributes `type`, `color`,
+    `total`, `count`, `average`, `baseTotal` and `baseAverage` and, when `period` is given, an array `byPeriod` of objects having attributes
+    `period` (e.g. `2023-05-01`, `2023-W18` or `2023-05`), `total`, `count`, `average`, `baseTotal` and `baseAverage`
+  - Optional behavior:
+    - error 400 is returned if the user does not exist
+    - error 400 is returned if the period or the date filters are not valid
+ */
+export const getSummaryByUser = async (req, res) => {
+    try {
+        const username = req.params.username;
+        const userAuth = verifyAuth(req, res, { authType: "User", username: username })
+        if (userAuth.authorized) {
+            //User auth successful
+            let params;
+            try {
+                params = summaryParams(req);
+            } catch (error) {
+                return res.status(400).json({ error: error });
+            }
+            const user = await User.findOne({ username: username });
+            if (user === null) {
+                return res.status(400).json({ error: "User not Found." });
+            }
+            const baseCurrency = user.currency || REFERENCE_CURRENCY;
+            const table = await getRatesTable();
+            const result = await transactions.aggregate(summaryPipeline({ username: username, ...params.filterByDate }, params.period,
+                baseAmountExpression(table, REFERENCE_CURRENCY), baseAmountExpression(table, baseCurrency)));
+            res.status(200).json({ data: summaryData(result, params.period, baseCurrency), refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: userAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
+
+/** USER (members of the group)
+ * Return the spending summary of the members of a group
+  - Request Query Parameters: the date filters of `getTransactionsByUser` (`from`, `upTo`, `date`) and optionally `period` (`day`, `week` or `month`)
+  - Response `data` Content: the same content of `getSummaryByUser`, computed on the transactions of all the members and converted
+    in the base currency of the user making the request
+  - Optional behavior:
+    - error 400 is returned if the group does not exist
+    - error 400 is returned if the period or the date filters are not valid
+ */
+export const getSummaryByGroup = async (req, res) => {
+    try {
+        const group = await Group.findOne({ name: req.params.name });
+        if (group === null) {
+            return res.status(400).json({ error: "Group not Found." });
+        }
+        const emails = group.members.map((member) => member.email);
+        const groupAuth = verifyAuth(req, res, { authType: "Group", emails: emails })
+        if (groupAuth.authorized) {
+            //Group auth successful
+            let params;
+            try {
+                params = summaryParams(req);
+            } catch (error) {
+                return res.status(400).json({ error: error });
+            }
+            const members = await User.find({ email: { $in: emails } });
+            const usernames = members.map((member) => member.username);
+            const baseCurrency = await getBaseCurrency(getAuthenticatedUsername(req));
+            const table = await getRatesTable();
+            const result = await transactions.aggregate(summaryPipeline({ username: { $in: usernames }, ...params.filterByDate }, params.period,
+                baseAmountExpression(table, REFERENCE_CURRENCY), baseAmountExpression(table, baseCurrency)));
+            res.status(200).json({ data: summaryData(result, params.period, baseCurrency), refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: groupAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
+
+/**
+ * Build the aggregation pipeline computing the balance of the transactions matching `match`.
+ * Transactions without `kind` are expenses.
+ * @param baseAmount the expression converting the amount of a transaction in the base currency (see `baseAmountExpression`)
+ * @returns an array of aggregation stages, producing a document for each kind having attributes `_id` (the kind), `total` and `count`
+ */
+export const balancePipeline = (match, baseAmount = null) => [
+    { $match: match },
+    { $group: { _id: { $ifNull: ["$kind", "expense"] }, total: { $sum: baseAmount }, count: { $sum: 1 } } }
+]
+
+/**
+ * Turn the result of `balancePipeline` into the `data` of the response
+ */
+const balanceData = (result, baseCurrency) => {
+    const kinds = { income: { total: 0, count: 0 }, expense: { total: 0, count: 0 }, transfer: { total: 0, count: 0 } };
+    for (let v of result) {
+        kinds[v._id] = { total: v.total, count: v.count };
+    }
+    return {
+        income: kinds.income.total,
+        expense: kinds.expense.total,
+        transfer: kinds.transfer.total,
+        net: kinds.income.total - kinds.expense.total,
+        count: kinds.income.count + kinds.expense.count + kinds.transfer.count,
+        baseCurrency: baseCurrency
+    };
+}
+
+/** USER
+ * Return the balance of a user: the money earned and spent in a date range
+  - Request Query Parameters: the date filters of `getTransactionsByUser` (`from`, `upTo`, `date`)
+  - Response `data` Content: An object having attributes `income`, `expense` and `transfer` (the totals of the transactions of each kind),
+    `net` (`income` minus `expense`, transfers do not change it) and `count`, all the amounts converted in `baseCurrency` (the base currency of the user)
+  - Optional behavior:
+    - error 400 is returned if the user does not exist
+    - error 400 is returned if the date filters are not valid
+ */
+export const getBalanceByUser = async (req, res) => {
+    try {
+        const username = req.params.username;
+        const userAuth = verifyAuth(req, res, { authType: "User", username: username })
+        if (userAuth.authorized) {
+            //User auth successful
+            let filterByDate;
+            try {
+                filterByDate = handleDateFilterParams(req);
+            } catch (error) {
+                return res.status(400).json({ error: error });
+            }
+            const user = await User.findOne({ username: username });
+            if (user === null) {
+                return res.status(400).json({ error: "User not Found." });
+            }
+            const baseCurrency = user.currency || REFERENCE_CURRENCY;
+            const baseAmount = baseAmountExpression(await getRatesTable(), baseCurrency);
+            const result = await transactions.aggregate(balancePipeline({ username: username, ...filterByDate }, baseAmount));
+            res.status(200).json({ data: balanceData(result, baseCurrency), refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: userAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
+
+/** USER (members of the group)
+ * Return the balance of the members of a group
+  - Request Query Parameters: the date filters of `getTransactionsByUser` (`from`, `upTo`, `date`)
+  - Response `data` Content: the same content of `getBalanceByUser`, computed on the transactions of all the members and converted
+    in the base currency of the user making the request
+  - Optional behavior:
+    - error 400 is returned if the group does not exist
+    - error 400 is returned if the date filters are not valid
+ */
+export const getBalanceByGroup = async (req, res) => {
+    try {
+        const group = await Group.findOne({ name: req.params.name });
+        if (group === null) {
+            return res.status(400).json({ error: "Group not Found." });
+        }
+        const emails = group.members.map((member) => member.email);
+        const groupAuth = verifyAuth(req, res, { authType: "Group", emails: emails })
+        if (groupAuth.authorized) {
+            //Group auth successful
+            let filterByDate;
+            try {
+                filterByDate = handleDateFilterParams(req);
+            } catch (error) {
+                return res.status(400).json({ error: error });
+            }
+            const members = await User.find({ email: { $in: emails } });
+            const usernames = members.map((member) => member.username);
+            const baseCurrency = await getBaseCurrency(getAuthenticatedUsername(req));
+            const baseAmount = baseAmountExpression(await getRatesTable(), baseCurrency);
+            const result = await transactions.aggregate(balancePipeline({ username: { $in: usernames }, ...filterByDate }, baseAmount));
+            res.status(200).json({ data: balanceData(result, baseCurrency), refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        } else {
+            res.status(401).json({ error: groupAuth.cause })
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message })
+    }
+}
@@ -0,0 +1,213 @@
+import mongoose from 'mongoose';
+import { User, Group } from '../models/User.js';
+import { transactions, categories, accounts, budgets, recurring_transactions } from '../models/model.js';
+import { verifyAuth } from './utils.js';
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Return the number of days the deleted records are kept in the trash before they can be purged,
+ * set by the `TRASH_RETENTION_DAYS` environment variable
+ */
+export const getRetentionDays = () => {
+    const days = Number(process.env.TRASH_RETENTION_DAYS);
+    return process.env.TRASH_RETENTION_DAYS && Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Restore a user with the transactions, budgets and recurring transactions deleted together with it, which share its `deletedAt`.
+ * The user is added back to the group it was removed from, restoring the group if it was moved to the trash with the user,
+ * unless the group no longer exists or the user joined another group in the meantime.
+ */
+const restoreUser = async (user) => {
+    await User.updateOne({ _id: user._id }, { $set: { deletedAt: null, deletedFromGroup: null } });
+    const deletedWith = { username: user.username, deletedAt: user.deletedAt };
+    const restored = await transactions.updateMany(deletedWith, { $set: { deletedAt: null } });
+    const restoredBudgets = await budgets.updateMany(deletedWith, { $set: { deletedAt: null } });
+    const restoredRules = await recurring_transactions.updateMany(deletedWith, { $set: { deletedAt: null } });
+    if (user.deletedFromGroup && (await Group.findOne({ "members.email": user.email })) === null) {
+        await Group.updateOne(
+            { name: user.deletedFromGroup, deletedAt: { $in: [null, user.deletedAt] } },
+            { $set: { deletedAt: null }, $push: { members: { email: user.email, user: user._id } } }
+        );
+    }
+    return { restored: 1 + restored.modifiedCount + restoredBudgets.modifiedCount + restoredRules.modifiedCount };
+}
+
+/**
+ * Restore a transaction, with the other transaction of its transfer if any. The user and the account of the transaction must exist.
+ */
+const restoreTransaction = async (transaction) => {
+    if ((await User.findOne({ username: transaction.username })) === null) {
+        return { error: "User of the transaction not found" };
+    }
+    if (transaction.account && (await accounts.findOne({ _id: transaction.account })) === null) {
+        return { error: "Account of the transaction not found" };
+    }
+    const filter = transaction.transfer ? { transfer: transaction.transfer, deletedAt: transaction.deletedAt } : { _id: transaction._id };
+    const restored = await transactions.updateMany(filter, { $set: { deletedAt: null } });
+    return { restored: restored.modifiedCount };
+}
+
+/**
+ * Restore a group, unless some of its members joined another group in the meantime
+ */
+const restoreGroup = async (group) => {
+    const emails = group.members.map((member) => member.email);
+    if ((await Group.findOne({ "members.email": { $in: emails } })) !== null) {
+        return { error: "Some members are already in a group" };
+    }
+    await Group.updateOne({ _id: group._id }, { $set: { deletedAt: null } });
+    return { restored: 1 };
+}
+
+/**
+ * Restore a category. The transactions moved to another category when it was deleted are not moved back.
+ */
+const restoreCategory = async (category) => {
+    await categories.updateOne({ _id: category._id }, { $set: { deletedAt: null } });
+    return { restored: 1 };
+}
+
+/**
+ * Purge the users deleted before a date, with their transactions, budgets and recurring transactions
+ */
+const purgeUsers = async (before) => {
+    const users = await User.find({ deletedAt: { $lte: before } });
+    const usernames = users.map((user) => user.username);
+    await transactions.deleteMany({ username: { $in: usernames } });
+    await budgets.deleteMany({ username: { $in: usernames }, group: null });
+    await recurring_transactions.deleteMany({ username: { $in: usernames } });
+    const result = await User.deleteMany({ _id: { $in: users.map((user) => user._id) } });
+    return result.deletedCount;
+}
+
+/**
+ * The collections that have a trash: the permission needed to manage it, the attributes of the deleted records
+ * returned by `getTrash`, and how a record is restored and the trash purged
+ */
+const TRASH = {
+    users: {
+        permission: "users:manage",
+        model: User,
+        view: (user) => ({ _id: user._id, username: user.username, email: user.email, role: user.role, deletedAt: user.deletedAt }),
+        restore: restoreUser,
+        purge: purgeUsers
+    },
+    transactions: {
+        permission: "transactions:manage",
+        model: transactions,
+        view: (transaction) => ({ _id: transaction._id, username: transaction.username, amount: transaction.amount, type: transaction.type, date: transaction.date, deletedAt: transaction.deletedAt }),
+        restore: restoreTransaction
+    },
+    groups: {
+        permission: "groups:manage",
+        model: Group,
+        view: (group) => ({ _id: group._id, name: group.name, members: group.members.map((member) => ({ email: member.email })), deletedAt: group.deletedAt }),
+        restore: restoreGroup
+    },
+    categories: {
+        permission: "categories:manage",
+        model: categories,
+        view: (category) => ({ _id: category._id, type: category.type, color: category.color, deletedAt: category.deletedAt }),
+        restore: restoreCategory
+    }
+};
+
+/**
+ * Return the trash of the `collection` parameter of a request, or undefined if the collection has no trash
+ */
+const trashOf = (req) => Object.prototype.hasOwnProperty.call(TRASH, req.params.collection) ? TRASH[req.params.collection] : undefined;
+
+/**
+ * ADMIN
+ * Return the deleted records of a collection, the most recently deleted first
+  - Request Parameters: The `collection`, one of `users`, `transactions`, `groups` and `categories`
+  - Request Body Content: None
+  - Response `data` Content: An array of objects having the attributes of the records (`_id`, and e.g. `username` and `email` for the users)
+    and `deletedAt`
+  - Optional behavior:
+    - error 400 is returned if the collection is not one of the above
+    - error 401 is returned if the role of the caller does not have the `manage` permission of the collection (e.g. `users:manage`)
+ */
+export const getTrash = async (req, res) => {
+    try {
+        const trash = trashOf(req);
+        if (!trash) {
+            return res.status(400).json({ error: "Collection not valid" });
+        }
+        const adminAuth = verifyAuth(req, res, { authType: "Permission", permission: trash.permission });
+        if (!adminAuth.authorized) {
+            return res.status(401).json({ error: adminAuth.cause });
+        }
+        const records = await trash.model.find({ deletedAt: { $ne: null } }, null, { sort: { deletedAt: -1 } });
+        res.status(200).json({ data: records.map(trash.view), refreshedTokenMessage: res.locals.refreshedTokenMessage });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
+
+/**
+ * ADMIN
+ * Restore a deleted record. A user is restored with the records deleted together with it and added back to its group, a transaction of a transfer
+ * with the other transaction of the transfer.
+  - Request Parameters: The `collection`, as in `getTrash`, and the `id` of the record
+  - Request Body Content: None
+  - Response `data` Content: An object having attributes `message` and `restored`, the number of records restored
+  - Optional behavior:
+    - error 400 is returned if the collection is not valid or the record is not in its trash
+    - error 400 is returned if a transaction belongs to a user or an account that does not exist
+    - error 400 is returned if some members of a group joined another group
+ */
+export const restoreFromTrash = async (req, res) => {
+    try {
+        const trash = trashOf(req);
+        if (!trash) {
+            return res.status(400).json({ error: "Collection not valid" });
+        }
+        const adminAuth = verifyAuth(req, res, { authType: "Permission", permission: trash.permission });
+        if (!adminAuth.authorized) {
+            return res.status(401).json({ error: adminAuth.cause });
+        }
+        const record = mongoose.isValidObjectId(req.params.id) ? await trash.model.findOne({ _id: req.params.id, deletedAt: { $ne: null } }) : null;
+        if (record === null) {
+            return res.status(400).json({ error: "Record not found in the trash" });
+        }
+        const result = await trash.restore(record);
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.status(200).json({ data: { message: "Record restored", restored: result.restored }, refreshedTokenMessage: res.locals.refreshedTokenMessage });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
+
+/**
+ * ADMIN
+ * Permanently remove the records of a collection that have been in the trash for longer than the retention period
+ * (`TRASH_RETENTION_DAYS`, 30 days by default). The transactions, budgets and recurring transactions of the purged users are removed too.
+  - Request Parameters: The `collection`, as in `getTrash`
+  - Request Body Content: None
+  - Response `data` Content: An object having attributes `message`, `count` (the number of records removed) and `deletedBefore`,
+    the date before which the records were deleted
+  - Optional behavior:
+    - error 400 is returned if the collection is not valid
+ */
+export const purgeTrash = async (req, res) => {
+    try {
+        const trash = trashOf(req);
+        if (!trash) {
+            return res.status(400).json({ error: "Collection not valid" });
+        }
+        const adminAuth = verifyAuth(req, res, { authType: "Permission", permission: trash.permission });
+        if (!adminAuth.authorized) {
+            return res.status(401).json({ error: adminAuth.cause });
+        }
+        const deletedBefore = new Date(Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000);
+        const count = trash.purge ? await trash.purge(deletedBefore) : (await trash.model.deleteMany({ deletedAt: { $lte: deletedBefore } })).deletedCount;
+        res.status(200).json({ data: { message: "Trash purged", count: count, deletedBefore: deletedBefore }, refreshedTokenMessage: res.locals.refreshedTokenMessage });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
@@ -0,0 +1,241 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { User } from '../models/User.js';
+import { verifyAuth, hashToken } from './utils.js';
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+const RECOVERY_CODES = 10;
+
+/**
+ * Encode a buffer in base32 (RFC 4648, without padding), the format of the secrets read by authenticator apps
+ */
+export const base32Encode = (buffer) => {
+    let bits = "";
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, "0");
+    }
+    let encoded = "";
+    for (let i = 0; i < bits.length; i += 5) {
+        encoded += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+    }
+    return encoded;
+}
+
+/**
+ * Decode a base32 string, ignoring padding, spaces and case
+ */
+export const base32Decode = (encoded) => {
+    let bits = "";
+    for (const char of encoded.toUpperCase().replace(/[\s=]/g, "")) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) {
+            throw new Error("Secret not valid");
+        }
+        bits += value.toString(2).padStart(5, "0");
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Compute the TOTP code (RFC 6238, HMAC-SHA1, 6 digits) of a secret for a time step
+ * @param secret the base32 secret
+ * @param step the number of 30 seconds periods since the epoch
+ */
+export const generateTotp = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = createHmac("sha1", base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+/**
+ * Find the time step of a TOTP code, accepting the previous and the next step to tolerate clock drift.
+ * Steps up to `lastUsedStep` are not accepted, so that a code cannot be used twice.
+ * @param secret the base32 secret
+ * @param code the code given by the user
+ * @param lastUsedStep the step of the last code accepted for the secret
+ * @param time the current time in milliseconds
+ * @returns the step of the code, or null if the code is not valid
+ */
+export const matchTotp = (secret, code, lastUsedStep = 0, time = Date.now()) => {
+    if (typeof code !== "string" || !new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(code)) {
+        return null;
+    }
+    const current = Math.floor(time / 1000 / TOTP_PERIOD);
+    for (const step of [current - 1, current, current + 1]) {
+        if (step > lastUsedStep && timingSafeEqual(Buffer.from(generateTotp(secret, step)), Buffer.from(code))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * Return the otpauth URI of a secret, that authenticator apps read (usually from a QR code) to add the account
+ */
+const otpauthUri = (user, secret) => {
+    const issuer = process.env.TOTP_ISSUER || "EzWallet";
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(user.email)}`;
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD}`;
+}
+
+/**
+ * Recovery codes are compared without the dash and the case
+ */
+const normalizeRecoveryCode = (code) => String(code).replace(/[\s-]/g, "").toLowerCase();
+
+/**
+ * Check the second factor of a user with the two-factor authentication enabled, consuming it: a TOTP `code` cannot be used
+ * again, a `recoveryCode` is removed from the user. The consumption is atomic, so concurrent requests cannot use the same code.
+ * @param user the user document
+ * @param factor an object having attribute `code` or `recoveryCode`
+ * @returns true if the second factor is valid
+ */
+export const useSecondFactor = async (user, { code, recoveryCode }) => {
+    if (code) {
+        const step = matchTotp(user.twoFactor.secret, String(code).trim(), user.twoFactor.lastUsedStep);
+        if (step === null) {
+            return false;
+        }
+        const result = await User.updateOne({ _id: user._id, "twoFactor.lastUsedStep": { $lt: step } }, { $set: { "twoFactor.lastUsedStep": step } });
+        return result.modifiedCount === 1;
+    }
+    if (recoveryCode) {
+        const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+        const result = await User.updateOne({ _id: user._id, "twoFactor.recoveryCodes": hash }, { $pull: { "twoFactor.recoveryCodes": hash } });
+        return result.modifiedCount === 1;
+    }
+    return false;
+}
+
+/**
+ * USER
+ * Start the enrolment of the two-factor authentication, creating a new TOTP secret. The authentication is enabled only when
+ * a code generated with the secret is confirmed by `confirmTwoFactor`, and starting again replaces the secret.
+  - Request Parameters: The `username` of the user
+  - Request Body Content: None
+  - Response `data` Content: An object having attributes `secret` (base32) and `otpauthUri`, to add the account to an authenticator app
+  - Optional behavior:
+    - error 400 is returned if the user does not exist
+    - error 400 is returned if the two-factor authentication is already enabled
+ */
+export const enrolTwoFactor = async (req, res) => {
+    try {
+        const userAuth = verifyAuth(req, res, { authType: "User", username: req.params.username });
+        if (!userAuth.authorized) {
+            return res.status(401).json({ error: userAuth.cause });
+        }
+        const user = await User.findOne({ username: req.params.username });
+        if (!user) {
+            return res.status(400).json({ error: "User not found" });
+        }
+        if (user.twoFactor && user.twoFactor.enabled) {
+            return res.status(400).json({ error: "Two-factor authentication already enabled" });
+        }
+        const secret = base32Encode(randomBytes(20));
+        await User.updateOne({ _id: user._id }, { $set: { twoFactor: { enabled: false, secret: secret, lastUsedStep: 0, recoveryCodes: [] } } });
+        res.status(200).json({ data: { secret: secret, otpauthUri: otpauthUri(user, secret) }, refreshedTokenMessage: res.locals.refreshedTokenMessage });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
+
+/**
+ * USER
+ * Enable the two-factor authentication with a code generated from the secret of `enrolTwoFactor`, creating the recovery codes.
+ * Each recovery code can replace a TOTP code once; only their hashes are stored, so they are returned only here.
+  - Request Parameters: The `username` of the user
+  - Request Body Content: An object having attribute `code`
+  - Response `data` Content: An object having attributes `message` and `recoveryCodes`
+  - Optional behavior:
+    - error 400 is returned if the user does not exist, did not start the enrolment or already enabled the two-factor authentication
+    - error 400 is returned if the code is missing or not valid
+ */
+export const confirmTwoFactor = async (req, res) => {
+    try {
+        const userAuth = verifyAuth(req, res, { authType: "User", username: req.params.username });
+        if (!userAuth.authorized) {
+            return res.status(401).json({ error: userAuth.cause });
+        }
+        const { code } = req.body;
+        if (!code) {
+            return res.status(400).json({ error: "Some Parameter is Missing" });
+        }
+        const user = await User.findOne({ username: req.params.username });
+        if (!user) {
+            return res.status(400).json({ error: "User not found" });
+        }
+        if (!user.twoFactor || !user.twoFactor.secret) {
+            return res.status(400).json({ error: "Two-factor authentication not enrolled" });
+        }
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({ error: "Two-factor authentication already enabled" });
+        }
+        const step = matchTotp(user.twoFactor.secret, String(code).trim());
+        if (step === null) {
+            return res.status(400).json({ error: "Code not valid" });
+        }
+        const recoveryCodes = Array.from({ length: RECOVERY_CODES }, () => {
+            const code = randomBytes(5).toString("hex");
+            return `${code.slice(0, 5)}-${code.slice(5)}`;
+        });
+        await User.updateOne({ _id: user._id }, {
+            $set: {
+                "twoFactor.enabled": true,
+                "twoFactor.lastUsedStep": step,
+                "twoFactor.recoveryCodes": recoveryCodes.map((code) => hashToken(normalizeRecoveryCode(code)))
+            }
+        });
+        res.status(200).json({ data: { message: "Two-factor authentication enabled", recoveryCodes: recoveryCodes }, refreshedTokenMessage: res.locals.refreshedTokenMessage });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
+
+/**
+ * USER / ADMIN
+ * Disable the two-factor authentication of a user, removing its secret and recovery codes. The user has to give a TOTP `code`
+ * or a `recoveryCode`; an Admin does not, so that a user who lost both can be helped.
+  - Request Parameters: The `username` of the user
+  - Request Body Content: An object having attribute `code` or `recoveryCode` (not required if the caller is an Admin)
+  - Response `data` Content: A message confirming the change
+  - Optional behavior:
+    - error 400 is returned if the user does not exist or did not enable the two-factor authentication
+    - error 400 is returned if the user gives no code or a code that is not valid
+ */
+export const disableTwoFactor = async (req, res) => {
+    try {
+        const userAuth = verifyAuth(req, res, { authType: "User", username: req.params.username });
+        const adminAuth = verifyAuth(req, res, { authType: "Permission", permission: "users:manage" });
+        if (!userAuth.authorized && !adminAuth.authorized) {
+            return res.status(401).json({ error: userAuth.cause });
+        }
+        const user = await User.findOne({ username: req.params.username });
+        if (!user) {
+            return res.status(400).json({ error: "User not found" });
+        }
+        if (!user.twoFactor || !user.twoFactor.enabled) {
+            return res.status(400).json({ error: "Two-factor authentication not enabled" });
+        }
+        if (!adminAuth.authorized) {
+            const { code, recoveryCode } = req.body;
+            if (!code && !recoveryCode) {
+                return res.status(400).json({ error: "Some Parameter is Missing" });
+            }
+            if (!(await useSecondFactor(user, { code, recoveryCode }))) {
+                return res.status(400).json({ error: "Code not valid" });
+            }
+        }
+        await User.updateOne({ _id: user._id }, { $unset: { twoFactor: "" } });
+        res.status(200).json({ data: { message: "Two-factor authentication disabled" }, refreshedTokenMessage: res.locals.refreshedTokenMessage });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
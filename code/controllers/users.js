@@ -1,9 +1,12 @@
-import { Group, User } from "../models/User.js";
-import { transactions } from "../models/model.js";
-import { verifyAuth } from "./utils.js";
+import bcrypt from "bcryptjs";
+import { Group, User, Session, PasswordReset, EmailVerification } from "../models/User.js";
+import { budgets, transactions, recurring_transactions, accounts, group_expenses } from "../models/model.js";
+import { verifyAuth, getAuthenticatedUsername, getSessionId, ROLE_PERMISSIONS } from "./utils.js";
+import { sendVerificationMail, isVerificationRequired } from "./verification.js";
+import { clearLoginFailures } from "./limits.js";
 
 /**
- * ADMIN
+ * ADMIN / AUDITOR
  * Return all the users
   - Request Body Content: None
   - Response `data` Content: An array of objects, each one having attributes `username`, `email` and `role`
@@ -12,7 +15,7 @@ import { verifyAuth } from "./utils.js";
  */
 export const getUsers = async (req, res) => {
   try {
-    const adminAuth = verifyAuth(req, res, { authType: "Admin" })
+    const adminAuth = verifyAuth(req, res, { authType: "Permission", permission: "users:read" })
     if (adminAuth.authorized) {
       //Admin auth successful
 
@@ -30,7 +33,7 @@ export const getUsers = async (req, res) => {
 }
 
 /**
- * USER his info /ADMIN info of a generic user
+ * USER his info /ADMIN, AUDITOR info of a generic user
  * Return information of a specific user
   - Request Body Content: None
   - Response `data` Content: An object having attributes `username`, `email` and `role`.
@@ -40,7 +43,7 @@ export const getUsers = async (req, res) => {
 export const getUser = async (req, res) => {
   try {
     const userAuth = verifyAuth(req, res, { authType: "User", username: req.params.username })
-    const adminAuth = verifyAuth(req, res, { authType: "Admin" })
+    const adminAuth = verifyAuth(req, res, { authType: "Permission", permission: "users:read" })
 
     if (userAuth.authorized || adminAuth.authorized) {
       const user = await User.findOne({ username: req.params.username })
@@ -57,6 +60,140 @@ export const getUser = async (req, res) => {
   }
 }
 
+/**
+ * Rename a user in all the records that refer to it by username
+ * @param from the current username
+ * @param to the new username
+ */
+const cascadeUsername = async (from, to) => {
+  for (const model of [transactions, budgets, recurring_transactions, accounts, Session, PasswordReset, EmailVerification]) {
+    await model.updateMany({ username: from }, { $set: { username: to } });
+  }
+  await group_expenses.updateMany({ paidBy: from }, { $set: { paidBy: to } });
+  await group_expenses.updateMany({ "shares.username": from }, { $set: { "shares.$[share].username": to } }, { arrayFilters: [{ "share.username": from }] });
+}
+
+/**
+ * USER his profile /ADMIN profile of a generic user
+ * Change the username and/or the email of a user. The new username is also set in the transactions, budgets, accounts and
+ * group expenses of the user, and the new email in the members of its group. A new email has to be verified again.
+ * All the sessions of the user are revoked, since their tokens carry the old username and email: the user has to login again.
+  - Request Parameters: A string equal to the `username` of the user
+  - Request Body Content: An object having at least one of the attributes `username` and `email`
+  - Response `data` Content: An object having attributes `username`, `email` and `role`
+  - Optional behavior:
+    - error 400 is returned if the request body contains neither `username` nor `email`, or one of them is an empty string
+    - error 400 is returned if the email is not in a valid email format
+    - error 400 is returned if the user does not exist
+    - error 400 is returned if another user already has the new username or email, also if that user is in the trash
+ */
+export const updateUser = async (req, res) => {
+  try {
+    const userAuth = verifyAuth(req, res, { authType: "User", username: req.params.username })
+    const adminAuth = verifyAuth(req, res, { authType: "Permission", permission: "users:manage" })
+    if (userAuth.authorized || adminAuth.authorized) {
+      //User|Admin auth successful
+      const { username, email } = req.body;
+      if (username === undefined && email === undefined) {
+        return res.status(400).json({ error: "Some Parameter is Missing" });
+      }
+      if ((username !== undefined && (typeof username !== "string" || username.trim().length === 0)) ||
+        (email !== undefined && (typeof email !== "string" || email.trim().length === 0))) {
+        return res.status(400).json({ error: "Some Parameter is an Empty String" });
+      }
+      const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (email !== undefined && regex.test(email) === false) {
+        return res.status(400).json({ error: "Invalid email format" });
+      }
+      const user = await User.findOne({ username: req.params.username });
+      if (user === null) {
+        return res.status(400).json({ error: "User not found" });
+      }
+      const update = {};
+      // the usernames and emails of the users in the trash are still taken
+      if (username !== undefined && username !== user.username) {
+        if (await User.findOne({ username: username }, null, { withDeleted: true })) {
+          return res.status(400).json({ error: "already existing user" });
+        }
+        update.username = username;
+      }
+      if (email !== undefined && email !== user.email) {
+        if (await User.findOne({ email: email }, null, { withDeleted: true })) {
+          return res.status(400).json({ error: "already existing user" });
+        }
+        update.email = email;
+        update.verified = false;
+      }
+      const updated = await User.findOneAndUpdate({ _id: user._id }, { $set: update }, { new: true });
+      if (update.username) {
+        await cascadeUsername(user.username, update.username);
+      }
+      if (update.email) {
+        await sendVerificationMail(updated);
+        await Group.updateMany({ "members.email": user.email }, { $set: { "members.$[member].email": update.email } }, { arrayFilters: [{ "member.email": user.email }] });
+      }
+      if (update.username || update.email) {
+        await Session.updateMany({ username: updated.username, revoked: false }, { $set: { revoked: true } });
+      }
+      res.status(200).json({ data: { username: updated.username, email: updated.email, role: updated.role }, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+    } else {
+      res.status(401).json({ error: userAuth.cause })
+    }
+  } catch (error) {
+    if (error.code === 11000) {
+      // another user took the username or the email after the checks above
+      return res.status(400).json({ error: "already existing user" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * USER
+ * Change the password of the user making the request. The other sessions of the user are revoked.
+  - Request Parameters: A string equal to the `username` of the user
+  - Request Body Content: An object having attributes `currentPassword` and `newPassword`
+  - Response `data` Content: A message confirming the update
+  - Optional behavior:
+    - error 400 is returned if the request body does not contain all the necessary attributes or at least one of them is an empty string
+    - error 400 is returned if the user does not exist
+    - error 400 is returned if `currentPassword` is not the password of the user
+ */
+export const changePassword = async (req, res) => {
+  try {
+    const userAuth = verifyAuth(req, res, { authType: "User", username: req.params.username })
+    if (userAuth.authorized) {
+      //User auth successful
+      const { currentPassword, newPassword } = req.body;
+      if (!currentPassword || !newPassword) {
+        return res.status(400).json({ error: "Some Parameter is Missing" });
+      }
+      if (currentPassword.trim().length === 0 || newPassword.trim().length === 0) {
+        return res.status(400).json({ error: "Some Parameter is an Empty String" });
+      }
+      const user = await User.findOne({ username: req.params.username });
+      if (user === null) {
+        return res.status(400).json({ error: "User not found" });
+      }
+      const match = await bcrypt.compare(currentPassword, user.password);
+      if (!match) {
+        return res.status(400).json({ error: "wrong credentials" });
+      }
+      user.password = await bcrypt.hash(newPassword, 12);
+      await user.save();
+      // the session making the request stays valid
+      const current = getSessionId(req);
+      const others = current ? { username: user.username, revoked: false, _id: { $ne: current } } : { username: user.username, revoked: false };
+      await Session.updateMany(others, { $set: { revoked: true } });
+      res.status(200).json({ data: { message: "Password updated" }, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+    } else {
+      res.status(401).json({ error: userAuth.cause })
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
 /**
  * ADMIN / USER
  * Create a new group
@@ -68,6 +205,8 @@ export const getUser = async (req, res) => {
   - Optional behavior:
     - error 400 is returned if there is already an existing group with the same name
     - error 400 is returned if all the `memberEmails` either do not exist or are already in a group
+    - if `EMAIL_VERIFICATION_REQUIRED` includes `groups`, the members that did not verify their email are not added
+      and are listed in `membersNotVerified`
  */
 /* se è in un gruppo caller => 400
    una email non valida, se caller non in un group ma tutto array di email si => 400
@@ -75,7 +214,8 @@ export const getUser = async (req, res) => {
 */
 export const createGroup = async (req, res) => {
   try {
-    const group = await Group.findOne({ name: req.body.name });
+    // the names of the groups in the trash are still taken
+    const group = await Group.findOne({ name: req.body.name }, null, { withDeleted: true });
     if (group !== null)
       return res.status(400).json({ error: "Group already exists" });
     const userAuth = verifyAuth(req, res, { authType: "Simple" })
@@ -87,6 +227,8 @@ export const createGroup = async (req, res) => {
       let callerInGroup = false;
       let membersNotFound = [];
       let alreadyInGroup = [];
+      let membersNotVerified = [];
+      const requireVerified = isVerificationRequired("groups");
       const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
       //check errors
@@ -97,7 +239,7 @@ export const createGroup = async (req, res) => {
         return res.status(400).json({ error: "Group name is an Empty String" });
       }
 
-      const user = await User.findOne({ refreshToken: req.cookies.refreshToken });
+      const user = await User.findOne({ username: getAuthenticatedUsername(req) });
       if (user === null) {
         return res.status(400).json({ error: "User not found" })
       }
@@ -123,6 +265,8 @@ export const createGroup = async (req, res) => {
         if (user1 === null) {
           // if not existent, push into membersNotFound
           membersNotFound.push({email: email});
+        } else if (requireVerified && !user1.verified && email !== user.email) {
+          membersNotVerified.push({ email: email });
         } else {
           // check if user is already in a group
           let in_group = await Group.findOne({ "members.email": email });
@@ -151,7 +295,11 @@ export const createGroup = async (req, res) => {
         });
         const membersData = new_group.members.map( ({email})  => {return {email: email} } );
         // all ok, return the group created
-        res.status(200).json({ data: { group: {name: new_group.name, members: membersData}, membersNotFound: membersNotFound, alreadyInGroup: alreadyInGroup }, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        const data = { group: {name: new_group.name, members: membersData}, membersNotFound: membersNotFound, alreadyInGroup: alreadyInGroup };
+        if (requireVerified) {
+          data.membersNotVerified = membersNotVerified;
+        }
+        res.status(200).json({ data: data, refreshedTokenMessage: res.locals.refreshedTokenMessage })
       }
     } else {
       res.status(401).json({ error: userAuth.cause })
@@ -171,7 +319,7 @@ export const createGroup = async (req, res) => {
  */
 export const getGroups = async (req, res) => {
   try {
-    const adminAuth = verifyAuth(req, res, { authType: "Admin" })
+    const adminAuth = verifyAuth(req, res, { authType: "Permission", permission: "groups:read" })
     if (adminAuth.authorized) {
       //Admin auth successful
       const groups = await Group.find();
@@ -207,7 +355,7 @@ export const getGroup = async (req, res) => {
     const emails = group.members.map((member) => member.email);
 
     const groupAuth = verifyAuth(req, res, { authType: "Group", emails: emails })
-    const adminAuth = verifyAuth(req, res, { authType: "Admin" })
+    const adminAuth = verifyAuth(req, res, { authType: "Permission", permission: "groups:read" })
 
     if (groupAuth.authorized || adminAuth.authorized) {
       //User auth successful
@@ -231,6 +379,8 @@ export const getGroup = async (req, res) => {
   - Optional behavior:
     - error 400 is returned if the group does not exist
     - error 400 is returned if all the `memberEmails` either do not exist or are already in a group
+    - if `EMAIL_VERIFICATION_REQUIRED` includes `groups`, the members that did not verify their email are not added
+      and are listed in `membersNotVerified`
  */
 export const addToGroup = async (req, res) => {
   try {
@@ -245,13 +395,15 @@ export const addToGroup = async (req, res) => {
     if (req.url.indexOf("/add") >= 0) {
       auth = verifyAuth(req, res, { authType: "Group", emails: emailsInGroup });
     } else {
-      auth = verifyAuth(req, res, { authType: "Admin"});
+      auth = verifyAuth(req, res, { authType: "Permission", permission: "groups:manage" });
     }
     if (auth.authorized) {
       let memberEmails = req.body.emails;
       let members = [];
       let membersNotFound = [];
       let alreadyInGroup = [];
+      let membersNotVerified = [];
+      const requireVerified = isVerificationRequired("groups");
       if (!memberEmails) {
         return res.status(400).json({ error: "Some Parameter is Missing" });
       }
@@ -269,6 +421,8 @@ export const addToGroup = async (req, res) => {
         if (user === null) {
           // if not existent, push into membersNotFound
           membersNotFound.push({ email: email });
+        } else if (requireVerified && !user.verified) {
+          membersNotVerified.push({ email: email });
         } else {
           // check if user is already in a group
           let in_group = await Group.findOne({ "members.email": email });
@@ -288,7 +442,11 @@ export const addToGroup = async (req, res) => {
         return res.status(400).json({ error: "All memberEmails does not exist or Already in Group" });
       }
       const membersData = updated_group.members.map( ({email})  => {return {email: email} } );
-      res.status(200).json({ data: { group: {name: updated_group.name, members: membersData}, membersNotFound: membersNotFound, alreadyInGroup: alreadyInGroup }, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+      const data = { group: {name: updated_group.name, members: membersData}, membersNotFound: membersNotFound, alreadyInGroup: alreadyInGroup };
+      if (requireVerified) {
+        data.membersNotVerified = membersNotVerified;
+      }
+      res.status(200).json({ data: data, refreshedTokenMessage: res.locals.refreshedTokenMessage })
     } else {
       res.status(401).json({ error: auth.cause })
     }
@@ -320,7 +478,7 @@ export const removeFromGroup = async (req, res) => {
     }
     const emailsInGroup = url_group.members.map((member) => member.email);
     if (req.url.indexOf("/pull") >= 0) {
-      auth = verifyAuth(req, res, { authType: "Admin" });
+      auth = verifyAuth(req, res, { authType: "Permission", permission: "groups:manage" });
     } else {
       auth = verifyAuth(req, res, { authType: "Group", emails: emailsInGroup });
     }
@@ -389,7 +547,152 @@ export const removeFromGroup = async (req, res) => {
 }
 
 /**
- * Delete a user
+ * ADMIN
+ * Unlock the account of a user, locked after too many failed logins, and forget its failed logins
+  - Request Parameters: The `username` of the user
+  - Request Body Content: None
+  - Response `data` Content: An object having attribute `message`, and `wasLocked` telling whether the account had failed logins or was locked
+  - Optional behavior:
+    - error 400 is returned if the user does not exist
+ */
+export const unlockUser = async (req, res) => {
+  try {
+    const adminAuth = verifyAuth(req, res, { authType: "Permission", permission: "users:manage" })
+    if (!adminAuth.authorized) {
+      return res.status(401).json({ error: adminAuth.cause })
+    }
+    const user = await User.findOne({ username: req.params.username })
+    if (!user) {
+      return res.status(400).json({ error: "User not found" })
+    }
+    const wasLocked = await clearLoginFailures(user.email)
+    res.status(200).json({ data: { message: "Account unlocked", wasLocked: wasLocked }, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * ADMIN / AUDITOR
+ * Return the roles that can be assigned to the users, with the permissions they grant
+  - Request Body Content: None
+  - Response `data` Content: An array of objects, each one having attributes `role` and `permissions`
+ */
+export const getRoles = async (req, res) => {
+  try {
+    const adminAuth = verifyAuth(req, res, { authType: "Permission", permission: "users:read" })
+    if (!adminAuth.authorized) {
+      return res.status(401).json({ error: adminAuth.cause })
+    }
+    const roles = Object.entries(ROLE_PERMISSIONS).map(([role, permissions]) => ({ role: role, permissions: permissions }))
+    res.status(200).json({ data: roles, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Tell whether a user is the only Admin that is not disabled, who cannot be demoted, so that the installation keeps an Admin
+ */
+const isLastAdmin = async (user) => {
+  if (user.role !== "Admin" || user.disabled) {
+    return false
+  }
+  const others = await User.countDocuments({ role: "Admin", disabled: { $ne: true }, username: { $ne: user.username } })
+  return others === 0
+}
+
+/**
+ * ADMIN
+ * Assign a role to a user, to promote or demote it. The sessions and the tokens of the user are revoked, since the tokens carry the
+ * previous role: the user has to login again to use the new one.
+  - Request Parameters: The `username` of the user
+  - Request Body Content: An object having attribute `role`, one of the roles returned by `getRoles`
+  - Response `data` Content: An object having attributes `username`, `email` and `role`
+  - Optional behavior:
+    - error 400 is returned if the role is missing or is not one of the roles returned by `getRoles`
+    - error 400 is returned if the user does not exist
+    - error 400 is returned if the user is the last Admin that is not disabled and the role is not Admin
+ */
+export const updateUserRole = async (req, res) => {
+  try {
+    const adminAuth = verifyAuth(req, res, { authType: "Permission", permission: "users:manage" })
+    if (!adminAuth.authorized) {
+      return res.status(401).json({ error: adminAuth.cause })
+    }
+    const { role } = req.body
+    if (!role) {
+      return res.status(400).json({ error: "Some Parameter is Missing" })
+    }
+    if (typeof role !== "string" || !Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role)) {
+      return res.status(400).json({ error: "Role not valid" })
+    }
+    const user = await User.findOne({ username: req.params.username })
+    if (!user) {
+      return res.status(400).json({ error: "User not found" })
+    }
+    if (role !== "Admin" && await isLastAdmin(user)) {
+      return res.status(400).json({ error: "The last Admin cannot be demoted" })
+    }
+    await User.updateOne({ _id: user._id }, { $set: { role: role, tokensRevokedAt: new Date() } })
+    await Session.updateMany({ username: user.username, revoked: false }, { $set: { revoked: true } })
+    res.status(200).json({ data: { username: user.username, email: user.email, role: role }, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * ADMIN
+ * Disable or enable a user. A disabled user cannot login nor refresh its tokens, and its sessions and tokens are revoked; its transactions,
+ * groups and other data are kept, and enabling it again lets it login as before.
+  - Request Parameters: The `username` of the user
+  - Request Body Content: An object having attribute `disabled`, true to disable the user and false to enable it
+  - Response `data` Content: An object having attributes `username`, `email`, `role` and `disabled`
+  - Optional behavior:
+    - error 400 is returned if `disabled` is missing or is not a boolean
+    - error 400 is returned if the user does not exist
+    - error 400 is returned if the caller tries to disable itself
+    - error 400 is returned if the user is the last enabled Admin
+ */
+export const updateUserStatus = async (req, res) => {
+  try {
+    const adminAuth = verifyAuth(req, res, { authType: "Permission", permission: "users:manage" })
+    if (!adminAuth.authorized) {
+      return res.status(401).json({ error: adminAuth.cause })
+    }
+    const { disabled } = req.body
+    if (disabled === undefined) {
+      return res.status(400).json({ error: "Some Parameter is Missing" })
+    }
+    if (typeof disabled !== "boolean") {
+      return res.status(400).json({ error: "Disabled must be true or false" })
+    }
+    if (disabled && req.params.username === getAuthenticatedUsername(req)) {
+      return res.status(400).json({ error: "Users cannot disable themselves" })
+    }
+    const user = await User.findOne({ username: req.params.username })
+    if (user === null) {
+      return res.status(400).json({ error: "User not found" })
+    }
+    if (disabled && await isLastAdmin(user)) {
+      return res.status(400).json({ error: "The last Admin cannot be disabled" })
+    }
+    // the tokens issued until now stay rejected once the user is enabled again
+    await User.updateOne({ _id: user._id }, { $set: disabled ? { disabled: disabled, tokensRevokedAt: new Date() } : { disabled: disabled } })
+    if (disabled) {
+      await Session.updateMany({ username: user.username, revoked: false }, { $set: { revoked: true } })
+    }
+    res.status(200).json({ data: { username: user.username, email: user.email, role: user.role, disabled: disabled }, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Delete a user, moving it and its transactions to the trash (see `softDelete`), from which an Admin can restore them.
+ * Its budgets and recurring transactions are moved to the trash with it, and its sessions revoked. The user is removed from
+ * its group, which is recorded to add the user back on restore, and the group is moved to the trash too if it remains empty.
   - Request Parameters: None
   - Request Body Content: A string equal to the `email` of the user to be deleted
   - Response `data` Content: An object having an attribute that lists the number of `deletedTransactions` and a boolean attribute that
@@ -399,7 +702,7 @@ export const removeFromGroup = async (req, res) => {
  */
 export const deleteUser = async (req, res) => {
   try {
-    const adminAuth = verifyAuth(req, res, { authType: "Admin" })
+    const adminAuth = verifyAuth(req, res, { authType: "Permission", permission: "users:manage" })
     if (adminAuth.authorized) {
       //Admin auth successful
       const email = req.body.email;
@@ -420,17 +723,21 @@ export const deleteUser = async (req, res) => {
       } else if (user.role === "Admin") {
         return res.status(400).json({ error: "User is an Admin,can't delete" });
       } else {
+        // the records deleted with the user share its `deletedAt`, so that they are restored with it
+        const deletedAt = new Date();
         //remove from group
         const updated_group = await Group.findOneAndUpdate({ "members.email": email }, { $pull: { members: { email: email, _id: user._id } } }, { new: true });
 
         if (updated_group !== null && updated_group.members.length === 0) {
-          await Group.deleteOne({ name: updated_group.name });
+          await Group.updateOne({ name: updated_group.name }, { $set: { deletedAt: deletedAt } });
         }
 
-        //return the number of deleted user (in our case possible values are only 1 or 0, since email is unique)
-        let trans = await transactions.deleteMany({ username: user.username })
-        await User.deleteOne({ email: email });
-        res.status(200).json({ data: { deletedTransactions: trans.deletedCount, deletedFromGroup: updated_group !== null }, refreshedTokenMessage: res.locals.refreshedTokenMessage })
+        let trans = await transactions.updateMany({ username: user.username, deletedAt: null }, { $set: { deletedAt: deletedAt } })
+        await recurring_transactions.updateMany({ username: user.username, deletedAt: null }, { $set: { deletedAt: deletedAt } })
+        await budgets.updateMany({ username: user.username, group: null, deletedAt: null }, { $set: { deletedAt: deletedAt } })
+        await User.updateOne({ email: email }, { $set: { deletedAt: deletedAt, deletedFromGroup: updated_group !== null ? updated_group.name : null } });
+        await Session.updateMany({ username: user.username, revoked: false }, { $set: { revoked: true } })
+        res.status(200).json({ data: { deletedTransactions: trans.modifiedCount, deletedFromGroup: updated_group !== null }, refreshedTokenMessage: res.locals.refreshedTokenMessage })
       }
     } else {
       res.status(401).json({ error: adminAuth.cause })
@@ -441,7 +748,7 @@ export const deleteUser = async (req, res) => {
 }
 
 /**
- * Delete a group
+ * Delete a group, moving it to the trash, from which an Admin can restore it
   - Request Body Content: A string equal to the `name` of the group to be deleted
   - Response `data` Content: A message confirming successful deletion
   - Optional behavior:
@@ -449,7 +756,7 @@ export const deleteUser = async (req, res) => {
  */
 export const deleteGroup = async (req, res) => {
   try {
-    const adminAuth = verifyAuth(req, res, { authType: "Admin" });
+    const adminAuth = verifyAuth(req, res, { authType: "Permission", permission: "groups:manage" });
     if (adminAuth.authorized) {
       //Group auth successful
       const name = req.body.name;
@@ -460,8 +767,8 @@ export const deleteGroup = async (req, res) => {
         return res.status(400).json({ error: "Some Parameter is an Empty String" });
       }
       // return the number of deleted groups (in our case possible values are only 1 or 0, since name is unique)
-      const n_el_deleted = await Group.deleteOne({ name: name });
-      if (n_el_deleted.deletedCount === 0) {
+      const n_el_deleted = await Group.updateOne({ name: name, deletedAt: null }, { $set: { deletedAt: new Date() } });
+      if (n_el_deleted.matchedCount === 0) {
         // no group deleted, the group does not exist
         res.status(400).json({ error: "Group Does Not exist" });
       } else {
@@ -1,7 +1,37 @@
 import jwt from 'jsonwebtoken'
+import mongoose from 'mongoose'
+import { createHash } from 'crypto'
+import { User } from '../models/User.js'
 
 /**
- * Handle possible date filtering options in the query parameters for getTransactionsByUser when called by a Regular user.
+ * Hash a token sent by mail, so that only its hash is stored in the database
+ * @returns the hex SHA-256 digest of the token
+ */
+export const hashToken = (token) => createHash("sha256").update(token).digest("hex");
+
+/**
+ * Return the token sent in the `Authorization: Bearer <token>` header of a request
+ * @returns the token, or undefined if the request has no such header
+ */
+export const getBearerToken = (req) => {
+    const header = req.headers ? req.headers.authorization : undefined;
+    const match = typeof header === "string" ? header.match(/^Bearer\s+(\S+)\s*$/i) : null;
+    return match ? match[1] : undefined;
+}
+
+/**
+ * Return the username of the user making a request, once `verifyAuth` has authorized it
+ * @returns the username stored in the bearer token or, without it, in the refresh token cookie; undefined if the request has no tokens
+ */
+export const getAuthenticatedUsername = (req) => {
+    const bearer = getBearerToken(req);
+    const token = bearer !== undefined ? bearer : req.cookies ? req.cookies.refreshToken : undefined;
+    const decoded = token ? jwt.decode(token) : null;
+    return decoded ? decoded.username : undefined;
+}
+
+/**
+ * Handle possible date filtering options in the query parameters of the routes listing transactions.
  * @param req the request object that can contain query parameters
  * @returns an object that can be used for filtering MongoDB queries according to the `date` parameter.
  *  The returned object must handle all possible combination of date filtering parameters, including the case where none are present.
@@ -51,9 +81,109 @@ export const handleDateFilterParams = (req) => {
         }
 }
 
+/**
+ * Return the `_id` of the session of a request, or undefined if its refresh token cookie does not belong to a session
+ */
+export const getSessionId = (req) => {
+    const decoded = req.cookies && req.cookies.refreshToken ? jwt.decode(req.cookies.refreshToken) : null;
+    return decoded && decoded.family ? decoded.family : undefined;
+}
+
+/**
+ * The permissions granted by each role. Routes that are not reserved to full Admins declare the permission they need
+ * with the `Permission` authType of `verifyAuth`, so that roles with a subset of the Admin permissions can call them.
+ */
+export const ROLE_PERMISSIONS = {
+    Regular: [],
+    Auditor: ["users:read", "groups:read", "transactions:read"],
+    CategoryManager: ["categories:manage"],
+    GroupManager: ["groups:read", "groups:manage"],
+    Admin: ["users:read", "users:manage", "groups:read", "groups:manage", "transactions:read", "transactions:manage", "categories:manage", "rates:manage"]
+};
+
+/**
+ * Tell whether a role grants a permission
+ * @param role the `role` of a user, as stored in its tokens
+ * @param permission one of the permissions listed in `ROLE_PERMISSIONS`
+ */
+export const hasPermission = (role, permission) => Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role) && ROLE_PERMISSIONS[role].includes(permission);
+
+/**
+ * Check the claims of a single token against the conditions of `authType` (see `verifyAuth`)
+ * @returns the same result of `verifyAuth`
+ */
+const verifyTokenClaims = (decoded, info) => {
+    if (info.authType === 'User' && info.username !== decoded.username) {
+        return { authorized: false, cause: "User: Mismatched users" };
+    }
+    if (info.authType === 'Admin' && decoded.role !== 'Admin') {
+        return { authorized: false, cause: "Admin: Mismatched role" };
+    }
+    if (info.authType === 'Permission' && !hasPermission(decoded.role, info.permission)) {
+        return { authorized: false, cause: "Permission: role not allowed" };
+    }
+    if (info.authType === 'Group' && !info.emails.includes(decoded.email)) {
+        return { authorized: false, cause: "Group: user not in group" };
+    }
+    return { authorized: true, cause: "Authorized" }
+}
+
+/**
+ * Authenticate a request through the access token of its `Authorization: Bearer` header.
+ * There is no refresh token to fall back to: once the access token has expired, the client must call `POST /api/refresh`.
+ * @returns the same result of `verifyAuth`
+ */
+const verifyBearerAuth = (token, info) => {
+    try {
+        const decoded = jwt.verify(token, process.env.ACCESS_KEY);
+        if (!decoded.username || !decoded.email || !decoded.role) {
+            return { authorized: false, cause: "Token is missing information" }
+        }
+        // refresh tokens live longer than access tokens and can only be exchanged through `POST /api/refresh`
+        if (decoded.jti || decoded.family) {
+            return { authorized: false, cause: "Refresh tokens cannot be used as access tokens" }
+        }
+        return verifyTokenClaims(decoded, info);
+    } catch (err) {
+        if (err.name === "TokenExpiredError") {
+            return { authorized: false, cause: "Access token expired: refresh the tokens" };
+        }
+        return { authorized: false, cause: err.name };
+    }
+}
+
+/**
+ * Middleware marking the requests whose tokens can no longer be used, which `verifyAuth` then rejects: the tokens of a disabled user
+ * and those issued before the last change of the role or of the status of their user (`tokensRevokedAt`), which would otherwise
+ * keep their access until they expire. The tokens are only decoded here, `verifyAuth` verifies them.
+ */
+export const checkRevokedTokens = async (req, res, next) => {
+    try {
+        const tokens = [getBearerToken(req), req.cookies ? req.cookies.accessToken : undefined, req.cookies ? req.cookies.refreshToken : undefined];
+        // the oldest token of each user decides
+        const issued = new Map();
+        for (const token of tokens.filter(Boolean)) {
+            const decoded = jwt.decode(token);
+            if (decoded && typeof decoded.username === "string" && typeof decoded.iat === "number") {
+                issued.set(decoded.username, Math.min(decoded.iat, issued.has(decoded.username) ? issued.get(decoded.username) : Infinity));
+            }
+        }
+        for (const [username, iat] of issued) {
+            const user = await User.findOne({ username: username });
+            // `iat` is in seconds: the tokens issued in the same second as the change are kept, such as those of a login right after it
+            if (user && (user.disabled || (user.tokensRevokedAt && iat < Math.floor(user.tokensRevokedAt.getTime() / 1000)))) {
+                res.locals.tokensRevoked = true;
+            }
+        }
+        next();
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
+
 /**
  * Handle possible authentication modes depending on `authType`
- * @param req the request object that contains cookie information
+ * @param req the request object that contains cookie information, or the access token in its `Authorization: Bearer` header
  * @param res the result object of the request
  * @param info an object that specifies the `authType` and that contains additional information, depending on the value of `authType`
  *      Example: {authType: "Simple"}
@@ -68,16 +198,31 @@ export const handleDateFilterParams = (req) => {
  *              - the accessToken is expired and the refreshToken has a `role` which is not Admin => error 401
  *              - both the accessToken and the refreshToken have a `role` which is equal to Admin => success
  *              - the accessToken is expired and the refreshToken has a `role` which is equal to Admin => success
+ *          - authType === "Permission" (with `info.permission`):
+ *              - either the accessToken or the refreshToken have a `role` that does not grant the permission (see `ROLE_PERMISSIONS`) => error 401
+ *              - the accessToken is expired and the refreshToken has a `role` that does not grant the permission => error 401
+ *              - both the accessToken and the refreshToken have a `role` that grants the permission => success
+ *              - the accessToken is expired and the refreshToken has a `role` that grants the permission => success
  *          - authType === "Group":
  *              - either the accessToken or the refreshToken have a `email` which is not in the requested group => error 401
  *              - the accessToken is expired and the refreshToken has a `email` which is not in the requested group => error 401
  *              - both the accessToken and the refreshToken have a `email` which is in the requested group => success
  *              - the accessToken is expired and the refreshToken has a `email` which is in the requested group => success
  * @returns true if the user satisfies all the conditions of the specified `authType` and false if at least one condition is not satisfied
- *  Refreshes the accessToken if it has expired and the refreshToken is still valid
+ *  Refreshes the accessToken if it has expired and the refreshToken is still valid, unless the refreshToken belongs to a session
+ *  (see `refresh` in `auth.js`): in that case the client must call `POST /api/refresh`
+ *  When the request has an `Authorization: Bearer` header the cookies are ignored and the conditions above apply to the bearer token alone
+ *  The tokens marked by `checkRevokedTokens` are always rejected
  */
 
 export const verifyAuth = (req, res, info) => {
+    if (res && res.locals && res.locals.tokensRevoked === true) {
+        return { authorized: false, cause: "Tokens revoked, perform login again" };
+    }
+    const bearer = getBearerToken(req);
+    if (bearer !== undefined) {
+        return verifyBearerAuth(bearer, info);
+    }
     // Simple Authtype check
     const cookie = req.cookies;
     try {
@@ -94,6 +239,10 @@ export const verifyAuth = (req, res, info) => {
         if (!decodedRefreshToken.username || !decodedRefreshToken.email || !decodedRefreshToken.role) {
             return { authorized: false, cause: "Token is missing information" }
         }
+        // a refresh token in the accessToken cookie would outlive its rotation and the revocation of its session
+        if (decodedAccessToken.jti || decodedAccessToken.family) {
+            return { authorized: false, cause: "Refresh tokens cannot be used as access tokens" }
+        }
         //        if (decodedAccessToken.username !== decodedRefreshToken.username || decodedAccessToken.email !== decodedRefreshToken.email || decodedAccessToken.role !== decodedRefreshToken.role) { prima ma fallisce test
         //|| decodedAccessToken.email !== decodedRefreshToken.email) ho levato questo perchè altrimenti in Group error test non funziona
         if (decodedAccessToken.username !== decodedRefreshToken.username)  {
@@ -110,6 +259,9 @@ export const verifyAuth = (req, res, info) => {
         if (info.authType === 'Admin' && (decodedAccessToken.role !== 'Admin' || decodedRefreshToken.role !== 'Admin')) {
             return { authorized: false, cause: "Admin: Mismatched role" };
         }
+        if (info.authType === 'Permission' && (!hasPermission(decodedAccessToken.role, info.permission) || !hasPermission(decodedRefreshToken.role, info.permission))) {
+            return { authorized: false, cause: "Permission: role not allowed" };
+        }
         if (info.authType === 'Group') {
             let in_group = false;
             for (let email of info.emails) {
@@ -126,12 +278,20 @@ export const verifyAuth = (req, res, info) => {
         if (err.name === "TokenExpiredError") {
             try {
                 const refreshToken = jwt.verify(cookie.refreshToken, process.env.ACCESS_KEY);
+                // rotating refresh tokens (issued by `login`) can only be exchanged through `POST /api/refresh`,
+                // where reused and revoked tokens are detected
+                if (refreshToken.family) {
+                    return { authorized: false, cause: "Access token expired: refresh the tokens" };
+                }
                 if ( info.authType==="User" && info.username !== refreshToken.username ) {
                     return { authorized: false, cause: "Token Expired: Mismatched users" };
                 }
                 if (info.authType === 'Admin' && refreshToken.role !== 'Admin') {
                     return { authorized: false, cause: "Admin: Access Token Expired and Mismatched role" };
                 }
+                if (info.authType === 'Permission' && !hasPermission(refreshToken.role, info.permission)) {
+                    return { authorized: false, cause: "Permission: Access Token Expired and role not allowed" };
+                }
                 if (info.authType === 'Group') {
                     let in_group = false;
                     for (let email of info.emails) {
@@ -169,7 +329,7 @@ export const verifyAuth = (req, res, info) => {
 }
 
 /**
- * Handle possible amount filtering options in the query parameters for getTransactionsByUser when called by a Regular user.
+ * Handle possible amount filtering options in the query parameters of the routes listing transactions.
  * @param req the request object that can contain query parameters
  * @returns an object that can be used for filtering MongoDB queries according to the `amount` parameter.
  *  The returned object must handle all possible combination of amount filtering parameters, including the case where none are present.
@@ -201,4 +361,127 @@ export const handleAmountFilterParams = (req) => {
         // no filtering
         return {}
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Handle the full-text search option in the query parameters of the routes listing transactions.
+ * @param req the request object that can contain the query parameter `q`, the words to look for in the `description`, `notes` and `tags` of the transactions
+ * @returns an object that can be used as the first `$match` of an aggregation, using the text index of the transactions.
+ *  Example: {$text: {$search: "pizza"}} returns all transactions mentioning "pizza". The object is empty if `q` is missing.
+ * @throws an error if `q` is not a string or contains only spaces
+ */
+export const handleSearchParams = (req) => {
+    const { q } = req.query;
+    if (q === undefined) {
+        // no searching
+        return {};
+    }
+    if (typeof q !== "string" || q.trim().length === 0)
+        throw ("Search not valid");
+    return { $text: { $search: q } };
+}
+
+const SORT_FIELDS = ["date", "amount", "type", "username"];
+const MAX_LIMIT = 1000;
+
+/**
+ * Handle the pagination and sorting options in the query parameters of the routes listing transactions.
+ * @param req the request object that can contain the query parameters `limit`, `page`, `cursor` and `sort`
+ *  - `limit`: maximum number of transactions to return (from 1 to 1000), all of them if missing
+ *  - `page`: the page to return (starting from 1), requires `limit`
+ *  - `cursor`: the `nextCursor` returned by the previous call, cannot be used together with `page`
+ *  - `sort`: one of `date`, `amount`, `type` and `username`, prefixed by `-` for descending order. When missing, transactions are returned in insertion order
+ * @returns an object having attributes `limit` (null if missing), `skip`, `sortField`, `sortDirection` (1 or -1) and `after` (the decoded cursor or null)
+ * @throws an error if the parameters are not valid or if `page` and `cursor` are used together
+ */
+export const handlePaginationParams = (req) => {
+    const { limit, page, cursor, sort } = req.query;
+    if (page && cursor) {
+        throw ("Unauthorized query parameters");
+    }
+    let pagination = { limit: null, skip: 0, sortField: "_id", sortDirection: 1, after: null };
+    if (limit !== undefined) {
+        if (!/^\d+$/.test(limit) || parseInt(limit) < 1 || parseInt(limit) > MAX_LIMIT)
+            throw ("Limit not valid");
+        pagination.limit = parseInt(limit);
+    }
+    if (page !== undefined) {
+        if (!/^\d+$/.test(page) || parseInt(page) < 1)
+            throw ("Page not valid");
+        if (pagination.limit === null)
+            throw ("Page requires a limit");
+        pagination.skip = (parseInt(page) - 1) * pagination.limit;
+    }
+    if (sort !== undefined) {
+        // a parameter repeated in the query string is an array
+        if (typeof sort !== "string")
+            throw ("Sort not valid");
+        const field = sort.startsWith("-") ? sort.slice(1) : sort;
+        if (!SORT_FIELDS.includes(field))
+            throw ("Sort not valid");
+        pagination.sortField = field;
+        pagination.sortDirection = sort.startsWith("-") ? -1 : 1;
+    }
+    if (cursor !== undefined) {
+        if (typeof cursor !== "string")
+            throw ("Cursor not valid");
+        let decoded;
+        try {
+            decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+        } catch (err) {
+            throw ("Cursor not valid");
+        }
+        if (!decoded || decoded.field !== pagination.sortField || !mongoose.isValidObjectId(decoded.id))
+            throw ("Cursor not valid");
+        pagination.after = {
+            value: pagination.sortField === "date" ? new Date(decoded.value) : decoded.value,
+            id: new mongoose.Types.ObjectId(decoded.id)
+        };
+    }
+    return pagination;
+}
+
+/**
+ * Build the aggregation stages that select, order and limit the transactions of a page
+ * @param pagination the object returned by `handlePaginationParams`
+ * @returns an array of stages to insert in the pipeline right after the `$match` of the listed transactions.
+ *  One more transaction than `limit` is selected, so that the caller knows whether another page exists.
+ */
+export const paginationStages = (pagination) => {
+    const { sortField, sortDirection, after, skip, limit } = pagination;
+    const op = sortDirection === 1 ? "$gt" : "$lt";
+    let stages = [];
+    if (after) {
+        if (sortField === "_id") {
+            stages.push({ $match: { _id: { [op]: after.id } } });
+        } else {
+            stages.push({ $match: { $or: [{ [sortField]: { [op]: after.value } }, { [sortField]: after.value, _id: { [op]: after.id } }] } });
+        }
+    }
+    stages.push({ $sort: sortField === "_id" ? { _id: sortDirection } : { [sortField]: sortDirection, _id: sortDirection } });
+    if (skip > 0) {
+        stages.push({ $skip: skip });
+    }
+    if (limit !== null) {
+        stages.push({ $limit: limit + 1 });
+    }
+    return stages;
+}
+
+/**
+ * Cut the transactions selected with `paginationStages` to the requested page
+ * @param result the transactions returned by the aggregation, in order
+ * @param pagination the object returned by `handlePaginationParams`
+ * @returns an object having attributes `page` (the transactions to return) and `nextCursor` (the value of the `cursor`
+ *  parameter that returns the following page, or null if this is the last one)
+ */
+export const paginateResult = (result, pagination) => {
+    if (pagination.limit === null || result.length <= pagination.limit) {
+        return { page: result, nextCursor: null };
+    }
+    const page = result.slice(0, pagination.limit);
+    const last = page[page.length - 1];
+    const value = pagination.sortField === "_id" ? undefined : last[pagination.sortField];
+    const nextCursor = Buffer.from(JSON.stringify({ field: pagination.sortField, value: value, id: last._id.toString() })).toString("base64url");
+    return { page: page, nextCursor: nextCursor };
+}
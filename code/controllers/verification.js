@@ -0,0 +1,87 @@
+import { randomBytes } from 'crypto';
+import { User, EmailVerification } from '../models/User.js';
+import { hashToken } from './utils.js';
+import { sendMail } from './mail.js';
+
+const VERIFICATION_MAX_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * Tell whether an action rejects the users that did not verify their email. The actions are listed, comma separated,
+ * in the `EMAIL_VERIFICATION_REQUIRED` environment variable: `login` rejects their logins and `groups` their invites to groups.
+ * @param action either `login` or `groups`
+ * @returns true if unverified users are rejected by the action
+ */
+export const isVerificationRequired = (action) => {
+    const actions = (process.env.EMAIL_VERIFICATION_REQUIRED || "").split(",").map((item) => item.trim());
+    return actions.includes(action);
+}
+
+/**
+ * Send a new verification token to the email of a user. The tokens previously sent to the user stop being valid.
+ * @param user the user document, having attributes `username` and `email`
+ */
+export const sendVerificationMail = async (user) => {
+    await EmailVerification.deleteMany({ username: user.username });
+    const token = randomBytes(32).toString("hex");
+    await EmailVerification.create({ username: user.username, email: user.email, tokenHash: hashToken(token), expiresAt: new Date(Date.now() + VERIFICATION_MAX_AGE) });
+    const url = `${process.env.APP_URL || "http://localhost:3000"}/api/verify/${token}`;
+    await sendMail({
+        to: user.email,
+        subject: "Verify your EzWallet email",
+        text: `Hi ${user.username},\n\nopen this link within 24 hours to verify your email:\n\n${url}\n\nIf you did not create an EzWallet account, ignore this message.`
+    });
+}
+
+/**
+ * Verify the email of a user with the token sent by `sendVerificationMail`
+  - Request Parameters: The verification `token`
+  - Response `data` Content: A message confirming the verification
+  - Optional behavior:
+    - error 400 is returned if the token does not exist or has expired, or the user changed email after it was sent
+ */
+export const verifyEmail = async (req, res) => {
+    try {
+        const verification = await EmailVerification.findOneAndDelete({ tokenHash: hashToken(req.params.token), expiresAt: { $gt: new Date() } });
+        if (verification === null) {
+            return res.status(400).json({ error: "Verification token not valid" });
+        }
+        const user = await User.findOneAndUpdate({ username: verification.username, email: verification.email }, { $set: { verified: true } });
+        if (user === null) {
+            return res.status(400).json({ error: "Verification token not valid" });
+        }
+        res.status(200).json({ data: { message: "Email verified" } });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
+
+/**
+ * Send again the verification mail to the user with the given email, e.g. because the previous token has expired
+  - Request Body Content: An object having attribute `email`
+  - Response `data` Content: A message confirming the request. The same message is returned when no unverified user has the email,
+    so that the response does not reveal which emails are registered
+  - Optional behavior:
+    - error 400 is returned if the email is missing, is an empty string or is not in a valid email format
+ */
+export const resendVerification = async (req, res) => {
+    try {
+        const { email } = req.body;
+        if (!email) {
+            return res.status(400).json({ error: "Some Parameter is Missing" });
+        }
+        if (email.trim().length === 0) {
+            return res.status(400).json({ error: "Some Parameter is an Empty String" });
+        }
+        const regex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (regex.test(email) === false) {
+            return res.status(400).json({ error: "Invalid email format" });
+        }
+        const user = await User.findOne({ email: email });
+        if (user && !user.verified) {
+            await sendVerificationMail(user);
+        }
+        res.status(200).json({ data: { message: "If the email belongs to an unverified user, a verification token has been sent to it" } });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
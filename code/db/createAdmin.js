@@ -0,0 +1,23 @@
+import mongoose from "mongoose"
+import dotenv from "dotenv"
+import { bootstrapAdmin } from "../controllers/auth.js"
+
+/**
+ * Create the first administrator of an empty installation:
+ *   npm run create-admin -- <username> <email> <password>
+ * The values can also be given with the ADMIN_USERNAME, ADMIN_EMAIL and ADMIN_PASSWORD environment variables.
+ * Nothing is created if the database already has an Admin: further admins are created by an Admin through `POST /api/admin`.
+ */
+dotenv.config()
+const [username = process.env.ADMIN_USERNAME, email = process.env.ADMIN_EMAIL, password = process.env.ADMIN_PASSWORD] = process.argv.slice(2)
+
+try {
+    await mongoose.connect(process.env.MONGO_URI)
+    const admin = await bootstrapAdmin({ username, email, password })
+    console.log(`Admin ${admin.username} created`)
+} catch (error) {
+    console.log(typeof error === "string" ? error : error.message)
+    process.exitCode = 1
+} finally {
+    await mongoose.disconnect()
+}
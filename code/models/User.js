@@ -1,4 +1,5 @@
 import mongoose from 'mongoose'
+import { softDelete } from './softDelete.js'
 
 export const UserSchema = new mongoose.Schema({
     username: {
@@ -22,6 +23,49 @@ export const UserSchema = new mongoose.Schema({
     role: {
         type: String,
         default: "Regular"
+    },
+    // set when the user opens the link of the verification mail sent on registration
+    verified: {
+        type: Boolean,
+        default: false
+    },
+    // set by an Admin to prevent the logins of the user, keeping its data
+    disabled: {
+        type: Boolean,
+        default: false
+    },
+    // name of the group the user was removed from when it was deleted, to add it back when the user is restored from the trash
+    deletedFromGroup: {
+        type: String,
+        default: null
+    },
+    // the tokens issued before this date are rejected (see `checkRevokedTokens`): set when the role or the status of the user changes
+    tokensRevokedAt: {
+        type: Date,
+        default: null
+    },
+    // currency in which the amounts of the transactions are converted in listings and summaries
+    currency: {
+        type: String,
+        default: "EUR"
+    },
+    // TOTP second factor: the base32 `secret` is set by the enrolment and checked at login once `enabled`.
+    // `lastUsedStep` is the time step of the last accepted code, which cannot be used again; recovery codes are stored hashed
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String
+        },
+        lastUsedStep: {
+            type: Number,
+            default: 0
+        },
+        recoveryCodes: [{
+            type: String
+        }]
     }
 }, {
     timestamps: true,
@@ -48,6 +92,134 @@ export const GroupSchema = new mongoose.Schema({
     ]
 })
 
+// a login of a user from a device. The session is also the family of the refresh tokens issued to the device:
+// only the last one (`jti`) can be exchanged for new tokens, presenting an older one revokes the session
+export const SessionSchema = new mongoose.Schema({
+    username: {
+        type: String,
+        required: true
+    },
+    device: {
+        type: String,
+        default: "unknown"
+    },
+    ip: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    },
+    jti: {
+        type: String,
+        required: true
+    },
+    revoked: {
+        type: Boolean,
+        default: false
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // expiration of the last refresh token of the session, after which the session is removed
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true,
+});
+
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// a request to reset the password of a user: only the hash of the token sent by mail is stored
+export const PasswordResetSchema = new mongoose.Schema({
+    username: {
+        type: String,
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // set when the token is used, so that it cannot be used again
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true,
+});
+
+PasswordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// a verification token sent to the email of a user: only its hash is stored
+export const EmailVerificationSchema = new mongoose.Schema({
+    username: {
+        type: String,
+        required: true
+    },
+    // the email the token was sent to, which is verified only if the user still has it
+    email: {
+        type: String,
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true,
+});
+
+EmailVerificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// the failed logins of an account (`account:<email>`) or of a client (`ip:<address>`), forgotten when no new failure happens before `expiresAt`
+export const LoginAttemptSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    failures: {
+        type: Number,
+        default: 0
+    },
+    lastFailureAt: {
+        type: Date
+    },
+    // set when the failures reach the lockout threshold: logins are rejected until then
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true,
+});
+
+LoginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+UserSchema.plugin(softDelete)
+GroupSchema.plugin(softDelete)
+
 const Group = mongoose.model("Group", GroupSchema)
 const User = mongoose.model('User', UserSchema);
-export { Group, User }
\ No newline at end of file
+const Session = mongoose.model("Session", SessionSchema);
+const PasswordReset = mongoose.model("PasswordReset", PasswordResetSchema);
+const EmailVerification = mongoose.model("EmailVerification", EmailVerificationSchema);
+const LoginAttempt = mongoose.model("LoginAttempt", LoginAttemptSchema);
+export { Group, User, Session, PasswordReset, EmailVerification, LoginAttempt }
\ No newline at end of file
@@ -1,4 +1,5 @@
 import mongoose, { Schema } from "mongoose";
+import { softDelete } from "./softDelete.js";
 
 const categories_model = new Schema({
     type: {
@@ -31,14 +32,216 @@ const transaction_model = new Schema({
         default: 0,
         required: true
     },
+    // whether the transaction is money earned, money spent or money moved between accounts
+    kind: {
+        type: String,
+        enum: ["income", "expense", "transfer"],
+        default: "expense"
+    },
+    // ISO 4217 code of the currency of `amount`
+    currency: {
+        type: String,
+        default: "EUR"
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    },
+    description: {
+        type: String
+    },
+    notes: {
+        type: String
+    },
+    tags: {
+        type: [String],
+        default: undefined
+    },
+    recurring: {
+        type: Schema.Types.ObjectId,
+        ref: "recurring_transactions"
+    },
+    account: {
+        type: Schema.Types.ObjectId,
+        ref: "accounts"
+    },
+    // shared by the two transactions of a transfer between accounts: the debit one has a negative amount, the credit one a positive amount
+    transfer: {
+        type: Schema.Types.ObjectId
+    }
+})
+
+// an occurrence of a recurring transaction can be materialized only once
+transaction_model.index({ recurring: 1, date: 1 }, { unique: true, partialFilterExpression: { recurring: { $type: "objectId" } } })
+// full-text search on the free-text fields (`q` query parameter of the listing routes)
+transaction_model.index({ description: "text", notes: "text", tags: "text" })
+
+const budget_model = new Schema({
+    username: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true
+    },
+    group: {
+        type: String,
+        default: null
+    },
+    // ISO 4217 code of the currency of `amount`, the base currency of the user creating the budget
+    currency: {
+        type: String,
+        default: "EUR"
+    }
+})
+
+const recurring_transaction_model = new Schema({
+    username: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true
+    },
+    frequency: {
+        type: String,
+        enum: ["daily", "weekly", "monthly", "yearly"],
+        required: true
+    },
+    startDate: {
+        type: Date,
+        required: true
+    },
+    endDate: {
+        type: Date,
+        default: null
+    },
+    // kind of the created transactions: money earned or money spent
+    kind: {
+        type: String,
+        enum: ["income", "expense"],
+        default: "expense"
+    },
+    // ISO 4217 code of the currency of `amount`. Rules created before the attribute existed have none,
+    // their transactions are in the base currency of the user
+    currency: {
+        type: String,
+        default: null
+    },
+    // number of occurrences already turned into transactions
+    occurrences: {
+        type: Number,
+        default: 0
+    }
+})
+
+// value of one unit of `currency` in the reference currency (EUR) of the application
+const exchange_rate_model = new Schema({
+    currency: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    rate: {
+        type: Number,
+        required: true
+    }
+})
+
+// an account (checking account, cash, credit card...) of a user, with the balance it had before its first transaction
+const account_model = new Schema({
+    username: {
+        type: String,
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    currency: {
+        type: String,
+        default: "EUR"
+    },
+    initialBalance: {
+        type: Number,
+        default: 0
+    }
+})
+
+account_model.index({ username: 1, name: 1 }, { unique: true })
+
+// an expense paid by a member of a group and split among some members (`shares` holds the part owed by each of them),
+// or a settlement payment from `paidBy` to the only member in `shares`
+const group_expense_model = new Schema({
+    group: {
+        type: String,
+        required: true
+    },
+    kind: {
+        type: String,
+        enum: ["expense", "settlement"],
+        default: "expense"
+    },
+    paidBy: {
+        type: String,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true
+    },
+    currency: {
+        type: String,
+        default: "EUR"
+    },
+    split: {
+        type: String,
+        enum: ["equal", "percentage", "exact"]
+    },
+    shares: [
+        {
+            _id: false,
+            username: {
+                type: String,
+                required: true
+            },
+            amount: {
+                type: Number,
+                required: true
+            }
+        }
+    ],
+    description: {
+        type: String
+    },
     date: {
         type: Date,
         default: Date.now
     }
 })
 
+categories_model.plugin(softDelete);
+transaction_model.plugin(softDelete);
+budget_model.plugin(softDelete);
+recurring_transaction_model.plugin(softDelete);
+
 const categories = mongoose.model("categories", categories_model);
 const transactions = mongoose.model("transactions", transaction_model);
+const budgets = mongoose.model("budgets", budget_model);
+const recurring_transactions = mongoose.model("recurring_transactions", recurring_transaction_model);
+const exchange_rates = mongoose.model("exchange_rates", exchange_rate_model);
+const accounts = mongoose.model("accounts", account_model);
+const group_expenses = mongoose.model("group_expenses", group_expense_model);
 
-export { categories, transactions }
+export { categories, transactions, budgets, recurring_transactions, exchange_rates, accounts, group_expenses }
 
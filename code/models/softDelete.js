@@ -0,0 +1,41 @@
+// queries that read the records, from which the deleted records are hidden
+const READ_OPERATIONS = ["find", "findOne", "count", "countDocuments", "distinct", "findOneAndUpdate"];
+
+/**
+ * Schema plugin for the soft deletion of the records: a record is deleted by setting its `deletedAt`, and stays in the trash
+ * until it is restored or purged (see `controllers/trash.js`).
+ * Reads (the queries above and the aggregations) do not return the deleted records, unless their filter is on `deletedAt`
+ * or they are given the `withDeleted` option, e.g. to check that a unique value is not taken by a record in the trash.
+ * Updates and deletions by filter are not changed, so that renames and purges reach the deleted records too.
+ */
+export const softDelete = (schema) => {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            default: null
+        }
+    });
+    schema.pre(READ_OPERATIONS, function () {
+        const options = this.getOptions();
+        if (options.withDeleted) {
+            // not an option of the database driver
+            delete options.withDeleted;
+            return;
+        }
+        if (!Object.prototype.hasOwnProperty.call(this.getFilter(), "deletedAt")) {
+            this.where({ deletedAt: null });
+        }
+    });
+    schema.pre("aggregate", function () {
+        const pipeline = this.pipeline();
+        const first = pipeline[0];
+        // the condition joins the first $match, since a $text search has to stay in the first stage
+        if (first && first.$match) {
+            if (!Object.prototype.hasOwnProperty.call(first.$match, "deletedAt")) {
+                first.$match = { ...first.$match, deletedAt: null };
+            }
+        } else {
+            pipeline.unshift({ $match: { deletedAt: null } });
+        }
+    });
+}
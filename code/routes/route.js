@@ -1,58 +1,135 @@
 import { Router } from "express";
-import { login, logout, register, registerAdmin } from "../controllers/auth.js";
+import { login, loginTwoFactor, logout, register, registerAdmin, refresh, getSessions, deleteSession, deleteSessions } from "../controllers/auth.js";
 import {
     createCategory, createTransaction, deleteTransaction,
     getCategories, getAllTransactions, getTransactionsByUser, deleteCategory,
-    getTransactionsByUserByCategory, deleteTransactions, getTransactionsByGroup, getTransactionsByGroupByCategory, updateCategory
+    getTransactionsByUserByCategory, deleteTransactions, getTransactionsByGroup, getTransactionsByGroupByCategory, updateCategory,
+    updateTransaction
 } from "../controllers/controller.js";
 import {
     getUsers, getUser, createGroup, getGroups, deleteGroup,
-    getGroup, deleteUser, addToGroup, removeFromGroup
+    getGroup, deleteUser, addToGroup, removeFromGroup, updateUser, changePassword, unlockUser,
+    getRoles, updateUserRole, updateUserStatus
 } from "../controllers/users.js";
+import { createBudget, getBudgets, updateBudget, deleteBudget } from "../controllers/budgets.js";
+import {
+    createRecurringTransaction, getRecurringTransactions, updateRecurringTransaction, deleteRecurringTransaction
+} from "../controllers/recurring.js";
+import { importTransactions } from "../controllers/import.js";
+import { exportTransactionsByUser, exportTransactionsByGroup } from "../controllers/export.js";
+import { getSummaryByUser, getSummaryByGroup, getBalanceByUser, getBalanceByGroup } from "../controllers/summary.js";
+import { getExchangeRates, updateExchangeRates, loadExchangeRates, updateBaseCurrency } from "../controllers/rates.js";
+import { createAccount, getAccounts, deleteAccount, createTransfer } from "../controllers/accounts.js";
+import { createGroupExpense, getGroupExpenses, getGroupDebts, createSettlement } from "../controllers/splits.js";
+import { forgotPassword, resetPassword } from "../controllers/password.js";
+import { verifyEmail, resendVerification } from "../controllers/verification.js";
+import { rateLimit } from "../controllers/limits.js";
+import { enrolTwoFactor, confirmTwoFactor, disableTwoFactor } from "../controllers/twofactor.js";
+import { getTrash, restoreFromTrash, purgeTrash } from "../controllers/trash.js";
 
 const router = Router();
 
+// requests accepted from the same address, on top of the failed-login tracking done by login
+const registerLimit = rateLimit("register", { windowMs: 60 * 60 * 1000, max: 10 })
+const loginLimit = rateLimit("login", { windowMs: 15 * 60 * 1000, max: 20 })
+const adminLimit = rateLimit("admin", { windowMs: 60 * 60 * 1000, max: 10 })
+// each call of the mail routes sends a mail, each call of the token routes tries a token
+const mailLimit = rateLimit("mail", { windowMs: 60 * 60 * 1000, max: 5 })
+const tokenLimit = rateLimit("token", { windowMs: 15 * 60 * 1000, max: 20 })
+const refreshLimit = rateLimit("refresh", { windowMs: 15 * 60 * 1000, max: 60 })
+
 /**
  * Routes that do not require authentication
  */
-router.post('/register', register)
-router.post("/admin", registerAdmin)
-router.post('/login', login)
+router.post('/register', registerLimit, register)
+router.post('/login', loginLimit, login)
+router.post('/login/2fa', loginLimit, loginTwoFactor)
+router.post('/refresh', refreshLimit, refresh)
+router.post('/password/forgot', mailLimit, forgotPassword)
+router.post('/password/reset', tokenLimit, resetPassword)
+router.get('/verify/:token', tokenLimit, verifyEmail)
+router.post('/verify', mailLimit, resendVerification)
 
 /**
  * Routes for authenticated users
  */
+router.get("/sessions", getSessions)
+router.delete("/sessions", deleteSessions)
+router.delete("/sessions/:id", deleteSession)
 router.get("/categories", getCategories)
 router.get("/users/:username", getUser)
+router.patch("/users/:username", updateUser)
+router.post("/users/:username/password", changePassword)
+router.post("/users/:username/2fa", enrolTwoFactor)
+router.post("/users/:username/2fa/verify", confirmTwoFactor)
+router.delete("/users/:username/2fa", disableTwoFactor)
+router.patch("/users/:username/currency", updateBaseCurrency)
+router.get("/users/:username/balance", getBalanceByUser)
 router.post("/users/:username/transactions", createTransaction)
+router.post("/users/:username/transactions/import", importTransactions)
+router.get("/users/:username/transactions/export", exportTransactionsByUser)
+router.get("/users/:username/transactions/summary", getSummaryByUser)
 router.get("/users/:username/transactions", getTransactionsByUser)
 router.delete("/users/:username/transactions", deleteTransaction)
+router.patch("/users/:username/transactions/:id", updateTransaction)
 router.get("/users/:username/transactions/category/:category", getTransactionsByUserByCategory)
+router.post("/users/:username/budgets", createBudget)
+router.get("/users/:username/budgets", getBudgets)
+router.patch("/users/:username/budgets/:type", updateBudget)
+router.delete("/users/:username/budgets", deleteBudget)
+router.post("/users/:username/recurring", createRecurringTransaction)
+router.get("/users/:username/recurring", getRecurringTransactions)
+router.patch("/users/:username/recurring/:id", updateRecurringTransaction)
+router.delete("/users/:username/recurring", deleteRecurringTransaction)
+router.post("/users/:username/accounts", createAccount)
+router.get("/users/:username/accounts", getAccounts)
+router.delete("/users/:username/accounts/:id", deleteAccount)
+router.post("/users/:username/transfers", createTransfer)
+router.get("/rates", getExchangeRates)
 router.post("/groups", createGroup)
 router.get("/groups/:name", getGroup)
+router.get("/groups/:name/balance", getBalanceByGroup)
 router.get("/groups/:name/transactions", getTransactionsByGroup)
+router.get("/groups/:name/transactions/export", exportTransactionsByGroup)
+router.get("/groups/:name/transactions/summary", getSummaryByGroup)
 router.get("/groups/:name/transactions/category/:category", getTransactionsByGroupByCategory)
+router.post("/groups/:name/expenses", createGroupExpense)
+router.get("/groups/:name/expenses", getGroupExpenses)
+router.get("/groups/:name/debts", getGroupDebts)
+router.post("/groups/:name/settlements", createSettlement)
 router.patch("/groups/:name/add", addToGroup)
 router.patch("/groups/:name/remove", removeFromGroup)
 
 /**
  * Admin-exclusive routes. The functions called are the same and must have different behaviors depending on the route.
+ * Most of them are also open to the roles having the permission they declare (see `ROLE_PERMISSIONS` in `utils.js`).
  */
+router.post("/admin", adminLimit, registerAdmin)
 router.post("/categories", createCategory)
 router.patch("/categories/:type", updateCategory)
 router.delete("/categories", deleteCategory)
+router.put("/rates", updateExchangeRates)
+router.post("/rates/load", loadExchangeRates)
 router.get("/transactions", getAllTransactions)
 router.delete("/transactions", deleteTransactions)
+router.patch("/transactions/:id", updateTransaction)
 router.get("/transactions/users/:username", getTransactionsByUser)
 router.get("/transactions/users/:username/category/:category", getTransactionsByUserByCategory)
 router.get("/transactions/groups/:name", getTransactionsByGroup)
 router.get("/transactions/groups/:name/category/:category", getTransactionsByGroupByCategory)
 router.get('/users', getUsers)
 router.delete("/users", deleteUser)
+router.post("/users/:username/unlock", unlockUser)
+router.get("/roles", getRoles)
+router.patch("/users/:username/role", updateUserRole)
+router.patch("/users/:username/status", updateUserStatus)
 router.get("/groups", getGroups)
 router.delete("/groups", deleteGroup)
 router.patch("/groups/:name/insert", addToGroup)
 router.patch("/groups/:name/pull", removeFromGroup)
+router.get("/trash/:collection", getTrash)
+router.post("/trash/:collection/:id/restore", restoreFromTrash)
+router.delete("/trash/:collection", purgeTrash)
 
 /**
  * Logout
@@ -1,6 +1,8 @@
 import { app, port } from './app.js';
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
+import { startRecurringScheduler } from './controllers/recurring.js';
+import { loadExchangeRatesFile } from './controllers/rates.js';
 
 dotenv.config();
 const startServer = async () => {
@@ -13,6 +15,10 @@ const startServer = async () => {
     app.listen(port, () => {
       console.log(`app listening on port ${port}!`);
     });
+    startRecurringScheduler();
+    if (process.env.EXCHANGE_RATES_FILE) {
+      await loadExchangeRatesFile().catch((error) => console.log(error));
+    }
   } catch (error) {
     console.log(error);
   }
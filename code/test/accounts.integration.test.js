@@ -0,0 +1,228 @@
+import request from 'supertest';
+import { app } from '../app';
+import { User } from '../models/User.js';
+import { categories, transactions, accounts, exchange_rates } from '../models/model';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+beforeAll(async () => {
+    const dbName = "testingDatabaseAccounts";
+    const url = `${process.env.MONGO_URI}/${dbName}`;
+
+    await mongoose.connect(url, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+    });
+
+});
+
+afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+    await categories.deleteMany({})
+    await transactions.deleteMany({})
+    await accounts.deleteMany({})
+    await exchange_rates.deleteMany({})
+    await User.deleteMany({})
+});
+
+const testerAccessTokenValid = jwt.sign({
+    email: "tester@test.com",
+    username: "tester",
+    role: "Regular"
+}, process.env.ACCESS_KEY, { expiresIn: '1y' })
+
+describe("createAccount", () => {
+    test("Creates an account in the base currency of the user", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+
+        const response = await request(app)
+            .post("/api/users/tester/accounts")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ name: "checking", initialBalance: 250 })
+
+        expect(response.status).toBe(200)
+        expect(response.body.data).toEqual(expect.objectContaining({ name: "checking", currency: "EUR", initialBalance: 250, balance: 250 }))
+        expect(await accounts.countDocuments({ username: "tester" })).toBe(1)
+    });
+
+    test("Returns a 400 error if the user already has an account with the same name", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await accounts.create({ username: "tester", name: "checking" })
+
+        const response = await request(app)
+            .post("/api/users/tester/accounts")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ name: "checking" })
+
+        expect(response.status).toBe(400)
+        expect(response.body).toHaveProperty("error")
+    });
+})
+
+describe("getAccounts", () => {
+    test("Returns the balance of every account", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        const [checking, card] = await accounts.insertMany([
+            { username: "tester", name: "checking", initialBalance: 100 },
+            { username: "tester", name: "card" }
+        ])
+        await transactions.insertMany([
+            { username: "tester", type: "salary", kind: "income", amount: 1000, account: checking._id },
+            { username: "tester", type: "food", amount: 30, account: checking._id },
+            { username: "tester", type: "food", amount: 45, account: card._id },
+            { username: "tester", type: "food", amount: 500 }
+        ])
+
+        const response = await request(app)
+            .get("/api/users/tester/accounts")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+
+        expect(response.status).toBe(200)
+        expect(response.body.data.map((account) => [account.name, account.balance])).toEqual([["checking", 1070], ["card", -45]])
+    });
+})
+
+describe("deleteAccount", () => {
+    test("Returns a 400 error if some transactions refer to the account", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        const account = await accounts.create({ username: "tester", name: "cash" })
+        await transactions.create({ username: "tester", type: "food", amount: 10, account: account._id })
+
+        const response = await request(app)
+            .delete(`/api/users/tester/accounts/${account._id}`)
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+
+        expect(response.status).toBe(400)
+        expect(await accounts.countDocuments({})).toBe(1)
+    });
+
+    test("Returns a 400 error if some trashed transactions refer to the account", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        const account = await accounts.create({ username: "tester", name: "cash" })
+        await transactions.create({ username: "tester", type: "food", amount: 10, account: account._id, deletedAt: new Date() })
+
+        const response = await request(app)
+            .delete(`/api/users/tester/accounts/${account._id}`)
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+
+        expect(response.status).toBe(400)
+        expect(response.body).toEqual({ error: "Account has transactions" })
+        expect(await accounts.countDocuments({})).toBe(1)
+    });
+})
+
+describe("createTransfer", () => {
+    test("Creates the paired transactions and updates both balances", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await categories.create({ type: "savings", color: "green" })
+        await exchange_rates.create({ currency: "USD", rate: 0.5 })
+        const [checking, cash] = await accounts.insertMany([
+            { username: "tester", name: "checking", initialBalance: 100 },
+            { username: "tester", name: "cash", currency: "USD" }
+        ])
+
+        const response = await request(app)
+            .post("/api/users/tester/transfers")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ from: checking._id.toString(), to: cash._id.toString(), amount: 40, type: "savings" })
+
+        expect(response.status).toBe(200)
+        expect(response.body.data.debit).toEqual(expect.objectContaining({ amount: -40, currency: "EUR" }))
+        expect(response.body.data.credit).toEqual(expect.objectContaining({ amount: 80, currency: "USD" }))
+        expect(await transactions.countDocuments({ transfer: response.body.data.transfer, kind: "transfer" })).toBe(2)
+
+        const balances = await request(app)
+            .get("/api/users/tester/accounts")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+
+        expect(balances.body.data.map((account) => account.balance)).toEqual([60, 80])
+    });
+
+    test("Deleting one of the transactions of a transfer deletes both", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await categories.create({ type: "savings", color: "green" })
+        const [checking, cash] = await accounts.insertMany([
+            { username: "tester", name: "checking" },
+            { username: "tester", name: "cash" }
+        ])
+        const transfer = await request(app)
+            .post("/api/users/tester/transfers")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ from: checking._id.toString(), to: cash._id.toString(), amount: 40, type: "savings" })
+
+        const response = await request(app)
+            .delete("/api/users/tester/transactions")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ _id: transfer.body.data.credit._id })
+
+        expect(response.status).toBe(200)
+        expect(await transactions.countDocuments({})).toBe(0)
+    });
+
+    test("Deleting one of the transactions of a transfer in bulk deletes both", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await categories.create({ type: "savings", color: "green" })
+        const [checking, cash] = await accounts.insertMany([
+            { username: "tester", name: "checking" },
+            { username: "tester", name: "cash" }
+        ])
+        const transfer = await request(app)
+            .post("/api/users/tester/transfers")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ from: checking._id.toString(), to: cash._id.toString(), amount: 40, type: "savings" })
+
+        const response = await request(app)
+            .delete("/api/transactions")
+            .set("Cookie", `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`)
+            .send({ _ids: [transfer.body.data.debit._id] })
+
+        expect(response.status).toBe(200)
+        expect(await transactions.countDocuments({})).toBe(0)
+    });
+
+    test("Returns a 400 error when editing one of the transactions of a transfer", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await categories.create({ type: "savings", color: "green" })
+        const [checking, cash] = await accounts.insertMany([
+            { username: "tester", name: "checking" },
+            { username: "tester", name: "cash" }
+        ])
+        const transfer = await request(app)
+            .post("/api/users/tester/transfers")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ from: checking._id.toString(), to: cash._id.toString(), amount: 40, type: "savings" })
+
+        const response = await request(app)
+            .patch(`/api/users/tester/transactions/${transfer.body.data.credit._id}`)
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ amount: 100 })
+
+        expect(response.status).toBe(400)
+        expect(response.body).toEqual({ error: "Transfers cannot be edited" })
+        expect(await transactions.findById(transfer.body.data.credit._id)).toEqual(expect.objectContaining({ amount: 40 }))
+    });
+
+    test("Returns a 400 error if the destination account belongs to another user", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await categories.create({ type: "savings", color: "green" })
+        const [checking, other] = await accounts.insertMany([
+            { username: "tester", name: "checking" },
+            { username: "other", name: "checking" }
+        ])
+
+        const response = await request(app)
+            .post("/api/users/tester/transfers")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ from: checking._id.toString(), to: other._id.toString(), amount: 40, type: "savings" })
+
+        expect(response.status).toBe(400)
+        expect(await transactions.countDocuments({})).toBe(0)
+    });
+})
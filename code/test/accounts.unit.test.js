@@ -0,0 +1,337 @@
+import { accounts, categories, transactions, exchange_rates } from '../models/model';
+import { User } from '../models/User';
+import { findAccount, accountBalancePipeline, createAccount, getAccounts, deleteAccount, createTransfer } from '../controllers/accounts';
+import { baseAmountExpression } from '../controllers/rates';
+import { verifyAuth } from '../controllers/utils';
+import { mockResponse } from './mocks';
+
+jest.mock('../models/model', () => ({
+    accounts: { findOne: jest.fn(), find: jest.fn(), create: jest.fn(), deleteOne: jest.fn() },
+    categories: { findOne: jest.fn() },
+    transactions: { findOne: jest.fn(), aggregate: jest.fn(), insertMany: jest.fn(), deleteMany: jest.fn() },
+    exchange_rates: { find: jest.fn() }
+}));
+jest.mock('../models/User', () => ({
+    User: { findOne: jest.fn() }
+}));
+
+beforeEach(() => {
+    jest.restoreAllMocks()
+    jest.resetAllMocks()
+    exchange_rates.find.mockResolvedValue([{ currency: "USD", rate: 0.5 }])
+});
+
+const VerifyAuthmodule = require('../controllers/utils');
+
+const checkingId = "6470c8f1a1b2c3d4e5f60001";
+const cashId = "6470c8f1a1b2c3d4e5f60002";
+const checking = { _id: checkingId, username: "tester", name: "checking", currency: "EUR", initialBalance: 100 };
+const cash = { _id: cashId, username: "tester", name: "cash", currency: "USD", initialBalance: 0 };
+
+describe("findAccount", () => {
+    test('Should look for the account of the given user', async () => {
+        accounts.findOne.mockResolvedValue(checking)
+
+        expect(await findAccount(checkingId, "tester")).toEqual(checking)
+        expect(accounts.findOne).toHaveBeenCalledWith({ _id: checkingId, username: "tester" })
+    });
+
+    test('Should look for the account of any user without username', async () => {
+        accounts.findOne.mockResolvedValue(checking)
+
+        await findAccount(checkingId)
+
+        expect(accounts.findOne).toHaveBeenCalledWith({ _id: checkingId })
+    });
+
+    test('Should return null if the id is not valid', async () => {
+        expect(await findAccount("not an id", "tester")).toBeNull()
+        expect(accounts.findOne).not.toHaveBeenCalled()
+    });
+})
+
+describe("accountBalancePipeline", () => {
+    test('Should subtract the expenses and add all the other transactions', () => {
+        expect(accountBalancePipeline(checkingId, "$amount")).toEqual([
+            { $match: { account: checkingId } },
+            { $group: { _id: null, total: { $sum: { $cond: [{ $eq: [{ $ifNull: ["$kind", "expense"] }, "expense"] }, { $multiply: [-1, "$amount"] }, "$amount"] } } } }
+        ])
+    });
+})
+
+describe("createAccount", () => {
+    test('Should create an account in the base currency of the user', async () => {
+        const mockReq = { params: { username: "tester" }, body: { name: "checking", initialBalance: "100" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester", currency: "EUR" })
+        accounts.findOne.mockResolvedValue(null)
+        accounts.create.mockResolvedValue(checking)
+
+        await createAccount(mockReq, mockRes)
+
+        expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: "User", username: "tester" })
+        expect(accounts.create).toHaveBeenCalledWith({ username: "tester", name: "checking", currency: "EUR", initialBalance: 100 })
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.json).toHaveBeenCalledWith({
+            data: { _id: checkingId, name: "checking", currency: "EUR", initialBalance: 100, balance: 100 },
+            refreshedTokenMessage: "refreshed"
+        })
+    });
+
+    test('Should create an account in the given currency', async () => {
+        const mockReq = { params: { username: "tester" }, body: { name: "cash", currency: "USD" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester", currency: "EUR" })
+        accounts.findOne.mockResolvedValue(null)
+        accounts.create.mockResolvedValue(cash)
+
+        await createAccount(mockReq, mockRes)
+
+        expect(accounts.create).toHaveBeenCalledWith({ username: "tester", name: "cash", currency: "USD", initialBalance: 0 })
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+    });
+
+    test('Should return 400 if the name is missing', async () => {
+        const mockReq = { params: { username: "tester" }, body: { currency: "USD" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+        await createAccount(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Some Parameter is Missing" })
+    });
+
+    test('Should return 400 if the initial balance is not a number', async () => {
+        const mockReq = { params: { username: "tester" }, body: { name: "cash", initialBalance: "a lot" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+        await createAccount(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Initial balance not valid" })
+    });
+
+    test('Should return 400 if the currency has no exchange rate', async () => {
+        const mockReq = { params: { username: "tester" }, body: { name: "cash", currency: "JPY" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester" })
+
+        await createAccount(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Currency not supported" })
+    });
+
+    test('Should return 400 if an account with the same name exists', async () => {
+        const mockReq = { params: { username: "tester" }, body: { name: "checking" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester" })
+        accounts.findOne.mockResolvedValue(checking)
+
+        await createAccount(mockReq, mockRes)
+
+        expect(accounts.findOne).toHaveBeenCalledWith({ username: "tester", name: "checking" })
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Account already exists" })
+    });
+
+    test('Should return 401 if not authorized', async () => {
+        const mockReq = { params: { username: "tester" }, body: { name: "checking" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: false, cause: "Unauthorized" }))
+
+        await createAccount(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(401)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Unauthorized" })
+    });
+})
+
+describe("getAccounts", () => {
+    test('Should return the accounts with their balance', async () => {
+        const mockReq = { params: { username: "tester" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester" })
+        accounts.find.mockResolvedValue([checking, cash])
+        transactions.aggregate.mockResolvedValueOnce([{ _id: null, total: -40 }]).mockResolvedValueOnce([])
+
+        await getAccounts(mockReq, mockRes)
+
+        const table = { EUR: 1, USD: 0.5 };
+        expect(accounts.find).toHaveBeenCalledWith({ username: "tester" })
+        expect(transactions.aggregate).toHaveBeenCalledWith(accountBalancePipeline(checkingId, baseAmountExpression(table, "EUR")))
+        expect(transactions.aggregate).toHaveBeenCalledWith(accountBalancePipeline(cashId, baseAmountExpression(table, "USD")))
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.json).toHaveBeenCalledWith({
+            data: [
+                { _id: checkingId, name: "checking", currency: "EUR", initialBalance: 100, balance: 60 },
+                { _id: cashId, name: "cash", currency: "USD", initialBalance: 0, balance: 0 }
+            ],
+            refreshedTokenMessage: "refreshed"
+        })
+    });
+
+    test('Should return 400 if the user does not exist', async () => {
+        const mockReq = { params: { username: "tester" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue(null)
+
+        await getAccounts(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "User not Found." })
+    });
+})
+
+describe("deleteAccount", () => {
+    test('Should delete an account without transactions', async () => {
+        const mockReq = { params: { username: "tester", id: checkingId } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        accounts.findOne.mockResolvedValue(checking)
+        transactions.findOne.mockResolvedValue(null)
+
+        await deleteAccount(mockReq, mockRes)
+
+        expect(accounts.deleteOne).toHaveBeenCalledWith({ _id: checkingId })
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.json).toHaveBeenCalledWith({ data: { message: "Account deleted" }, refreshedTokenMessage: "refreshed" })
+    });
+
+    test('Should return 400 if some transactions refer to the account', async () => {
+        const mockReq = { params: { username: "tester", id: checkingId } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        accounts.findOne.mockResolvedValue(checking)
+        transactions.findOne.mockResolvedValue({ account: checkingId })
+
+        await deleteAccount(mockReq, mockRes)
+
+        expect(transactions.findOne).toHaveBeenCalledWith({ account: checkingId }, null, { withDeleted: true })
+        expect(accounts.deleteOne).not.toHaveBeenCalled()
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Account has transactions" })
+    });
+
+    test('Should return 400 if the account does not exist', async () => {
+        const mockReq = { params: { username: "tester", id: checkingId } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        accounts.findOne.mockResolvedValue(null)
+
+        await deleteAccount(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Account not Found." })
+    });
+})
+
+describe("createTransfer", () => {
+    test('Should create the debit and the credit transactions converting the amount', async () => {
+        const mockReq = { params: { username: "tester" }, body: { from: checkingId, to: cashId, amount: "50", type: "savings", description: "ATM" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        accounts.findOne.mockResolvedValueOnce(checking).mockResolvedValueOnce(cash)
+        categories.findOne.mockResolvedValue({ type: "savings" })
+        transactions.insertMany.mockImplementation(async (docs) => docs.map((doc, i) => ({ _id: `t${i}`, ...doc })))
+
+        await createTransfer(mockReq, mockRes)
+
+        const [debit, credit] = transactions.insertMany.mock.calls[0][0];
+        expect(debit).toEqual(expect.objectContaining({ username: "tester", type: "savings", kind: "transfer", account: checkingId, amount: -50, currency: "EUR", description: "ATM" }))
+        expect(credit).toEqual(expect.objectContaining({ username: "tester", type: "savings", kind: "transfer", account: cashId, amount: 100, currency: "USD", description: "ATM" }))
+        expect(debit.transfer).toEqual(credit.transfer)
+        expect(debit.date).toEqual(credit.date)
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.json.mock.calls[0][0].data).toEqual(expect.objectContaining({
+            transfer: debit.transfer,
+            type: "savings",
+            description: "ATM",
+            debit: { _id: "t0", account: checkingId, amount: -50, currency: "EUR" },
+            credit: { _id: "t1", account: cashId, amount: 100, currency: "USD" }
+        }))
+    });
+
+    test('Should remove the written transactions if the insertion fails', async () => {
+        const mockReq = { params: { username: "tester" }, body: { from: checkingId, to: cashId, amount: 50, type: "savings" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        accounts.findOne.mockResolvedValueOnce(checking).mockResolvedValueOnce(cash)
+        categories.findOne.mockResolvedValue({ type: "savings" })
+        transactions.insertMany.mockRejectedValue(new Error("write failed"))
+
+        await createTransfer(mockReq, mockRes)
+
+        const transfer = transactions.insertMany.mock.calls[0][0][0].transfer;
+        expect(transactions.deleteMany).toHaveBeenCalledWith({ transfer: transfer })
+        expect(mockRes.status).toHaveBeenCalledWith(500)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "write failed" })
+    });
+
+    test('Should return 400 if the accounts are the same', async () => {
+        const mockReq = { params: { username: "tester" }, body: { from: checkingId, to: checkingId, amount: 50, type: "savings" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+        await createTransfer(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Accounts must be different" })
+    });
+
+    test('Should return 400 if the amount is not positive', async () => {
+        const mockReq = { params: { username: "tester" }, body: { from: checkingId, to: cashId, amount: -50, type: "savings" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+        await createTransfer(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Amount not valid" })
+    });
+
+    test('Should return 400 if one of the accounts belongs to another user', async () => {
+        const mockReq = { params: { username: "tester" }, body: { from: checkingId, to: cashId, amount: 50, type: "savings" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        accounts.findOne.mockResolvedValueOnce(checking).mockResolvedValueOnce(null)
+
+        await createTransfer(mockReq, mockRes)
+
+        expect(accounts.findOne).toHaveBeenCalledWith({ _id: cashId, username: "tester" })
+        expect(transactions.insertMany).not.toHaveBeenCalled()
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Account not Found." })
+    });
+
+    test('Should return 400 if the category does not exist', async () => {
+        const mockReq = { params: { username: "tester" }, body: { from: checkingId, to: cashId, amount: 50, type: "savings" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        accounts.findOne.mockResolvedValueOnce(checking).mockResolvedValueOnce(cash)
+        categories.findOne.mockResolvedValue(null)
+
+        await createTransfer(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Category does not exist!" })
+    });
+
+    test('Should return 401 if not authorized', async () => {
+        const mockReq = { params: { username: "tester" }, body: {} }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: false, cause: "Unauthorized" }))
+
+        await createTransfer(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(401)
+    });
+})
@@ -1,6 +1,7 @@
 import request from 'supertest';
 import { app } from '../app';
-import { User, Group } from '../models/User.js';
+import { User, Group, Session, LoginAttempt } from '../models/User.js';
+import { resetRateLimits } from '../controllers/limits';
 import { categories,transactions } from '../models/model';
 import jwt from 'jsonwebtoken';
 const bcrypt = require("bcryptjs")
@@ -32,6 +33,9 @@ beforeEach(async () => {
   await transactions.deleteMany({})
   await User.deleteMany({})
   await Group.deleteMany({})
+  await Session.deleteMany({})
+  await LoginAttempt.deleteMany({})
+  resetRateLimits()
 });
 
 /**
@@ -167,6 +171,7 @@ describe('registerAdmin', () => {
     //The API request must be awaited as well
     const response = await request(app)
       .post("/api/admin") 
+      .set("Cookie", `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`)
       .send({ username: 'user1', email: 'user1@ref.com', password: 'pass' })
 
     expect(response.status).toBe(200)
@@ -180,6 +185,7 @@ describe('registerAdmin', () => {
     //The API request must be awaited as well
     const response = await request(app)
       .post("/api/admin") 
+      .set("Cookie", `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`)
       .send({email: 'user1@ref.com', password: 'pass' })
 
     expect(response.status).toBe(400)
@@ -192,6 +198,7 @@ describe('registerAdmin', () => {
     //The API request must be awaited as well
     const response = await request(app)
       .post("/api/admin") 
+      .set("Cookie", `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`)
       .send({username: ' ', email: ' ', password: ' ' })
 
     expect(response.status).toBe(400)
@@ -204,6 +211,7 @@ describe('registerAdmin', () => {
     //The API request must be awaited as well
     const response = await request(app)
       .post("/api/admin") 
+      .set("Cookie", `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`)
       .send({ username: 'user1', email: 'user1ref.com', password: 'pass' })
 
     expect(response.status).toBe(400)
@@ -231,6 +239,7 @@ describe('registerAdmin', () => {
     //The API request must be awaited as well
     const response = await request(app)
       .post("/api/admin") 
+      .set("Cookie", `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`)
       .send({ username: 'user1', email: 'user1@ref.com', password: 'pass' })
 
     expect(response.status).toBe(400)
@@ -259,6 +268,7 @@ describe('registerAdmin', () => {
     //The API request must be awaited as well
     const response = await request(app)
       .post("/api/admin") 
+      .set("Cookie", `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`)
       .send({ username: 'user1', email: 'user1@ref.com', password: 'pass' })
 
     expect(response.status).toBe(400)
@@ -266,6 +276,42 @@ describe('registerAdmin', () => {
     expect(response.body.error).toBe("already existing user")
     //there is no "done" in this case to signal that the test has ended, as it ends automatically since it's not inside a "then" block
   });
+
+  test("registerAdmin: 401 error if the caller is not an Admin", async () => {
+    const response = await request(app)
+      .post("/api/admin")
+      .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+      .send({ username: 'user1', email: 'user1@ref.com', password: 'pass' })
+
+    expect(response.status).toBe(401)
+    expect(await User.countDocuments({ username: 'user1' })).toBe(0)
+  });
+
+  test("registerAdmin: the bootstrap secret registers the first Admin only", async () => {
+    process.env.ADMIN_BOOTSTRAP_SECRET = "bootstrap"
+    try {
+      const wrong = await request(app)
+        .post("/api/admin")
+        .set("X-Bootstrap-Secret", "guess")
+        .send({ username: 'user1', email: 'user1@ref.com', password: 'pass' })
+      expect(wrong.status).toBe(401)
+
+      const first = await request(app)
+        .post("/api/admin")
+        .set("X-Bootstrap-Secret", "bootstrap")
+        .send({ username: 'user1', email: 'user1@ref.com', password: 'pass' })
+      expect(first.status).toBe(200)
+      expect((await User.findOne({ username: 'user1' })).role).toBe("Admin")
+
+      const second = await request(app)
+        .post("/api/admin")
+        .set("X-Bootstrap-Secret", "bootstrap")
+        .send({ username: 'user2', email: 'user2@ref.com', password: 'pass' })
+      expect(second.status).toBe(401)
+    } finally {
+      delete process.env.ADMIN_BOOTSTRAP_SECRET
+    }
+  });
 });
 
 describe('login', () => { 
@@ -383,6 +429,83 @@ describe('login', () => {
   });
 });
 
+describe('refresh', () => {
+  const registerAndLogin = async (device) => {
+    await User.create({ username: 'user1', email: 'user1@ref.com', password: await bcrypt.hash('pass', 12) })
+    const login = await request(app)
+      .post("/api/login")
+      .send({ email: 'user1@ref.com', password: 'pass', device: device })
+    return login.body.data;
+  }
+
+  test('refresh: rotates the refresh token', async () => {
+    const { refreshToken } = await registerAndLogin("laptop");
+
+    const response = await request(app)
+      .post("/api/refresh")
+      .set("Cookie", `refreshToken=${refreshToken}`)
+
+    expect(response.status).toBe(200)
+    expect(response.body.data).toHaveProperty("accessToken")
+    expect(response.body.data.refreshToken).not.toBe(refreshToken)
+    const decoded = jwt.verify(response.body.data.refreshToken, process.env.ACCESS_KEY)
+    expect(decoded.family).toBe(jwt.decode(refreshToken).family)
+
+    const again = await request(app)
+      .post("/api/refresh")
+      .send({ refreshToken: response.body.data.refreshToken })
+
+    expect(again.status).toBe(200)
+  });
+
+  test('refresh: 401 error and revocation of the session if a refresh token is reused', async () => {
+    const { refreshToken } = await registerAndLogin("laptop");
+    const rotated = await request(app)
+      .post("/api/refresh")
+      .set("Cookie", `refreshToken=${refreshToken}`)
+
+    const reused = await request(app)
+      .post("/api/refresh")
+      .set("Cookie", `refreshToken=${refreshToken}`)
+
+    expect(reused.status).toBe(401)
+    expect(reused.body.error).toBe("Refresh token reused")
+
+    //the legitimate token of the session does not work anymore either
+    const legitimate = await request(app)
+      .post("/api/refresh")
+      .set("Cookie", `refreshToken=${rotated.body.data.refreshToken}`)
+
+    expect(legitimate.status).toBe(401)
+    expect(await Session.countDocuments({ revoked: true })).toBe(1)
+  });
+
+  test('refresh: a new login on the same device revokes the previous session only', async () => {
+    const first = await registerAndLogin("laptop");
+    await request(app)
+      .post("/api/login")
+      .send({ email: 'user1@ref.com', password: 'pass', device: "phone" })
+    await request(app)
+      .post("/api/login")
+      .send({ email: 'user1@ref.com', password: 'pass', device: "laptop" })
+
+    const response = await request(app)
+      .post("/api/refresh")
+      .set("Cookie", `refreshToken=${first.refreshToken}`)
+
+    expect(response.status).toBe(401)
+    expect(await Session.countDocuments({ username: 'user1', revoked: false })).toBe(2)
+  });
+
+  test('refresh: 401 error if there is no refresh token', async () => {
+    const response = await request(app)
+      .post("/api/refresh")
+
+    expect(response.status).toBe(401)
+    expect(response.body).toHaveProperty("error")
+  });
+});
+
 describe('logout', () => { 
     test('logout: logout with success', async () => {
       const password = 'pass';
@@ -437,3 +560,146 @@ describe('logout', () => {
       //there is no "done" in this case to signal that the test has ended, as it ends automatically since it's not inside a "then" block
     });
 });
+
+describe('sessions', () => {
+  const login = async (device) => {
+    const response = await request(app)
+      .post("/api/login")
+      .set("User-Agent", `${device}-agent`)
+      .send({ email: 'user1@ref.com', password: 'pass', device: device })
+    return response.body.data;
+  }
+
+  beforeEach(async () => {
+    await User.create({ username: 'user1', email: 'user1@ref.com', password: await bcrypt.hash('pass', 12) })
+  });
+
+  test('sessions: lists the active sessions marking the current one', async () => {
+    await login("phone")
+    const { accessToken, refreshToken } = await login("laptop")
+
+    const response = await request(app)
+      .get("/api/sessions")
+      .set("Cookie", `accessToken=${accessToken}; refreshToken=${refreshToken}`)
+
+    expect(response.status).toBe(200)
+    expect(response.body.data).toHaveLength(2)
+    const laptop = response.body.data.find((session) => session.device === "laptop")
+    expect(laptop).toEqual(expect.objectContaining({ userAgent: "laptop-agent", current: true }))
+    expect(laptop).toHaveProperty("ip")
+    expect(laptop).toHaveProperty("createdAt")
+    expect(laptop).toHaveProperty("lastUsedAt")
+    expect(response.body.data.find((session) => session.device === "phone").current).toBe(false)
+  });
+
+  test('sessions: revoking a session prevents its refresh', async () => {
+    const phone = await login("phone")
+    const { accessToken, refreshToken } = await login("laptop")
+
+    const response = await request(app)
+      .delete(`/api/sessions/${jwt.decode(phone.refreshToken).family}`)
+      .set("Cookie", `accessToken=${accessToken}; refreshToken=${refreshToken}`)
+
+    expect(response.status).toBe(200)
+    const refresh = await request(app)
+      .post("/api/refresh")
+      .send({ refreshToken: phone.refreshToken })
+    expect(refresh.status).toBe(401)
+    expect(refresh.body.error).toBe("Refresh token revoked")
+  });
+
+  test('sessions: 400 error when revoking a session of another user', async () => {
+    const { accessToken, refreshToken } = await login("laptop")
+    const other = await Session.create({ username: 'user2', jti: 'first', expiresAt: new Date(Date.now() + 60000) })
+
+    const response = await request(app)
+      .delete(`/api/sessions/${other._id}`)
+      .set("Cookie", `accessToken=${accessToken}; refreshToken=${refreshToken}`)
+
+    expect(response.status).toBe(400)
+    expect(response.body.error).toBe("Session not Found.")
+    expect((await Session.findById(other._id)).revoked).toBe(false)
+  });
+
+  test('sessions: logging out everywhere revokes every session', async () => {
+    await login("phone")
+    await login("tablet")
+    const { accessToken, refreshToken } = await login("laptop")
+
+    const response = await request(app)
+      .delete("/api/sessions")
+      .set("Cookie", `accessToken=${accessToken}; refreshToken=${refreshToken}`)
+
+    expect(response.status).toBe(200)
+    expect(response.body.data.count).toBe(3)
+    expect(await Session.countDocuments({ username: 'user1', revoked: false })).toBe(0)
+  });
+
+  test('sessions: 401 error if the user is not authenticated', async () => {
+    const response = await request(app)
+      .get("/api/sessions")
+
+    expect(response.status).toBe(401)
+  });
+});
+
+describe('bearer tokens', () => {
+  beforeEach(async () => {
+    await User.create({ username: 'user1', email: 'user1@ref.com', password: await bcrypt.hash('pass', 12) })
+  });
+
+  test('bearer: the access token of the login authenticates the requests', async () => {
+    const login = await request(app)
+      .post("/api/login")
+      .send({ email: 'user1@ref.com', password: 'pass', device: "cli" })
+
+    const response = await request(app)
+      .get("/api/users/user1")
+      .set("Authorization", `Bearer ${login.body.data.accessToken}`)
+
+    expect(response.status).toBe(200)
+    expect(response.body.data.username).toBe('user1')
+  });
+
+  test('bearer: 401 error for the routes of another user', async () => {
+    const login = await request(app)
+      .post("/api/login")
+      .send({ email: 'user1@ref.com', password: 'pass' })
+
+    const response = await request(app)
+      .get("/api/users/user2")
+      .set("Authorization", `Bearer ${login.body.data.accessToken}`)
+
+    expect(response.status).toBe(401)
+  });
+
+  test('bearer: 401 error if the refresh token is sent as bearer token', async () => {
+    const login = await request(app)
+      .post("/api/login")
+      .send({ email: 'user1@ref.com', password: 'pass' })
+
+    const response = await request(app)
+      .get("/api/users/user1")
+      .set("Authorization", `Bearer ${login.body.data.refreshToken}`)
+
+    expect(response.status).toBe(401)
+  });
+
+  test('bearer: refreshing through the body and logging out with the refresh token', async () => {
+    const login = await request(app)
+      .post("/api/login")
+      .send({ email: 'user1@ref.com', password: 'pass', device: "cli" })
+    const refreshed = await request(app)
+      .post("/api/refresh")
+      .send({ refreshToken: login.body.data.refreshToken })
+    const { accessToken, refreshToken } = refreshed.body.data
+
+    const logout = await request(app)
+      .get("/api/logout")
+      .set("Authorization", `Bearer ${accessToken}`)
+      .send({ refreshToken: refreshToken })
+
+    expect(logout.status).toBe(200)
+    expect(await Session.countDocuments({ username: 'user1', revoked: false })).toBe(0)
+  });
+});
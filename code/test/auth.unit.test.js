@@ -1,18 +1,31 @@
 import request from 'supertest';
 import { app } from '../app';
 import jwt from 'jsonwebtoken';
-import { User } from '../models/User.js';
-import { login, logout, register, registerAdmin } from '../controllers/auth';
+import { User, Session } from '../models/User.js';
+import { sendMail } from '../controllers/mail';
+import { getLoginRetryDelay, recordLoginFailure, clearLoginFailures } from '../controllers/limits';
+import { login, loginTwoFactor, logout, register, registerAdmin, bootstrapAdmin, refresh, getSessions, deleteSession, deleteSessions } from '../controllers/auth';
 const bcrypt = require("bcryptjs")
 
 jest.mock("bcryptjs")
 jest.mock('../models/User.js');
+jest.mock('../controllers/mail');
+// the failed logins are counted in a model whose mocks are shared with the other models, so the limits are replaced as a whole;
+// rateLimit is called by the routes loaded with the app, so it has to return a middleware
+jest.mock('../controllers/limits', () => ({
+    getLoginRetryDelay: jest.fn(),
+    recordLoginFailure: jest.fn(),
+    clearLoginFailures: jest.fn(),
+    rateLimit: () => (req, res, next) => next(),
+    resetRateLimits: jest.fn()
+}));
 
 beforeEach(() => {
     jest.clearAllMocks()
 });
 
 const VerifyAuthmodule = require('../controllers/utils');
+const TwoFactorModule = require('../controllers/twofactor');
 
 /*
 register
@@ -53,8 +66,8 @@ describe('register', () => {
 
         await register(mockReq, mockRes)
 
-        expect(User.findOne).toHaveBeenCalledWith({ email: "mario.red@email.com" })
-        expect(User.findOne).toHaveBeenCalledWith({ username: "Mario" })
+        expect(User.findOne).toHaveBeenCalledWith({ email: "mario.red@email.com" }, null, { withDeleted: true })
+        expect(User.findOne).toHaveBeenCalledWith({ username: "Mario" }, null, { withDeleted: true })
         expect(User.create).toHaveBeenCalledWith({
             username: "Mario",
             email: "mario.red@email.com",
@@ -63,6 +76,17 @@ describe('register', () => {
         expect(mockRes.status).toHaveBeenCalledWith(200)
         expect(mockRes.json).toHaveBeenCalledWith(response)
     });
+    test('Register an User, should mail a verification token to the user', async () => {
+        const mockReq = { body: { username: "Mario", email: "mario.red@email.com", password: "securePass" } }
+        const mockRes = { status: jest.fn().mockReturnThis(), json: jest.fn(), locals: {} }
+        jest.spyOn(User, "findOne").mockImplementation(() => null)
+        jest.spyOn(User, "create").mockImplementation(() => null)
+
+        await register(mockReq, mockRes)
+
+        expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: "mario.red@email.com", text: expect.stringMatching(/\/api\/verify\/[0-9a-f]{64}/) }))
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+    });
 
     test('Register an User with missing body parameters, should return 400', async () => {
         const mockReq = {
@@ -157,7 +181,7 @@ describe('register', () => {
 
         await register(mockReq, mockRes)
 
-        expect(User.findOne).toHaveBeenCalledWith({ username: "Mario" })
+        expect(User.findOne).toHaveBeenCalledWith({ username: "Mario" }, null, { withDeleted: true })
         expect(mockRes.status).toHaveBeenCalledWith(400)
         expect(mockRes.json).toHaveBeenCalledWith(response)
     });
@@ -191,7 +215,41 @@ describe('register', () => {
 
         await register(mockReq, mockRes)
 
-        expect(User.findOne).toHaveBeenCalledWith({ email: "mario.red@email.com" })
+        expect(User.findOne).toHaveBeenCalledWith({ email: "mario.red@email.com" }, null, { withDeleted: true })
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith(response)
+    });
+
+    test('Register an User, user in the trash, should return 400', async () => {
+        const mockReq = {
+            body: {
+                username: "Mario",
+                email: "mario.red@email.com",
+                password: "securePass"
+            }
+        }
+        const mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn(),
+            locals: jest.fn(),
+        }
+
+        const resAuth = { authorized: true, cause: "Authorized" };
+        const response = { error: "User is in the trash, ask an Admin to restore it" };
+
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => resAuth)
+        jest.spyOn(User, "findOne").mockImplementation(() => {
+            return {
+                username: "Mario",
+                email: "mario.red@email.com",
+                password: "pass",
+                deletedAt: new Date()
+            };
+        });
+
+        await register(mockReq, mockRes)
+
+        expect(User.findOne).toHaveBeenCalledWith({ username: "Mario" }, null, { withDeleted: true })
         expect(mockRes.status).toHaveBeenCalledWith(400)
         expect(mockRes.json).toHaveBeenCalledWith(response)
     });
@@ -222,8 +280,8 @@ describe("registerAdmin", () => {
 
         await registerAdmin(mockReq, mockRes)
 
-        expect(User.findOne).toHaveBeenCalledWith({ email: "mario.red@email.com" })
-        expect(User.findOne).toHaveBeenCalledWith({ username: "Mario" })
+        expect(User.findOne).toHaveBeenCalledWith({ email: "mario.red@email.com" }, null, { withDeleted: true })
+        expect(User.findOne).toHaveBeenCalledWith({ username: "Mario" }, null, { withDeleted: true })
         expect(User.create).toHaveBeenCalledWith({
             username: "Mario",
             email: "mario.red@email.com",
@@ -327,7 +385,7 @@ describe("registerAdmin", () => {
 
         await registerAdmin(mockReq, mockRes)
 
-        expect(User.findOne).toHaveBeenCalledWith({ username: "Mario" })
+        expect(User.findOne).toHaveBeenCalledWith({ username: "Mario" }, null, { withDeleted: true })
         expect(mockRes.status).toHaveBeenCalledWith(400)
         expect(mockRes.json).toHaveBeenCalledWith(response)
     });
@@ -361,7 +419,41 @@ describe("registerAdmin", () => {
 
         await registerAdmin(mockReq, mockRes)
 
-        expect(User.findOne).toHaveBeenCalledWith({ email: "mario.red@email.com" })
+        expect(User.findOne).toHaveBeenCalledWith({ email: "mario.red@email.com" }, null, { withDeleted: true })
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith(response)
+    });
+
+    test('Register an Admin, user in the trash, should return 400', async () => {
+        const mockReq = {
+            body: {
+                username: "Mario",
+                email: "mario.red@email.com",
+                password: "securePass"
+            }
+        }
+        const mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn(),
+            locals: jest.fn(),
+        }
+
+        const resAuth = { authorized: true, cause: "Authorized" };
+        const response = { error: "User is in the trash, restore it" };
+
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => resAuth)
+        jest.spyOn(User, "findOne").mockImplementation(() => {
+            return {
+                username: "Mario",
+                email: "mario.red@email.com",
+                password: "pass",
+                deletedAt: new Date()
+            };
+        });
+
+        await registerAdmin(mockReq, mockRes)
+
+        expect(User.findOne).toHaveBeenCalledWith({ username: "Mario" }, null, { withDeleted: true })
         expect(mockRes.status).toHaveBeenCalledWith(400)
         expect(mockRes.json).toHaveBeenCalledWith(response)
     });
@@ -380,6 +472,100 @@ Returns a 400 error if the email in the request body is not in a valid email for
 Returns a 400 error if the email in the request body does not identify a user in the database
 Returns a 400 error if the supplied password does not match with the one in the database 
 */
+describe("registerAdmin authentication", () => {
+    const mockRequest = (headers = {}) => ({ headers: headers, body: { username: "Mario", email: "mario.red@email.com", password: "securePass" } })
+    const mockResponse = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn(), locals: {} })
+
+    afterEach(() => {
+        delete process.env.ADMIN_BOOTSTRAP_SECRET
+    });
+
+    test('Register an Admin without Admin auth, should return 401', async () => {
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: false, cause: "Admin: Mismatched role" }))
+        jest.spyOn(User, "create").mockImplementation(() => null)
+        const mockRes = mockResponse()
+
+        await registerAdmin(mockRequest(), mockRes)
+
+        expect(User.create).not.toHaveBeenCalled()
+        expect(mockRes.status).toHaveBeenCalledWith(401)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Admin: Mismatched role" })
+    });
+
+    test('Register the first Admin with the bootstrap secret, should register it with success', async () => {
+        process.env.ADMIN_BOOTSTRAP_SECRET = "s3cret"
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: false, cause: "Unauthorized" }))
+        jest.spyOn(User, "findOne").mockImplementation(() => null)
+        jest.spyOn(User, "create").mockImplementation(() => null)
+        const mockRes = mockResponse()
+
+        await registerAdmin(mockRequest({ "x-bootstrap-secret": "s3cret" }), mockRes)
+
+        expect(User.findOne).toHaveBeenCalledWith({ role: "Admin" })
+        expect(User.create).toHaveBeenCalledWith(expect.objectContaining({ username: "Mario", role: "Admin" }))
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+    });
+
+    test('Register an Admin with the bootstrap secret when an Admin exists, should return 401', async () => {
+        process.env.ADMIN_BOOTSTRAP_SECRET = "s3cret"
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: false, cause: "Unauthorized" }))
+        jest.spyOn(User, "findOne").mockImplementation(() => ({ username: "admin", role: "Admin" }))
+        jest.spyOn(User, "create").mockImplementation(() => null)
+        const mockRes = mockResponse()
+
+        await registerAdmin(mockRequest({ "x-bootstrap-secret": "s3cret" }), mockRes)
+
+        expect(User.create).not.toHaveBeenCalled()
+        expect(mockRes.status).toHaveBeenCalledWith(401)
+    });
+
+    test('Register an Admin with a wrong bootstrap secret, should return 401', async () => {
+        process.env.ADMIN_BOOTSTRAP_SECRET = "s3cret"
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: false, cause: "Unauthorized" }))
+        jest.spyOn(User, "findOne").mockImplementation(() => null)
+        const mockRes = mockResponse()
+
+        await registerAdmin(mockRequest({ "x-bootstrap-secret": "guess" }), mockRes)
+
+        expect(User.findOne).not.toHaveBeenCalled()
+        expect(mockRes.status).toHaveBeenCalledWith(401)
+    });
+
+    test('Register an Admin with a bootstrap secret when none is configured, should return 401', async () => {
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: false, cause: "Unauthorized" }))
+        const mockRes = mockResponse()
+
+        await registerAdmin(mockRequest({ "x-bootstrap-secret": "" }), mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(401)
+    });
+});
+
+describe("bootstrapAdmin", () => {
+    test('should create a verified Admin on a database without admins', async () => {
+        jest.spyOn(User, "findOne").mockImplementation(() => null)
+        jest.spyOn(User, "create").mockImplementation(async (user) => user)
+        jest.spyOn(bcrypt, "hash").mockImplementation(async () => "hashed")
+
+        const admin = await bootstrapAdmin({ username: "admin", email: "admin@email.com", password: "securePass" })
+
+        expect(admin).toEqual({ username: "admin", email: "admin@email.com", password: "hashed", role: "Admin", verified: true })
+    });
+
+    test('should throw an error if an Admin already exists', async () => {
+        jest.spyOn(User, "findOne").mockImplementation(() => ({ username: "admin", role: "Admin" }))
+        jest.spyOn(User, "create").mockImplementation(() => null)
+
+        await expect(bootstrapAdmin({ username: "other", email: "other@email.com", password: "securePass" })).rejects.toBe("An Admin already exists")
+        expect(User.create).not.toHaveBeenCalled()
+    });
+
+    test('should throw an error if a parameter is missing or the email is not valid', async () => {
+        await expect(bootstrapAdmin({ username: "admin", password: "securePass" })).rejects.toBe("Some Parameter is Missing")
+        await expect(bootstrapAdmin({ username: "admin", email: "admin", password: "securePass" })).rejects.toBe("Invalid email format")
+    });
+});
+
 describe('login', () => {
     test('User Login, should register it with success', async () => {
         process.env.ACCESS_KEY = 'EZWALLET';
@@ -413,15 +599,6 @@ describe('login', () => {
             username: existingUser.username,
             role: existingUser.role
         }, process.env.ACCESS_KEY, { expiresIn: '1h' })
-        //CREATE REFRESH TOKEN
-        const refreshToken = jwt.sign({
-            email: existingUser.email,
-            id: existingUser.id,
-            username: existingUser.username,
-            role: existingUser.role
-        }, process.env.ACCESS_KEY, { expiresIn: '7d' })
-
-        const response = { data: { accessToken: accessToken, refreshToken: refreshToken } };
         //any time the `User.findOne()` method is called jest will replace its actual implementation with the one defined below
         jest.spyOn(User, "findOne").mockImplementation(() => existingUser);
         jest.spyOn(bcrypt, "compare").mockImplementation(() => true);
@@ -431,7 +608,90 @@ describe('login', () => {
         expect(User.findOne).toHaveBeenCalledWith({ email: "mario.red@email.com" })
         expect(bcrypt.compare).toHaveBeenCalledWith(mockReq.body.password, existingUser.password)
         expect(mockRes.status).toHaveBeenCalledWith(200)
-        expect(mockRes.json).toHaveBeenCalledWith(response)
+        const data = mockRes.json.mock.calls[0][0].data;
+        expect(data.accessToken).toEqual(accessToken)
+        //the refresh token also identifies the session of the device and its position in the session
+        const refreshToken = jwt.verify(data.refreshToken, process.env.ACCESS_KEY);
+        expect(refreshToken).toEqual(expect.objectContaining({ email: existingUser.email, username: existingUser.username, role: existingUser.role }))
+        expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({ username: "Mario", device: "unknown", jti: refreshToken.jti }))
+        expect(Session.create.mock.calls[0][0]._id.toString()).toEqual(refreshToken.family)
+    });
+    test('User Login from a device, should revoke the previous session of the device', async () => {
+        process.env.ACCESS_KEY = 'EZWALLET';
+        const mockReq = {
+            body: { email: "mario.red@email.com", password: "securePass", device: "laptop" },
+            headers: { "user-agent": "Mozilla/5.0" }
+        }
+        const mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn(),
+            locals: jest.fn(),
+            cookie: jest.fn(),
+        }
+        const existingUser = { email: "mario.red@email.com", id: '6429bef916d9643d863aa7b7', username: "Mario", role: "Regular", password: "securePass", save: jest.fn() }
+        jest.spyOn(User, "findOne").mockImplementation(() => existingUser);
+        jest.spyOn(bcrypt, "compare").mockImplementation(() => true);
+
+        await login(mockReq, mockRes)
+
+        expect(Session.updateMany).toHaveBeenCalledWith({ username: "Mario", device: "laptop", revoked: false }, { $set: { revoked: true } })
+        expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({ device: "laptop", userAgent: "Mozilla/5.0" }))
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+    });
+    test('User Login, should bind the cookies to the host unless COOKIE_DOMAIN is set', async () => {
+        process.env.ACCESS_KEY = 'EZWALLET';
+        const mockReq = { body: { email: "mario.red@email.com", password: "securePass" } }
+        const mockResponse = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn(), locals: {}, cookie: jest.fn() })
+        const existingUser = { email: "mario.red@email.com", id: '6429bef916d9643d863aa7b7', username: "Mario", role: "Regular", password: "securePass", save: jest.fn() }
+        jest.spyOn(User, "findOne").mockImplementation(() => existingUser);
+        jest.spyOn(bcrypt, "compare").mockImplementation(() => true);
+
+        const hostRes = mockResponse()
+        await login(mockReq, hostRes)
+        expect(hostRes.cookie.mock.calls[0][2]).not.toHaveProperty("domain")
+
+        process.env.COOKIE_DOMAIN = "ezwallet.example.com"
+        const domainRes = mockResponse()
+        await login(mockReq, domainRes)
+        delete process.env.COOKIE_DOMAIN
+        expect(domainRes.cookie).toHaveBeenCalledWith("accessToken", expect.any(String), expect.objectContaining({ domain: "ezwallet.example.com" }))
+        expect(domainRes.cookie).toHaveBeenCalledWith("refreshToken", expect.any(String), expect.objectContaining({ domain: "ezwallet.example.com" }))
+    });
+    test('User Login of an unverified user, should return 400 only if the verification is required for login', async () => {
+        process.env.ACCESS_KEY = 'EZWALLET';
+        const mockReq = { body: { email: "mario.red@email.com", password: "securePass" } }
+        const mockResponse = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn(), locals: {}, cookie: jest.fn() })
+        const existingUser = { email: "mario.red@email.com", id: '6429bef916d9643d863aa7b7', username: "Mario", role: "Regular", password: "securePass", verified: false, save: jest.fn() }
+        jest.spyOn(User, "findOne").mockImplementation(() => existingUser);
+        jest.spyOn(bcrypt, "compare").mockImplementation(() => true);
+
+        const allowedRes = mockResponse()
+        await login(mockReq, allowedRes)
+        expect(allowedRes.status).toHaveBeenCalledWith(200)
+
+        process.env.EMAIL_VERIFICATION_REQUIRED = "login"
+        const rejectedRes = mockResponse()
+        await login(mockReq, rejectedRes)
+        delete process.env.EMAIL_VERIFICATION_REQUIRED
+        expect(rejectedRes.status).toHaveBeenCalledWith(400)
+        expect(rejectedRes.json).toHaveBeenCalledWith({ error: "Email not verified" })
+        expect(rejectedRes.cookie).not.toHaveBeenCalled()
+    });
+    test('User Login of a disabled user, should return 400 without starting a session', async () => {
+        process.env.ACCESS_KEY = 'EZWALLET';
+        const mockReq = { body: { email: "mario.red@email.com", password: "securePass" } }
+        const mockRes = { status: jest.fn().mockReturnThis(), json: jest.fn(), locals: {}, cookie: jest.fn() }
+        const existingUser = { email: "mario.red@email.com", id: '6429bef916d9643d863aa7b7', username: "Mario", role: "Regular", password: "securePass", verified: true, disabled: true }
+        jest.spyOn(User, "findOne").mockImplementation(() => existingUser);
+        jest.spyOn(bcrypt, "compare").mockImplementation(() => true);
+        jest.spyOn(Session, "create").mockImplementation(() => null);
+
+        await login(mockReq, mockRes)
+
+        expect(Session.create).not.toHaveBeenCalled()
+        expect(mockRes.cookie).not.toHaveBeenCalled()
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "User disabled" })
     });
     test('User Login with not all necessary attributes, should return 400', async () => {
         const mockReq = {
@@ -562,6 +822,302 @@ describe('login', () => {
     });
 });
 
+describe('login limits', () => {
+    const mockRequest = (password) => ({ body: { email: "mario.red@email.com", password: password }, ip: "10.0.0.1", headers: {} })
+    const mockResponse = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn(), set: jest.fn(), cookie: jest.fn(), locals: {} })
+    const existingUser = { email: "mario.red@email.com", id: '6429bef916d9643d863aa7b7', username: "Mario", role: "Regular", password: "hashed", verified: true }
+
+    test('Login while the account or the address has to wait, should return 429 without checking the password', async () => {
+        getLoginRetryDelay.mockResolvedValueOnce(4500)
+        jest.spyOn(User, "findOne").mockImplementation(() => existingUser)
+        jest.spyOn(bcrypt, "compare").mockImplementation(() => true)
+        const mockRes = mockResponse()
+
+        await login(mockRequest("securePass"), mockRes)
+
+        expect(getLoginRetryDelay).toHaveBeenCalledWith("mario.red@email.com", "10.0.0.1")
+        expect(bcrypt.compare).not.toHaveBeenCalled()
+        expect(mockRes.set).toHaveBeenCalledWith("Retry-After", "5")
+        expect(mockRes.status).toHaveBeenCalledWith(429)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Too many failed login attempts, retry later" })
+    });
+
+    test('Login with a wrong password, should record the failure', async () => {
+        getLoginRetryDelay.mockResolvedValueOnce(0)
+        jest.spyOn(User, "findOne").mockImplementation(() => existingUser)
+        jest.spyOn(bcrypt, "compare").mockImplementation(() => false)
+        const mockRes = mockResponse()
+
+        await login(mockRequest("wrongPass"), mockRes)
+
+        expect(recordLoginFailure).toHaveBeenCalledWith("mario.red@email.com", "10.0.0.1")
+        expect(clearLoginFailures).not.toHaveBeenCalled()
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+    });
+
+    test('Login with an unknown email, should record the failure', async () => {
+        getLoginRetryDelay.mockResolvedValueOnce(0)
+        jest.spyOn(User, "findOne").mockImplementation(() => null)
+        const mockRes = mockResponse()
+
+        await login(mockRequest("securePass"), mockRes)
+
+        expect(recordLoginFailure).toHaveBeenCalledWith("mario.red@email.com", "10.0.0.1")
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+    });
+
+    test('Login with the right password, should forget the failures of the account', async () => {
+        getLoginRetryDelay.mockResolvedValueOnce(0)
+        jest.spyOn(User, "findOne").mockImplementation(() => existingUser)
+        jest.spyOn(bcrypt, "compare").mockImplementation(() => true)
+        jest.spyOn(Session, "updateMany").mockImplementation(() => null)
+        jest.spyOn(Session, "create").mockImplementation(() => null)
+        const mockRes = mockResponse()
+
+        await login(mockRequest("securePass"), mockRes)
+
+        expect(clearLoginFailures).toHaveBeenCalledWith("mario.red@email.com")
+        expect(recordLoginFailure).not.toHaveBeenCalled()
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+    });
+});
+
+describe('two-factor login', () => {
+    const mockResponse = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn(), set: jest.fn(), cookie: jest.fn(), locals: {} })
+    const twoFactorUser = { email: "mario.red@email.com", id: '6429bef916d9643d863aa7b7', username: "Mario", role: "Regular", password: "hashed", verified: true, twoFactor: { enabled: true, secret: "GEZDGNBVGY3TQOJQ" } }
+    const challengeFor = (claims, expiresIn = '5m') => jwt.sign(claims, process.env.ACCESS_KEY, { expiresIn: expiresIn })
+
+    beforeEach(() => {
+        process.env.ACCESS_KEY = 'EZWALLET';
+    });
+
+    test('Login of a user with the two-factor authentication, should return a challenge token instead of the tokens', async () => {
+        const mockReq = { body: { email: "mario.red@email.com", password: "securePass", device: "laptop" }, ip: "10.0.0.1", headers: {} }
+        const mockRes = mockResponse()
+        jest.spyOn(User, "findOne").mockImplementation(() => twoFactorUser)
+        jest.spyOn(bcrypt, "compare").mockImplementation(() => true)
+        jest.spyOn(Session, "create").mockImplementation(() => null)
+
+        await login(mockReq, mockRes)
+
+        expect(Session.create).not.toHaveBeenCalled()
+        expect(mockRes.cookie).not.toHaveBeenCalled()
+        expect(clearLoginFailures).not.toHaveBeenCalled()
+        const data = mockRes.json.mock.calls[0][0].data
+        expect(data.twoFactorRequired).toBe(true)
+        const challenge = jwt.verify(data.challengeToken, process.env.ACCESS_KEY)
+        expect(challenge).toEqual(expect.objectContaining({ username: "Mario", device: "laptop", purpose: "2fa" }))
+        expect(challenge.exp - challenge.iat).toBe(300)
+    });
+
+    test('Complete the login with a valid code, should start the session of the device of the challenge', async () => {
+        const mockReq = { body: { challengeToken: challengeFor({ username: "Mario", device: "laptop", purpose: "2fa" }), code: "123456" }, ip: "10.0.0.1", headers: {} }
+        const mockRes = mockResponse()
+        jest.spyOn(User, "findOne").mockImplementation(() => twoFactorUser)
+        jest.spyOn(TwoFactorModule, "useSecondFactor").mockImplementation(async () => true)
+        jest.spyOn(Session, "updateMany").mockImplementation(() => null)
+        jest.spyOn(Session, "create").mockImplementation(() => null)
+        getLoginRetryDelay.mockResolvedValueOnce(0)
+
+        await loginTwoFactor(mockReq, mockRes)
+
+        expect(User.findOne).toHaveBeenCalledWith({ username: "Mario" })
+        expect(TwoFactorModule.useSecondFactor).toHaveBeenCalledWith(twoFactorUser, { code: "123456", recoveryCode: undefined })
+        expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({ username: "Mario", device: "laptop" }))
+        expect(clearLoginFailures).toHaveBeenCalledWith("mario.red@email.com")
+        expect(mockRes.cookie).toHaveBeenCalledTimes(2)
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.json.mock.calls[0][0].data).toEqual({ accessToken: expect.any(String), refreshToken: expect.any(String) })
+    });
+
+    test('Complete the login with a wrong code, should record a failed login', async () => {
+        const mockReq = { body: { challengeToken: challengeFor({ username: "Mario", device: "laptop", purpose: "2fa" }), recoveryCode: "abcde-12345" }, ip: "10.0.0.1", headers: {} }
+        const mockRes = mockResponse()
+        jest.spyOn(User, "findOne").mockImplementation(() => twoFactorUser)
+        jest.spyOn(TwoFactorModule, "useSecondFactor").mockImplementation(async () => false)
+        jest.spyOn(Session, "create").mockImplementation(() => null)
+        getLoginRetryDelay.mockResolvedValueOnce(0)
+
+        await loginTwoFactor(mockReq, mockRes)
+
+        expect(recordLoginFailure).toHaveBeenCalledWith("mario.red@email.com", "10.0.0.1")
+        expect(Session.create).not.toHaveBeenCalled()
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Code not valid" })
+    });
+
+    test('Complete the login while the account has to wait, should return 429 without checking the code', async () => {
+        const mockReq = { body: { challengeToken: challengeFor({ username: "Mario", device: "laptop", purpose: "2fa" }), code: "123456" }, ip: "10.0.0.1", headers: {} }
+        const mockRes = mockResponse()
+        jest.spyOn(User, "findOne").mockImplementation(() => twoFactorUser)
+        jest.spyOn(TwoFactorModule, "useSecondFactor").mockImplementation(async () => true)
+        getLoginRetryDelay.mockResolvedValueOnce(2000)
+
+        await loginTwoFactor(mockReq, mockRes)
+
+        expect(TwoFactorModule.useSecondFactor).not.toHaveBeenCalled()
+        expect(mockRes.status).toHaveBeenCalledWith(429)
+    });
+
+    test('Complete the login of a user disabled after the first step, should return 400 without checking the code', async () => {
+        const mockReq = { body: { challengeToken: challengeFor({ username: "Mario", device: "laptop", purpose: "2fa" }), code: "123456" }, ip: "10.0.0.1", headers: {} }
+        const mockRes = mockResponse()
+        jest.spyOn(User, "findOne").mockImplementation(() => ({ ...twoFactorUser, disabled: true }))
+        jest.spyOn(TwoFactorModule, "useSecondFactor").mockImplementation(async () => true)
+        jest.spyOn(Session, "create").mockImplementation(() => null)
+
+        await loginTwoFactor(mockReq, mockRes)
+
+        expect(TwoFactorModule.useSecondFactor).not.toHaveBeenCalled()
+        expect(Session.create).not.toHaveBeenCalled()
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "User disabled" })
+    });
+
+    test('Complete the login with an expired or foreign challenge token, should return 400', async () => {
+        jest.spyOn(User, "findOne").mockImplementation(() => twoFactorUser)
+        const expiredRes = mockResponse()
+        await loginTwoFactor({ body: { challengeToken: challengeFor({ username: "Mario", purpose: "2fa" }, '0s'), code: "123456" }, headers: {} }, expiredRes)
+        const accessRes = mockResponse()
+        await loginTwoFactor({ body: { challengeToken: challengeFor({ username: "Mario", email: "mario.red@email.com", role: "Regular" }), code: "123456" }, headers: {} }, accessRes)
+
+        expect(expiredRes.status).toHaveBeenCalledWith(400)
+        expect(expiredRes.json).toHaveBeenCalledWith({ error: "Challenge token not valid" })
+        expect(accessRes.status).toHaveBeenCalledWith(400)
+        expect(accessRes.json).toHaveBeenCalledWith({ error: "Challenge token not valid" })
+    });
+
+    test('Complete the login without the code, should return 400', async () => {
+        const mockRes = mockResponse()
+
+        await loginTwoFactor({ body: { challengeToken: "token" }, headers: {} }, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Some Parameter is Missing" })
+    });
+});
+
+describe('refresh', () => {
+    const familyId = '6470c8f1a1b2c3d4e5f60001';
+    const existingUser = () => ({ email: "mario.red@email.com", id: '6429bef916d9643d863aa7b7', username: "Mario", role: "Regular", save: jest.fn() });
+    const mockResponse = () => ({
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn(),
+        locals: {},
+        cookie: jest.fn(),
+    });
+    const rotatingToken = (options = { expiresIn: '7d' }) => jwt.sign({ username: 'Mario', email: "mario.red@email.com", role: "Regular", family: familyId, jti: "first" }, process.env.ACCESS_KEY, options);
+
+    test('Refresh, should rotate the refresh token of the session', async () => {
+        process.env.ACCESS_KEY = 'EZWALLET';
+        const mockReq = { cookies: { refreshToken: rotatingToken() }, body: {} }
+        const mockRes = mockResponse()
+        const user = existingUser();
+        jest.spyOn(User, "findOne").mockImplementation(() => user);
+        Session.findOneAndUpdate.mockResolvedValueOnce({ _id: familyId });
+
+        await refresh(mockReq, mockRes)
+
+        expect(Session.findOneAndUpdate).toHaveBeenCalledWith(
+            { _id: familyId, jti: "first", revoked: false },
+            { $set: { jti: expect.any(String), lastUsedAt: expect.any(Date), expiresAt: expect.any(Date) } },
+            { new: true }
+        )
+        const newJti = Session.findOneAndUpdate.mock.calls[0][1].$set.jti;
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        const data = mockRes.json.mock.calls[0][0].data;
+        expect(jwt.verify(data.accessToken, process.env.ACCESS_KEY)).toEqual(expect.objectContaining({ username: "Mario", role: "Regular" }))
+        expect(jwt.verify(data.refreshToken, process.env.ACCESS_KEY)).toEqual(expect.objectContaining({ username: "Mario", family: familyId, jti: newJti }))
+        expect(mockRes.cookie).toHaveBeenCalledWith("refreshToken", data.refreshToken, expect.any(Object))
+    });
+
+    test('Refresh with the token in the body, should rotate it', async () => {
+        process.env.ACCESS_KEY = 'EZWALLET';
+        const mockReq = { cookies: {}, body: { refreshToken: rotatingToken() } }
+        const mockRes = mockResponse()
+        jest.spyOn(User, "findOne").mockImplementation(() => existingUser());
+        Session.findOneAndUpdate.mockResolvedValueOnce({ _id: familyId });
+
+        await refresh(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+    });
+
+    test('Refresh with an already used token, should revoke the session and return 401', async () => {
+        process.env.ACCESS_KEY = 'EZWALLET';
+        const mockReq = { cookies: { refreshToken: rotatingToken() }, body: {} }
+        const mockRes = mockResponse()
+        jest.spyOn(User, "findOne").mockImplementation(() => existingUser());
+        Session.findOneAndUpdate.mockResolvedValueOnce(null).mockResolvedValueOnce({ _id: familyId, revoked: false });
+
+        await refresh(mockReq, mockRes)
+
+        expect(Session.findOneAndUpdate).toHaveBeenLastCalledWith({ _id: familyId, revoked: false }, { $set: { revoked: true } })
+        expect(mockRes.status).toHaveBeenCalledWith(401)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Refresh token reused" })
+    });
+
+    test('Refresh with a token of a revoked session, should return 401', async () => {
+        process.env.ACCESS_KEY = 'EZWALLET';
+        const mockReq = { cookies: { refreshToken: rotatingToken() }, body: {} }
+        const mockRes = mockResponse()
+        jest.spyOn(User, "findOne").mockImplementation(() => existingUser());
+        Session.findOneAndUpdate.mockResolvedValueOnce(null).mockResolvedValueOnce(null);
+
+        await refresh(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(401)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Refresh token revoked" })
+    });
+
+    test('Refresh with a token of a disabled user, should return 401 without rotating it', async () => {
+        process.env.ACCESS_KEY = 'EZWALLET';
+        const mockReq = { cookies: { refreshToken: rotatingToken() }, body: {} }
+        const mockRes = mockResponse()
+        jest.spyOn(User, "findOne").mockImplementation(() => ({ ...existingUser(), disabled: true }));
+
+        await refresh(mockReq, mockRes)
+
+        expect(Session.findOneAndUpdate).not.toHaveBeenCalled()
+        expect(mockRes.cookie).not.toHaveBeenCalled()
+        expect(mockRes.status).toHaveBeenCalledWith(401)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "User disabled" })
+    });
+
+    test('Refresh with an expired token, should return 401', async () => {
+        process.env.ACCESS_KEY = 'EZWALLET';
+        const mockReq = { cookies: { refreshToken: rotatingToken({ expiresIn: '0s' }) }, body: {} }
+        const mockRes = mockResponse()
+
+        await refresh(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(401)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Perform login again" })
+    });
+
+    test('Refresh with a token without session, should return 401', async () => {
+        process.env.ACCESS_KEY = 'EZWALLET';
+        const mockReq = { cookies: { refreshToken: jwt.sign({ username: 'Mario', email: "mario.red@email.com", role: "Regular" }, process.env.ACCESS_KEY) }, body: {} }
+        const mockRes = mockResponse()
+
+        await refresh(mockReq, mockRes)
+
+        expect(Session.findOneAndUpdate).not.toHaveBeenCalled()
+        expect(mockRes.status).toHaveBeenCalledWith(401)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Refresh token not valid" })
+    });
+
+    test('Refresh without token, should return 401', async () => {
+        const mockReq = { cookies: {}, body: {} }
+        const mockRes = mockResponse()
+
+        await refresh(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(401)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Unauthorized" })
+    });
+});
+
 describe('logout', () => {
     test('User Logout, should logout with success', async () => { 
         process.env.ACCESS_KEY = 'EZWALLET';
@@ -601,6 +1157,95 @@ describe('logout', () => {
         expect(mockRes.status).toHaveBeenCalledWith(200)
         expect(mockRes.json).toHaveBeenCalledWith(response)
     });
+    test('User Logout, should revoke the session of the refresh token', async () => {
+        process.env.ACCESS_KEY = 'EZWALLET';
+        const mockReq = {
+            cookies: {
+                accessToken: jwt.sign({ username: 'Mario', email: "mario.red@email.com", role: "Regular" }, process.env.ACCESS_KEY),
+                refreshToken: jwt.sign({ username: 'Mario', email: "mario.red@email.com", role: "Regular", family: '6470c8f1a1b2c3d4e5f60001', jti: 'first' }, process.env.ACCESS_KEY),
+            },
+        };
+        const mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn(),
+            locals: jest.fn(),
+            cookie: jest.fn(),
+        }
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        Session.findOneAndUpdate.mockResolvedValueOnce({ _id: '6470c8f1a1b2c3d4e5f60001' });
+
+        await logout(mockReq, mockRes)
+
+        expect(Session.findOneAndUpdate).toHaveBeenCalledWith({ _id: '6470c8f1a1b2c3d4e5f60001', username: 'Mario', revoked: false }, { $set: { revoked: true } })
+        expect(User.findOne).not.toHaveBeenCalled()
+        expect(mockRes.cookie).toHaveBeenCalledWith("refreshToken", "", expect.objectContaining({ maxAge: 0 }))
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+    });
+    test('User Logout with a bearer token, should revoke the session of the refresh token in the body', async () => {
+        process.env.ACCESS_KEY = 'EZWALLET';
+        const refreshToken = jwt.sign({ username: 'Mario', email: "mario.red@email.com", role: "Regular", family: '6470c8f1a1b2c3d4e5f60001', jti: 'first' }, process.env.ACCESS_KEY);
+        const mockReq = {
+            headers: { authorization: `Bearer ${jwt.sign({ username: 'Mario', email: "mario.red@email.com", role: "Regular" }, process.env.ACCESS_KEY)}` },
+            cookies: {},
+            body: { refreshToken: refreshToken },
+        };
+        const mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn(),
+            locals: jest.fn(),
+            cookie: jest.fn(),
+        }
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        Session.findOneAndUpdate.mockResolvedValueOnce({ _id: '6470c8f1a1b2c3d4e5f60001' });
+
+        await logout(mockReq, mockRes)
+
+        expect(Session.findOneAndUpdate).toHaveBeenCalledWith({ _id: '6470c8f1a1b2c3d4e5f60001', username: 'Mario', revoked: false }, { $set: { revoked: true } })
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+    });
+    test('User Logout with a bearer token and no refresh token, should return 400', async () => {
+        process.env.ACCESS_KEY = 'EZWALLET';
+        const mockReq = {
+            headers: { authorization: `Bearer ${jwt.sign({ username: 'Mario', email: "mario.red@email.com", role: "Regular" }, process.env.ACCESS_KEY)}` },
+            cookies: {},
+            body: {},
+        };
+        const mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn(),
+            locals: jest.fn(),
+            cookie: jest.fn(),
+        }
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+        await logout(mockReq, mockRes)
+
+        expect(User.findOne).not.toHaveBeenCalled()
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: 'refresh token not in the cookies' })
+    });
+    test('User Logout with a revoked session, should return 400', async () => {
+        process.env.ACCESS_KEY = 'EZWALLET';
+        const mockReq = {
+            cookies: {
+                accessToken: jwt.sign({ username: 'Mario', email: "mario.red@email.com", role: "Regular" }, process.env.ACCESS_KEY),
+                refreshToken: jwt.sign({ username: 'Mario', email: "mario.red@email.com", role: "Regular", family: '6470c8f1a1b2c3d4e5f60001', jti: 'first' }, process.env.ACCESS_KEY),
+            },
+        };
+        const mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn(),
+            locals: jest.fn(),
+            cookie: jest.fn(),
+        }
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        Session.findOneAndUpdate.mockResolvedValueOnce(null);
+
+        await logout(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: 'session not found' })
+    });
     test('User Logout with no refresh token in the request, should return with 400', async () => {
         process.env.ACCESS_KEY = 'EZWALLET';
         const mockReq = {
@@ -655,3 +1300,124 @@ describe('logout', () => {
         expect(mockRes.json).toHaveBeenCalledWith(response)
     });
 });
+
+describe('sessions', () => {
+    const currentId = '6470c8f1a1b2c3d4e5f60001';
+    const otherId = '6470c8f1a1b2c3d4e5f60002';
+    const mockRequest = (params = {}) => ({
+        params: params,
+        cookies: {
+            accessToken: jwt.sign({ username: 'Mario', email: "mario.red@email.com", role: "Regular" }, process.env.ACCESS_KEY),
+            refreshToken: jwt.sign({ username: 'Mario', email: "mario.red@email.com", role: "Regular", family: currentId, jti: 'first' }, process.env.ACCESS_KEY),
+        },
+    });
+    const mockResponse = () => ({
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn(),
+        locals: { refreshedTokenMessage: "refreshed" },
+        cookie: jest.fn(),
+    });
+
+    beforeEach(() => {
+        process.env.ACCESS_KEY = 'EZWALLET';
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+    });
+
+    test('getSessions, should return the active sessions of the user marking the current one', async () => {
+        const createdAt = new Date("2023-06-01");
+        const lastUsedAt = new Date("2023-06-02");
+        Session.find.mockResolvedValueOnce([
+            { _id: currentId, device: "laptop", ip: "::1", userAgent: "Mozilla/5.0", createdAt: createdAt, lastUsedAt: lastUsedAt, jti: "first" },
+            { _id: otherId, device: "phone", ip: "10.0.0.2", userAgent: "okhttp", createdAt: createdAt, lastUsedAt: lastUsedAt, jti: "second" }
+        ]);
+        const mockRes = mockResponse()
+
+        await getSessions(mockRequest(), mockRes)
+
+        expect(Session.find).toHaveBeenCalledWith({ username: "Mario", revoked: false, expiresAt: { $gt: expect.any(Date) } })
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.json).toHaveBeenCalledWith({
+            data: [
+                { _id: currentId, device: "laptop", ip: "::1", userAgent: "Mozilla/5.0", createdAt: createdAt, lastUsedAt: lastUsedAt, current: true },
+                { _id: otherId, device: "phone", ip: "10.0.0.2", userAgent: "okhttp", createdAt: createdAt, lastUsedAt: lastUsedAt, current: false }
+            ],
+            refreshedTokenMessage: "refreshed"
+        })
+    });
+
+    test('getSessions, should return 401 if the user is not authenticated', async () => {
+        VerifyAuthmodule.verifyAuth.mockImplementation(() => ({ authorized: false, cause: "Unauthorized" }))
+        const mockRes = mockResponse()
+
+        await getSessions(mockRequest(), mockRes)
+
+        expect(Session.find).not.toHaveBeenCalled()
+        expect(mockRes.status).toHaveBeenCalledWith(401)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Unauthorized" })
+    });
+
+    test('deleteSession, should revoke another session of the user keeping the cookies', async () => {
+        Session.findOneAndUpdate.mockResolvedValueOnce({ _id: otherId });
+        const mockRes = mockResponse()
+
+        await deleteSession(mockRequest({ id: otherId }), mockRes)
+
+        expect(Session.findOneAndUpdate).toHaveBeenCalledWith({ _id: otherId, username: "Mario", revoked: false }, { $set: { revoked: true } })
+        expect(mockRes.cookie).not.toHaveBeenCalled()
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.json).toHaveBeenCalledWith({ data: { message: "Session revoked" }, refreshedTokenMessage: "refreshed" })
+    });
+
+    test('deleteSession, should clear the cookies when revoking the current session', async () => {
+        Session.findOneAndUpdate.mockResolvedValueOnce({ _id: currentId });
+        const mockRes = mockResponse()
+
+        await deleteSession(mockRequest({ id: currentId }), mockRes)
+
+        expect(mockRes.cookie).toHaveBeenCalledWith("accessToken", "", expect.objectContaining({ maxAge: 0 }))
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+    });
+
+    test('deleteSession, should return 400 if the session is not found', async () => {
+        Session.findOneAndUpdate.mockResolvedValueOnce(null);
+        const mockRes = mockResponse()
+
+        await deleteSession(mockRequest({ id: otherId }), mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Session not Found." })
+    });
+
+    test('deleteSession, should return 400 if the id is not valid', async () => {
+        const mockRes = mockResponse()
+
+        await deleteSession(mockRequest({ id: "notanid" }), mockRes)
+
+        expect(Session.findOneAndUpdate).not.toHaveBeenCalled()
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Session not Found." })
+    });
+
+    test('deleteSessions, should revoke all the sessions of the user', async () => {
+        Session.updateMany.mockResolvedValueOnce({ modifiedCount: 3 });
+        const mockRes = mockResponse()
+
+        await deleteSessions(mockRequest(), mockRes)
+
+        expect(Session.updateMany).toHaveBeenCalledWith({ username: "Mario", revoked: false }, { $set: { revoked: true } })
+        expect(User.updateOne).toHaveBeenCalledWith({ username: "Mario" }, { $set: { refreshToken: null } })
+        expect(mockRes.cookie).toHaveBeenCalledWith("refreshToken", "", expect.objectContaining({ maxAge: 0 }))
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.json).toHaveBeenCalledWith({ data: { message: "All sessions revoked", count: 3 }, refreshedTokenMessage: "refreshed" })
+    });
+
+    test('deleteSessions, should return 500 if the database fails', async () => {
+        Session.updateMany.mockRejectedValueOnce(new Error("Database error"));
+        const mockRes = mockResponse()
+
+        await deleteSessions(mockRequest(), mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(500)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Database error" })
+    });
+});
@@ -0,0 +1,194 @@
+import request from 'supertest';
+import { app } from '../app';
+import { User, Group } from '../models/User.js';
+import { categories, transactions, budgets, exchange_rates } from '../models/model';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+beforeAll(async () => {
+    const dbName = "testingDatabaseBudgets";
+    const url = `${process.env.MONGO_URI}/${dbName}`;
+
+    await mongoose.connect(url, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+    });
+
+});
+
+afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+    await categories.deleteMany({})
+    await transactions.deleteMany({})
+    await budgets.deleteMany({})
+    await User.deleteMany({})
+    await Group.deleteMany({})
+    await exchange_rates.deleteMany({})
+});
+
+const testerAccessTokenValid = jwt.sign({
+    email: "tester@test.com",
+    username: "tester",
+    role: "Regular"
+}, process.env.ACCESS_KEY, { expiresIn: '1y' })
+
+describe("createBudget", () => {
+    test("Creates a personal budget", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await categories.create({ type: "food", color: "red" })
+
+        const response = await request(app)
+            .post("/api/users/tester/budgets")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ type: "food", amount: 200 })
+
+        expect(response.status).toBe(200)
+        expect(response.body.data).toEqual({ type: "food", amount: 200, group: null })
+        expect(await budgets.countDocuments({ username: "tester", type: "food" })).toBe(1)
+    });
+
+    test("Creates a budget shared with the group of the user", async () => {
+        const user = await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await Group.create({ name: "family", members: [{ email: "tester@test.com", user: user._id }] })
+        await categories.create({ type: "food", color: "red" })
+
+        const response = await request(app)
+            .post("/api/users/tester/budgets")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ type: "food", amount: 500, group: "family" })
+
+        expect(response.status).toBe(200)
+        expect(response.body.data).toEqual({ type: "food", amount: 500, group: "family" })
+    });
+
+    test("Returns a 400 error if the budget already exists", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await categories.create({ type: "food", color: "red" })
+        await budgets.create({ username: "tester", type: "food", amount: 100 })
+
+        const response = await request(app)
+            .post("/api/users/tester/budgets")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ type: "food", amount: 200 })
+
+        expect(response.status).toBe(400)
+        expect(response.body).toHaveProperty("error")
+    });
+
+    test("Returns a 401 error if called for another user", async () => {
+        const response = await request(app)
+            .post("/api/users/other/budgets")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ type: "food", amount: 200 })
+
+        expect(response.status).toBe(401)
+        expect(response.body).toHaveProperty("error")
+    });
+})
+
+describe("getBudgets", () => {
+    test("Returns the budgets with the spending of the current month", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await categories.create({ type: "food", color: "red" })
+        await budgets.create({ username: "tester", type: "food", amount: 100 })
+        await transactions.insertMany([
+            { username: "tester", type: "food", amount: 30 },
+            { username: "tester", type: "food", amount: 90, date: new Date("2020-01-15T10:00:00.000Z") }
+        ])
+
+        const response = await request(app)
+            .get("/api/users/tester/budgets")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+
+        expect(response.status).toBe(200)
+        expect(response.body.data).toEqual([{ type: "food", amount: 100, currency: "EUR", group: null, spent: 30, remaining: 70, overBudget: false }])
+    });
+
+    test("Counts only the expenses in the spending", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await categories.create({ type: "food", color: "red" })
+        await budgets.create({ username: "tester", type: "food", amount: 100 })
+        await transactions.insertMany([
+            { username: "tester", type: "food", amount: 30 },
+            { username: "tester", type: "food", amount: 20, kind: "expense" },
+            { username: "tester", type: "food", amount: 500, kind: "income" },
+            { username: "tester", type: "food", amount: -40, kind: "transfer" },
+            { username: "tester", type: "food", amount: 40, kind: "transfer" }
+        ])
+        await transactions.collection.insertOne({ username: "tester", type: "food", amount: 5, date: new Date() })
+
+        const response = await request(app)
+            .get("/api/users/tester/budgets")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+
+        expect(response.status).toBe(200)
+        expect(response.body.data).toEqual([{ type: "food", amount: 100, currency: "EUR", group: null, spent: 55, remaining: 45, overBudget: false }])
+    });
+
+    test("Converts the spending in the currency of the budget", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester", currency: "USD" })
+        await categories.create({ type: "food", color: "red" })
+        await exchange_rates.create({ currency: "USD", rate: 0.5 })
+        await budgets.create({ username: "tester", type: "food", amount: 100, currency: "USD" })
+        await transactions.insertMany([
+            { username: "tester", type: "food", amount: 30, currency: "USD" },
+            { username: "tester", type: "food", amount: 10, currency: "EUR" }
+        ])
+
+        const response = await request(app)
+            .get("/api/users/tester/budgets")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+
+        expect(response.status).toBe(200)
+        expect(response.body.data).toEqual([{ type: "food", amount: 100, currency: "USD", group: null, spent: 50, remaining: 50, overBudget: false }])
+    });
+})
+
+describe("updateBudget", () => {
+    test("Changes the amount of a budget", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await budgets.create({ username: "tester", type: "food", amount: 100 })
+
+        const response = await request(app)
+            .patch("/api/users/tester/budgets/food")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ amount: 250 })
+
+        expect(response.status).toBe(200)
+        expect(response.body.data).toEqual({ type: "food", amount: 250, group: null })
+    });
+})
+
+describe("deleteBudget", () => {
+    test("Deletes a budget", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await budgets.create({ username: "tester", type: "food", amount: 100 })
+
+        const response = await request(app)
+            .delete("/api/users/tester/budgets")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ type: "food" })
+
+        expect(response.status).toBe(200)
+        expect(await budgets.countDocuments({})).toBe(0)
+    });
+
+    test("Returns a 400 error if the budget does not exist", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+
+        const response = await request(app)
+            .delete("/api/users/tester/budgets")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ type: "food" })
+
+        expect(response.status).toBe(400)
+        expect(response.body).toHaveProperty("error")
+    });
+})
@@ -0,0 +1,279 @@
+import { budgets, categories, transactions, exchange_rates } from '../models/model';
+import { Group, User } from '../models/User';
+import { createBudget, getBudgets, updateBudget, deleteBudget, getBudgetStatus } from '../controllers/budgets';
+import { verifyAuth } from '../controllers/utils';
+import { baseAmountExpression } from '../controllers/rates';
+import { mockResponse } from './mocks';
+
+jest.mock('../models/model', () => ({
+    budgets: { findOne: jest.fn(), find: jest.fn(), create: jest.fn(), findOneAndUpdate: jest.fn(), deleteOne: jest.fn() },
+    categories: { findOne: jest.fn() },
+    transactions: { aggregate: jest.fn() },
+    exchange_rates: { find: jest.fn() }
+}));
+jest.mock('../models/User', () => ({
+    User: { findOne: jest.fn(), find: jest.fn() },
+    Group: { findOne: jest.fn() }
+}));
+
+beforeEach(() => {
+    jest.resetAllMocks()
+    exchange_rates.find.mockResolvedValue([{ currency: "USD", rate: 0.5 }])
+});
+
+const VerifyAuthmodule = require('../controllers/utils');
+
+describe("createBudget", () => {
+    test('Should create a personal budget', async () => {
+        const mockReq = { params: { username: "tester" }, body: { type: "food", amount: 100 } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester", email: "tester@test.com" })
+        categories.findOne.mockResolvedValue({ type: "food", color: "red" })
+        budgets.findOne.mockResolvedValue(null)
+
+        await createBudget(mockReq, mockRes)
+
+        expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: "User", username: "tester" })
+        expect(budgets.findOne).toHaveBeenCalledWith({ username: "tester", type: "food", group: null })
+        expect(budgets.create).toHaveBeenCalledWith({ username: "tester", type: "food", amount: 100, currency: "EUR", group: null })
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.json).toHaveBeenCalledWith({ data: { type: "food", amount: 100, currency: "EUR", group: null }, refreshedTokenMessage: "refreshed" })
+    });
+
+    test('Should create a group budget when the user is a member of the group', async () => {
+        const mockReq = { params: { username: "tester" }, body: { type: "food", amount: "300", group: "family" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester", email: "tester@test.com", currency: "USD" })
+        categories.findOne.mockResolvedValue({ type: "food", color: "red" })
+        Group.findOne.mockResolvedValue({ name: "family", members: [{ email: "tester@test.com" }] })
+        budgets.findOne.mockResolvedValue(null)
+
+        await createBudget(mockReq, mockRes)
+
+        expect(Group.findOne).toHaveBeenCalledWith({ name: "family", "members.email": "tester@test.com" })
+        expect(budgets.create).toHaveBeenCalledWith({ username: "tester", type: "food", amount: 300, currency: "USD", group: "family" })
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+    });
+
+    test('Should return 400 if some parameter is missing', async () => {
+        const mockReq = { params: { username: "tester" }, body: { type: "food" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+        await createBudget(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Some Parameter is Missing" })
+    });
+
+    test('Should return 400 if the amount is not a positive number', async () => {
+        const mockReq = { params: { username: "tester" }, body: { type: "food", amount: "-5" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+        await createBudget(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Amount not valid" })
+    });
+
+    test('Should return 400 if the category does not exist', async () => {
+        const mockReq = { params: { username: "tester" }, body: { type: "food", amount: 100 } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester", email: "tester@test.com" })
+        categories.findOne.mockResolvedValue(null)
+
+        await createBudget(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Category not Found." })
+    });
+
+    test('Should return 400 if the user is not a member of the group', async () => {
+        const mockReq = { params: { username: "tester" }, body: { type: "food", amount: 100, group: "other" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester", email: "tester@test.com" })
+        categories.findOne.mockResolvedValue({ type: "food", color: "red" })
+        Group.findOne.mockResolvedValue(null)
+
+        await createBudget(mockReq, mockRes)
+
+        expect(budgets.create).not.toHaveBeenCalled()
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "User is not a member of the group" })
+    });
+
+    test('Should return 400 if the budget already exists', async () => {
+        const mockReq = { params: { username: "tester" }, body: { type: "food", amount: 100 } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester", email: "tester@test.com" })
+        categories.findOne.mockResolvedValue({ type: "food", color: "red" })
+        budgets.findOne.mockResolvedValue({ username: "tester", type: "food", amount: 50, group: null })
+
+        await createBudget(mockReq, mockRes)
+
+        expect(budgets.create).not.toHaveBeenCalled()
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Budget already exists" })
+    });
+
+    test('Should return 401 if not authorized', async () => {
+        const mockReq = { params: { username: "tester" }, body: { type: "food", amount: 100 } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: false, cause: "User: Mismatched users" }))
+
+        await createBudget(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(401)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "User: Mismatched users" })
+    });
+})
+
+describe("getBudgets", () => {
+    test('Should return personal and group budgets with the spending of the month', async () => {
+        const mockReq = { params: { username: "tester" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester", email: "tester@test.com" })
+        Group.findOne.mockResolvedValue({ name: "family", members: [{ email: "tester@test.com" }, { email: "other@test.com" }] })
+        User.find.mockResolvedValue([{ username: "tester" }, { username: "other" }])
+        budgets.find.mockResolvedValue([
+            { username: "tester", type: "food", amount: 100, currency: "EUR", group: null },
+            { username: "other", type: "rent", amount: 500, currency: "USD", group: "family" }
+        ])
+        transactions.aggregate.mockResolvedValueOnce([{ _id: null, total: 40 }]).mockResolvedValueOnce([])
+
+        await getBudgets(mockReq, mockRes)
+
+        expect(budgets.find).toHaveBeenCalledWith({ $or: [{ username: "tester", group: null }, { group: "family" }] })
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.json).toHaveBeenCalledWith({
+            data: [
+                { type: "food", amount: 100, currency: "EUR", group: null, spent: 40, remaining: 60, overBudget: false },
+                { type: "rent", amount: 500, currency: "USD", group: "family", spent: 0, remaining: 500, overBudget: false }
+            ],
+            refreshedTokenMessage: "refreshed"
+        })
+        // only the expenses count, converted in the currency of each budget
+        expect(transactions.aggregate.mock.calls[0][0][0].$match).toHaveProperty("kind", { $in: ["expense", null] })
+        expect(transactions.aggregate.mock.calls[0][0][1]).toEqual({ $group: { _id: null, total: { $sum: baseAmountExpression({ EUR: 1, USD: 0.5 }, "EUR") } } })
+        expect(transactions.aggregate.mock.calls[1][0][1]).toEqual({ $group: { _id: null, total: { $sum: baseAmountExpression({ EUR: 1, USD: 0.5 }, "USD") } } })
+    });
+
+    test('Should return 400 if the user does not exist', async () => {
+        const mockReq = { params: { username: "tester" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue(null)
+
+        await getBudgets(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "User not Found." })
+    });
+})
+
+describe("updateBudget", () => {
+    test('Should update the amount of a personal budget', async () => {
+        const mockReq = { params: { username: "tester", type: "food" }, body: { amount: 150 } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester", email: "tester@test.com" })
+        budgets.findOneAndUpdate.mockResolvedValue({ type: "food", amount: 150, currency: "EUR", group: null })
+
+        await updateBudget(mockReq, mockRes)
+
+        expect(budgets.findOneAndUpdate).toHaveBeenCalledWith({ username: "tester", type: "food", group: null }, { $set: { amount: 150 } }, { new: true })
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.json).toHaveBeenCalledWith({ data: { type: "food", amount: 150, currency: "EUR", group: null }, refreshedTokenMessage: "refreshed" })
+    });
+
+    test('Should return 400 if the budget does not exist', async () => {
+        const mockReq = { params: { username: "tester", type: "food" }, body: { amount: 150 } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester", email: "tester@test.com" })
+        budgets.findOneAndUpdate.mockResolvedValue(null)
+
+        await updateBudget(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Budget not Found." })
+    });
+})
+
+describe("deleteBudget", () => {
+    test('Should delete a personal budget', async () => {
+        const mockReq = { params: { username: "tester" }, body: { type: "food" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester", email: "tester@test.com" })
+        budgets.deleteOne.mockResolvedValue({ deletedCount: 1 })
+
+        await deleteBudget(mockReq, mockRes)
+
+        expect(budgets.deleteOne).toHaveBeenCalledWith({ username: "tester", type: "food", group: null })
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.json).toHaveBeenCalledWith({ data: { message: "Budget deleted" }, refreshedTokenMessage: "refreshed" })
+    });
+
+    test('Should return 400 if the budget does not exist', async () => {
+        const mockReq = { params: { username: "tester" }, body: { type: "food" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester", email: "tester@test.com" })
+        budgets.deleteOne.mockResolvedValue({ deletedCount: 0 })
+
+        await deleteBudget(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Budget not Found." })
+    });
+})
+
+describe("getBudgetStatus", () => {
+    test('Should return null remaining budget when no budget applies', async () => {
+        budgets.findOne.mockResolvedValue(null)
+        Group.findOne.mockResolvedValue(null)
+
+        const result = await getBudgetStatus({ username: "tester", email: "tester@test.com" }, "food", new Date())
+
+        expect(result).toEqual({ remainingBudget: null, overBudget: false })
+    });
+
+    test('Should return the tightest remaining budget between personal and group budgets', async () => {
+        budgets.findOne
+            .mockResolvedValueOnce({ username: "tester", type: "food", amount: 100, group: null })
+            .mockResolvedValueOnce({ username: "other", type: "food", amount: 200, group: "family" })
+        Group.findOne.mockResolvedValue({ name: "family", members: [{ email: "tester@test.com" }, { email: "other@test.com" }] })
+        User.find.mockResolvedValue([{ username: "tester" }, { username: "other" }])
+        transactions.aggregate
+            .mockResolvedValueOnce([{ _id: null, total: 60 }])
+            .mockResolvedValueOnce([{ _id: null, total: 230 }])
+
+        const result = await getBudgetStatus({ username: "tester", email: "tester@test.com" }, "food", new Date())
+
+        expect(result).toEqual({ remainingBudget: -30, overBudget: true })
+    });
+
+    test('Should convert the remaining budgets in the base currency of the user', async () => {
+        budgets.findOne
+            .mockResolvedValueOnce({ username: "tester", type: "food", amount: 100, currency: "USD", group: null })
+            .mockResolvedValueOnce({ username: "other", type: "food", amount: 200, currency: "EUR", group: "family" })
+        Group.findOne.mockResolvedValue({ name: "family", members: [{ email: "tester@test.com" }, { email: "other@test.com" }] })
+        User.find.mockResolvedValue([{ username: "tester" }, { username: "other" }])
+        transactions.aggregate
+            .mockResolvedValueOnce([{ _id: null, total: 60 }])
+            .mockResolvedValueOnce([{ _id: null, total: 190 }])
+
+        const result = await getBudgetStatus({ username: "tester", email: "tester@test.com", currency: "USD" }, "food", new Date())
+
+        // 40 USD left of the personal budget, 10 EUR (20 USD) of the group one
+        expect(result).toEqual({ remainingBudget: 20, overBudget: false });
+    });
+})
@@ -1,7 +1,7 @@
 import request from 'supertest';
 import { app } from '../app';
 import { User, Group } from '../models/User.js';
-import { categories, transactions } from '../models/model';
+import { categories, transactions, budgets } from '../models/model';
 import jwt from 'jsonwebtoken';
 const bcrypt = require("bcryptjs")
 import mongoose, { Model } from 'mongoose';
@@ -29,6 +29,7 @@ afterAll(async () => {
 beforeEach(async () => {
     await categories.deleteMany({})
     await transactions.deleteMany({})
+    await budgets.deleteMany({})
     await User.deleteMany({})
     await Group.deleteMany({})
 });
@@ -632,11 +633,30 @@ describe("createTransaction", () => {
         expect(response.body.data).toEqual({
             username: 'tester',
             amount: 50,
+            kind: 'expense',
+            currency: 'EUR',
             type: 'food',
             date: expect.any(String),
+            remainingBudget: null,
+            overBudget: false,
         });
     });
 
+    test('Create transaction returns the remaining budget and the overBudget flag', async () => {
+        await User.create({ username: 'tester', email: 'tester@test.com', password: 'tester' });
+        await categories.create({ type: 'food', color: 'red' });
+        await budgets.create({ username: 'tester', type: 'food', amount: 100 });
+        await transactions.create({ username: 'tester', type: 'food', amount: 80 });
+
+        const response = await request(app)
+            .post('/api/users/tester/transactions')
+            .set('Cookie', `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ username: 'tester', amount: 50, type: 'food' });
+        expect(response.status).toBe(200);
+        expect(response.body.data).toHaveProperty('remainingBudget', -30);
+        expect(response.body.data).toHaveProperty('overBudget', true);
+    });
+
     // Test case: Missing parameters
     test('Missing parameters', async () => {
         const response = await request(app)
@@ -760,12 +780,79 @@ describe("getAllTransactions", () => {
             .get('/api/transactions')
             .set('Cookie', `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`);
 
-        let ExpectedData = trans.map(v => Object.assign({}, { username: v.username, type: v.type, amount: v.amount, date: v.date.toISOString(), color: "red" }))
+        let ExpectedData = trans.map(v => Object.assign({}, { username: v.username, type: v.type, amount: v.amount, kind: "expense", currency: "EUR", baseAmount: v.amount, date: v.date.toISOString(), color: "red" }))
 
         expect(ExpectedData).toEqual(response.body.data);
         expect(response.status).toBe(200);
         expect(response.body).toHaveProperty('data');
     });
+    test('Returns the transactions one page at a time following the cursor', async () => {
+        await categories.create({ type: 'food', color: 'red' });
+        await transactions.insertMany([
+            { username: 'tester', type: 'food', amount: 20 },
+            { username: 'tester', type: 'food', amount: 100 },
+            { username: 'admin', type: 'food', amount: 200 },
+        ]);
+
+        const first = await request(app)
+            .get('/api/transactions?limit=2&sort=-amount')
+            .set('Cookie', `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`);
+
+        expect(first.status).toBe(200);
+        expect(first.body.data.map(v => v.amount)).toEqual([200, 100]);
+        expect(first.body.total).toBe(3);
+        expect(first.body.nextCursor).not.toBeNull();
+
+        const second = await request(app)
+            .get(`/api/transactions?limit=2&sort=-amount&cursor=${first.body.nextCursor}`)
+            .set('Cookie', `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`);
+
+        expect(second.status).toBe(200);
+        expect(second.body.data.map(v => v.amount)).toEqual([20]);
+        expect(second.body.nextCursor).toBeNull();
+    });
+    test('Returns the transactions matching the category, username, date and amount filters', async () => {
+        await categories.insertMany([{ type: 'food', color: 'red' }, { type: 'rent', color: 'blue' }]);
+        await transactions.insertMany([
+            { username: 'tester', type: 'food', amount: 20, date: new Date('2023-05-10T10:00:00.000Z') },
+            { username: 'tester', type: 'food', amount: 100, date: new Date('2023-05-10T10:00:00.000Z') },
+            { username: 'tester', type: 'rent', amount: 500, date: new Date('2023-05-10T10:00:00.000Z') },
+            { username: 'admin', type: 'food', amount: 200, date: new Date('2023-05-10T10:00:00.000Z') },
+            { username: 'tester', type: 'food', amount: 300, date: new Date('2023-04-10T10:00:00.000Z') },
+        ]);
+
+        const response = await request(app)
+            .get('/api/transactions?category=food&username=tester&date=2023-05-10&max=50')
+            .set('Cookie', `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toEqual([expect.objectContaining({ username: 'tester', type: 'food', amount: 20 })]);
+        expect(response.body.total).toBe(1);
+    });
+    test('Returns the transactions whose description, notes or tags contain the searched words', async () => {
+        await categories.create({ type: 'food', color: 'red' });
+        await transactions.init();
+        await transactions.insertMany([
+            { username: 'tester', type: 'food', amount: 42.1, description: 'Dinner at the pizzeria' },
+            { username: 'tester', type: 'food', amount: 10, notes: 'groceries', tags: ['market'] },
+            { username: 'admin', type: 'food', amount: 30, tags: ['pizzeria'] },
+        ]);
+
+        const response = await request(app)
+            .get('/api/transactions?q=pizzeria')
+            .set('Cookie', `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map(v => v.amount).sort()).toEqual([30, 42.1]);
+    });
+    test('Returns a 400 error if the pagination parameters are not valid', async () => {
+        const response = await request(app)
+            .get('/api/transactions?page=2')
+            .set('Cookie', `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`);
+
+        expect(response.status).toBe(400);
+        expect(response.body).toHaveProperty('error', 'Page requires a limit');
+    });
     test('Returns unauthorized error for non-admin', async () => {
         const response = await request(app)
             .get('/api/transactions')
@@ -794,6 +881,9 @@ describe("getTransactionsByUser", () => {
             username: Transaction.username,
             type: Transaction.type,
             amount: Transaction.amount,
+            kind: 'expense',
+            currency: 'EUR',
+            baseAmount: Transaction.amount,
             date: Transaction.date.toISOString(),
             color: 'blue'
         };
@@ -820,6 +910,9 @@ describe("getTransactionsByUser", () => {
             username: Transaction.username,
             type: Transaction.type,
             amount: Transaction.amount,
+            kind: 'expense',
+            currency: 'EUR',
+            baseAmount: Transaction.amount,
             date: Transaction.date.toISOString(),
             color: 'blue'
         };
@@ -832,6 +925,23 @@ describe("getTransactionsByUser", () => {
         expect(response.body).toHaveProperty("data");
         expect(response.body.data).toStrictEqual(new Array(ret_value));
     });
+    test('should apply the date and amount filters also when called by an Admin', async () => {
+        const user = await User.create({ username: 'tester', email: 'tester@test.com', password: 'tester' });
+        await categories.create({ type: 'Test Category', color: 'blue' });
+        await transactions.insertMany([
+          { username: 'tester', type: 'Test Category', amount: 100, date: new Date('2023-05-10T10:00:00.000Z') },
+          { username: 'tester', type: 'Test Category', amount: 20, date: new Date('2023-05-10T12:00:00.000Z') },
+          { username: 'tester', type: 'Test Category', amount: 100, date: new Date('2023-04-10T10:00:00.000Z') },
+        ]);
+        // Make the request
+        const response = await request(app)
+          .get(`/api/transactions/users/${user.username}?from=2023-05-01&min=50`)
+          .set("Cookie", `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`);
+
+        expect(response.status).toBe(200)
+        expect(response.body.data).toHaveLength(1);
+        expect(response.body.data[0]).toEqual(expect.objectContaining({ amount: 100, date: '2023-05-10T10:00:00.000Z' }));
+    });
     test('400 error if the username passed as a route parameter does not represent a user in the database', async () => {
         // Make the request
         const response = await request(app)
@@ -887,6 +997,9 @@ describe("getTransactionsByUserByCategory", () => {
             username: Transaction.username,
             type: Transaction.type,
             amount: Transaction.amount,
+            kind: 'expense',
+            currency: 'EUR',
+            baseAmount: Transaction.amount,
             date: Transaction.date.toISOString(),
             color: 'blue'
         };
@@ -951,6 +1064,9 @@ describe("getTransactionsByUserByCategory", () => {
             username: Transaction.username,
             type: Transaction.type,
             amount: Transaction.amount,
+            kind: 'expense',
+            currency: 'EUR',
+            baseAmount: Transaction.amount,
             date: Transaction.date.toISOString(),
             color: 'blue'
         };
@@ -982,6 +1098,9 @@ describe("getTransactionsByGroup", () => {
             username: Transaction.username,
             type: Transaction.type,
             amount: Transaction.amount,
+            kind: 'expense',
+            currency: 'EUR',
+            baseAmount: Transaction.amount,
             date: Transaction.date.toISOString(),
             color: 'blue'
         };
@@ -1073,6 +1192,9 @@ describe("getTransactionsByGroupByCategory", () => {
             username: Transaction.username,
             type: Transaction.type,
             amount: Transaction.amount,
+            kind: 'expense',
+            currency: 'EUR',
+            baseAmount: Transaction.amount,
             date: Transaction.date.toISOString(),
             color: 'blue'
         };
@@ -1166,6 +1288,68 @@ describe("getTransactionsByGroupByCategory", () => {
     });
 })
 
+describe("updateTransaction", () => {
+    test('should update the transaction of the user keeping its _id', async () => {
+        await categories.insertMany([{ type: "cat1", color: "blue" }, { type: "cat2", color: "red" }])
+        const Transaction = await transactions.create({ username: "tester", amount: 100, type: "cat1", date: new Date() })
+
+        const response = await request(app)
+            .patch(`/api/users/tester/transactions/${Transaction._id}`)
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ amount: 50, type: "cat2", date: "2023-05-10" });
+
+        expect(response.status).toBe(200)
+        expect(response.body.data).toEqual({ _id: Transaction._id.toString(), username: "tester", amount: 50, kind: "expense", currency: "EUR", type: "cat2", date: "2023-05-10T00:00:00.000Z" })
+        const stored = await transactions.findById(Transaction._id)
+        expect(stored.amount).toBe(50)
+    });
+    test('should let an Admin update the transaction of any user', async () => {
+        await categories.create({ type: "cat1", color: "blue" })
+        const Transaction = await transactions.create({ username: "tester", amount: 100, type: "cat1", date: new Date() })
+
+        const response = await request(app)
+            .patch(`/api/transactions/${Transaction._id}`)
+            .set("Cookie", `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`)
+            .send({ amount: 75 });
+
+        expect(response.status).toBe(200)
+        expect(response.body.data).toHaveProperty("amount", 75)
+    });
+    test('400 error if the transaction was made by another user', async () => {
+        await categories.create({ type: "cat1", color: "blue" })
+        const Transaction = await transactions.create({ username: "admin", amount: 100, type: "cat1", date: new Date() })
+
+        const response = await request(app)
+            .patch(`/api/users/tester/transactions/${Transaction._id}`)
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ amount: 50 });
+
+        expect(response.status).toBe(400)
+        expect(response.body).toHaveProperty("error", "Transaction not Found.")
+    });
+    test('400 error if the new category does not exist', async () => {
+        await categories.create({ type: "cat1", color: "blue" })
+        const Transaction = await transactions.create({ username: "tester", amount: 100, type: "cat1", date: new Date() })
+
+        const response = await request(app)
+            .patch(`/api/users/tester/transactions/${Transaction._id}`)
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ type: "missing" });
+
+        expect(response.status).toBe(400)
+        expect(response.body).toHaveProperty("error", "Category does not exist!")
+    });
+    test('401 error if a Regular user calls the admin route', async () => {
+        const response = await request(app)
+            .patch(`/api/transactions/646a1e5a3f1c2a0012345678`)
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ amount: 50 });
+
+        expect(response.status).toBe(401)
+        expect(response.body).toHaveProperty("error", "Admin: Mismatched role")
+    });
+})
+
 describe("deleteTransaction", () => { 
     test('should delete transaction when user authentication is successful and valid ID is provided', async () => {
         const username = 'tester';
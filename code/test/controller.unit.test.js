@@ -1,7 +1,7 @@
 import request from 'supertest';
 import { app } from '../app';
 import jwt from 'jsonwebtoken';
-import { categories, transactions } from '../models/model';
+import { categories, transactions, exchange_rates, accounts } from '../models/model';
 import {createCategory, updateCategory, deleteCategory, getCategories, createTransaction,getAllTransactions, deleteTransactions, deleteTransaction, getTransactionsByGroupByCategory, getTransactionsByUser, getTransactionsByGroup, getTransactionsByUserByCategory } from '../controllers/controller';
 import { Group, User } from '../models/User';
 import mongoose from 'mongoose';
@@ -27,6 +27,7 @@ const VerifyAuthmodule = require('../controllers/utils');
  * - Returns a 400 error if the request body does not contain all the necessary attributes
  * - Returns a 400 error if at least one of the parameters in the request body is an empty string
  * - Returns a 400 error if the type of category passed in the request body represents an already existing category in the database
+ * - Returns a 400 error if the type of category passed in the request body represents a category in the trash
  * - Returns a 401 error if called by an authenticated user who is not an admin (authType = Admin)
  */
 describe("createCategory", () => {
@@ -128,6 +129,31 @@ describe("createCategory", () => {
         expect(mockRes.json).toHaveBeenCalledWith(response)
     });
 
+    test('Should return error if the type of category passed in the request body represents a category in the trash', async () => {
+        const mockReq = {
+            body: {
+                type: "Deleted",
+                color: "cyan"
+            }
+        }
+        const mockRes = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn(),
+        }
+        const res = { authorized: true, cause: "Authorized" };
+        const response = { error: "Category is in the trash, restore it" };
+
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => res)
+        categories.findOne.mockResolvedValueOnce({ type: "Deleted", color: "cyan", deletedAt: new Date() })
+
+        await createCategory(mockReq, mockRes)
+
+        expect(categories.findOne).toHaveBeenCalledWith({ type: "Deleted" }, null, { withDeleted: true })
+        expect(categories.prototype.save).not.toHaveBeenCalled();
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith(response)
+    });
+
     test('Should return error if called by an authenticated user who is not an admin (authType = Admin)', async () => {
         const mockReq = {
             body: {
@@ -384,7 +410,7 @@ describe("deleteCategory", () => {
       }
     })
     jest.spyOn(categories, "count").mockImplementation(() => {return --countCat} )
-    jest.spyOn(categories, "deleteOne").mockImplementation(() => {})
+    jest.spyOn(categories, "updateOne").mockImplementation(() => {})
     jest.spyOn(transactions, "updateMany").mockImplementation(() => updated_transactions )
 
     await deleteCategory(mockReq, mockRes)
@@ -392,7 +418,7 @@ describe("deleteCategory", () => {
     expect(verifyAuth).toHaveBeenCalled()
     expect(categories.findOne).toHaveBeenCalled()
     expect(categories.count).toHaveBeenCalled()
-    expect(categories.deleteOne).toHaveBeenCalled()
+    expect(categories.updateOne).toHaveBeenCalledWith({ type: expect.any(String) }, { $set: { deletedAt: expect.any(Date) } })
     expect(transactions.updateMany).toHaveBeenCalled()
     expect(mockRes.status).toHaveBeenCalledWith(200)
     expect(mockRes.json).toHaveBeenCalledWith(response)
@@ -425,7 +451,7 @@ describe("deleteCategory", () => {
       }
     })
     jest.spyOn(categories, "count").mockImplementation(() => {return --countCat} )
-    jest.spyOn(categories, "deleteOne").mockImplementation(() => {})
+    jest.spyOn(categories, "updateOne").mockImplementation(() => {})
     jest.spyOn(transactions, "updateMany").mockImplementation(() => updated_transactions )
 
     await deleteCategory(mockReq, mockRes)
@@ -433,7 +459,7 @@ describe("deleteCategory", () => {
     expect(verifyAuth).toHaveBeenCalled()
     expect(categories.findOne).toHaveBeenCalled()
     expect(categories.count).toHaveBeenCalled()
-    expect(categories.deleteOne).toHaveBeenCalled()
+    expect(categories.updateOne).toHaveBeenCalledWith({ type: expect.any(String) }, { $set: { deletedAt: expect.any(Date) } })
     expect(transactions.updateMany).toHaveBeenCalled()
     expect(mockRes.status).toHaveBeenCalledWith(200)
     expect(mockRes.json).toHaveBeenCalledWith(response)
@@ -634,7 +660,8 @@ describe("createTransaction", () => {
     verifyAuth.mockReturnValue({ authorized: true, cause: "Authorized" });
 
     // Mock the categories.findOne function to return a category
-    categories.findOne.mockResolvedValue({ type: 'expense' });
+    // (the same mock serves budgets.findOne, so the following lookups find no budget)
+    categories.findOne.mockResolvedValueOnce({ type: 'expense' }).mockResolvedValue(null);
 
     // Mock the User.findOne function to return a user
     User.findOne.mockResolvedValue({ username: 'user1' });
@@ -676,13 +703,106 @@ describe("createTransaction", () => {
       data: {
         username: 'user1',
         amount: 50,
+        kind: 'expense',
+        currency: 'EUR',
         type: 'expense',
         date: expect.any(Date),// Validate the date format
+        remainingBudget: null,
+        overBudget: false,
       },
       refreshedTokenMessage: 'Access token has been refreshed. Remember to copy the new one in the headers of subsequent calls',
     });
   });
 
+  test('Should save the description, notes and tags of the transaction', async () => {
+    verifyAuth.mockReturnValue({ authorized: true, cause: "Authorized" });
+    categories.findOne.mockResolvedValueOnce({ type: 'expense' }).mockResolvedValue(null);
+    User.findOne.mockResolvedValue({ username: 'user1' });
+    transactions.prototype.save.mockResolvedValue();
+
+    const req = {
+      params: { username: 'user1' },
+      body: { username: 'user1', amount: '42.10', type: 'expense', kind: 'income', description: 'Dinner', notes: 'with Luigi', tags: ['food', ' friends', 'food'] },
+    };
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      locals: {},
+    };
+
+    await createTransaction(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].data).toEqual(expect.objectContaining({
+      amount: 42.1,
+      kind: 'income',
+      description: 'Dinner',
+      notes: 'with Luigi',
+      tags: ['food', 'friends'],
+    }));
+  });
+
+  test('should return a 400 error if the kind is not valid', async () => {
+    verifyAuth.mockReturnValue({ authorized: true, cause: "Authorized" });
+    categories.findOne.mockResolvedValueOnce({ type: 'expense' });
+    User.findOne.mockResolvedValue({ username: 'user1' });
+
+    const req = {
+      params: { username: 'user1' },
+      body: { username: 'user1', amount: '1500', type: 'salary', kind: 'salary' },
+    };
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+
+    await createTransaction(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Kind not valid' });
+  });
+
+  test('should return a 400 error if the kind is transfer', async () => {
+    verifyAuth.mockReturnValue({ authorized: true, cause: "Authorized" });
+    categories.findOne.mockResolvedValueOnce({ type: 'expense' });
+    User.findOne.mockResolvedValue({ username: 'user1' });
+
+    const req = {
+      params: { username: 'user1' },
+      body: { username: 'user1', amount: '50', type: 'savings', kind: 'transfer' },
+    };
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+
+    await createTransaction(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Transfers cannot be created as single transactions' });
+    expect(transactions.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('should return a 400 error if the tags are not an array of strings', async () => {
+    verifyAuth.mockReturnValue({ authorized: true, cause: "Authorized" });
+    categories.findOne.mockResolvedValueOnce({ type: 'expense' });
+    User.findOne.mockResolvedValue({ username: 'user1' });
+
+    const req = {
+      params: { username: 'user1' },
+      body: { username: 'user1', amount: '42.10', type: 'expense', tags: 'food' },
+    };
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+
+    await createTransaction(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Tags not valid' });
+  });
+
   test('should return a 400 error if the request body does not contain all the necessary attributes', async () => {
     // Mock the verifyAuth function to return successful user authentication
     verifyAuth.mockReturnValue({ authorized: true, cause: "Authorized" });
@@ -752,6 +872,7 @@ describe("createTransaction", () => {
       status: jest.fn().mockReturnThis(),
       json: jest.fn(),
     };
+    categories.findOne.mockResolvedValue({ type: 'expense' });
 
     await createTransaction(req, res);
 
@@ -822,6 +943,54 @@ describe("createTransaction", () => {
     expect(res.status).toHaveBeenCalledWith(400);
     expect(res.json).toHaveBeenCalledWith({ error: 'Amount not valid' });
   });
+  test('should create a transaction on an account of the user, in the currency of the account', async () => {
+    jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }));
+    User.findOne.mockResolvedValue({ username: 'user1', currency: 'EUR' });
+    // categories and accounts share the automocked `findOne`
+    categories.findOne
+      .mockResolvedValueOnce({ type: 'expense' })
+      .mockResolvedValueOnce({ _id: '6470c8f1a1b2c3d4e5f60001', username: 'user1', name: 'cash', currency: 'USD' })
+      .mockResolvedValue(null);
+    exchange_rates.find.mockResolvedValue([]);
+
+    const req = {
+      params: { username: 'user1' },
+      body: { username: 'user1', amount: '20', type: 'expense', account: '6470c8f1a1b2c3d4e5f60001' },
+    };
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      locals: {},
+    };
+
+    await createTransaction(req, res);
+
+    expect(accounts.findOne).toHaveBeenCalledWith({ _id: '6470c8f1a1b2c3d4e5f60001', username: 'user1' });
+    expect(transactions).toHaveBeenCalledWith(expect.objectContaining({ account: '6470c8f1a1b2c3d4e5f60001', currency: 'USD' }));
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].data).toEqual(expect.objectContaining({ account: '6470c8f1a1b2c3d4e5f60001', currency: 'USD' }));
+  });
+
+  test('should return a 400 error if the account does not belong to the user', async () => {
+    jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }));
+    User.findOne.mockResolvedValue({ username: 'user1' });
+    categories.findOne.mockResolvedValueOnce({ type: 'expense' }).mockResolvedValueOnce(null);
+
+    const req = {
+      params: { username: 'user1' },
+      body: { username: 'user1', amount: '20', type: 'expense', account: '6470c8f1a1b2c3d4e5f60001' },
+    };
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+
+    await createTransaction(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Account not Found.' });
+  });
+
   //Returns a 400 error if the username passed in the request body is not equal to the one passed as a route parameter
   test('should return a 400 error if the category passed in the request body does not exists', async () => {
 
@@ -879,11 +1048,16 @@ describe("createTransaction", () => {
 
 
 describe("getAllTransactions", () => {
+  beforeEach(() => {
+      // no exchange rates besides the reference currency
+      exchange_rates.find.mockResolvedValue([]);
+  });
+
   test('should return transactions with category information for Admin (200)', async () => {
       verifyAuth.mockReturnValue({ authorized: true,cause: "Authorized" });
 
       // Mock the transactions.aggregate function to return mock data
-      transactions.aggregate.mockResolvedValue([
+      transactions.aggregate.mockResolvedValueOnce([
         {
           username: 'user1',
           type: 'expense',
@@ -899,9 +1073,10 @@ describe("getAllTransactions", () => {
           categories_info: { color: 'green' },
         },
       ]);
+      transactions.countDocuments.mockResolvedValueOnce(2);
   
       // Prepare mock request and response objects
-      const req = {};
+      const req = { query: {} };
       const res = {
         status: jest.fn().mockReturnThis(),
         json: jest.fn(),
@@ -914,10 +1089,12 @@ describe("getAllTransactions", () => {
       // Assert the expected behavior
   
       // Verify that verifyAuth was called with the correct arguments
-      expect(verifyAuth).toHaveBeenCalledWith(req, res, { authType: 'Admin' });
+      expect(verifyAuth).toHaveBeenCalledWith(req, res, { authType: 'Permission', permission: 'transactions:read' });
   
-      // Verify that transactions.aggregate was called with the correct aggregation pipeline
+      // Verify that transactions.aggregate was called with the correct aggregation pipelines (the page is joined with the categories, the total is counted without them)
       expect(transactions.aggregate).toHaveBeenCalledWith([
+        { $match: {} },
+        { $sort: { _id: 1 } },
         {
           $lookup: {
             from: 'categories',
@@ -926,8 +1103,9 @@ describe("getAllTransactions", () => {
             as: 'categories_info',
           },
         },
-        { $unwind: '$categories_info' },
+        { $unwind: { path: '$categories_info', preserveNullAndEmptyArrays: true } },
       ]);
+      expect(transactions.countDocuments).toHaveBeenCalledWith({});
   
       // Verify that the response status code and JSON payload are correct
       expect(res.status).toHaveBeenCalledWith(200);
@@ -939,6 +1117,9 @@ describe("getAllTransactions", () => {
             amount: 50,
             date: '2023-05-30',
             color: 'red',
+            kind: 'expense',
+            currency: 'EUR',
+            baseAmount: 50,
           },
           {
             username: 'user2',
@@ -946,12 +1127,139 @@ describe("getAllTransactions", () => {
             amount: 100,
             date: '2023-05-29',
             color: 'green',
+            kind: 'expense',
+            currency: 'EUR',
+            baseAmount: 100,
           },
         ],
+        total: 2,
+        nextCursor: null,
+        baseCurrency: 'EUR',
         refreshedTokenMessage: 'Access token has been refreshed. Remember to copy the new one in the headers of subsequent calls',
       });
     });
 
+  test('should return a page of transactions and the cursor to the following one', async () => {
+      verifyAuth.mockReturnValue({ authorized: true, cause: "Authorized" });
+      const ids = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+      transactions.aggregate.mockResolvedValueOnce([
+        { _id: ids[0], username: 'user1', type: 'expense', amount: 50, date: '2023-05-30', categories_info: { color: 'red' } },
+        { _id: ids[1], username: 'user2', type: 'income', amount: 100, date: '2023-05-29', categories_info: { color: 'green' } },
+      ]);
+      transactions.countDocuments.mockResolvedValueOnce(5);
+
+      const req = { query: { limit: '1', sort: '-amount' } };
+      const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn(),
+        locals: {},
+      };
+
+      await getAllTransactions(req, res);
+
+      expect(transactions.aggregate.mock.calls[0][0].slice(1, 3)).toEqual([{ $sort: { amount: -1, _id: -1 } }, { $limit: 2 }]);
+      expect(res.status).toHaveBeenCalledWith(200);
+      const body = res.json.mock.calls[0][0];
+      expect(body.data).toEqual([{ username: 'user1', type: 'expense', amount: 50, kind: 'expense', currency: 'EUR', baseAmount: 50, date: '2023-05-30', color: 'red' }]);
+      expect(body.total).toBe(5);
+      expect(JSON.parse(Buffer.from(body.nextCursor, 'base64url').toString())).toEqual({ field: 'amount', value: 50, id: ids[0].toString() });
+  });
+
+  test('should return error for invalid pagination parameters (400)', async () => {
+      verifyAuth.mockReturnValue({ authorized: true, cause: "Authorized" });
+
+      const req = { query: { sort: 'color' } };
+      const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn(),
+      };
+
+      await getAllTransactions(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Sort not valid' });
+  });
+
+  test('should return error for a repeated sort parameter (400)', async () => {
+      verifyAuth.mockReturnValue({ authorized: true, cause: "Authorized" });
+
+      const req = { query: { sort: ['date', 'amount'] } };
+      const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn(),
+      };
+
+      await getAllTransactions(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Sort not valid' });
+  });
+
+  test('should filter the transactions by category, username, date and amount', async () => {
+      verifyAuth.mockReturnValue({ authorized: true, cause: "Authorized" });
+      transactions.aggregate.mockResolvedValueOnce([]);
+      transactions.countDocuments.mockResolvedValueOnce(0);
+
+      const req = { query: { category: 'food', username: 'user1', from: '2023-05-01', min: '10' } };
+      const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn(),
+        locals: {},
+      };
+
+      await getAllTransactions(req, res);
+
+      expect(transactions.aggregate.mock.calls[0][0][0]).toEqual({
+        $match: { date: { $gte: new Date('2023-05-01T00:00:00.000Z') }, amount: { $gte: 10 }, type: 'food', username: 'user1' }
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ data: [], total: 0, nextCursor: null, baseCurrency: 'EUR', refreshedTokenMessage: undefined });
+  });
+
+  test('should search the words of q in the text index', async () => {
+      verifyAuth.mockReturnValue({ authorized: true, cause: "Authorized" });
+      transactions.aggregate.mockResolvedValueOnce([
+        { username: 'user1', type: 'expense', amount: 42.1, date: '2023-05-30', description: 'Dinner', tags: ['food'], categories_info: { color: 'red' } },
+      ]);
+      transactions.countDocuments.mockResolvedValueOnce(1);
+
+      const req = { query: { q: 'dinner' } };
+      const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn(),
+        locals: {},
+      };
+
+      await getAllTransactions(req, res);
+
+      expect(transactions.aggregate.mock.calls[0][0][0]).toEqual({ $match: { $text: { $search: 'dinner' } } });
+      expect(res.json.mock.calls[0][0].data).toEqual([
+        { username: 'user1', type: 'expense', amount: 42.1, kind: 'expense', currency: 'EUR', baseAmount: 42.1, date: '2023-05-30', color: 'red', description: 'Dinner', tags: ['food'] },
+      ]);
+  });
+
+  test('should return a null color for the transactions whose category does not exist', async () => {
+      verifyAuth.mockReturnValue({ authorized: true, cause: "Authorized" });
+      transactions.aggregate.mockResolvedValueOnce([
+        { username: 'user1', type: 'removed', amount: 5, date: '2023-05-30' },
+      ]);
+      transactions.countDocuments.mockResolvedValueOnce(1);
+
+      const req = { query: {} };
+      const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn(),
+        locals: {},
+      };
+
+      await getAllTransactions(req, res);
+
+      expect(res.json.mock.calls[0][0].data).toEqual([
+        { username: 'user1', type: 'removed', amount: 5, kind: 'expense', currency: 'EUR', baseAmount: 5, date: '2023-05-30', color: null },
+      ]);
+      expect(res.json.mock.calls[0][0].total).toBe(1);
+  });
+
   test('should return error for non-admin users (401)', async () => {
       // Mock the verifyAuth function to return unsuccessful authentication
       verifyAuth.mockReturnValue({ authorized: false, cause: "Admin: Mismatched role" });
@@ -969,7 +1277,7 @@ describe("getAllTransactions", () => {
       // Assert the expected behavior
 
       // Verify that verifyAuth was called with the correct arguments
-      expect(verifyAuth).toHaveBeenCalledWith(req, res, { authType: 'Admin' });
+      expect(verifyAuth).toHaveBeenCalledWith(req, res, { authType: 'Permission', permission: 'transactions:read' });
 
       // Verify that the response status code and JSON payload are correct
       expect(res.status).toHaveBeenCalledWith(401);
@@ -993,7 +1301,7 @@ describe("getAllTransactions", () => {
       await getAllTransactions(req, res);
 
       // Verify that verifyAuth was called with the correct arguments
-      expect(verifyAuth).toHaveBeenCalledWith(req, res, { authType: 'Admin' });
+      expect(verifyAuth).toHaveBeenCalledWith(req, res, { authType: 'Permission', permission: 'transactions:read' });
 
       // Verify that the response status code and JSON payload are correct
       expect(res.status).toHaveBeenCalledWith(500);
@@ -1003,6 +1311,11 @@ describe("getAllTransactions", () => {
 
 
 describe("getTransactionsByUser", () => {
+  beforeEach(() => {
+      // no exchange rates besides the reference currency
+      exchange_rates.find.mockResolvedValue([]);
+  });
+
   test('should return transactions with status code 200', async () => {
       // Mock the request and response objects
       const mockReq = {
@@ -1056,11 +1369,18 @@ describe("getTransactionsByUser", () => {
               amount: v.amount,
               date: v.date,
               color: v.categories_info.color,
+              kind: 'expense',
+              currency: 'EUR',
+              baseAmount: v.amount,
           })),
+          total: 2,
+          nextCursor: null,
+          baseCurrency: 'EUR',
           refreshedTokenMessage: mockRes.locals.refreshedTokenMessage,
       };
 
-      jest.spyOn(transactions, 'aggregate').mockResolvedValue(Transactions);
+      jest.spyOn(transactions, 'aggregate').mockResolvedValueOnce(Transactions);
+      transactions.countDocuments.mockResolvedValueOnce(2);
     
       // Call the function
       await getTransactionsByUser(mockReq, mockRes);
@@ -1072,6 +1392,8 @@ describe("getTransactionsByUser", () => {
       });
       expect(User.findOne).toHaveBeenCalledWith({ username: mockReq.params.username });
       expect(transactions.aggregate).toHaveBeenCalledWith([
+        { $match: { username: 'user1' } },
+        { $sort: { _id: 1 } },
         {
           $lookup: {
             from: 'categories',
@@ -1080,13 +1402,12 @@ describe("getTransactionsByUser", () => {
             as: 'categories_info',
           },
         },
-        { $match: { $and: [{},{}] } }, 
-        { $unwind: '$categories_info' },
+        { $unwind: { path: '$categories_info', preserveNullAndEmptyArrays: true } },
       ]);
       expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith(response);
   });
-  test('should return transactions with status code 200 as Admin (without filtering)', async () => {
+  test('should return transactions with status code 200 as Admin', async () => {
       // Mock the request and response objects
       const mockReq = {
         params: {
@@ -1139,19 +1460,28 @@ describe("getTransactionsByUser", () => {
               amount: v.amount,
               date: v.date,
               color: v.categories_info.color,
+              kind: 'expense',
+              currency: 'EUR',
+              baseAmount: v.amount,
           })),
+          total: 2,
+          nextCursor: null,
+          baseCurrency: 'EUR',
           refreshedTokenMessage: mockRes.locals.refreshedTokenMessage,
       };
 
-      jest.spyOn(transactions, 'aggregate').mockResolvedValue(Transactions);
+      jest.spyOn(transactions, 'aggregate').mockResolvedValueOnce(Transactions);
+      transactions.countDocuments.mockResolvedValueOnce(2);
     
       // Call the function
       await getTransactionsByUser(mockReq, mockRes);
     
       // Assertions
-      expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, {authType: 'Admin'});
+      expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: 'Permission', permission: 'transactions:read' });
       expect(User.findOne).toHaveBeenCalledWith({ username: mockReq.params.username });
       expect(transactions.aggregate).toHaveBeenCalledWith([
+        { $match: { username: 'user1' } },
+        { $sort: { _id: 1 } },
         {
           $lookup: {
             from: 'categories',
@@ -1160,12 +1490,43 @@ describe("getTransactionsByUser", () => {
             as: 'categories_info',
           },
         },
-        { $match: { $and: [{},{}] } }, 
-        { $unwind: '$categories_info' },
+        { $unwind: { path: '$categories_info', preserveNullAndEmptyArrays: true } },
       ]);
       expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith(response);
   });
+  test('should apply the filters in the query also as Admin', async () => {
+      const mockReq = {
+        params: {
+          username: 'user1',
+        },
+        url: '/api/transactions/users/user1?date=2023-05-10&max=50',
+        query: { date: '2023-05-10', max: '50' },
+      };
+
+      const mockRes = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn(),
+        locals: {},
+      };
+
+      jest.spyOn(VerifyAuthmodule, 'verifyAuth').mockImplementation(() => ({ authorized: true, cause: "Authorized" }));
+      jest.spyOn(User, 'findOne').mockResolvedValue({ username: 'user1' });
+      jest.spyOn(transactions, 'aggregate').mockResolvedValueOnce([]);
+      transactions.countDocuments.mockResolvedValueOnce(0);
+
+      await getTransactionsByUser(mockReq, mockRes);
+
+      expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: 'Permission', permission: 'transactions:read' });
+      expect(transactions.aggregate.mock.calls[0][0][0]).toEqual({
+        $match: {
+          username: 'user1',
+          date: { $gte: new Date('2023-05-10T00:00:00.000Z'), $lte: new Date('2023-05-10T23:59:59.000Z') },
+          amount: { $lte: 50 },
+        }
+      });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+  });
   test('username passed as a route parameter does not represent a user in the database, should return 400', async () => {
       // Mock the request and response objects
       const mockReq = {
@@ -1259,13 +1620,18 @@ describe("getTransactionsByUser", () => {
       await getTransactionsByUser(mockReq, mockRes);
     
       // Assertions
-      expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, {authType: 'Admin'});
+      expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: 'Permission', permission: 'transactions:read' });
       expect(mockRes.status).toHaveBeenCalledWith(401);
       expect(mockRes.json).toHaveBeenCalledWith(response);
   });
 })
 
 describe("getTransactionsByUserByCategory", () => {
+  beforeEach(() => {
+      // no exchange rates besides the reference currency
+      exchange_rates.find.mockResolvedValue([]);
+  });
+
   test('should return transactions with status code 200', async () => {
       // Mock the request and response objects
       const mockReq = {
@@ -1274,6 +1640,7 @@ describe("getTransactionsByUserByCategory", () => {
           category: 'Food',
         },
         url: '/api/users/user1/transactions/category/Food',
+        query: {},
       };
   
       const mockRes = {
@@ -1292,6 +1659,9 @@ describe("getTransactionsByUserByCategory", () => {
                   amount: 10,
                   date: '2023-01-01',
                   color: 'red',
+                  kind: 'expense',
+                  currency: 'EUR',
+                  baseAmount: 10,
               },
               {
                   username: 'user1',
@@ -1299,8 +1669,14 @@ describe("getTransactionsByUserByCategory", () => {
                   amount: 20,
                   date: '2023-01-02',
                   color: 'red',
+                  kind: 'expense',
+                  currency: 'EUR',
+                  baseAmount: 20,
               },
           ],
+          total: 2,
+          nextCursor: null,
+          baseCurrency: 'EUR',
           refreshedTokenMessage: 'Access token has been refreshed. Remember to copy the new one in the headers of subsequent calls',
       };
       jest.spyOn(VerifyAuthmodule, 'verifyAuth').mockImplementation(() => resAuth);
@@ -1334,7 +1710,8 @@ describe("getTransactionsByUserByCategory", () => {
           }
         },
       ];
-      jest.spyOn(transactions, 'aggregate').mockResolvedValue(Transactions);
+      jest.spyOn(transactions, 'aggregate').mockResolvedValueOnce(Transactions);
+      transactions.countDocuments.mockResolvedValueOnce(2);
   
       // Call the function
       await getTransactionsByUserByCategory(mockReq, mockRes);
@@ -1347,6 +1724,8 @@ describe("getTransactionsByUserByCategory", () => {
       expect(User.findOne).toHaveBeenCalledWith({ username: mockReq.params.username });
       expect(categories.findOne).toHaveBeenCalledWith({ type: mockReq.params.category });
       expect(transactions.aggregate).toHaveBeenCalledWith([
+        { $match: { username: 'user1', type: 'Food' } },
+        { $sort: { _id: 1 } },
         {
           $lookup: {
             from: 'categories',
@@ -1355,7 +1734,7 @@ describe("getTransactionsByUserByCategory", () => {
             as: 'categories_info',
           },
         },
-        { $unwind: '$categories_info' },
+        { $unwind: { path: '$categories_info', preserveNullAndEmptyArrays: true } },
       ]);
       expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith(response);
@@ -1494,13 +1873,18 @@ describe("getTransactionsByUserByCategory", () => {
       await getTransactionsByUserByCategory(mockReq, mockRes);
   
       // Assertions
-      expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, {authType: 'Admin'});
+      expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: 'Permission', permission: 'transactions:read' });
       expect(mockRes.status).toHaveBeenCalledWith(401);
       expect(mockRes.json).toHaveBeenCalledWith(response);
   });
 })
 
 describe("getTransactionsByGroup", () => { 
+  beforeEach(() => {
+      // no exchange rates besides the reference currency
+      exchange_rates.find.mockResolvedValue([]);
+  });
+
   test('should return 200', async () => {
       // Mock the request and response objects
       const mockReq = {
@@ -1508,6 +1892,7 @@ describe("getTransactionsByGroup", () => {
           name: 'Gruppo1',
         },
         url: '/api/groups/Gruppo1/transactions',
+        query: {},
       };
   
       const mockRes = {
@@ -1536,6 +1921,9 @@ describe("getTransactionsByGroup", () => {
                   amount: 10,
                   date: '2023-01-01',
                   color: 'red',
+                  kind: 'expense',
+                  currency: 'EUR',
+                  baseAmount: 10,
               },
               {
                   username: 'user2',
@@ -1543,8 +1931,14 @@ describe("getTransactionsByGroup", () => {
                   amount: 20,
                   date: '2023-01-02',
                   color: 'blue',
+                  kind: 'expense',
+                  currency: 'EUR',
+                  baseAmount: 20,
               },
           ],
+          total: 2,
+          nextCursor: null,
+          baseCurrency: 'EUR',
           refreshedTokenMessage: mockRes.locals.refreshedTokenMessage,
       };
       jest.spyOn(VerifyAuthmodule, 'verifyAuth').mockImplementation(() => resAuth);
@@ -1552,21 +1946,24 @@ describe("getTransactionsByGroup", () => {
       // Mock the transactions.aggregate method
       const Transactions = [
         {
-          user: { username: 'user1', email: 'user1@example.com' },
-          group: { name: 'Gruppo1' },
-          category: { type: 'Food', color: 'red' },
+          username: 'user1',
+          type: 'Food',
           amount: 10,
           date: '2023-01-01',
+          categories_info: { color: 'red' },
         },
         {
-          user: { username: 'user2', email: 'user2@example.com' },
-          group: { name: 'Gruppo1' },
-          category: { type: 'Travel', color: 'blue' },
+          username: 'user2',
+          type: 'Travel',
           amount: 20,
           date: '2023-01-02',
+          categories_info: { color: 'blue' },
         },
       ];
-      jest.spyOn(transactions, 'aggregate').mockResolvedValue(Transactions);
+      // Mock the User model's find method returning the members of the group
+      jest.spyOn(User, 'find').mockResolvedValue([{ username: 'user1' }, { username: 'user2' }]);
+      jest.spyOn(transactions, 'aggregate').mockResolvedValueOnce(Transactions);
+      transactions.countDocuments.mockResolvedValueOnce(2);
   
       // Call the function
       await getTransactionsByGroup(mockReq, mockRes);
@@ -1577,57 +1974,20 @@ describe("getTransactionsByGroup", () => {
         authType: 'Group',
         emails: ['member1@example.com', 'member2@example.com'],
       });
+      expect(User.find).toHaveBeenCalledWith({ email: { $in: ['member1@example.com', 'member2@example.com'] } });
       expect(transactions.aggregate).toHaveBeenCalledWith([
-          {
-            $lookup: {
-              from: 'users',
-              localField: 'username',
-              foreignField: 'username',
-              as: 'user',
-            },
-          },
-          {
-            $unwind: '$user',
-          },
-          {
-            $lookup: {
-              from: 'groups',
-              localField: 'user.email',
-              foreignField: 'members.email',
-              as: 'group',
-            },
-          },
-          {
-            $unwind: '$group',
-          },
-          {
-            $lookup: {
-              from: 'categories',
-              localField: 'type',
-              foreignField: 'type',
-              as: 'category',
-            },
-          },
-          {
-            $unwind: '$category',
-          },
-          {
-            $match: {
-              'group.name': 'Gruppo1',
-            },
-          },
-          {
-            $project: {
-              'user.username': 1,
-              'user.email': 1,
-              'group.name': 1,
-              'category.type': 1,
-              'amount': 1,
-              'date': 1,
-              'category.color': 1,
-            },
+        { $match: { username: { $in: ['user1', 'user2'] } } },
+        { $sort: { _id: 1 } },
+        {
+          $lookup: {
+            from: 'categories',
+            localField: 'type',
+            foreignField: 'type',
+            as: 'categories_info',
           },
-        ]);          
+        },
+        { $unwind: { path: '$categories_info', preserveNullAndEmptyArrays: true } },
+      ]);          
       expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith(response);
   });
@@ -1728,13 +2088,18 @@ describe("getTransactionsByGroup", () => {
   
       // Assertions
       expect(Group.findOne).toHaveBeenCalledWith({ name: mockReq.params.name });
-      expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, {authType: 'Admin',});
+      expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: 'Permission', permission: 'transactions:read' });
       expect(mockRes.status).toHaveBeenCalledWith(401);
       expect(mockRes.json).toHaveBeenCalledWith(response);
   });
 })
 
 describe("getTransactionsByGroupByCategory", () => { 
+  beforeEach(() => {
+      // no exchange rates besides the reference currency
+      exchange_rates.find.mockResolvedValue([]);
+  });
+
   test('getTransactionsByGroupByCategory, should return 200', async () => {
       const req = {
           params: {
@@ -1742,6 +2107,7 @@ describe("getTransactionsByGroupByCategory", () => {
               category: 'Food',
           },
           url: '/api/groups/Gruppo1/transactions/category/Food',
+          query: {},
       };
 
       const res = {
@@ -1774,6 +2140,9 @@ describe("getTransactionsByGroupByCategory", () => {
                   amount: 10,
                   date: '2022-01-01',
                   color: 'blue',
+                  kind: 'expense',
+                  currency: 'EUR',
+                  baseAmount: 10,
               },
               {
                   username: 'user2',
@@ -1781,87 +2150,57 @@ describe("getTransactionsByGroupByCategory", () => {
                   amount: 15,
                   date: '2022-01-02',
                   color: 'red',
+                  kind: 'expense',
+                  currency: 'EUR',
+                  baseAmount: 15,
               },
           ],
+          total: 2,
+          nextCursor: null,
+          baseCurrency: 'EUR',
           refreshedTokenMessage: res.locals.refreshedTokenMessage,
       };
       jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => resAuth)
 
       // Set up the mock implementation for Transaction.aggregate
-      transactions.aggregate.mockResolvedValue([
+      User.find.mockResolvedValue([{ username: 'user1' }, { username: 'user2' }]);
+      transactions.aggregate.mockResolvedValueOnce([
         {
-          user: { username: 'user1', email: 'user1@example.com' },
-          group: { name: req.params.name },
-          category: { type: req.params.category, color: 'blue' },
+          username: 'user1',
+          type: req.params.category,
           amount: 10,
           date: '2022-01-01',
+          categories_info: { color: 'blue' },
         },
         {
-          user: { username: 'user2', email: 'user2@example.com' },
-          group: { name: req.params.name },
-          category: { type: req.params.category, color: 'red' },
+          username: 'user2',
+          type: req.params.category,
           amount: 15,
           date: '2022-01-02',
+          categories_info: { color: 'red' },
         },
       ]);
+      transactions.countDocuments.mockResolvedValueOnce(2);
   
       await getTransactionsByGroupByCategory(req, res);
   
       expect(Group.findOne).toHaveBeenCalledWith({ name: req.params.name });
       jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => resAuth)
       expect(categories.findOne).toHaveBeenCalledWith({ type: req.params.category });
+      expect(User.find).toHaveBeenCalledWith({ email: { $in: ['member1@example.com', 'member2@example.com'] } });
       expect(transactions.aggregate).toHaveBeenCalledWith([
-          {
-            $lookup: {
-              from: 'users',
-              localField: 'username',
-              foreignField: 'username',
-              as: 'user',
-            },
-          },
-          {
-            $unwind: '$user',
-          },
-          {
-            $lookup: {
-              from: 'groups',
-              localField: 'user.email',
-              foreignField: 'members.email',
-              as: 'group',
-            },
-          },
-          {
-            $unwind: '$group',
-          },
-          {
-            $lookup: {
-              from: 'categories',
-              localField: 'type',
-              foreignField: 'type',
-              as: 'category',
-            },
-          },
-          {
-            $unwind: '$category',
-          },
-          {
-            $match: {
-              'group.name': req.params.name,
-              'category.type': req.params.category,
-            },
-          },
-          {
-            $project: {
-              'user.username': 1,
-              'user.email': 1,
-              'group.name': 1,
-              'category.type': 1,
-              'amount': 1,
-              'date': 1,
-              'category.color': 1,
-            },
+        { $match: { username: { $in: ['user1', 'user2'] }, type: 'Food' } },
+        { $sort: { _id: 1 } },
+        {
+          $lookup: {
+            from: 'categories',
+            localField: 'type',
+            foreignField: 'type',
+            as: 'categories_info',
           },
-        ]);
+        },
+        { $unwind: { path: '$categories_info', preserveNullAndEmptyArrays: true } },
+      ]);
         
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith(response);
@@ -1996,13 +2335,172 @@ describe("getTransactionsByGroupByCategory", () => {
 
       await getTransactionsByGroupByCategory(mockReq, mockRes);
   
-      expect(verifyAuth).toHaveBeenCalledWith(mockReq,mockRes,{authType: "Admin"});
+      expect(verifyAuth).toHaveBeenCalledWith(mockReq,mockRes,{ authType: "Permission", permission: "transactions:read" });
       expect(Group.findOne).toHaveBeenCalledWith({ name: mockReq.params.name });  
       expect(mockRes.status).toHaveBeenCalledWith(401);
       expect(mockRes.json).toHaveBeenCalledWith(response);
   });
 })
 
+describe("updateTransaction", () => {
+  const mockResponse = () => ({
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      locals: { refreshedTokenMessage: 'Access token has been refreshed. Remember to copy the new one in the headers of subsequent calls' },
+  });
+
+  test('updateTransaction, should update the transaction of the user keeping its _id', async () => {
+      const mockReq = {
+          params: { username: "Mario", id: "646a1e5a3f1c2a0012345678" },
+          url: "/api/users/Mario/transactions/646a1e5a3f1c2a0012345678",
+          body: { amount: "25.5", type: "food", date: "2023-05-10" }
+      };
+      const mockRes = mockResponse()
+      const updated = { _id: "646a1e5a3f1c2a0012345678", username: "Mario", amount: 25.5, type: "food", date: new Date("2023-05-10") };
+
+      jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+      categories.findOne.mockResolvedValueOnce({ type: "food", color: "red" });
+      transactions.findOneAndUpdate.mockResolvedValueOnce(updated);
+
+      await controller.updateTransaction(mockReq, mockRes)
+
+      expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: "User", username: "Mario" });
+      expect(categories.findOne).toHaveBeenCalledWith({ type: "food" });
+      expect(transactions.findOneAndUpdate).toHaveBeenCalledWith(
+          { _id: "646a1e5a3f1c2a0012345678", username: "Mario", kind: { $ne: "transfer" } },
+          { $set: { amount: 25.5, type: "food", date: new Date("2023-05-10") } },
+          { new: true }
+      );
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+      expect(mockRes.json).toHaveBeenCalledWith({ data: updated, refreshedTokenMessage: mockRes.locals.refreshedTokenMessage })
+  });
+
+  test('updateTransaction called by an Admin with an account, should only update a transaction of the owner of the account', async () => {
+      const mockReq = {
+          params: { id: "646a1e5a3f1c2a0012345678" },
+          url: "/api/transactions/646a1e5a3f1c2a0012345678",
+          body: { account: "6470c8f1a1b2c3d4e5f60001" }
+      };
+      const mockRes = mockResponse()
+
+      jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+      accounts.findOne.mockResolvedValueOnce({ _id: "6470c8f1a1b2c3d4e5f60001", username: "Luigi", name: "cash" });
+      transactions.findOneAndUpdate.mockResolvedValueOnce({ _id: "646a1e5a3f1c2a0012345678", username: "Luigi", amount: 10, account: "6470c8f1a1b2c3d4e5f60001" });
+
+      await controller.updateTransaction(mockReq, mockRes)
+
+      expect(accounts.findOne).toHaveBeenCalledWith({ _id: "6470c8f1a1b2c3d4e5f60001" });
+      expect(transactions.findOneAndUpdate).toHaveBeenCalledWith(
+          { _id: "646a1e5a3f1c2a0012345678", username: "Luigi", kind: { $ne: "transfer" } },
+          { $set: { account: "6470c8f1a1b2c3d4e5f60001" } },
+          { new: true }
+      );
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+  });
+
+  test('updateTransaction called by an Admin, should update the transaction of any user', async () => {
+      const mockReq = {
+          params: { id: "646a1e5a3f1c2a0012345678" },
+          url: "/api/transactions/646a1e5a3f1c2a0012345678",
+          body: { amount: 10 }
+      };
+      const mockRes = mockResponse()
+
+      jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+      transactions.findOneAndUpdate.mockResolvedValueOnce({ _id: "646a1e5a3f1c2a0012345678", username: "Luigi", amount: 10, type: "food", date: new Date("2023-05-10") });
+
+      await controller.updateTransaction(mockReq, mockRes)
+
+      expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: "Permission", permission: "transactions:manage" });
+      expect(transactions.findOneAndUpdate).toHaveBeenCalledWith({ _id: "646a1e5a3f1c2a0012345678", kind: { $ne: "transfer" } }, { $set: { amount: 10 } }, { new: true });
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+  });
+
+  test('updateTransaction with body without any of the attributes, should return 400', async () => {
+      const mockReq = { params: { username: "Mario", id: "646a1e5a3f1c2a0012345678" }, url: "/api/users/Mario/transactions/646a1e5a3f1c2a0012345678", body: {} };
+      const mockRes = mockResponse()
+      jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+      await controller.updateTransaction(mockReq, mockRes)
+
+      expect(mockRes.status).toHaveBeenCalledWith(400)
+      expect(mockRes.json).toHaveBeenCalledWith({ error: "Some Parameter is Missing" })
+  });
+
+  test('updateTransaction with a date that is not valid, should return 400', async () => {
+      const mockReq = { params: { username: "Mario", id: "646a1e5a3f1c2a0012345678" }, url: "/api/users/Mario/transactions/646a1e5a3f1c2a0012345678", body: { date: "yesterday" } };
+      const mockRes = mockResponse()
+      jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+      await controller.updateTransaction(mockReq, mockRes)
+
+      expect(mockRes.status).toHaveBeenCalledWith(400)
+      expect(mockRes.json).toHaveBeenCalledWith({ error: "Date not valid" })
+  });
+
+  test('updateTransaction with a category that does not exist, should return 400', async () => {
+      const mockReq = { params: { username: "Mario", id: "646a1e5a3f1c2a0012345678" }, url: "/api/users/Mario/transactions/646a1e5a3f1c2a0012345678", body: { type: "unknown" } };
+      const mockRes = mockResponse()
+      jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+      categories.findOne.mockResolvedValueOnce(null);
+
+      await controller.updateTransaction(mockReq, mockRes)
+
+      expect(mockRes.status).toHaveBeenCalledWith(400)
+      expect(mockRes.json).toHaveBeenCalledWith({ error: "Category does not exist!" })
+      expect(transactions.findOneAndUpdate).not.toHaveBeenCalled()
+  });
+
+  test('updateTransaction of a transaction made by another user, should return 400', async () => {
+      const mockReq = { params: { username: "Mario", id: "646a1e5a3f1c2a0012345678" }, url: "/api/users/Mario/transactions/646a1e5a3f1c2a0012345678", body: { amount: 10 } };
+      const mockRes = mockResponse()
+      jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+      transactions.findOneAndUpdate.mockResolvedValueOnce(null);
+
+      await controller.updateTransaction(mockReq, mockRes)
+
+      expect(mockRes.status).toHaveBeenCalledWith(400)
+      expect(mockRes.json).toHaveBeenCalledWith({ error: "Transaction not Found." })
+  });
+
+  test('updateTransaction of a transaction of a transfer, should return 400', async () => {
+      const mockReq = { params: { username: "Mario", id: "646a1e5a3f1c2a0012345678" }, url: "/api/users/Mario/transactions/646a1e5a3f1c2a0012345678", body: { amount: 10 } };
+      const mockRes = mockResponse()
+      jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+      transactions.findOneAndUpdate.mockResolvedValueOnce(null);
+      jest.spyOn(transactions, "findOne").mockResolvedValueOnce({ _id: "646a1e5a3f1c2a0012345678", username: "Mario", kind: "transfer", transfer: "6470c8f1a1b2c3d4e5f60099" });
+
+      await controller.updateTransaction(mockReq, mockRes)
+
+      expect(transactions.findOne).toHaveBeenCalledWith({ _id: "646a1e5a3f1c2a0012345678", username: "Mario" })
+      expect(mockRes.status).toHaveBeenCalledWith(400)
+      expect(mockRes.json).toHaveBeenCalledWith({ error: "Transfers cannot be edited" })
+  });
+
+  test('updateTransaction turning a transaction into a transfer, should return 400', async () => {
+      const mockReq = { params: { username: "Mario", id: "646a1e5a3f1c2a0012345678" }, url: "/api/users/Mario/transactions/646a1e5a3f1c2a0012345678", body: { kind: "transfer" } };
+      const mockRes = mockResponse()
+      jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+      await controller.updateTransaction(mockReq, mockRes)
+
+      expect(transactions.findOneAndUpdate).not.toHaveBeenCalled()
+      expect(mockRes.status).toHaveBeenCalledWith(400)
+      expect(mockRes.json).toHaveBeenCalledWith({ error: "Transfers cannot be edited" })
+  });
+
+  test('updateTransaction called by an authenticated user who is not the owner (authType = User), should return 401', async () => {
+      const mockReq = { params: { username: "Mario", id: "646a1e5a3f1c2a0012345678" }, url: "/api/users/Mario/transactions/646a1e5a3f1c2a0012345678", body: { amount: 10 } };
+      const mockRes = mockResponse()
+      jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: false, cause: "User: Mismatched users" }))
+
+      await controller.updateTransaction(mockReq, mockRes)
+
+      expect(mockRes.status).toHaveBeenCalledWith(401)
+      expect(mockRes.json).toHaveBeenCalledWith({ error: "User: Mismatched users" })
+  });
+})
+
 describe("deleteTransaction", () => {
   test('deleteTransaction, should delete the transaction with success', async () => {
       const mockReq = {
@@ -2029,18 +2527,42 @@ describe("deleteTransaction", () => {
       jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => resAuth)
       jest.spyOn(User, "findOne").mockImplementation(() => user);
       jest.spyOn(transactions, "findOne").mockImplementation(() => Transaction);
-      jest.spyOn(transactions, "deleteOne").mockImplementation(() => null);
+      jest.spyOn(transactions, "updateOne").mockImplementation(() => null);
 
       await deleteTransaction(mockReq, mockRes)
 
       expect(verifyAuth).toHaveBeenCalledWith(mockReq,mockRes,{authType: "User", username: mockReq.params.username});
       expect(User.findOne).toHaveBeenCalledWith({ username: user.username })
       expect(transactions.findOne).toHaveBeenCalledWith({ _id: Transaction._id, username: user.username })
-      expect(transactions.deleteOne).toHaveBeenCalledWith({ _id: Transaction._id })
+      expect(transactions.updateOne).toHaveBeenCalledWith({ _id: Transaction._id }, { $set: { deletedAt: expect.any(Date) } })
       expect(mockRes.status).toHaveBeenCalledWith(200)
       expect(mockRes.json).toHaveBeenCalledWith(response)
   });
 
+  test('deleteTransaction, should delete both the transactions of a transfer', async () => {
+      const mockReq = {
+          params: { username: "Mario" },
+          body: { _id: "646a1e5a3f1c2a0012345678" }
+      };
+      const mockRes = {
+          status: jest.fn().mockReturnThis(),
+          json: jest.fn(),
+          locals: { refreshedTokenMessage: 'Access token has been refreshed. Remember to copy the new one in the headers of subsequent calls' },
+      }
+
+      jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+      jest.spyOn(User, "findOne").mockImplementation(() => ({ username: "Mario" }));
+      jest.spyOn(transactions, "findOne").mockImplementation(() => ({ _id: "646a1e5a3f1c2a0012345678", transfer: "646a1e5a3f1c2a0087654321" }));
+      jest.spyOn(transactions, "updateMany").mockImplementation(() => null);
+      jest.spyOn(transactions, "updateOne").mockImplementation(() => null);
+
+      await deleteTransaction(mockReq, mockRes)
+
+      expect(transactions.updateMany).toHaveBeenCalledWith({ transfer: "646a1e5a3f1c2a0087654321", deletedAt: null }, { $set: { deletedAt: expect.any(Date) } })
+      expect(transactions.updateOne).not.toHaveBeenCalled()
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+  });
+
   test('deleteTransaction with body that does not contain all the necessary attributes, should return 400', async () => {
       const mockReq = {
           params: { username: "Mario" },
@@ -2248,23 +2770,42 @@ describe("deleteTransactions", () => {
       Transactions.forEach((transaction) => {
           jest.spyOn(transactions, "findOne").mockImplementation(() => transaction);
       });
-      Transactions.forEach((transaction) => {
-          jest.spyOn(transactions, "deleteOne").mockImplementation(() => null);
-      });
+      jest.spyOn(transactions, "updateMany").mockImplementation(() => ({ modifiedCount: 2 }));
 
       await deleteTransactions(mockReq, mockRes)
 
-      expect(verifyAuth).toHaveBeenCalledWith(mockReq,mockRes,{authType: "Admin"});
+      expect(verifyAuth).toHaveBeenCalledWith(mockReq,mockRes,{ authType: "Permission", permission: "transactions:manage" });
       Transactions.forEach((transaction) => {
           expect(transactions.findOne).toHaveBeenCalledWith({ _id: transaction._id })
       });
-      Transactions.forEach((transaction) => {
-          expect(transactions.deleteOne).toHaveBeenCalledWith({ _id: transaction._id })
-      });
+      expect(transactions.updateMany).toHaveBeenCalledWith(
+          { $or: [{ _id: { $in: Transactions.map((transaction) => transaction._id) } }, { transfer: { $in: [] } }], deletedAt: null },
+          { $set: { deletedAt: expect.any(Date) } }
+      )
       expect(mockRes.status).toHaveBeenCalledWith(200)
       expect(mockRes.json).toHaveBeenCalledWith(response)
   });
 
+  test('deleteTransactions of a transaction of a transfer, should delete the other transaction of the transfer too', async () => {
+      const mockReq = { body: { _ids: ["6470c8f1a1b2c3d4e5f60010"] } };
+      const mockRes = {
+          status: jest.fn().mockReturnThis(),
+          json: jest.fn(),
+          locals: { refreshedTokenMessage: 'Access token has been refreshed. Remember to copy the new one in the headers of subsequent calls' },
+      }
+      jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+      jest.spyOn(transactions, "findOne").mockImplementation(() => ({ _id: "6470c8f1a1b2c3d4e5f60010", kind: "transfer", transfer: "6470c8f1a1b2c3d4e5f60099" }));
+      jest.spyOn(transactions, "updateMany").mockImplementation(() => ({ modifiedCount: 2 }));
+
+      await deleteTransactions(mockReq, mockRes)
+
+      expect(transactions.updateMany).toHaveBeenCalledWith(
+          { $or: [{ _id: { $in: ["6470c8f1a1b2c3d4e5f60010"] } }, { transfer: { $in: ["6470c8f1a1b2c3d4e5f60099"] } }], deletedAt: null },
+          { $set: { deletedAt: expect.any(Date) } }
+      )
+      expect(mockRes.status).toHaveBeenCalledWith(200)
+  });
+
   test('deleteTransactions with body without all necessary attributes, should return 400', async () => {
       const mockReq = {
           body: {
@@ -2285,7 +2826,7 @@ describe("deleteTransactions", () => {
 
       await deleteTransactions(mockReq, mockRes)
 
-      expect(verifyAuth).toHaveBeenCalledWith(mockReq,mockRes,{authType: "Admin"});
+      expect(verifyAuth).toHaveBeenCalledWith(mockReq,mockRes,{ authType: "Permission", permission: "transactions:manage" });
       expect(mockRes.status).toHaveBeenCalledWith(400)
       expect(mockRes.json).toHaveBeenCalledWith(response)
   });
@@ -2312,7 +2853,7 @@ describe("deleteTransactions", () => {
 
       await deleteTransactions(mockReq, mockRes)
 
-      expect(verifyAuth).toHaveBeenCalledWith(mockReq,mockRes,{authType: "Admin"});
+      expect(verifyAuth).toHaveBeenCalledWith(mockReq,mockRes,{ authType: "Permission", permission: "transactions:manage" });
       expect(mockRes.status).toHaveBeenCalledWith(400)
       expect(mockRes.json).toHaveBeenCalledWith(response)
   });
@@ -2339,7 +2880,7 @@ describe("deleteTransactions", () => {
 
       await deleteTransactions(mockReq, mockRes)
 
-      expect(verifyAuth).toHaveBeenCalledWith(mockReq,mockRes,{authType: "Admin"});
+      expect(verifyAuth).toHaveBeenCalledWith(mockReq,mockRes,{ authType: "Permission", permission: "transactions:manage" });
       expect(transactions.findOne).toHaveBeenCalledWith({ _id: mockReq.body._ids[0] })
       expect(mockRes.status).toHaveBeenCalledWith(400)
       expect(mockRes.json).toHaveBeenCalledWith(response)
@@ -2366,7 +2907,7 @@ describe("deleteTransactions", () => {
 
       await deleteTransactions(mockReq, mockRes)
 
-      expect(verifyAuth).toHaveBeenCalledWith(mockReq,mockRes,{authType: "Admin"});
+      expect(verifyAuth).toHaveBeenCalledWith(mockReq,mockRes,{ authType: "Permission", permission: "transactions:manage" });
       expect(mockRes.status).toHaveBeenCalledWith(401)
       expect(mockRes.json).toHaveBeenCalledWith(response)
   });
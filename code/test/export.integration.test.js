@@ -0,0 +1,79 @@
+import request from 'supertest';
+import { app } from '../app';
+import { User, Group } from '../models/User.js';
+import { categories, transactions } from '../models/model';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+beforeAll(async () => {
+    const dbName = "testingDatabaseExport";
+    const url = `${process.env.MONGO_URI}/${dbName}`;
+
+    await mongoose.connect(url, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+    });
+
+});
+
+afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+    await categories.deleteMany({})
+    await transactions.deleteMany({})
+    await User.deleteMany({})
+    await Group.deleteMany({})
+});
+
+const testerAccessTokenValid = jwt.sign({
+    email: "tester@test.com",
+    username: "tester",
+    role: "Regular"
+}, process.env.ACCESS_KEY, { expiresIn: '1y' })
+
+describe("exportTransactionsByUser", () => {
+    beforeEach(async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await categories.create({ type: "food", color: "red" })
+        await transactions.insertMany([
+            { username: "tester", type: "food", amount: 20, date: new Date("2023-05-01T10:00:00.000Z"), description: "Lunch" },
+            { username: "tester", type: "food", amount: 80, date: new Date("2023-05-10T10:00:00.000Z") },
+            { username: "other", type: "food", amount: 30, date: new Date("2023-05-01T10:00:00.000Z") }
+        ])
+    })
+
+    test("Downloads the filtered transactions as CSV", async () => {
+        const response = await request(app)
+            .get("/api/users/tester/transactions/export?format=csv&upTo=2023-05-05")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+
+        expect(response.status).toBe(200)
+        expect(response.headers["content-type"]).toContain("text/csv")
+        expect(response.text).toBe("username,type,amount,currency,kind,date,color,description\r\ntester,food,20,EUR,expense,2023-05-01T10:00:00.000Z,red,Lunch\r\n")
+    });
+
+    test("Downloads all the transactions as JSON", async () => {
+        const response = await request(app)
+            .get("/api/users/tester/transactions/export?format=json")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+
+        expect(response.status).toBe(200)
+        expect(response.body).toHaveLength(2)
+        expect(response.body[1]).toEqual(expect.objectContaining({ username: "tester", type: "food", amount: 80, color: "red" }))
+    });
+
+    test("Returns a 400 error if the format is not supported", async () => {
+        const response = await request(app)
+            .get("/api/users/tester/transactions/export?format=pdf")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+
+        expect(response.status).toBe(400)
+        expect(response.body).toHaveProperty("error")
+    });
+})
@@ -0,0 +1,212 @@
+import { categories, transactions, exchange_rates } from '../models/model';
+import { Group, User } from '../models/User';
+import { EXPORT_FORMATS, exportTransactionsByUser, exportTransactionsByGroup } from '../controllers/export';
+import { verifyAuth } from '../controllers/utils';
+import { mockResponse } from './mocks';
+import { EventEmitter } from 'events';
+
+jest.mock('../models/model', () => ({
+    categories: { find: jest.fn() },
+    transactions: { find: jest.fn() },
+    exchange_rates: { find: jest.fn() }
+}));
+jest.mock('../models/User', () => ({
+    User: { findOne: jest.fn(), find: jest.fn() },
+    Group: { findOne: jest.fn() }
+}));
+
+beforeEach(() => {
+    jest.resetAllMocks()
+    exchange_rates.find.mockResolvedValue([{ currency: "USD", rate: 0.5 }])
+});
+
+const VerifyAuthmodule = require('../controllers/utils');
+
+// the query of transactions.find(...).sort(...).cursor() iterating on the given documents
+const mockCursor = (documents) => {
+    const cursor = jest.fn(() => (async function* () { yield* documents })());
+    const sort = jest.fn(() => ({ cursor }));
+    transactions.find.mockReturnValue({ sort });
+    return sort;
+}
+
+// everything written to the response
+const written = (res) => res.write.mock.calls.map((call) => call[0]).join("") + res.end.mock.calls[0][0];
+
+const documents = [
+    { _id: "1", username: "tester", type: "food", amount: 12.5, date: new Date("2023-05-01T00:00:00.000Z"), description: 'Pizza, "large"' },
+    { _id: "2", username: "tester", type: "rent", amount: 500, currency: "USD", kind: "expense", date: new Date("2023-05-02T00:00:00.000Z") }
+];
+
+describe("EXPORT_FORMATS", () => {
+    test('Should quote CSV fields containing separators and quotes', () => {
+        expect(EXPORT_FORMATS.csv.row({ ...documents[0], currency: "EUR", kind: "expense", color: "red" })).toBe('tester,food,12.5,EUR,expense,2023-05-01T00:00:00.000Z,red,"Pizza, ""large"""\r\n');
+    });
+
+    test('Should escape OFX values', () => {
+        const row = EXPORT_FORMATS.ofx.row({ ...documents[1], description: "Rent & <fees>" });
+        expect(row).toContain("<DTPOSTED>20230502000000");
+        expect(row).toContain("<TRNAMT>500");
+        expect(row).toContain("<NAME>Rent &amp; &lt;fees&gt;");
+    });
+
+    test('Should give the currency of the OFX transactions not in the reference currency', () => {
+        const table = { EUR: 1, USD: 0.5 };
+        expect(EXPORT_FORMATS.ofx.header()).toContain("<CURDEF>EUR");
+        expect(EXPORT_FORMATS.ofx.row(documents[1], true, table)).toContain("<CURRENCY>\r\n<CURRATE>0.5\r\n<CURSYM>USD\r\n</CURRENCY>\r\n</STMTTRN>");
+        expect(EXPORT_FORMATS.ofx.row({ ...documents[0], currency: "EUR" }, true, table)).not.toContain("<CURRENCY>");
+    });
+})
+
+describe("exportTransactionsByUser", () => {
+    test('Should stream a CSV file with the filtered transactions', async () => {
+        const mockReq = { params: { username: "tester" }, query: { from: "2023-05-01", min: "10" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester" })
+        categories.find.mockResolvedValue([{ type: "food", color: "red" }, { type: "rent", color: "blue" }])
+        const sort = mockCursor(documents)
+
+        await exportTransactionsByUser(mockReq, mockRes)
+
+        expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: "User", username: "tester" })
+        expect(transactions.find).toHaveBeenCalledWith({ username: "tester", date: { $gte: new Date("2023-05-01T00:00:00.000Z") }, amount: { $gte: 10 } })
+        expect(sort).toHaveBeenCalledWith({ date: 1 })
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.setHeader).toHaveBeenCalledWith("Content-Type", "text/csv")
+        expect(mockRes.setHeader).toHaveBeenCalledWith("Content-Disposition", 'attachment; filename="tester-transactions.csv"')
+        expect(written(mockRes)).toBe(
+            "username,type,amount,currency,kind,date,color,description\r\n"
+            + 'tester,food,12.5,EUR,expense,2023-05-01T00:00:00.000Z,red,"Pizza, ""large"""\r\n'
+            + "tester,rent,500,USD,expense,2023-05-02T00:00:00.000Z,blue,\r\n"
+        )
+    });
+
+    test('Should stream a JSON array', async () => {
+        const mockReq = { params: { username: "tester" }, query: { format: "json" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester" })
+        categories.find.mockResolvedValue([{ type: "food", color: "red" }])
+        mockCursor(documents)
+
+        await exportTransactionsByUser(mockReq, mockRes)
+
+        const data = JSON.parse(written(mockRes))
+        expect(data).toHaveLength(2)
+        expect(data[0]).toEqual({ _id: "1", username: "tester", type: "food", amount: 12.5, currency: "EUR", kind: "expense", date: "2023-05-01T00:00:00.000Z", color: "red", description: 'Pizza, "large"' })
+        expect(data[1]).toHaveProperty("currency", "USD")
+    });
+
+    test('Should wait for the client to read the buffered data before writing more', async () => {
+        const mockReq = { params: { username: "tester" }, query: {} }
+        const mockRes = Object.assign(new EventEmitter(), mockResponse())
+        mockRes.write.mockReturnValueOnce(false)
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester" })
+        categories.find.mockResolvedValue([])
+        mockCursor(documents)
+
+        const exporting = exportTransactionsByUser(mockReq, mockRes)
+        await new Promise(setImmediate)
+        expect(mockRes.write).toHaveBeenCalledTimes(1)
+        mockRes.emit("drain")
+        await exporting
+
+        expect(mockRes.write).toHaveBeenCalledTimes(3)
+        expect(mockRes.end).toHaveBeenCalled()
+    });
+
+    test('Should stop writing when the client closes the connection', async () => {
+        const mockReq = { params: { username: "tester" }, query: {} }
+        const mockRes = Object.assign(new EventEmitter(), mockResponse())
+        mockRes.write.mockReturnValueOnce(false)
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester" })
+        categories.find.mockResolvedValue([])
+        mockCursor(documents)
+
+        const exporting = exportTransactionsByUser(mockReq, mockRes)
+        await new Promise(setImmediate)
+        mockRes.destroyed = true
+        mockRes.emit("close")
+        await exporting
+
+        expect(mockRes.write).toHaveBeenCalledTimes(1)
+        expect(mockRes.end).not.toHaveBeenCalled()
+    });
+
+    test('Should return 400 if the format is not supported', async () => {
+        const mockReq = { params: { username: "tester" }, query: { format: "xml" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+        await exportTransactionsByUser(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Format not supported" })
+    });
+
+    test('Should return 400 if the filters are not valid', async () => {
+        const mockReq = { params: { username: "tester" }, query: { date: "2023-05-01", from: "2023-04-01" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+        await exportTransactionsByUser(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Unauthorized query parameters" })
+    });
+
+    test('Should return 400 if the user does not exist', async () => {
+        const mockReq = { params: { username: "tester" }, query: {} }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue(null)
+
+        await exportTransactionsByUser(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "User not Found." })
+    });
+
+    test('Should return 401 if not authorized', async () => {
+        const mockReq = { params: { username: "tester" }, query: {} }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: false, cause: "Unauthorized" }))
+
+        await exportTransactionsByUser(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(401)
+    });
+})
+
+describe("exportTransactionsByGroup", () => {
+    test('Should stream the transactions of all the members as OFX', async () => {
+        const mockReq = { params: { name: "family" }, query: { format: "ofx" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        Group.findOne.mockResolvedValue({ name: "family", members: [{ email: "tester@test.com" }, { email: "other@test.com" }] })
+        User.find.mockResolvedValue([{ username: "tester" }, { username: "other" }])
+        categories.find.mockResolvedValue([])
+        mockCursor(documents)
+
+        await exportTransactionsByGroup(mockReq, mockRes)
+
+        expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: "Group", emails: ["tester@test.com", "other@test.com"] })
+        expect(transactions.find).toHaveBeenCalledWith({ username: { $in: ["tester", "other"] } })
+        expect(mockRes.setHeader).toHaveBeenCalledWith("Content-Type", "application/x-ofx")
+        expect(written(mockRes).match(/<STMTTRN>/g)).toHaveLength(2)
+    });
+
+    test('Should return 400 if the group does not exist', async () => {
+        const mockReq = { params: { name: "family" }, query: {} }
+        const mockRes = mockResponse()
+        Group.findOne.mockResolvedValue(null)
+
+        await exportTransactionsByGroup(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Group not Found." })
+    });
+})
@@ -0,0 +1,130 @@
+import request from 'supertest';
+import { app } from '../app';
+import { User, Group } from '../models/User.js';
+import { categories, transactions } from '../models/model';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+beforeAll(async () => {
+    const dbName = "testingDatabaseImport";
+    const url = `${process.env.MONGO_URI}/${dbName}`;
+
+    await mongoose.connect(url, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+    });
+
+});
+
+afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+    await categories.deleteMany({})
+    await transactions.deleteMany({})
+    await User.deleteMany({})
+    await Group.deleteMany({})
+});
+
+const testerAccessTokenValid = jwt.sign({
+    email: "tester@test.com",
+    username: "tester",
+    role: "Regular"
+}, process.env.ACCESS_KEY, { expiresIn: '1y' })
+
+const statement = "Date;Amount;Category;Text\n2023-05-01;42,10;food;Grocery\n2023-05-02;9,99;fun;Streaming\n2023-05-03;oops;food;Bakery";
+
+describe("importTransactions", () => {
+    test("Imports the valid rows of a CSV statement and reports the others", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await categories.create({ type: "food", color: "red" })
+
+        const response = await request(app)
+            .post("/api/users/tester/transactions/import")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ format: "csv", content: statement, delimiter: ";", mapping: { date: "Date", amount: "Amount", type: "Category", description: "Text" } })
+
+        expect(response.status).toBe(200)
+        expect(response.body.data).toEqual({
+            imported: 1,
+            duplicates: 0,
+            errors: [{ row: 2, error: "Category does not exist!" }, { row: 3, error: "Amount not valid" }]
+        })
+        expect(await transactions.countDocuments({ username: "tester", description: "Grocery", amount: 42.1 })).toBe(1)
+    });
+
+    test("Accepts statements larger than the body limit of the other routes", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await categories.create({ type: "food", color: "red" })
+        // the blank lines are skipped
+        const content = statement + "\n".repeat(200 * 1024)
+
+        const response = await request(app)
+            .post("/api/users/tester/transactions/import")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ format: "csv", content: content, delimiter: ";", mapping: { date: "Date", amount: "Amount", type: "Category", description: "Text" } })
+        const login = await request(app)
+            .post("/api/login")
+            .send({ email: "tester@test.com", password: "x".repeat(200 * 1024) })
+
+        expect(response.status).toBe(200)
+        expect(response.body.data).toHaveProperty("imported", 1)
+        expect(login.status).toBe(413)
+    });
+
+    test("Importing the same statement twice does not duplicate transactions", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await categories.insertMany([{ type: "food", color: "red" }, { type: "fun", color: "blue" }])
+        const body = { format: "csv", content: statement, delimiter: ";", mapping: { date: "Date", amount: "Amount", type: "Category", description: "Text" } }
+
+        await request(app)
+            .post("/api/users/tester/transactions/import")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send(body)
+        const response = await request(app)
+            .post("/api/users/tester/transactions/import")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send(body)
+
+        expect(response.status).toBe(200)
+        expect(response.body.data).toHaveProperty("imported", 0)
+        expect(response.body.data).toHaveProperty("duplicates", 2)
+        expect(await transactions.countDocuments({})).toBe(2)
+    });
+
+    test("Identical rows of a statement are all imported once", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await categories.create({ type: "food", color: "red" })
+        const body = { format: "csv", content: "date,amount,type,description\n2023-05-01,3,food,Coffee\n2023-05-01,3,food,Coffee" }
+
+        const first = await request(app)
+            .post("/api/users/tester/transactions/import")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send(body)
+        const second = await request(app)
+            .post("/api/users/tester/transactions/import")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send(body)
+
+        expect(first.body.data).toEqual({ imported: 2, duplicates: 0, errors: [] })
+        expect(second.body.data).toEqual({ imported: 0, duplicates: 2, errors: [] })
+        expect(await transactions.countDocuments({})).toBe(2)
+    });
+
+    test("Returns a 400 error if the format is not supported", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+
+        const response = await request(app)
+            .post("/api/users/tester/transactions/import")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ format: "qif", content: "!Type:Bank" })
+
+        expect(response.status).toBe(400)
+        expect(response.body).toHaveProperty("error")
+    });
+})
@@ -0,0 +1,208 @@
+import { categories, transactions } from '../models/model';
+import { User } from '../models/User';
+import { parseCsv, readCsvRecords, readOfxRecords, importTransactions } from '../controllers/import';
+import { verifyAuth } from '../controllers/utils';
+import { mockResponse } from './mocks';
+
+jest.mock('../models/model', () => ({
+    categories: { find: jest.fn() },
+    transactions: { find: jest.fn(), insertMany: jest.fn() }
+}));
+jest.mock('../models/User', () => ({
+    User: { findOne: jest.fn() },
+    Group: {}
+}));
+
+beforeEach(() => {
+    jest.resetAllMocks()
+});
+
+const VerifyAuthmodule = require('../controllers/utils');
+
+const OFX = `OFXHEADER:100
+DATA:OFXSGML
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20230501120000[-5:EST]
+<TRNAMT>-42.10
+<FITID>1
+<NAME>Grocery store
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20230503
+<TRNAMT>-9.99
+<FITID>2
+<MEMO>Streaming
+</STMTTRN>
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+describe("parseCsv", () => {
+    test('Should split rows and fields, handling quotes and CRLF', () => {
+        const rows = parseCsv('a,b,c\r\n1,"x, y",3\r\n\r\n2,"say ""hi""",4\n');
+        expect(rows).toEqual([["a", "b", "c"], ["1", "x, y", "3"], ["2", 'say "hi"', "4"]]);
+    });
+
+    test('Should use the given delimiter', () => {
+        expect(parseCsv("a;b\n1,5;2", ";")).toEqual([["a", "b"], ["1,5", "2"]]);
+    });
+})
+
+describe("readCsvRecords", () => {
+    test('Should map the columns of the header', () => {
+        const text = "Booking date,Value,Category,Text\n2023-05-01,42.10,food,Grocery";
+        const records = readCsvRecords(text, { date: "Booking date", amount: "Value", type: "Category", description: "Text" });
+        expect(records).toEqual([{ date: "2023-05-01", amount: "42.10", type: "food", description: "Grocery" }]);
+    });
+
+    test('Should throw if the date or amount column is missing', () => {
+        expect(() => readCsvRecords("when,how much\n2023-05-01,3")).toThrow("Date or amount column not found");
+    });
+})
+
+describe("readOfxRecords", () => {
+    test('Should read the statement transactions', () => {
+        expect(readOfxRecords(OFX)).toEqual([
+            { date: "2023-05-01", amount: "-42.10", type: undefined, description: "Grocery store" },
+            { date: "2023-05-03", amount: "-9.99", type: undefined, description: "Streaming" }
+        ]);
+    });
+
+    test('Should throw if there are no transactions', () => {
+        expect(() => readOfxRecords("<OFX></OFX>")).toThrow();
+    });
+})
+
+describe("importTransactions", () => {
+    test('Should import the valid rows and report the errors', async () => {
+        const content = "date,amount,type,description\n2023-05-01,10,food,Lunch\nnot a date,5,food,x\n2023-05-02,abc,food,y\n2023-05-02,7,games,z\n2023-05-03,\"12,50\",food,Dinner";
+        const mockReq = { params: { username: "tester" }, body: { format: "csv", content: content } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester" })
+        categories.find.mockResolvedValue([{ type: "food" }])
+        transactions.find.mockResolvedValue([])
+
+        await importTransactions(mockReq, mockRes)
+
+        expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: "User", username: "tester" })
+        expect(transactions.insertMany).toHaveBeenCalledWith([
+            { username: "tester", type: "food", amount: 10, currency: "EUR", date: new Date("2023-05-01"), description: "Lunch" },
+            { username: "tester", type: "food", amount: 12.5, currency: "EUR", date: new Date("2023-05-03"), description: "Dinner" }
+        ])
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.json).toHaveBeenCalledWith({
+            data: {
+                imported: 2,
+                duplicates: 0,
+                errors: [
+                    { row: 2, error: "Date not valid" },
+                    { row: 3, error: "Amount not valid" },
+                    { row: 4, error: "Category does not exist!" }
+                ]
+            },
+            refreshedTokenMessage: "refreshed"
+        })
+    });
+
+    test('Should skip rows already imported and import the others in the base currency of the user', async () => {
+        const mockReq = { params: { username: "tester" }, body: { format: "ofx", content: OFX, type: "food" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester", currency: "USD" })
+        categories.find.mockResolvedValue([{ type: "food" }])
+        transactions.find.mockResolvedValue([{ date: new Date("2023-05-01"), amount: -42.1, description: "Grocery store" }])
+
+        await importTransactions(mockReq, mockRes)
+
+        expect(transactions.find).toHaveBeenCalledWith({ username: "tester", date: { $gte: new Date("2023-05-01"), $lte: new Date("2023-05-03") } })
+        expect(transactions.insertMany).toHaveBeenCalledWith([
+            { username: "tester", type: "food", amount: -9.99, currency: "USD", date: new Date("2023-05-03"), description: "Streaming" }
+        ])
+        expect(mockRes.json).toHaveBeenCalledWith({ data: { imported: 1, duplicates: 1, errors: [] }, refreshedTokenMessage: "refreshed" })
+    });
+
+    test('Should import identical rows, skipping only those matching existing transactions', async () => {
+        const content = "date,amount,type,description\n2023-05-01,3,food,Coffee\n2023-05-01,3,food,Coffee\n2023-05-01,3,food,Coffee";
+        const mockReq = { params: { username: "tester" }, body: { format: "csv", content: content } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester" })
+        categories.find.mockResolvedValue([{ type: "food" }])
+        transactions.find.mockResolvedValue([{ date: new Date("2023-05-01"), amount: 3, description: "Coffee" }])
+
+        await importTransactions(mockReq, mockRes)
+
+        expect(transactions.insertMany).toHaveBeenCalledWith([
+            { username: "tester", type: "food", amount: 3, currency: "EUR", date: new Date("2023-05-01"), description: "Coffee" },
+            { username: "tester", type: "food", amount: 3, currency: "EUR", date: new Date("2023-05-01"), description: "Coffee" }
+        ])
+        expect(mockRes.json).toHaveBeenCalledWith({ data: { imported: 2, duplicates: 1, errors: [] }, refreshedTokenMessage: "refreshed" })
+    });
+
+    test('Should import large statements', async () => {
+        const rows = Array.from({ length: 200000 }, (_, i) => `${new Date(Date.UTC(2023, 0, 1) + (i % 365) * 86400000).toISOString().slice(0, 10)},${i},food,Row ${i}`);
+        const mockReq = { params: { username: "tester" }, body: { format: "csv", content: "date,amount,type,description\n" + rows.join("\n") } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester" })
+        categories.find.mockResolvedValue([{ type: "food" }])
+        transactions.find.mockResolvedValue([])
+
+        await importTransactions(mockReq, mockRes)
+
+        expect(transactions.find).toHaveBeenCalledWith({ username: "tester", date: { $gte: new Date("2023-01-01"), $lte: new Date("2023-12-31") } })
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.json.mock.calls[0][0].data.imported).toBe(200000)
+    });
+
+    test('Should report rows without a category when no default is given', async () => {
+        const mockReq = { params: { username: "tester" }, body: { format: "ofx", content: OFX } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester" })
+        categories.find.mockResolvedValue([{ type: "food" }])
+
+        await importTransactions(mockReq, mockRes)
+
+        expect(transactions.insertMany).not.toHaveBeenCalled()
+        expect(mockRes.json).toHaveBeenCalledWith({
+            data: { imported: 0, duplicates: 0, errors: [{ row: 1, error: "Category is missing" }, { row: 2, error: "Category is missing" }] },
+            refreshedTokenMessage: "refreshed"
+        })
+    });
+
+    test('Should return 400 if the format is not supported', async () => {
+        const mockReq = { params: { username: "tester" }, body: { format: "xls", content: "..." } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+        await importTransactions(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Format not supported" })
+    });
+
+    test('Should return 400 if the file cannot be read', async () => {
+        const mockReq = { params: { username: "tester" }, body: { format: "csv", content: "a,b\n1,2" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester" })
+
+        await importTransactions(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Date or amount column not found" })
+    });
+
+    test('Should return 401 if not authorized', async () => {
+        const mockReq = { params: { username: "tester" }, body: {} }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: false, cause: "Unauthorized" }))
+
+        await importTransactions(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(401)
+    });
+})
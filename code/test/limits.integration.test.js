@@ -0,0 +1,151 @@
+import request from 'supertest';
+import { app } from '../app';
+import { User, LoginAttempt } from '../models/User.js';
+import { resetRateLimits } from '../controllers/limits';
+import jwt from 'jsonwebtoken';
+import bcrypt from 'bcryptjs';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+jest.mock('../controllers/mail');
+
+beforeAll(async () => {
+    const dbName = "testingDatabaseLimits";
+    const url = `${process.env.MONGO_URI}/${dbName}`;
+
+    await mongoose.connect(url, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+    });
+});
+
+afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+    resetRateLimits()
+    await User.deleteMany({})
+    await LoginAttempt.deleteMany({})
+    await User.create({ username: "tester", email: "tester@test.com", password: await bcrypt.hash("password", 12), verified: true })
+});
+
+const adminAccessTokenValid = jwt.sign({ email: "admin@email.com", username: "admin", role: "Admin" }, process.env.ACCESS_KEY, { expiresIn: '1y' })
+const testerAccessTokenValid = jwt.sign({ email: "tester@test.com", username: "tester", role: "Regular" }, process.env.ACCESS_KEY, { expiresIn: '1y' })
+
+const login = (password) => request(app)
+    .post("/api/login")
+    .send({ email: "tester@test.com", password: password })
+
+// fail the logins of the account until it is locked, skipping the progressive delays
+const lockAccount = async () => {
+    for (let i = 0; i < 10; i++) {
+        await LoginAttempt.updateMany({}, { $set: { lastFailureAt: new Date(0) } })
+        await login("wrongPassword")
+    }
+}
+
+describe("failed logins", () => {
+    test("Delay the logins of the account after the free attempts", async () => {
+        for (let i = 0; i < 3; i++) {
+            expect((await login("wrongPassword")).status).toBe(400)
+        }
+
+        const response = await login("password")
+
+        expect(response.status).toBe(429)
+        expect(response.body.error).toBe("Too many failed login attempts, retry later")
+        expect(Number(response.headers["retry-after"])).toBeGreaterThan(0)
+    });
+
+    test("A successful login forgets the failures of the account", async () => {
+        await login("wrongPassword")
+        await login("wrongPassword")
+
+        expect((await login("password")).status).toBe(200)
+        expect(await LoginAttempt.countDocuments({ key: "account:tester@test.com" })).toBe(0)
+    });
+
+    test("Lock the account after too many failures, even with the right password", async () => {
+        await lockAccount()
+        await LoginAttempt.updateMany({ key: /^ip:/ }, { $set: { lastFailureAt: new Date(0) } })
+
+        const response = await login("password")
+
+        expect(response.status).toBe(429)
+        const attempt = await LoginAttempt.findOne({ key: "account:tester@test.com" })
+        expect(attempt.lockedUntil.getTime()).toBeGreaterThan(Date.now())
+    });
+
+    test("Count the failures of unknown emails", async () => {
+        await request(app)
+            .post("/api/login")
+            .send({ email: "nobody@test.com", password: "password" })
+
+        expect((await LoginAttempt.findOne({ key: "account:nobody@test.com" })).failures).toBe(1)
+    });
+});
+
+describe("unlockUser", () => {
+    test("An Admin unlocks a locked account", async () => {
+        await lockAccount()
+        await LoginAttempt.deleteMany({ key: /^ip:/ })
+
+        const response = await request(app)
+            .post("/api/users/tester/unlock")
+            .set("Cookie", `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`)
+
+        expect(response.status).toBe(200)
+        expect(response.body.data).toEqual({ message: "Account unlocked", wasLocked: true })
+        expect((await login("password")).status).toBe(200)
+    });
+
+    test("Returns a 400 error if the user does not exist", async () => {
+        const response = await request(app)
+            .post("/api/users/nobody/unlock")
+            .set("Cookie", `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`)
+
+        expect(response.status).toBe(400)
+        expect(response.body.error).toBe("User not found")
+    });
+
+    test("Returns a 401 error if the caller is not an Admin", async () => {
+        const response = await request(app)
+            .post("/api/users/tester/unlock")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+
+        expect(response.status).toBe(401)
+    });
+});
+
+describe("rate limits", () => {
+    test("Reject the registrations from the same address beyond the limit", async () => {
+        const statuses = []
+        for (let i = 0; i < 11; i++) {
+            const response = await request(app)
+                .post("/api/register")
+                .send({ username: `user${i}`, email: `user${i}@test.com`, password: "password" })
+            statuses.push(response.status)
+        }
+
+        expect(statuses.slice(0, 10)).toEqual(Array(10).fill(200))
+        expect(statuses[10]).toBe(429)
+        expect(await User.countDocuments({ username: "user10" })).toBe(0)
+    });
+
+    test("Reject the password reset requests from the same address beyond the limit", async () => {
+        const statuses = []
+        for (let i = 0; i < 6; i++) {
+            const response = await request(app)
+                .post("/api/password/forgot")
+                .send({ email: "tester@test.com" })
+            statuses.push(response.status)
+        }
+
+        expect(statuses.slice(0, 5)).toEqual(Array(5).fill(200))
+        expect(statuses[5]).toBe(429)
+    });
+});
@@ -0,0 +1,142 @@
+import { LoginAttempt } from '../models/User.js';
+import { getLoginRetryDelay, recordLoginFailure, clearLoginFailures, rateLimit, resetRateLimits } from '../controllers/limits';
+import { mockResponse } from './mocks';
+
+jest.mock('../models/User.js', () => ({
+    LoginAttempt: { find: jest.fn(), findOneAndUpdate: jest.fn(), updateOne: jest.fn(), deleteOne: jest.fn() }
+}));
+
+beforeEach(() => {
+    jest.resetAllMocks()
+    resetRateLimits()
+});
+
+describe("getLoginRetryDelay", () => {
+    test("should not delay logins without failures", async () => {
+        LoginAttempt.find.mockResolvedValueOnce([]);
+
+        expect(await getLoginRetryDelay("mario@email.com", "10.0.0.1")).toBe(0);
+        expect(LoginAttempt.find).toHaveBeenCalledWith({ key: { $in: ["account:mario@email.com", "ip:10.0.0.1"] } });
+    });
+
+    test("should not delay the free attempts of an account", async () => {
+        LoginAttempt.find.mockResolvedValueOnce([{ key: "account:mario@email.com", failures: 2, lastFailureAt: new Date() }]);
+
+        expect(await getLoginRetryDelay("mario@email.com", "10.0.0.1")).toBe(0);
+    });
+
+    test("should double the delay of the account for each failure after the free attempts", async () => {
+        const now = new Date();
+        LoginAttempt.find.mockResolvedValueOnce([{ key: "account:mario@email.com", failures: 3, lastFailureAt: now }]);
+        const first = await getLoginRetryDelay("mario@email.com", "10.0.0.1");
+        LoginAttempt.find.mockResolvedValueOnce([{ key: "account:mario@email.com", failures: 5, lastFailureAt: now }]);
+        const third = await getLoginRetryDelay("mario@email.com", "10.0.0.1");
+
+        expect(first).toBeGreaterThan(0);
+        expect(first).toBeLessThanOrEqual(1000);
+        expect(third).toBeGreaterThan(3000);
+        expect(third).toBeLessThanOrEqual(4000);
+    });
+
+    test("should not delay the login once the delay has passed", async () => {
+        LoginAttempt.find.mockResolvedValueOnce([{ key: "account:mario@email.com", failures: 4, lastFailureAt: new Date(Date.now() - 5000) }]);
+
+        expect(await getLoginRetryDelay("mario@email.com", "10.0.0.1")).toBe(0);
+    });
+
+    test("should return the remaining lockout of the address", async () => {
+        LoginAttempt.find.mockResolvedValueOnce([{ key: "ip:10.0.0.1", failures: 0, lockedUntil: new Date(Date.now() + 60000) }]);
+
+        const wait = await getLoginRetryDelay("mario@email.com", "10.0.0.1");
+
+        expect(wait).toBeGreaterThan(59000);
+        expect(wait).toBeLessThanOrEqual(60000);
+    });
+});
+
+describe("recordLoginFailure", () => {
+    test("should count the failure for the account and for the address", async () => {
+        LoginAttempt.findOneAndUpdate.mockResolvedValue({ failures: 1 });
+
+        await recordLoginFailure("mario@email.com", "10.0.0.1");
+
+        expect(LoginAttempt.findOneAndUpdate).toHaveBeenCalledWith(
+            { key: "account:mario@email.com" },
+            { $inc: { failures: 1 }, $set: { lastFailureAt: expect.any(Date), expiresAt: expect.any(Date) } },
+            { upsert: true, new: true }
+        );
+        expect(LoginAttempt.findOneAndUpdate).toHaveBeenCalledWith({ key: "ip:10.0.0.1" }, expect.any(Object), expect.any(Object));
+        expect(LoginAttempt.updateOne).not.toHaveBeenCalled();
+    });
+
+    test("should lock the account when its failures reach the lockout threshold", async () => {
+        LoginAttempt.findOneAndUpdate
+            .mockResolvedValueOnce({ failures: 10 })
+            .mockResolvedValueOnce({ failures: 10 });
+
+        await recordLoginFailure("mario@email.com", "10.0.0.1");
+
+        expect(LoginAttempt.updateOne).toHaveBeenCalledTimes(1);
+        expect(LoginAttempt.updateOne).toHaveBeenCalledWith(
+            { key: "account:mario@email.com" },
+            { $set: { failures: 0, lockedUntil: expect.any(Date), expiresAt: expect.any(Date) } }
+        );
+    });
+});
+
+describe("clearLoginFailures", () => {
+    test("should delete the record of the account and tell whether it existed", async () => {
+        LoginAttempt.deleteOne.mockResolvedValueOnce({ deletedCount: 1 });
+        expect(await clearLoginFailures("mario@email.com")).toBe(true);
+        expect(LoginAttempt.deleteOne).toHaveBeenCalledWith({ key: "account:mario@email.com" });
+
+        LoginAttempt.deleteOne.mockResolvedValueOnce({ deletedCount: 0 });
+        expect(await clearLoginFailures("mario@email.com")).toBe(false);
+    });
+});
+
+describe("rateLimit", () => {
+    test("should reject the requests of an address beyond the limit", () => {
+        const limit = rateLimit("login", { windowMs: 60000, max: 2 });
+        const next = jest.fn();
+        const responses = [mockResponse(), mockResponse(), mockResponse()];
+
+        responses.forEach((res) => limit({ ip: "10.0.0.1" }, res, next));
+
+        expect(next).toHaveBeenCalledTimes(2);
+        expect(responses[2].status).toHaveBeenCalledWith(429);
+        expect(responses[2].json).toHaveBeenCalledWith({ error: "Too many requests, retry later" });
+        expect(responses[2].set).toHaveBeenCalledWith("Retry-After", "60");
+    });
+
+    test("should count the addresses and the limiters separately", () => {
+        const login = rateLimit("login", { windowMs: 60000, max: 1 });
+        const register = rateLimit("register", { windowMs: 60000, max: 1 });
+        const next = jest.fn();
+
+        login({ ip: "10.0.0.1" }, mockResponse(), next);
+        login({ ip: "10.0.0.2" }, mockResponse(), next);
+        register({ ip: "10.0.0.1" }, mockResponse(), next);
+
+        expect(next).toHaveBeenCalledTimes(3);
+    });
+
+    test("should accept requests again when the window ends", () => {
+        jest.useFakeTimers();
+        try {
+            const limit = rateLimit("login", { windowMs: 1000, max: 1 });
+            const next = jest.fn();
+            limit({ ip: "10.0.0.1" }, mockResponse(), next);
+            const rejected = mockResponse();
+            limit({ ip: "10.0.0.1" }, rejected, next);
+
+            jest.advanceTimersByTime(1000);
+            limit({ ip: "10.0.0.1" }, mockResponse(), next);
+
+            expect(rejected.status).toHaveBeenCalledWith(429);
+            expect(next).toHaveBeenCalledTimes(2);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
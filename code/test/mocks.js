@@ -0,0 +1,21 @@
+/**
+ * Fixtures shared by the unit tests.
+ *
+ * The unit tests mock the mongoose models with a factory, e.g. `jest.mock('../models/model', () => ({ budgets: { findOne: jest.fn() } }))`,
+ * instead of the automock: automocked models share the same mock functions, so a factory gives every model its own ones.
+ */
+
+/**
+ * Return a mock of the response object of a controller
+ * @param locals the `res.locals` of the response, by default with the `refreshedTokenMessage` set by `verifyAuth`
+ */
+export const mockResponse = (locals = { refreshedTokenMessage: "refreshed" }) => ({
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(),
+    set: jest.fn(),
+    setHeader: jest.fn(),
+    // the buffer of the response is never full
+    write: jest.fn(() => true),
+    end: jest.fn(),
+    locals: locals,
+});
@@ -0,0 +1,141 @@
+import request from 'supertest';
+import { app } from '../app';
+import { User, Session, PasswordReset } from '../models/User.js';
+import { outboxTransport, setMailTransport } from '../controllers/mail';
+import { resetRateLimits } from '../controllers/limits';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import bcrypt from 'bcryptjs';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const outbox = path.join(os.tmpdir(), `ezwallet-outbox-${Date.now()}`);
+
+beforeAll(async () => {
+    const dbName = "testingDatabasePassword";
+    const url = `${process.env.MONGO_URI}/${dbName}`;
+
+    await mongoose.connect(url, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+    });
+    setMailTransport(outboxTransport(outbox));
+});
+
+afterAll(async () => {
+    await fs.rm(outbox, { recursive: true, force: true });
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+    resetRateLimits()
+    await fs.rm(outbox, { recursive: true, force: true });
+    await User.deleteMany({})
+    await Session.deleteMany({})
+    await PasswordReset.deleteMany({})
+    await User.create({ username: "tester", email: "tester@test.com", password: await bcrypt.hash("oldPassword", 12) })
+});
+
+// return the reset token contained in the last mail written in the outbox
+const lastMailToken = async () => {
+    const files = (await fs.readdir(outbox)).sort();
+    const mail = JSON.parse(await fs.readFile(path.join(outbox, files[files.length - 1]), "utf8"));
+    return mail.text.match(/[0-9a-f]{64}/)[0];
+}
+
+describe("forgotPassword", () => {
+    test("Writes a mail with the reset token in the outbox and stores only its hash", async () => {
+        const response = await request(app)
+            .post("/api/password/forgot")
+            .send({ email: "tester@test.com" })
+
+        expect(response.status).toBe(200)
+        const token = await lastMailToken()
+        const reset = await PasswordReset.findOne({ username: "tester" })
+        expect(reset.tokenHash).not.toBe(token)
+        expect(await PasswordReset.countDocuments({ tokenHash: token })).toBe(0)
+    });
+
+    test("Returns the same response without writing mails for an unknown email", async () => {
+        const response = await request(app)
+            .post("/api/password/forgot")
+            .send({ email: "nobody@test.com" })
+
+        expect(response.status).toBe(200)
+        await expect(fs.readdir(outbox)).rejects.toThrow()
+    });
+});
+
+describe("resetPassword", () => {
+    test("Sets the new password with a token that can be used only once", async () => {
+        await request(app)
+            .post("/api/password/forgot")
+            .send({ email: "tester@test.com" })
+        const token = await lastMailToken()
+
+        const response = await request(app)
+            .post("/api/password/reset")
+            .send({ token: token, password: "newPassword" })
+
+        expect(response.status).toBe(200)
+        const login = await request(app)
+            .post("/api/login")
+            .send({ email: "tester@test.com", password: "newPassword" })
+        expect(login.status).toBe(200)
+
+        const again = await request(app)
+            .post("/api/password/reset")
+            .send({ token: token, password: "otherPassword" })
+        expect(again.status).toBe(400)
+        expect(again.body.error).toBe("Reset token not valid")
+    });
+
+    test("Returns a 400 error if the token has expired", async () => {
+        await request(app)
+            .post("/api/password/forgot")
+            .send({ email: "tester@test.com" })
+        const token = await lastMailToken()
+        await PasswordReset.updateMany({}, { $set: { expiresAt: new Date(Date.now() - 1000) } })
+
+        const response = await request(app)
+            .post("/api/password/reset")
+            .send({ token: token, password: "newPassword" })
+
+        expect(response.status).toBe(400)
+    });
+
+    test("Revokes the sessions of the user", async () => {
+        await request(app)
+            .post("/api/login")
+            .send({ email: "tester@test.com", password: "oldPassword", device: "laptop" })
+        await request(app)
+            .post("/api/password/forgot")
+            .send({ email: "tester@test.com" })
+
+        await request(app)
+            .post("/api/password/reset")
+            .send({ token: await lastMailToken(), password: "newPassword" })
+
+        expect(await Session.countDocuments({ username: "tester", revoked: false })).toBe(0)
+    });
+
+    test("A new request invalidates the previous token", async () => {
+        await request(app)
+            .post("/api/password/forgot")
+            .send({ email: "tester@test.com" })
+        const first = await lastMailToken()
+        await request(app)
+            .post("/api/password/forgot")
+            .send({ email: "tester@test.com" })
+
+        const response = await request(app)
+            .post("/api/password/reset")
+            .send({ token: first, password: "newPassword" })
+
+        expect(response.status).toBe(400)
+    });
+});
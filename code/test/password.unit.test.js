@@ -0,0 +1,206 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { User, Session, PasswordReset } from '../models/User.js';
+import { forgotPassword, resetPassword } from '../controllers/password';
+import { outboxTransport, setMailTransport, sendMail } from '../controllers/mail';
+import { hashToken } from '../controllers/utils';
+import { mockResponse } from './mocks';
+const bcrypt = require("bcryptjs")
+
+jest.mock("bcryptjs")
+jest.mock('../models/User.js', () => ({
+    User: { findOne: jest.fn() },
+    Session: { updateMany: jest.fn() },
+    PasswordReset: { create: jest.fn(), deleteMany: jest.fn(), findOneAndUpdate: jest.fn() }
+}));
+
+const MailModule = require('../controllers/mail');
+
+beforeEach(() => {
+    jest.restoreAllMocks()
+    jest.resetAllMocks()
+});
+
+describe("outboxTransport", () => {
+    test("should write the message as a JSON file in the outbox directory", async () => {
+        const directory = path.join(os.tmpdir(), `outbox-${Date.now()}`);
+        const message = { to: "mario@email.com", subject: "Hello", text: "Hi Mario" };
+
+        const file = await outboxTransport(directory).send(message);
+
+        expect(path.dirname(file)).toBe(directory);
+        expect(JSON.parse(await fs.readFile(file, "utf8"))).toEqual(message);
+        await fs.rm(directory, { recursive: true });
+    });
+});
+
+describe("sendMail", () => {
+    test("should send the message through the transport set with setMailTransport", async () => {
+        const transport = { send: jest.fn().mockResolvedValue("sent") };
+        setMailTransport(transport);
+
+        const result = await sendMail({ to: "mario@email.com", subject: "Hello", text: "Hi Mario" });
+
+        expect(result).toBe("sent");
+        expect(transport.send).toHaveBeenCalledWith(expect.objectContaining({ from: expect.any(String), to: "mario@email.com", subject: "Hello", text: "Hi Mario", date: expect.any(Date) }));
+    });
+
+    test("should throw an error if an attribute of the message is missing", async () => {
+        await expect(sendMail({ to: "mario@email.com", subject: "Hello" })).rejects.toBe("Mail not valid");
+    });
+
+    test("should not accept a transport without a send method", () => {
+        expect(() => setMailTransport({})).toThrow();
+    });
+});
+
+describe("forgotPassword", () => {
+    test("should store the hash of a new token and mail the token to the user", async () => {
+        const mockReq = { body: { email: "mario@email.com" } };
+        const mockRes = mockResponse();
+        User.findOne.mockResolvedValueOnce({ username: "mario", email: "mario@email.com" });
+        jest.spyOn(MailModule, "sendMail").mockResolvedValueOnce("sent");
+
+        await forgotPassword(mockReq, mockRes);
+
+        expect(User.findOne).toHaveBeenCalledWith({ email: "mario@email.com" });
+        expect(PasswordReset.deleteMany).toHaveBeenCalledWith({ username: "mario" });
+        const mail = MailModule.sendMail.mock.calls[0][0];
+        expect(mail.to).toBe("mario@email.com");
+        const token = mail.text.match(/[0-9a-f]{64}/)[0];
+        const reset = PasswordReset.create.mock.calls[0][0];
+        expect(reset).toEqual({ username: "mario", tokenHash: hashToken(token), expiresAt: expect.any(Date) });
+        expect(reset.tokenHash).not.toBe(token);
+        expect(reset.expiresAt.getTime()).toBeGreaterThan(Date.now());
+        expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should return the same message without sending mails if no user has the email", async () => {
+        const mockReq = { body: { email: "nobody@email.com" } };
+        const mockRes = mockResponse();
+        User.findOne.mockResolvedValueOnce(null);
+        jest.spyOn(MailModule, "sendMail");
+
+        await forgotPassword(mockReq, mockRes);
+
+        expect(PasswordReset.create).not.toHaveBeenCalled();
+        expect(MailModule.sendMail).not.toHaveBeenCalled();
+        expect(mockRes.status).toHaveBeenCalledWith(200);
+        expect(mockRes.json).toHaveBeenCalledWith({ data: { message: "If the email belongs to a user, a reset token has been sent to it" } });
+    });
+
+    test("should return a 400 error if the email is missing", async () => {
+        const mockRes = mockResponse();
+
+        await forgotPassword({ body: {} }, mockRes);
+
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Some Parameter is Missing" });
+    });
+
+    test("should return a 400 error if the email is an empty string", async () => {
+        const mockRes = mockResponse();
+
+        await forgotPassword({ body: { email: "  " } }, mockRes);
+
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Some Parameter is an Empty String" });
+    });
+
+    test("should return a 400 error if the email is not valid", async () => {
+        const mockRes = mockResponse();
+
+        await forgotPassword({ body: { email: "mario" } }, mockRes);
+
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Invalid email format" });
+    });
+
+    test("should return a 500 error if the mail cannot be sent", async () => {
+        const mockRes = mockResponse();
+        User.findOne.mockResolvedValueOnce({ username: "mario", email: "mario@email.com" });
+        jest.spyOn(MailModule, "sendMail").mockRejectedValueOnce(new Error("Outbox not writable"));
+
+        await forgotPassword({ body: { email: "mario@email.com" } }, mockRes);
+
+        expect(mockRes.status).toHaveBeenCalledWith(500);
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Outbox not writable" });
+    });
+});
+
+describe("resetPassword", () => {
+    test("should use the token, update the password and revoke the sessions of the user", async () => {
+        const mockReq = { body: { token: "abc123", password: "newPassword" } };
+        const mockRes = mockResponse();
+        const user = { username: "mario", password: "old", refreshToken: "legacy", save: jest.fn() };
+        PasswordReset.findOneAndUpdate.mockResolvedValueOnce({ username: "mario" });
+        User.findOne.mockResolvedValueOnce(user);
+        bcrypt.hash.mockResolvedValueOnce("hashedPassword");
+
+        await resetPassword(mockReq, mockRes);
+
+        expect(PasswordReset.findOneAndUpdate).toHaveBeenCalledWith(
+            { tokenHash: hashToken("abc123"), usedAt: null, expiresAt: { $gt: expect.any(Date) } },
+            { $set: { usedAt: expect.any(Date) } }
+        );
+        expect(bcrypt.hash).toHaveBeenCalledWith("newPassword", 12);
+        expect(user.password).toBe("hashedPassword");
+        expect(user.refreshToken).toBeNull();
+        expect(user.save).toHaveBeenCalled();
+        expect(Session.updateMany).toHaveBeenCalledWith({ username: "mario", revoked: false }, { $set: { revoked: true } });
+        expect(mockRes.status).toHaveBeenCalledWith(200);
+        expect(mockRes.json).toHaveBeenCalledWith({ data: { message: "Password updated" } });
+    });
+
+    test("should return a 400 error if the token is not valid, expired or already used", async () => {
+        const mockRes = mockResponse();
+        PasswordReset.findOneAndUpdate.mockResolvedValueOnce(null);
+
+        await resetPassword({ body: { token: "abc123", password: "newPassword" } }, mockRes);
+
+        expect(User.findOne).not.toHaveBeenCalled();
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Reset token not valid" });
+    });
+
+    test("should return a 400 error if the user of the token does not exist anymore", async () => {
+        const mockRes = mockResponse();
+        PasswordReset.findOneAndUpdate.mockResolvedValueOnce({ username: "mario" });
+        User.findOne.mockResolvedValueOnce(null);
+
+        await resetPassword({ body: { token: "abc123", password: "newPassword" } }, mockRes);
+
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Reset token not valid" });
+    });
+
+    test("should return a 400 error if a parameter is missing", async () => {
+        const mockRes = mockResponse();
+
+        await resetPassword({ body: { token: "abc123" } }, mockRes);
+
+        expect(PasswordReset.findOneAndUpdate).not.toHaveBeenCalled();
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Some Parameter is Missing" });
+    });
+
+    test("should return a 400 error if a parameter is an empty string", async () => {
+        const mockRes = mockResponse();
+
+        await resetPassword({ body: { token: "abc123", password: " " } }, mockRes);
+
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Some Parameter is an Empty String" });
+    });
+
+    test("should return a 500 error if the database fails", async () => {
+        const mockRes = mockResponse();
+        PasswordReset.findOneAndUpdate.mockRejectedValueOnce(new Error("Database error"));
+
+        await resetPassword({ body: { token: "abc123", password: "newPassword" } }, mockRes);
+
+        expect(mockRes.status).toHaveBeenCalledWith(500);
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Database error" });
+    });
+});
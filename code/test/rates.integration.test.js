@@ -0,0 +1,107 @@
+import request from 'supertest';
+import { app } from '../app';
+import { User } from '../models/User.js';
+import { categories, transactions, exchange_rates } from '../models/model';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+beforeAll(async () => {
+    const dbName = "testingDatabaseRates";
+    const url = `${process.env.MONGO_URI}/${dbName}`;
+
+    await mongoose.connect(url, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+    });
+
+});
+
+afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+    await categories.deleteMany({})
+    await transactions.deleteMany({})
+    await exchange_rates.deleteMany({})
+    await User.deleteMany({})
+});
+
+const adminAccessTokenValid = jwt.sign({
+    email: "admin@email.com",
+    username: "admin",
+    role: "Admin"
+}, process.env.ACCESS_KEY, { expiresIn: '1y' })
+
+const testerAccessTokenValid = jwt.sign({
+    email: "tester@test.com",
+    username: "tester",
+    role: "Regular"
+}, process.env.ACCESS_KEY, { expiresIn: '1y' })
+
+describe("updateExchangeRates", () => {
+    test("Stores the rates sent by an Admin", async () => {
+        const response = await request(app)
+            .put("/api/rates")
+            .set("Cookie", `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`)
+            .send({ rates: { USD: 0.9, GBP: 1.2 } })
+
+        expect(response.status).toBe(200)
+        expect(response.body.data).toEqual({ reference: "EUR", rates: { EUR: 1, USD: 0.9, GBP: 1.2 } })
+        expect(await exchange_rates.countDocuments()).toBe(2)
+    });
+
+    test("Returns a 401 error if called by a Regular user", async () => {
+        const response = await request(app)
+            .put("/api/rates")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ rates: { USD: 0.9 } })
+
+        expect(response.status).toBe(401)
+    });
+})
+
+describe("Conversion in the base currency", () => {
+    test("Lists the transactions with their amount in the base currency of the user", async () => {
+        await exchange_rates.create({ currency: "USD", rate: 0.5 })
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await categories.create({ type: "food", color: "red" })
+
+        const changed = await request(app)
+            .patch("/api/users/tester/currency")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ currency: "USD" })
+        expect(changed.status).toBe(200)
+
+        const created = await request(app)
+            .post("/api/users/tester/transactions")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ username: "tester", amount: 10, type: "food", currency: "EUR" })
+        expect(created.body.data).toHaveProperty("currency", "EUR")
+
+        const response = await request(app)
+            .get("/api/users/tester/transactions")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+
+        expect(response.status).toBe(200)
+        expect(response.body.baseCurrency).toBe("USD")
+        expect(response.body.data[0]).toEqual(expect.objectContaining({ amount: 10, currency: "EUR", baseAmount: 20 }))
+    });
+
+    test("Returns a 400 error if the currency of a new transaction has no exchange rate", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await categories.create({ type: "food", color: "red" })
+
+        const response = await request(app)
+            .post("/api/users/tester/transactions")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ username: "tester", amount: 10, type: "food", currency: "JPY" })
+
+        expect(response.status).toBe(400)
+        expect(response.body).toHaveProperty("error", "Currency not supported")
+    });
+})
@@ -0,0 +1,208 @@
+import { promises as fs } from 'fs';
+import { exchange_rates } from '../models/model';
+import { User } from '../models/User';
+import {
+    getRatesTable, convertAmount, baseAmountExpression, setExchangeRates, loadExchangeRatesFile,
+    getExchangeRates, updateExchangeRates, loadExchangeRates, updateBaseCurrency
+} from '../controllers/rates';
+import { verifyAuth } from '../controllers/utils';
+import { mockResponse } from './mocks';
+
+jest.mock('../models/model', () => ({
+    exchange_rates: { find: jest.fn(), bulkWrite: jest.fn() }
+}));
+jest.mock('../models/User', () => ({
+    User: { findOne: jest.fn(), findOneAndUpdate: jest.fn() }
+}));
+
+beforeEach(() => {
+    jest.restoreAllMocks()
+    jest.resetAllMocks()
+});
+
+const VerifyAuthmodule = require('../controllers/utils');
+
+describe("getRatesTable", () => {
+    test('Should always contain the reference currency', async () => {
+        exchange_rates.find.mockResolvedValue([{ currency: "USD", rate: 0.9 }, { currency: "GBP", rate: 1.2 }])
+
+        expect(await getRatesTable()).toEqual({ EUR: 1, USD: 0.9, GBP: 1.2 })
+    });
+})
+
+describe("convertAmount", () => {
+    const table = { EUR: 1, USD: 0.5, GBP: 1.25 };
+
+    test('Should convert between two currencies through the reference one', () => {
+        expect(convertAmount(10, "GBP", "USD", table)).toBe(25)
+    });
+
+    test('Should consider amounts without currency in the reference currency', () => {
+        expect(convertAmount(10, undefined, "USD", table)).toBe(20)
+    });
+
+    test('Should return null when a rate is missing', () => {
+        expect(convertAmount(10, "JPY", "EUR", table)).toBeNull()
+    });
+})
+
+describe("baseAmountExpression", () => {
+    test('Should multiply the amount by the rate of its currency over the base one', () => {
+        const expression = baseAmountExpression({ EUR: 1, USD: 0.5 }, "USD");
+        expect(expression.$multiply[0]).toBe("$amount")
+        expect(expression.$multiply[1].$switch.branches.map((branch) => branch.then)).toEqual([2, 1])
+        expect(expression.$multiply[1].$switch.default).toBeNull()
+    });
+
+    test('Should return null when the base currency has no rate', () => {
+        expect(baseAmountExpression({ EUR: 1 }, "USD")).toBeNull()
+    });
+})
+
+describe("setExchangeRates", () => {
+    test('Should upsert every rate and return the updated table', async () => {
+        exchange_rates.find.mockResolvedValue([{ currency: "USD", rate: 0.9 }])
+
+        const table = await setExchangeRates({ USD: 0.9 })
+
+        expect(exchange_rates.bulkWrite).toHaveBeenCalledWith([
+            { updateOne: { filter: { currency: "USD" }, update: { $set: { rate: 0.9 } }, upsert: true } }
+        ])
+        expect(table).toEqual({ EUR: 1, USD: 0.9 })
+    });
+
+    test('Should reject codes that are not ISO 4217', async () => {
+        await expect(setExchangeRates({ dollar: 0.9 })).rejects.toBe("Currency not valid")
+    });
+
+    test('Should reject rates that are not positive numbers', async () => {
+        await expect(setExchangeRates({ USD: "0.9" })).rejects.toBe("Rates not valid")
+        await expect(setExchangeRates({ USD: 0 })).rejects.toBe("Rates not valid")
+        await expect(setExchangeRates({ EUR: 2 })).rejects.toBe("Rates not valid")
+    });
+})
+
+describe("loadExchangeRatesFile", () => {
+    test('Should set the rates read from the file', async () => {
+        jest.spyOn(fs, "readFile").mockResolvedValue('{ "GBP": 1.2 }')
+        exchange_rates.find.mockResolvedValue([{ currency: "GBP", rate: 1.2 }])
+
+        const table = await loadExchangeRatesFile("rates.json")
+
+        expect(fs.readFile).toHaveBeenCalledWith("rates.json", "utf8")
+        expect(table).toEqual({ EUR: 1, GBP: 1.2 })
+    });
+
+    test('Should throw an error if the file is not valid JSON', async () => {
+        jest.spyOn(fs, "readFile").mockResolvedValue('GBP=1.2')
+
+        await expect(loadExchangeRatesFile("rates.json")).rejects.toBe("Exchange rates file not readable")
+        expect(exchange_rates.bulkWrite).not.toHaveBeenCalled()
+    });
+})
+
+describe("getExchangeRates", () => {
+    test('Should return the rate table', async () => {
+        const mockReq = {}
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        exchange_rates.find.mockResolvedValue([{ currency: "USD", rate: 0.9 }])
+
+        await getExchangeRates(mockReq, mockRes)
+
+        expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: "Simple" })
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.json).toHaveBeenCalledWith({ data: { reference: "EUR", rates: { EUR: 1, USD: 0.9 } }, refreshedTokenMessage: "refreshed" })
+    });
+})
+
+describe("updateExchangeRates", () => {
+    test('Should update the rates when called by an Admin', async () => {
+        const mockReq = { body: { rates: { USD: 0.9 } } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        exchange_rates.find.mockResolvedValue([{ currency: "USD", rate: 0.9 }])
+
+        await updateExchangeRates(mockReq, mockRes)
+
+        expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: "Permission", permission: "rates:manage" })
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+    });
+
+    test('Should return 400 if the rates are not valid', async () => {
+        const mockReq = { body: { rates: [] } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+        await updateExchangeRates(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Rates not valid" })
+    });
+
+    test('Should return 401 if not called by an Admin', async () => {
+        const mockReq = { body: { rates: { USD: 0.9 } } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: false, cause: "Admin: Mismatched role" }))
+
+        await updateExchangeRates(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(401)
+        expect(exchange_rates.bulkWrite).not.toHaveBeenCalled()
+    });
+})
+
+describe("loadExchangeRates", () => {
+    test('Should return 400 if the file cannot be read', async () => {
+        const mockReq = {}
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        jest.spyOn(fs, "readFile").mockRejectedValue(new Error("ENOENT"))
+
+        await loadExchangeRates(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Exchange rates file not readable" })
+    });
+})
+
+describe("updateBaseCurrency", () => {
+    test('Should change the base currency of the user', async () => {
+        const mockReq = { params: { username: "tester" }, body: { currency: "USD" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        exchange_rates.find.mockResolvedValue([{ currency: "USD", rate: 0.9 }])
+        User.findOneAndUpdate.mockResolvedValue({ username: "tester", currency: "USD" })
+
+        await updateBaseCurrency(mockReq, mockRes)
+
+        expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: "User", username: "tester" })
+        expect(User.findOneAndUpdate).toHaveBeenCalledWith({ username: "tester" }, { $set: { currency: "USD" } }, { new: true })
+        expect(mockRes.json).toHaveBeenCalledWith({ data: { username: "tester", currency: "USD" }, refreshedTokenMessage: "refreshed" })
+    });
+
+    test('Should return 400 if the currency has no exchange rate', async () => {
+        const mockReq = { params: { username: "tester" }, body: { currency: "JPY" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        exchange_rates.find.mockResolvedValue([])
+
+        await updateBaseCurrency(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Currency not supported" })
+    });
+
+    test('Should return 400 if the user does not exist', async () => {
+        const mockReq = { params: { username: "tester" }, body: { currency: "EUR" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        exchange_rates.find.mockResolvedValue([])
+        User.findOneAndUpdate.mockResolvedValue(null)
+
+        await updateBaseCurrency(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "User not Found." })
+    });
+})
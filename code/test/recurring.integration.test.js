@@ -0,0 +1,146 @@
+import request from 'supertest';
+import { app } from '../app';
+import { User, Group } from '../models/User.js';
+import { categories, transactions, recurring_transactions } from '../models/model';
+import { materializeRecurringTransactions } from '../controllers/recurring';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+beforeAll(async () => {
+    const dbName = "testingDatabaseRecurring";
+    const url = `${process.env.MONGO_URI}/${dbName}`;
+
+    await mongoose.connect(url, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+    });
+    // the unique index on the occurrences must exist for the upserts to be idempotent
+    await transactions.syncIndexes();
+});
+
+afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+    await categories.deleteMany({})
+    await transactions.deleteMany({})
+    await recurring_transactions.deleteMany({})
+    await User.deleteMany({})
+    await Group.deleteMany({})
+});
+
+const testerAccessTokenValid = jwt.sign({
+    email: "tester@test.com",
+    username: "tester",
+    role: "Regular"
+}, process.env.ACCESS_KEY, { expiresIn: '1y' })
+
+describe("createRecurringTransaction", () => {
+    test("Creates the rule and the occurrences already due", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await categories.create({ type: "rent", color: "blue" })
+        // the first three monthly occurrences are due
+        const startDate = new Date(Date.now() - 70 * 24 * 60 * 60 * 1000)
+
+        const response = await request(app)
+            .post("/api/users/tester/recurring")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ type: "rent", amount: 500, frequency: "monthly", startDate: startDate.toISOString() })
+
+        expect(response.status).toBe(200)
+        expect(response.body.data).toEqual(expect.objectContaining({ username: "tester", type: "rent", amount: 500, frequency: "monthly" }))
+        expect(await transactions.countDocuments({ username: "tester", type: "rent" })).toBe(3)
+        expect(await materializeRecurringTransactions(new Date())).toBe(0)
+    });
+
+    test("Returns a 400 error if the start date is more than one year in the past", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await categories.create({ type: "gym", color: "blue" })
+
+        const response = await request(app)
+            .post("/api/users/tester/recurring")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ type: "gym", amount: 30, frequency: "daily", startDate: "2000-01-01" })
+
+        expect(response.status).toBe(400)
+        expect(response.body.error).toBe("Start date too far in the past")
+        expect(await recurring_transactions.countDocuments()).toBe(0)
+    });
+
+    test("Returns a 400 error if the category does not exist", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+
+        const response = await request(app)
+            .post("/api/users/tester/recurring")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ type: "rent", amount: 500, frequency: "monthly" })
+
+        expect(response.status).toBe(400)
+        expect(response.body).toHaveProperty("error")
+    });
+})
+
+describe("updateRecurringTransaction", () => {
+    test("Returns a 400 error if the end date is before the start date", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        const rule = await recurring_transactions.create({ username: "tester", type: "rent", amount: 500, frequency: "monthly", startDate: new Date("2023-01-01") })
+
+        const response = await request(app)
+            .patch(`/api/users/tester/recurring/${rule._id}`)
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ endDate: "2022-12-01" })
+
+        expect(response.status).toBe(400)
+        expect(response.body).toEqual({ error: "End date before start date" })
+        expect((await recurring_transactions.findById(rule._id)).endDate).toBeNull()
+    });
+})
+
+describe("materializeRecurringTransactions", () => {
+    test("Never creates the same occurrence twice", async () => {
+        const rule = await recurring_transactions.create({ username: "tester", type: "rent", amount: 500, frequency: "weekly", startDate: new Date("2023-01-01T00:00:00.000Z") })
+        const now = new Date("2023-01-20T00:00:00.000Z")
+
+        expect(await materializeRecurringTransactions(now)).toBe(3)
+        // simulate a restart that lost the progress of the rule
+        await recurring_transactions.updateOne({ _id: rule._id }, { $set: { occurrences: 0 } })
+        expect(await materializeRecurringTransactions(now)).toBe(0)
+        expect(await transactions.countDocuments({ recurring: rule._id })).toBe(3)
+    });
+})
+
+describe("getRecurringTransactions", () => {
+    test("Returns the rules of the user", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await recurring_transactions.create({ username: "tester", type: "rent", amount: 500, frequency: "monthly", startDate: new Date() })
+
+        const response = await request(app)
+            .get("/api/users/tester/recurring")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+
+        expect(response.status).toBe(200)
+        expect(response.body.data).toHaveLength(1)
+    });
+})
+
+describe("deleteRecurringTransaction", () => {
+    test("Deletes the rule and keeps the transactions already created", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        const rule = await recurring_transactions.create({ username: "tester", type: "rent", amount: 500, frequency: "monthly", startDate: new Date() })
+        await transactions.create({ username: "tester", type: "rent", amount: 500, recurring: rule._id })
+
+        const response = await request(app)
+            .delete("/api/users/tester/recurring")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ _id: rule._id.toString() })
+
+        expect(response.status).toBe(200)
+        expect(await recurring_transactions.countDocuments({})).toBe(0)
+        expect(await transactions.countDocuments({})).toBe(1)
+    });
+})
@@ -0,0 +1,364 @@
+import { categories, transactions, recurring_transactions, exchange_rates } from '../models/model';
+import { User } from '../models/User';
+import {
+    occurrenceDate, materializeRule, materializeRecurringTransactions,
+    createRecurringTransaction, getRecurringTransactions, updateRecurringTransaction, deleteRecurringTransaction
+} from '../controllers/recurring';
+import { verifyAuth } from '../controllers/utils';
+import { mockResponse } from './mocks';
+
+jest.mock('../models/model', () => ({
+    categories: { findOne: jest.fn() },
+    transactions: { updateOne: jest.fn() },
+    recurring_transactions: { create: jest.fn(), find: jest.fn(), updateOne: jest.fn(), findOne: jest.fn(), findOneAndUpdate: jest.fn(), deleteOne: jest.fn() },
+    exchange_rates: { find: jest.fn() }
+}));
+jest.mock('../models/User', () => ({
+    User: { findOne: jest.fn() },
+    Group: {}
+}));
+
+beforeEach(() => {
+    jest.resetAllMocks()
+});
+
+const VerifyAuthmodule = require('../controllers/utils');
+
+describe("occurrenceDate", () => {
+    test('Should add days and weeks', () => {
+        const start = new Date("2023-01-30T00:00:00.000Z");
+        expect(occurrenceDate(start, "daily", 3)).toEqual(new Date("2023-02-02T00:00:00.000Z"));
+        expect(occurrenceDate(start, "weekly", 2)).toEqual(new Date("2023-02-13T00:00:00.000Z"));
+    });
+
+    test('Should keep the day of the month, clamped to the end of shorter months', () => {
+        const start = new Date("2023-01-31T08:00:00.000Z");
+        expect(occurrenceDate(start, "monthly", 1)).toEqual(new Date("2023-02-28T08:00:00.000Z"));
+        expect(occurrenceDate(start, "monthly", 2)).toEqual(new Date("2023-03-31T08:00:00.000Z"));
+        expect(occurrenceDate(start, "monthly", 13)).toEqual(new Date("2024-02-29T08:00:00.000Z"));
+    });
+
+    test('Should add years', () => {
+        const start = new Date("2024-02-29T00:00:00.000Z");
+        expect(occurrenceDate(start, "yearly", 1)).toEqual(new Date("2025-02-28T00:00:00.000Z"));
+        expect(occurrenceDate(start, "yearly", 4)).toEqual(new Date("2028-02-29T00:00:00.000Z"));
+    });
+})
+
+describe("materializeRule", () => {
+    test('Should upsert every due occurrence and store the count', async () => {
+        const rule = { _id: "r1", username: "tester", type: "rent", amount: 500, kind: "expense", currency: "USD", frequency: "monthly", startDate: new Date("2023-01-01T00:00:00.000Z"), endDate: null, occurrences: 1 };
+        transactions.updateOne.mockResolvedValue({ upsertedCount: 1 });
+
+        const created = await materializeRule(rule, new Date("2023-03-15T00:00:00.000Z"));
+
+        expect(created).toBe(2);
+        expect(transactions.updateOne).toHaveBeenCalledTimes(2);
+        expect(transactions.updateOne).toHaveBeenCalledWith(
+            { recurring: "r1", date: new Date("2023-02-01T00:00:00.000Z") },
+            { $setOnInsert: { username: "tester", type: "rent", amount: 500, kind: "expense", currency: "USD" } },
+            { upsert: true }
+        );
+        expect(recurring_transactions.updateOne).toHaveBeenCalledWith({ _id: "r1" }, { $set: { occurrences: 3 } });
+        expect(User.findOne).not.toHaveBeenCalled();
+    });
+
+    test('Should create the transactions of a rule without currency in the base currency of its user', async () => {
+        const rule = { _id: "r1", username: "tester", type: "salary", amount: 2000, kind: "income", frequency: "monthly", startDate: new Date("2023-01-01T00:00:00.000Z"), endDate: null, occurrences: 0 };
+        transactions.updateOne.mockResolvedValue({ upsertedCount: 1 });
+        User.findOne.mockResolvedValue({ username: "tester", currency: "GBP" });
+
+        await materializeRule(rule, new Date("2023-01-15T00:00:00.000Z"));
+
+        expect(User.findOne).toHaveBeenCalledWith({ username: "tester" });
+        expect(transactions.updateOne).toHaveBeenCalledWith(
+            { recurring: "r1", date: new Date("2023-01-01T00:00:00.000Z") },
+            { $setOnInsert: { username: "tester", type: "salary", amount: 2000, kind: "income", currency: "GBP" } },
+            { upsert: true }
+        );
+    });
+
+    test('Should not count occurrences that already exist', async () => {
+        const rule = { _id: "r1", username: "tester", type: "rent", amount: 500, frequency: "weekly", startDate: new Date("2023-01-01T00:00:00.000Z"), endDate: null, occurrences: 0 };
+        transactions.updateOne.mockResolvedValue({ upsertedCount: 0 });
+
+        const created = await materializeRule(rule, new Date("2023-01-10T00:00:00.000Z"));
+
+        expect(created).toBe(0);
+        expect(transactions.updateOne).toHaveBeenCalledTimes(2);
+        expect(recurring_transactions.updateOne).toHaveBeenCalledWith({ _id: "r1" }, { $set: { occurrences: 2 } });
+    });
+
+    test('Should stop at the end date', async () => {
+        const rule = { _id: "r1", username: "tester", type: "gym", amount: 30, frequency: "daily", startDate: new Date("2023-01-01T00:00:00.000Z"), endDate: new Date("2023-01-03T00:00:00.000Z"), occurrences: 0 };
+        transactions.updateOne.mockResolvedValue({ upsertedCount: 1 });
+
+        const created = await materializeRule(rule, new Date("2023-06-01T00:00:00.000Z"));
+
+        expect(created).toBe(3);
+    });
+
+    test('Should do nothing when no occurrence is due', async () => {
+        const rule = { _id: "r1", username: "tester", type: "gym", amount: 30, frequency: "monthly", startDate: new Date("2023-01-01T00:00:00.000Z"), endDate: null, occurrences: 1 };
+
+        const created = await materializeRule(rule, new Date("2023-01-20T00:00:00.000Z"));
+
+        expect(created).toBe(0);
+        expect(transactions.updateOne).not.toHaveBeenCalled();
+        expect(recurring_transactions.updateOne).not.toHaveBeenCalled();
+    });
+})
+
+describe("materializeRecurringTransactions", () => {
+    test('Should materialize all the started rules', async () => {
+        const now = new Date("2023-01-02T12:00:00.000Z");
+        recurring_transactions.find.mockResolvedValue([
+            { _id: "r1", username: "a", type: "rent", amount: 1, frequency: "daily", startDate: new Date("2023-01-01T00:00:00.000Z"), endDate: null, occurrences: 0 },
+            { _id: "r2", username: "b", type: "rent", amount: 2, frequency: "yearly", startDate: new Date("2023-01-02T00:00:00.000Z"), endDate: null, occurrences: 0 }
+        ]);
+        transactions.updateOne.mockResolvedValue({ upsertedCount: 1 });
+
+        const created = await materializeRecurringTransactions(now);
+
+        expect(recurring_transactions.find).toHaveBeenCalledWith({ startDate: { $lte: now } });
+        expect(created).toBe(3);
+    });
+})
+
+describe("createRecurringTransaction", () => {
+    test('Should create the rule with the occurrences already due', async () => {
+        const mockReq = { params: { username: "tester" }, body: { type: "rent", amount: 500, frequency: "monthly", startDate: "2023-01-01T00:00:00.000Z" } }
+        const mockRes = mockResponse()
+        const rule = { _id: "r1", username: "tester", type: "rent", amount: 500, kind: "expense", currency: "EUR", frequency: "monthly", startDate: new Date("2023-01-01T00:00:00.000Z"), endDate: null, occurrences: 0 };
+        jest.useFakeTimers({ now: new Date("2023-02-15T00:00:00.000Z") })
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester" })
+        categories.findOne.mockResolvedValue({ type: "rent", color: "blue" })
+        recurring_transactions.create.mockResolvedValue(rule)
+        transactions.updateOne.mockResolvedValue({ upsertedCount: 1 })
+
+        try {
+            await createRecurringTransaction(mockReq, mockRes)
+        } finally {
+            jest.useRealTimers()
+        }
+
+        expect(transactions.updateOne).toHaveBeenCalledTimes(2)
+        expect(recurring_transactions.updateOne).toHaveBeenCalledWith({ _id: "r1" }, { $set: { occurrences: 2 } })
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+    });
+
+    test('Should create the rule and return it', async () => {
+        const mockReq = { params: { username: "tester" }, body: { type: "rent", amount: 500, frequency: "monthly", startDate: "2099-01-01" } }
+        const mockRes = mockResponse()
+        const rule = { _id: "r1", username: "tester", type: "rent", amount: 500, kind: "expense", currency: "EUR", frequency: "monthly", startDate: new Date("2099-01-01"), endDate: null, occurrences: 0 };
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester" })
+        categories.findOne.mockResolvedValue({ type: "rent", color: "blue" })
+        recurring_transactions.create.mockResolvedValue(rule)
+
+        await createRecurringTransaction(mockReq, mockRes)
+
+        expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: "User", username: "tester" })
+        expect(recurring_transactions.create).toHaveBeenCalledWith({ username: "tester", type: "rent", amount: 500, kind: "expense", currency: "EUR", frequency: "monthly", startDate: new Date("2099-01-01"), endDate: null })
+        expect(transactions.updateOne).not.toHaveBeenCalled()
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.json).toHaveBeenCalledWith({
+            data: { _id: "r1", username: "tester", type: "rent", amount: 500, kind: "expense", currency: "EUR", frequency: "monthly", startDate: new Date("2099-01-01"), endDate: null },
+            refreshedTokenMessage: "refreshed"
+        })
+    });
+
+    test('Should create a rule with the given kind and currency', async () => {
+        const mockReq = { params: { username: "tester" }, body: { type: "salary", amount: 2000, kind: "income", currency: "USD", frequency: "monthly", startDate: "2099-01-01" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester", currency: "GBP" })
+        categories.findOne.mockResolvedValue({ type: "salary", color: "green" })
+        exchange_rates.find.mockResolvedValue([{ currency: "USD", rate: 0.9 }])
+        recurring_transactions.create.mockImplementation(async (rule) => ({ _id: "r1", ...rule, occurrences: 0 }))
+
+        await createRecurringTransaction(mockReq, mockRes)
+
+        expect(recurring_transactions.create).toHaveBeenCalledWith(expect.objectContaining({ kind: "income", currency: "USD" }))
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+    });
+
+    test('Should return 400 if the kind or the currency are not valid', async () => {
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester" })
+        categories.findOne.mockResolvedValue({ type: "rent", color: "blue" })
+        exchange_rates.find.mockResolvedValue([])
+
+        const kindRes = mockResponse()
+        await createRecurringTransaction({ params: { username: "tester" }, body: { type: "rent", amount: 500, kind: "transfer", frequency: "monthly" } }, kindRes)
+        const currencyRes = mockResponse()
+        await createRecurringTransaction({ params: { username: "tester" }, body: { type: "rent", amount: 500, currency: "USD", frequency: "monthly" } }, currencyRes)
+
+        expect(kindRes.json).toHaveBeenCalledWith({ error: "Kind not valid" })
+        expect(currencyRes.json).toHaveBeenCalledWith({ error: "Currency not supported" })
+        expect(recurring_transactions.create).not.toHaveBeenCalled()
+    });
+
+    test('Should return 400 if the frequency is not valid', async () => {
+        const mockReq = { params: { username: "tester" }, body: { type: "rent", amount: 500, frequency: "hourly" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+        await createRecurringTransaction(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Frequency not valid" })
+    });
+
+    test('Should return 400 if the end date is before the start date', async () => {
+        const mockReq = { params: { username: "tester" }, body: { type: "rent", amount: 500, frequency: "monthly", startDate: "2023-05-01", endDate: "2023-04-01" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+        await createRecurringTransaction(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "End date before start date" })
+    });
+
+    test('Should return 400 if the start date is more than one year in the past', async () => {
+        const mockReq = { params: { username: "tester" }, body: { type: "gym", amount: 30, frequency: "daily", startDate: "2000-01-01" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+        await createRecurringTransaction(mockReq, mockRes)
+
+        expect(recurring_transactions.create).not.toHaveBeenCalled()
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Start date too far in the past" })
+    });
+
+    test('Should return 400 if the category does not exist', async () => {
+        const mockReq = { params: { username: "tester" }, body: { type: "rent", amount: 500, frequency: "monthly" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester" })
+        categories.findOne.mockResolvedValue(null)
+
+        await createRecurringTransaction(mockReq, mockRes)
+
+        expect(recurring_transactions.create).not.toHaveBeenCalled()
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Category not Found." })
+    });
+
+    test('Should return 401 if not authorized', async () => {
+        const mockReq = { params: { username: "tester" }, body: {} }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: false, cause: "Unauthorized" }))
+
+        await createRecurringTransaction(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(401)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Unauthorized" })
+    });
+})
+
+describe("getRecurringTransactions", () => {
+    test('Should return the rules of the user', async () => {
+        const mockReq = { params: { username: "tester" } }
+        const mockRes = mockResponse()
+        const rule = { _id: "r1", username: "tester", type: "rent", amount: 500, frequency: "monthly", startDate: new Date("2023-01-01"), endDate: null, occurrences: 4 };
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester" })
+        recurring_transactions.find.mockResolvedValue([rule])
+
+        await getRecurringTransactions(mockReq, mockRes)
+
+        expect(recurring_transactions.find).toHaveBeenCalledWith({ username: "tester" })
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.json).toHaveBeenCalledWith({
+            data: [{ _id: "r1", username: "tester", type: "rent", amount: 500, frequency: "monthly", startDate: new Date("2023-01-01"), endDate: null }],
+            refreshedTokenMessage: "refreshed"
+        })
+    });
+})
+
+describe("updateRecurringTransaction", () => {
+    test('Should update amount and end date', async () => {
+        const mockReq = { params: { username: "tester", id: "r1" }, body: { amount: "550", endDate: "2024-01-01" } }
+        const mockRes = mockResponse()
+        const rule = { _id: "r1", username: "tester", type: "rent", amount: 550, frequency: "monthly", startDate: new Date("2023-01-01"), endDate: new Date("2024-01-01") };
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        recurring_transactions.findOneAndUpdate.mockResolvedValue(rule)
+
+        await updateRecurringTransaction(mockReq, mockRes)
+
+        expect(recurring_transactions.findOneAndUpdate).toHaveBeenCalledWith(
+            { _id: "r1", username: "tester", startDate: { $lte: new Date("2024-01-01") } },
+            { $set: { amount: 550, endDate: new Date("2024-01-01") } },
+            { new: true }
+        )
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+    });
+
+    test('Should return 400 if the end date is before the start date', async () => {
+        const mockReq = { params: { username: "tester", id: "r1" }, body: { endDate: "2022-01-01" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        recurring_transactions.findOneAndUpdate.mockResolvedValue(null)
+        recurring_transactions.findOne.mockResolvedValue({ _id: "r1", username: "tester", startDate: new Date("2023-01-01") })
+
+        await updateRecurringTransaction(mockReq, mockRes)
+
+        expect(recurring_transactions.findOne).toHaveBeenCalledWith({ _id: "r1", username: "tester" })
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "End date before start date" })
+    });
+
+    test('Should return 400 if the rule does not exist', async () => {
+        const mockReq = { params: { username: "tester", id: "r1" }, body: { amount: 10 } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        recurring_transactions.findOneAndUpdate.mockResolvedValue(null)
+
+        await updateRecurringTransaction(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Recurring transaction not Found." })
+    });
+
+    test('Should return 400 if no attribute is given', async () => {
+        const mockReq = { params: { username: "tester", id: "r1" }, body: {} }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+        await updateRecurringTransaction(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Some Parameter is Missing" })
+    });
+})
+
+describe("deleteRecurringTransaction", () => {
+    test('Should delete the rule', async () => {
+        const mockReq = { params: { username: "tester" }, body: { _id: "r1" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        recurring_transactions.deleteOne.mockResolvedValue({ deletedCount: 1 })
+
+        await deleteRecurringTransaction(mockReq, mockRes)
+
+        expect(recurring_transactions.deleteOne).toHaveBeenCalledWith({ _id: "r1", username: "tester" })
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.json).toHaveBeenCalledWith({ data: { message: "Recurring transaction deleted" }, refreshedTokenMessage: "refreshed" })
+    });
+
+    test('Should return 400 if the rule does not exist', async () => {
+        const mockReq = { params: { username: "tester" }, body: { _id: "r1" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        recurring_transactions.deleteOne.mockResolvedValue({ deletedCount: 0 })
+
+        await deleteRecurringTransaction(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Recurring transaction not Found." })
+    });
+})
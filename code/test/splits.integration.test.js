@@ -0,0 +1,142 @@
+import request from 'supertest';
+import { app } from '../app';
+import { User, Group } from '../models/User.js';
+import { group_expenses, exchange_rates } from '../models/model';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+beforeAll(async () => {
+    const dbName = "testingDatabaseSplits";
+    const url = `${process.env.MONGO_URI}/${dbName}`;
+
+    await mongoose.connect(url, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+    });
+
+});
+
+afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+    await group_expenses.deleteMany({})
+    await exchange_rates.deleteMany({})
+    await User.deleteMany({})
+    await Group.deleteMany({})
+    const users = await User.insertMany([
+        { username: "tester", email: "tester@test.com", password: "tester" },
+        { username: "luigi", email: "luigi@test.com", password: "luigi" },
+        { username: "peach", email: "peach@test.com", password: "peach" }
+    ])
+    await Group.create({ name: "family", members: users.map((user) => ({ email: user.email, user: user._id })) })
+});
+
+const testerAccessTokenValid = jwt.sign({
+    email: "tester@test.com",
+    username: "tester",
+    role: "Regular"
+}, process.env.ACCESS_KEY, { expiresIn: '1y' })
+
+const strangerAccessTokenValid = jwt.sign({
+    email: "stranger@test.com",
+    username: "stranger",
+    role: "Regular"
+}, process.env.ACCESS_KEY, { expiresIn: '1y' })
+
+describe("createGroupExpense", () => {
+    test("Records an expense split by percentage", async () => {
+        const response = await request(app)
+            .post("/api/groups/family/expenses")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ amount: 50, split: "percentage", shares: { tester: 20, luigi: 40, peach: 40 }, description: "Dinner" })
+
+        expect(response.status).toBe(200)
+        expect(response.body.data).toEqual(expect.objectContaining({
+            kind: "expense",
+            paidBy: "tester",
+            currency: "EUR",
+            shares: [{ username: "tester", amount: 10 }, { username: "luigi", amount: 20 }, { username: "peach", amount: 20 }]
+        }))
+        expect(await group_expenses.countDocuments({ group: "family" })).toBe(1)
+    });
+
+    test("Returns a 400 error if a participant is not a member of the group", async () => {
+        const response = await request(app)
+            .post("/api/groups/family/expenses")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ amount: 50, split: "equal", shares: ["tester", "stranger"] })
+
+        expect(response.status).toBe(400)
+        expect(response.body).toHaveProperty("error")
+    });
+
+    test("Returns a 401 error if the user is not a member of the group", async () => {
+        const response = await request(app)
+            .post("/api/groups/family/expenses")
+            .set("Cookie", `accessToken=${strangerAccessTokenValid}; refreshToken=${strangerAccessTokenValid}`)
+            .send({ amount: 50, split: "equal" })
+
+        expect(response.status).toBe(401)
+    });
+})
+
+describe("getGroupDebts", () => {
+    test("Returns who owes whom and zeroes the debts after the settlements", async () => {
+        await request(app)
+            .post("/api/groups/family/expenses")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ amount: 90, split: "equal" })
+        await request(app)
+            .post("/api/groups/family/expenses")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ amount: 30, split: "exact", shares: { tester: 30 }, paidBy: "luigi" })
+
+        const debts = await request(app)
+            .get("/api/groups/family/debts")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+
+        expect(debts.status).toBe(200)
+        expect(debts.body.data.balances).toEqual([
+            { username: "tester", balance: 30 },
+            { username: "luigi", balance: 0 },
+            { username: "peach", balance: -30 }
+        ])
+        expect(debts.body.data.debts).toEqual([{ from: "peach", to: "tester", amount: 30 }])
+
+        const settlement = await request(app)
+            .post("/api/groups/family/settlements")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ from: "peach", to: "tester", amount: 30 })
+
+        expect(settlement.status).toBe(200)
+
+        const settled = await request(app)
+            .get("/api/groups/family/debts")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+
+        expect(settled.body.data.debts).toEqual([])
+    });
+})
+
+describe("getGroupExpenses", () => {
+    test("Returns the expenses and the settlements of the group", async () => {
+        await group_expenses.insertMany([
+            { group: "family", paidBy: "tester", amount: 20, split: "equal", shares: [{ username: "tester", amount: 10 }, { username: "luigi", amount: 10 }], date: new Date("2023-05-01") },
+            { group: "family", kind: "settlement", paidBy: "luigi", amount: 10, shares: [{ username: "tester", amount: 10 }], date: new Date("2023-05-02") },
+            { group: "other", paidBy: "peach", amount: 5, split: "equal", shares: [{ username: "peach", amount: 5 }] }
+        ])
+
+        const response = await request(app)
+            .get("/api/groups/family/expenses")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+
+        expect(response.status).toBe(200)
+        expect(response.body.data.map((record) => record.kind)).toEqual(["expense", "settlement"])
+    });
+})
@@ -0,0 +1,326 @@
+import { group_expenses, exchange_rates } from '../models/model';
+import { Group, User } from '../models/User';
+import {
+    splitShares, groupBalances, settleDebts, createGroupExpense, createSettlement, getGroupExpenses, getGroupDebts
+} from '../controllers/splits';
+import { verifyAuth } from '../controllers/utils';
+import { mockResponse } from './mocks';
+
+jest.mock('../models/model', () => ({
+    group_expenses: { create: jest.fn(), find: jest.fn() },
+    exchange_rates: { find: jest.fn() }
+}));
+jest.mock('../models/User', () => ({
+    User: { findOne: jest.fn(), find: jest.fn() },
+    Group: { findOne: jest.fn() }
+}));
+
+beforeEach(() => {
+    jest.restoreAllMocks()
+    jest.resetAllMocks()
+    exchange_rates.find.mockResolvedValue([{ currency: "USD", rate: 0.5 }])
+    Group.findOne.mockResolvedValue({ name: "family", members: [{ email: "mario@test.com" }, { email: "luigi@test.com" }, { email: "peach@test.com" }] })
+    User.find.mockResolvedValue([{ username: "mario" }, { username: "luigi" }, { username: "peach" }])
+    User.findOne.mockResolvedValue({ username: "mario", currency: "EUR" })
+    jest.spyOn(VerifyAuthmodule, "getAuthenticatedUsername").mockImplementation(() => "mario")
+});
+
+const VerifyAuthmodule = require('../controllers/utils');
+
+const members = ["mario", "luigi", "peach"];
+
+describe("splitShares", () => {
+    test('Should split equally among all the members, giving the leftover cents to the first ones', () => {
+        expect(splitShares(10, "equal", undefined, members)).toEqual([
+            { username: "mario", amount: 3.34 },
+            { username: "luigi", amount: 3.33 },
+            { username: "peach", amount: 3.33 }
+        ])
+    });
+
+    test('Should split equally among the given participants', () => {
+        expect(splitShares(10, "equal", ["luigi", "peach", "luigi"], members)).toEqual([
+            { username: "luigi", amount: 5 },
+            { username: "peach", amount: 5 }
+        ])
+    });
+
+    test('Should split by percentage', () => {
+        expect(splitShares(99.99, "percentage", { mario: 50, luigi: 25, peach: 25 }, members)).toEqual([
+            { username: "mario", amount: 50 },
+            { username: "luigi", amount: 25 },
+            { username: "peach", amount: 24.99 }
+        ])
+    });
+
+    test('Should keep exact shares', () => {
+        expect(splitShares(20, "exact", { mario: 12.5, luigi: 7.5 }, members)).toEqual([
+            { username: "mario", amount: 12.5 },
+            { username: "luigi", amount: 7.5 }
+        ])
+    });
+
+    test('Should throw if the split is not supported', () => {
+        expect(() => splitShares(20, "random", undefined, members)).toThrow("Split not valid")
+    });
+
+    test('Should throw if the percentages do not add up to 100', () => {
+        expect(() => splitShares(20, "percentage", { mario: 50, luigi: 40 }, members)).toThrow("Shares do not add up to 100%")
+    });
+
+    test('Should throw if the exact shares do not add up to the amount', () => {
+        expect(() => splitShares(20, "exact", { mario: 12.5, luigi: 7 }, members)).toThrow("Shares do not add up to the amount")
+    });
+
+    test('Should throw if the shares are not valid', () => {
+        expect(() => splitShares(20, "exact", { mario: "all" }, members)).toThrow("Shares not valid")
+        expect(() => splitShares(20, "equal", [], members)).toThrow("Shares not valid")
+    });
+
+    test('Should throw if a participant is not a member of the group', () => {
+        expect(() => splitShares(20, "equal", ["mario", "bowser"], members)).toThrow("User is not a member of the group")
+    });
+})
+
+describe("groupBalances", () => {
+    const table = { EUR: 1, USD: 0.5 };
+
+    test('Should credit the payer and debit the participants, converting the amounts', () => {
+        const records = [
+            { paidBy: "mario", amount: 30, currency: "EUR", shares: [{ username: "mario", amount: 10 }, { username: "luigi", amount: 10 }, { username: "peach", amount: 10 }] },
+            { paidBy: "luigi", amount: 20, currency: "USD", shares: [{ username: "mario", amount: 20 }] }
+        ];
+
+        expect(groupBalances(records, members, "EUR", table)).toEqual({ mario: 10, luigi: 0, peach: -10 })
+    });
+
+    test('Should zero the balances with settlements', () => {
+        const records = [
+            { paidBy: "mario", amount: 30, currency: "EUR", shares: [{ username: "mario", amount: 15 }, { username: "luigi", amount: 15 }] },
+            { paidBy: "luigi", amount: 15, currency: "EUR", shares: [{ username: "mario", amount: 15 }] }
+        ];
+
+        expect(groupBalances(records, members, "EUR", table)).toEqual({ mario: 0, luigi: 0, peach: 0 })
+    });
+
+    test('Should throw if a record has no exchange rate', () => {
+        expect(() => groupBalances([{ paidBy: "mario", amount: 1, currency: "JPY", shares: [] }], members, "EUR", table)).toThrow("Currency not supported")
+    });
+})
+
+describe("settleDebts", () => {
+    test('Should match the largest debts with the largest credits', () => {
+        expect(settleDebts({ mario: 50, luigi: -30, peach: -20, toad: 0 })).toEqual([
+            { from: "luigi", to: "mario", amount: 30 },
+            { from: "peach", to: "mario", amount: 20 }
+        ])
+    });
+
+    test('Should split a debt among several creditors', () => {
+        expect(settleDebts({ mario: 10.5, luigi: 4.5, peach: -15 })).toEqual([
+            { from: "peach", to: "mario", amount: 10.5 },
+            { from: "peach", to: "luigi", amount: 4.5 }
+        ])
+    });
+
+    test('Should return an empty array if everybody is settled', () => {
+        expect(settleDebts({ mario: 0, luigi: 0 })).toEqual([])
+    });
+})
+
+describe("createGroupExpense", () => {
+    test('Should record an expense paid by the user and split equally', async () => {
+        const mockReq = { params: { name: "family" }, body: { amount: "30", split: "equal", description: "Pizza" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        group_expenses.create.mockImplementation(async (doc) => ({ _id: "e1", date: new Date("2023-05-01"), ...doc }))
+
+        await createGroupExpense(mockReq, mockRes)
+
+        const shares = [{ username: "mario", amount: 10 }, { username: "luigi", amount: 10 }, { username: "peach", amount: 10 }];
+        expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: "Group", emails: ["mario@test.com", "luigi@test.com", "peach@test.com"] })
+        expect(group_expenses.create).toHaveBeenCalledWith({ group: "family", kind: "expense", paidBy: "mario", amount: 30, currency: "EUR", split: "equal", shares: shares, description: "Pizza" })
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.json).toHaveBeenCalledWith({
+            data: { _id: "e1", kind: "expense", paidBy: "mario", amount: 30, currency: "EUR", split: "equal", shares: shares, description: "Pizza", date: new Date("2023-05-01") },
+            refreshedTokenMessage: "refreshed"
+        })
+    });
+
+    test('Should record an expense paid by another member in the given currency', async () => {
+        const mockReq = { params: { name: "family" }, body: { amount: 20, split: "exact", shares: { mario: 20 }, paidBy: "luigi", currency: "USD" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        group_expenses.create.mockImplementation(async (doc) => doc)
+
+        await createGroupExpense(mockReq, mockRes)
+
+        expect(group_expenses.create).toHaveBeenCalledWith(expect.objectContaining({ paidBy: "luigi", currency: "USD", split: "exact", shares: [{ username: "mario", amount: 20 }] }))
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+    });
+
+    test('Should return 400 if the payer is not a member of the group', async () => {
+        const mockReq = { params: { name: "family" }, body: { amount: 20, split: "equal", paidBy: "bowser" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+        await createGroupExpense(mockReq, mockRes)
+
+        expect(group_expenses.create).not.toHaveBeenCalled()
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "User is not a member of the group" })
+    });
+
+    test('Should return 400 if the shares are not valid', async () => {
+        const mockReq = { params: { name: "family" }, body: { amount: 20, split: "percentage", shares: { mario: 60, luigi: 60 } } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+        await createGroupExpense(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Shares do not add up to 100%" })
+    });
+
+    test('Should return 400 if the amount is not positive', async () => {
+        const mockReq = { params: { name: "family" }, body: { amount: 0, split: "equal" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+        await createGroupExpense(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Amount not valid" })
+    });
+
+    test('Should return 400 if the group does not exist', async () => {
+        const mockReq = { params: { name: "family" }, body: { amount: 20, split: "equal" } }
+        const mockRes = mockResponse()
+        Group.findOne.mockResolvedValue(null)
+
+        await createGroupExpense(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Group not Found." })
+    });
+
+    test('Should return 401 if the user is not a member of the group', async () => {
+        const mockReq = { params: { name: "family" }, body: { amount: 20, split: "equal" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: false, cause: "Group: user not in group" }))
+
+        await createGroupExpense(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(401)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Group: user not in group" })
+    });
+})
+
+describe("createSettlement", () => {
+    test('Should record a payment from the user to another member', async () => {
+        const mockReq = { params: { name: "family" }, body: { to: "luigi", amount: 15 } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        group_expenses.create.mockImplementation(async (doc) => doc)
+
+        await createSettlement(mockReq, mockRes)
+
+        expect(group_expenses.create).toHaveBeenCalledWith({ group: "family", kind: "settlement", paidBy: "mario", amount: 15, currency: "EUR", shares: [{ username: "luigi", amount: 15 }], description: undefined })
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.json.mock.calls[0][0].data).toEqual(expect.objectContaining({ kind: "settlement", paidBy: "mario", amount: 15 }))
+    });
+
+    test('Should return 400 if the users are the same', async () => {
+        const mockReq = { params: { name: "family" }, body: { to: "mario", amount: 15 } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+        await createSettlement(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Users must be different" })
+    });
+
+    test('Should return 400 if the recipient is not a member of the group', async () => {
+        const mockReq = { params: { name: "family" }, body: { to: "bowser", amount: 15 } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+        await createSettlement(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "User is not a member of the group" })
+    });
+
+    test('Should return 400 if the recipient is missing', async () => {
+        const mockReq = { params: { name: "family" }, body: { amount: 15 } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+        await createSettlement(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Some Parameter is Missing" })
+    });
+})
+
+describe("getGroupExpenses", () => {
+    test('Should return the expenses of the group in the date range', async () => {
+        const mockReq = { params: { name: "family" }, query: { from: "2023-05-01" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        const sort = jest.fn().mockResolvedValue([{ _id: "e1", kind: "expense", paidBy: "mario", amount: 30, currency: "EUR", split: "equal", shares: [], date: new Date("2023-05-02") }])
+        group_expenses.find.mockReturnValue({ sort: sort })
+
+        await getGroupExpenses(mockReq, mockRes)
+
+        expect(group_expenses.find).toHaveBeenCalledWith({ group: "family", date: { $gte: new Date("2023-05-01T00:00:00.000Z") } })
+        expect(sort).toHaveBeenCalledWith({ date: 1 })
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.json.mock.calls[0][0].data).toHaveLength(1)
+    });
+
+    test('Should return 400 if the date filters are not valid', async () => {
+        const mockReq = { params: { name: "family" }, query: { date: "2023-05-01", from: "2023-05-01" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+        await getGroupExpenses(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+    });
+})
+
+describe("getGroupDebts", () => {
+    test('Should return the balances and the payments settling them', async () => {
+        const mockReq = { params: { name: "family" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        group_expenses.find.mockResolvedValue([
+            { paidBy: "mario", amount: 30, currency: "EUR", shares: [{ username: "mario", amount: 10 }, { username: "luigi", amount: 10 }, { username: "peach", amount: 10 }] }
+        ])
+
+        await getGroupDebts(mockReq, mockRes)
+
+        expect(group_expenses.find).toHaveBeenCalledWith({ group: "family" })
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.json).toHaveBeenCalledWith({
+            data: {
+                baseCurrency: "EUR",
+                balances: [{ username: "mario", balance: 20 }, { username: "luigi", balance: -10 }, { username: "peach", balance: -10 }],
+                debts: [{ from: "luigi", to: "mario", amount: 10 }, { from: "peach", to: "mario", amount: 10 }]
+            },
+            refreshedTokenMessage: "refreshed"
+        })
+    });
+
+    test('Should return 401 if the user is not a member of the group', async () => {
+        const mockReq = { params: { name: "family" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: false, cause: "Group: user not in group" }))
+
+        await getGroupDebts(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(401)
+    });
+})
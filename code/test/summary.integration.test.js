@@ -0,0 +1,200 @@
+import request from 'supertest';
+import { app } from '../app';
+import { User, Group } from '../models/User.js';
+import { categories, transactions, exchange_rates } from '../models/model';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+beforeAll(async () => {
+    const dbName = "testingDatabaseSummary";
+    const url = `${process.env.MONGO_URI}/${dbName}`;
+
+    await mongoose.connect(url, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+    });
+
+});
+
+afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+    await categories.deleteMany({})
+    await transactions.deleteMany({})
+    await User.deleteMany({})
+    await Group.deleteMany({})
+    await exchange_rates.deleteMany({})
+});
+
+const testerAccessTokenValid = jwt.sign({
+    email: "tester@test.com",
+    username: "tester",
+    role: "Regular"
+}, process.env.ACCESS_KEY, { expiresIn: '1y' })
+
+describe("getSummaryByUser", () => {
+    test("Returns the totals by category and by month", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await categories.insertMany([{ type: "food", color: "red" }, { type: "rent", color: "blue" }])
+        await transactions.insertMany([
+            { username: "tester", type: "food", amount: 10, date: new Date("2023-04-20T10:00:00.000Z") },
+            { username: "tester", type: "food", amount: 30, date: new Date("2023-05-02T10:00:00.000Z") },
+            { username: "tester", type: "rent", amount: 500, date: new Date("2023-05-01T10:00:00.000Z") },
+            { username: "other", type: "rent", amount: 700, date: new Date("2023-05-01T10:00:00.000Z") }
+        ])
+
+        const response = await request(app)
+            .get("/api/users/tester/transactions/summary?period=month")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+
+        expect(response.status).toBe(200)
+        expect(response.body.data).toEqual({
+            total: 540,
+            count: 3,
+            average: 180,
+            baseTotal: 540,
+            baseAverage: 180,
+            currency: "EUR",
+            baseCurrency: "EUR",
+            byCategory: [
+                { type: "rent", color: "blue", total: 500, count: 1, average: 500, baseTotal: 500, baseAverage: 500 },
+                { type: "food", color: "red", total: 40, count: 2, average: 20, baseTotal: 40, baseAverage: 20 }
+            ],
+            byPeriod: [
+                { period: "2023-04", total: 10, count: 1, average: 10, baseTotal: 10, baseAverage: 10 },
+                { period: "2023-05", total: 530, count: 2, average: 265, baseTotal: 530, baseAverage: 265 }
+            ]
+        })
+    });
+
+    test("Applies the date filters", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await categories.create({ type: "food", color: "red" })
+        await transactions.insertMany([
+            { username: "tester", type: "food", amount: 10, date: new Date("2023-04-20T10:00:00.000Z") },
+            { username: "tester", type: "food", amount: 30, date: new Date("2023-05-02T10:00:00.000Z") }
+        ])
+
+        const response = await request(app)
+            .get("/api/users/tester/transactions/summary?from=2023-05-01")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+
+        expect(response.status).toBe(200)
+        expect(response.body.data).toHaveProperty("total", 30)
+        expect(response.body.data).not.toHaveProperty("byPeriod")
+    });
+
+    test("Leaves income and transfers out of the totals", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await categories.insertMany([{ type: "food", color: "red" }, { type: "salary", color: "green" }])
+        await transactions.insertMany([
+            { username: "tester", type: "food", amount: 10 },
+            { username: "tester", type: "food", amount: 20, kind: "expense" },
+            { username: "tester", type: "salary", amount: 1000, kind: "income" },
+            { username: "tester", type: "food", amount: -50, kind: "transfer" }
+        ])
+
+        const response = await request(app)
+            .get("/api/users/tester/transactions/summary")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+
+        expect(response.status).toBe(200)
+        expect(response.body.data).toHaveProperty("total", 30)
+        expect(response.body.data).toHaveProperty("average", 15)
+        expect(response.body.data.byCategory.map((category) => category.type)).toEqual(["food"])
+    });
+
+    test("Returns a 400 error if the period is not valid", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+
+        const response = await request(app)
+            .get("/api/users/tester/transactions/summary?period=year")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+
+        expect(response.status).toBe(400)
+        expect(response.body).toHaveProperty("error")
+    });
+
+    test("Converts the amounts in the base currency of the user", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester", currency: "USD" })
+        await categories.create({ type: "food", color: "red" })
+        await exchange_rates.create({ currency: "USD", rate: 0.5 })
+        await transactions.insertMany([
+            { username: "tester", type: "food", amount: 10, currency: "EUR" },
+            { username: "tester", type: "food", amount: 30, currency: "USD" }
+        ])
+
+        const response = await request(app)
+            .get("/api/users/tester/transactions/summary")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+
+        expect(response.status).toBe(200)
+        expect(response.body.data).toHaveProperty("baseCurrency", "USD")
+        expect(response.body.data).toHaveProperty("baseTotal", 50)
+        // the totals are in the reference currency, never the sum of amounts in different currencies
+        expect(response.body.data).toHaveProperty("currency", "EUR")
+        expect(response.body.data).toHaveProperty("total", 25)
+    });
+})
+
+describe("getSummaryByGroup", () => {
+    test("Returns the totals of all the members of the group", async () => {
+        const users = await User.insertMany([
+            { username: "tester", email: "tester@test.com", password: "tester" },
+            { username: "other", email: "other@test.com", password: "other" }
+        ])
+        await Group.create({ name: "family", members: users.map((user) => ({ email: user.email, user: user._id })) })
+        await categories.create({ type: "food", color: "red" })
+        await transactions.insertMany([
+            { username: "tester", type: "food", amount: 10 },
+            { username: "other", type: "food", amount: 20 },
+            { username: "stranger", type: "food", amount: 1000 }
+        ])
+
+        const response = await request(app)
+            .get("/api/groups/family/transactions/summary")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+
+        expect(response.status).toBe(200)
+        expect(response.body.data).toHaveProperty("total", 30)
+        expect(response.body.data.byCategory).toEqual([{ type: "food", color: "red", total: 30, count: 2, average: 15, baseTotal: 30, baseAverage: 15 }])
+    });
+})
+
+describe("getBalanceByUser", () => {
+    test("Returns income, expense and net totals in the date range", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await transactions.insertMany([
+            { username: "tester", type: "salary", kind: "income", amount: 2000, date: new Date("2023-05-01T10:00:00.000Z") },
+            { username: "tester", type: "food", amount: 30, date: new Date("2023-05-02T10:00:00.000Z") },
+            { username: "tester", type: "savings", kind: "transfer", amount: 500, date: new Date("2023-05-03T10:00:00.000Z") },
+            { username: "tester", type: "food", amount: 70, date: new Date("2023-04-02T10:00:00.000Z") }
+        ])
+
+        const response = await request(app)
+            .get("/api/users/tester/balance?from=2023-05-01&upTo=2023-05-31")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+
+        expect(response.status).toBe(200)
+        expect(response.body.data).toEqual({ income: 2000, expense: 30, transfer: 500, net: 1970, count: 3, baseCurrency: "EUR" })
+    });
+})
+
+describe("getBalanceByGroup", () => {
+    test("Returns a 401 error if the user is not a member of the group", async () => {
+        const other = await User.create({ username: "other", email: "other@test.com", password: "other" })
+        await Group.create({ name: "family", members: [{ email: other.email, user: other._id }] })
+
+        const response = await request(app)
+            .get("/api/groups/family/balance")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+
+        expect(response.status).toBe(401)
+    });
+})
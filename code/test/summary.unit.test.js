@@ -0,0 +1,248 @@
+import { transactions, exchange_rates } from '../models/model';
+import { Group, User } from '../models/User';
+import { summaryPipeline, getSummaryByUser, getSummaryByGroup, balancePipeline, getBalanceByUser, getBalanceByGroup } from '../controllers/summary';
+import { baseAmountExpression } from '../controllers/rates';
+import { verifyAuth } from '../controllers/utils';
+import { mockResponse } from './mocks';
+
+jest.mock('../models/model', () => ({
+    transactions: { aggregate: jest.fn() },
+    exchange_rates: { find: jest.fn() }
+}));
+jest.mock('../models/User', () => ({
+    User: { findOne: jest.fn(), find: jest.fn() },
+    Group: { findOne: jest.fn() }
+}));
+
+beforeEach(() => {
+    jest.resetAllMocks()
+    exchange_rates.find.mockResolvedValue([{ currency: "USD", rate: 0.5 }])
+});
+
+// converts USD amounts in EUR
+const toEUR = baseAmountExpression({ EUR: 1, USD: 0.5 }, "EUR");
+
+const VerifyAuthmodule = require('../controllers/utils');
+
+const aggregateResult = [{
+    overall: [{ _id: null, total: 130, count: 3, average: 130 / 3, baseTotal: 125, baseAverage: 125 / 3 }],
+    byCategory: [
+        { _id: "rent", total: 100, count: 1, average: 100, baseTotal: 100, baseAverage: 100, category: { type: "rent", color: "blue" } },
+        { _id: "food", total: 30, count: 2, average: 15, baseTotal: 25, baseAverage: 12.5 }
+    ],
+    byPeriod: [
+        { _id: "2023-04", total: 10, count: 1, average: 10, baseTotal: 5, baseAverage: 5 },
+        { _id: "2023-05", total: 120, count: 2, average: 60, baseTotal: 120, baseAverage: 60 }
+    ]
+}];
+
+describe("summaryPipeline", () => {
+    test('Should only group by category when no period is given', () => {
+        const pipeline = summaryPipeline({ username: "tester" });
+        expect(pipeline[0]).toEqual({ $match: { username: "tester", kind: { $in: ["expense", null] } } });
+        expect(Object.keys(pipeline[1].$facet)).toEqual(["overall", "byCategory"]);
+    });
+
+    test('Should group by the date format of the period', () => {
+        const pipeline = summaryPipeline({ username: "tester" }, "week");
+        expect(pipeline[1].$facet.byPeriod[0].$group._id).toEqual({ $dateToString: { format: "%G-W%V", date: "$date" } });
+    });
+
+    test('Should sum the amounts converted in the reference and in the base currency', () => {
+        const toUSD = baseAmountExpression({ EUR: 1, USD: 0.5 }, "USD");
+        const pipeline = summaryPipeline({ username: "tester" }, undefined, toEUR, toUSD);
+        expect(pipeline[1].$facet.overall[0].$group.total).toEqual({ $sum: toEUR });
+        expect(pipeline[1].$facet.overall[0].$group.baseTotal).toEqual({ $sum: toUSD });
+        expect(pipeline[1].$facet.byCategory[0].$group.average).toEqual({ $avg: toEUR });
+        expect(pipeline[1].$facet.byCategory[0].$group.baseAverage).toEqual({ $avg: toUSD });
+    });
+})
+
+describe("getSummaryByUser", () => {
+    test('Should return totals by category and by period', async () => {
+        const mockReq = { params: { username: "tester" }, query: { period: "month", from: "2023-04-01" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester", currency: "EUR" })
+        transactions.aggregate.mockResolvedValue(aggregateResult)
+
+        await getSummaryByUser(mockReq, mockRes)
+
+        expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: "User", username: "tester" })
+        expect(transactions.aggregate).toHaveBeenCalledWith(summaryPipeline({ username: "tester", date: { $gte: new Date("2023-04-01T00:00:00.000Z") } }, "month", toEUR, toEUR))
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.json).toHaveBeenCalledWith({
+            data: {
+                total: 130,
+                count: 3,
+                average: 130 / 3,
+                baseTotal: 125,
+                baseAverage: 125 / 3,
+                currency: "EUR",
+                baseCurrency: "EUR",
+                byCategory: [
+                    { type: "rent", color: "blue", total: 100, count: 1, average: 100, baseTotal: 100, baseAverage: 100 },
+                    { type: "food", color: null, total: 30, count: 2, average: 15, baseTotal: 25, baseAverage: 12.5 }
+                ],
+                byPeriod: [
+                    { period: "2023-04", total: 10, count: 1, average: 10, baseTotal: 5, baseAverage: 5 },
+                    { period: "2023-05", total: 120, count: 2, average: 60, baseTotal: 120, baseAverage: 60 }
+                ]
+            },
+            refreshedTokenMessage: "refreshed"
+        })
+    });
+
+    test('Should return zero totals when there are no transactions', async () => {
+        const mockReq = { params: { username: "tester" }, query: {} }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester" })
+        transactions.aggregate.mockResolvedValue([{ overall: [], byCategory: [] }])
+
+        await getSummaryByUser(mockReq, mockRes)
+
+        expect(mockRes.json).toHaveBeenCalledWith({ data: { total: 0, count: 0, average: 0, baseTotal: 0, baseAverage: 0, currency: "EUR", baseCurrency: "EUR", byCategory: [] }, refreshedTokenMessage: "refreshed" })
+    });
+
+    test('Should return 400 if the period is not valid', async () => {
+        const mockReq = { params: { username: "tester" }, query: { period: "hour" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+        await getSummaryByUser(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Period not valid" })
+    });
+
+    test('Should return 400 if the user does not exist', async () => {
+        const mockReq = { params: { username: "tester" }, query: {} }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue(null)
+
+        await getSummaryByUser(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "User not Found." })
+    });
+
+    test('Should return 401 if not authorized', async () => {
+        const mockReq = { params: { username: "tester" }, query: {} }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: false, cause: "Unauthorized" }))
+
+        await getSummaryByUser(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(401)
+    });
+})
+
+describe("getSummaryByGroup", () => {
+    test('Should aggregate the transactions of all the members', async () => {
+        const mockReq = { params: { name: "family" }, query: {} }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        Group.findOne.mockResolvedValue({ name: "family", members: [{ email: "tester@test.com" }, { email: "other@test.com" }] })
+        User.find.mockResolvedValue([{ username: "tester" }, { username: "other" }])
+        transactions.aggregate.mockResolvedValue(aggregateResult)
+
+        await getSummaryByGroup(mockReq, mockRes)
+
+        expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: "Group", emails: ["tester@test.com", "other@test.com"] })
+        expect(transactions.aggregate).toHaveBeenCalledWith(summaryPipeline({ username: { $in: ["tester", "other"] } }, undefined, toEUR, toEUR))
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+    });
+
+    test('Should return 400 if the group does not exist', async () => {
+        const mockReq = { params: { name: "family" }, query: {} }
+        const mockRes = mockResponse()
+        Group.findOne.mockResolvedValue(null)
+
+        await getSummaryByGroup(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Group not Found." })
+    });
+})
+
+describe("balancePipeline", () => {
+    test('Should group the converted amounts by kind, expenses by default', () => {
+        expect(balancePipeline({ username: "tester" }, toEUR)).toEqual([
+            { $match: { username: "tester" } },
+            { $group: { _id: { $ifNull: ["$kind", "expense"] }, total: { $sum: toEUR }, count: { $sum: 1 } } }
+        ]);
+    });
+})
+
+describe("getBalanceByUser", () => {
+    test('Should return income, expense and net totals', async () => {
+        const mockReq = { params: { username: "tester" }, query: { from: "2023-05-01" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        User.findOne.mockResolvedValue({ username: "tester", currency: "EUR" })
+        transactions.aggregate.mockResolvedValue([{ _id: "income", total: 2000, count: 1 }, { _id: "expense", total: 750.5, count: 4 }])
+
+        await getBalanceByUser(mockReq, mockRes)
+
+        expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: "User", username: "tester" })
+        expect(transactions.aggregate).toHaveBeenCalledWith(balancePipeline({ username: "tester", date: { $gte: new Date("2023-05-01T00:00:00.000Z") } }, toEUR))
+        expect(mockRes.status).toHaveBeenCalledWith(200)
+        expect(mockRes.json).toHaveBeenCalledWith({
+            data: { income: 2000, expense: 750.5, transfer: 0, net: 1249.5, count: 5, baseCurrency: "EUR" },
+            refreshedTokenMessage: "refreshed"
+        })
+    });
+
+    test('Should return 400 if the date filters are not valid', async () => {
+        const mockReq = { params: { username: "tester" }, query: { date: "2023-05-01", upTo: "2023-05-10" } }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+        await getBalanceByUser(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Unauthorized query parameters" })
+    });
+
+    test('Should return 401 if not authorized', async () => {
+        const mockReq = { params: { username: "tester" }, query: {} }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: false, cause: "Unauthorized" }))
+
+        await getBalanceByUser(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(401)
+    });
+})
+
+describe("getBalanceByGroup", () => {
+    test('Should compute the balance of all the members', async () => {
+        const mockReq = { params: { name: "family" }, query: {} }
+        const mockRes = mockResponse()
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+        Group.findOne.mockResolvedValue({ name: "family", members: [{ email: "tester@test.com" }, { email: "other@test.com" }] })
+        User.find.mockResolvedValue([{ username: "tester" }, { username: "other" }])
+        transactions.aggregate.mockResolvedValue([{ _id: "transfer", total: 100, count: 2 }])
+
+        await getBalanceByGroup(mockReq, mockRes)
+
+        expect(transactions.aggregate).toHaveBeenCalledWith(balancePipeline({ username: { $in: ["tester", "other"] } }, toEUR))
+        expect(mockRes.json).toHaveBeenCalledWith({
+            data: { income: 0, expense: 0, transfer: 100, net: 0, count: 2, baseCurrency: "EUR" },
+            refreshedTokenMessage: "refreshed"
+        })
+    });
+
+    test('Should return 400 if the group does not exist', async () => {
+        const mockReq = { params: { name: "family" }, query: {} }
+        const mockRes = mockResponse()
+        Group.findOne.mockResolvedValue(null)
+
+        await getBalanceByGroup(mockReq, mockRes)
+
+        expect(mockRes.status).toHaveBeenCalledWith(400)
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Group not Found." })
+    });
+})
@@ -0,0 +1,166 @@
+import request from 'supertest';
+import { app } from '../app';
+import { User, Group } from '../models/User.js';
+import { transactions, categories, budgets, recurring_transactions } from '../models/model.js';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+beforeAll(async () => {
+    const dbName = "testingDatabaseTrash";
+    const url = `${process.env.MONGO_URI}/${dbName}`;
+
+    await mongoose.connect(url, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+    });
+});
+
+afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+    delete process.env.TRASH_RETENTION_DAYS
+    await User.deleteMany({})
+    await Group.deleteMany({})
+    await transactions.deleteMany({})
+    await categories.deleteMany({})
+    await budgets.deleteMany({})
+    await recurring_transactions.deleteMany({})
+});
+
+const adminAccessTokenValid = jwt.sign({ email: "admin@email.com", username: "admin", role: "Admin" }, process.env.ACCESS_KEY, { expiresIn: '1y' })
+const testerAccessTokenValid = jwt.sign({ email: "tester@test.com", username: "tester", role: "Regular" }, process.env.ACCESS_KEY, { expiresIn: '1y' })
+const adminCookie = `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`
+const testerCookie = `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`
+
+describe("deleted users", () => {
+    test("A deleted user is hidden with its transactions and restored with them", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await categories.create({ type: "food", color: "red" })
+        await transactions.insertMany([
+            { username: "tester", type: "food", amount: 20 },
+            { username: "tester", type: "food", amount: 30 }
+        ])
+
+        const deletion = await request(app).delete("/api/users").set("Cookie", adminCookie).send({ email: "tester@test.com" })
+        expect(deletion.body.data.deletedTransactions).toBe(2)
+        const users = await request(app).get("/api/users").set("Cookie", adminCookie)
+        expect(users.body.data.map((user) => user.username)).not.toContain("tester")
+        expect((await request(app).get("/api/transactions").set("Cookie", adminCookie)).body.data).toHaveLength(0)
+
+        const trash = await request(app).get("/api/trash/users").set("Cookie", adminCookie)
+        expect(trash.status).toBe(200)
+        expect(trash.body.data).toEqual([expect.objectContaining({ username: "tester", email: "tester@test.com" })])
+
+        const restore = await request(app).post(`/api/trash/users/${trash.body.data[0]._id}/restore`).set("Cookie", adminCookie)
+        expect(restore.status).toBe(200)
+        expect(restore.body.data.restored).toBe(3)
+        expect((await request(app).get("/api/transactions").set("Cookie", adminCookie)).body.data).toHaveLength(2)
+    });
+
+    test("The username and the email of a deleted user stay taken", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester", deletedAt: new Date() })
+
+        const response = await request(app)
+            .post("/api/register")
+            .send({ username: "tester", email: "other@test.com", password: "password" })
+
+        expect(response.status).toBe(400)
+        expect(response.body.error).toBe("User is in the trash, ask an Admin to restore it")
+    });
+
+    test("A deleted user is restored with its budgets, its recurring transactions and its group", async () => {
+        const user = await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await Group.create({ name: "family", members: [{ email: "tester@test.com", user: user._id }] })
+        await categories.create({ type: "food", color: "red" })
+        await budgets.create({ username: "tester", type: "food", amount: 100 })
+        await recurring_transactions.create({ username: "tester", type: "food", amount: 10, frequency: "monthly", startDate: new Date() })
+
+        await request(app).delete("/api/users").set("Cookie", adminCookie).send({ email: "tester@test.com" })
+        expect(await budgets.countDocuments({})).toBe(0)
+        expect(await recurring_transactions.countDocuments({})).toBe(0)
+        expect(await Group.countDocuments({})).toBe(0)
+
+        const restore = await request(app).post(`/api/trash/users/${user._id}/restore`).set("Cookie", adminCookie)
+
+        expect(restore.status).toBe(200)
+        expect(restore.body.data.restored).toBe(3)
+        expect(await budgets.countDocuments({})).toBe(1)
+        expect(await recurring_transactions.countDocuments({})).toBe(1)
+        const group = await Group.findOne({ name: "family" })
+        expect(group.members.map((member) => member.email)).toEqual(["tester@test.com"])
+    });
+});
+
+describe("deleted transactions and groups", () => {
+    test("Deleted transactions are moved to the trash", async () => {
+        await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+        await categories.create({ type: "food", color: "red" })
+        const transaction = await transactions.create({ username: "tester", type: "food", amount: 20 })
+
+        const deletion = await request(app).delete("/api/users/tester/transactions").set("Cookie", testerCookie).send({ _id: transaction._id.toString() })
+        expect(deletion.status).toBe(200)
+        expect((await request(app).get("/api/users/tester/transactions").set("Cookie", testerCookie)).body.data).toHaveLength(0)
+
+        const restore = await request(app).post(`/api/trash/transactions/${transaction._id}/restore`).set("Cookie", adminCookie)
+        expect(restore.status).toBe(200)
+        expect((await request(app).get("/api/users/tester/transactions").set("Cookie", testerCookie)).body.data).toHaveLength(1)
+    });
+
+    test("A deleted group cannot be restored once its members joined another group", async () => {
+        await User.insertMany([
+            { username: "tester", email: "tester@test.com", password: "tester" },
+            { username: "luigi", email: "luigi@test.com", password: "luigi" }
+        ])
+        const group = await Group.create({ name: "family", members: [{ email: "tester@test.com" }] })
+
+        await request(app).delete("/api/groups").set("Cookie", adminCookie).send({ name: "family" })
+        expect((await request(app).get("/api/groups").set("Cookie", adminCookie)).body.data).toHaveLength(0)
+        await Group.create({ name: "friends", members: [{ email: "tester@test.com" }, { email: "luigi@test.com" }] })
+
+        const response = await request(app).post(`/api/trash/groups/${group._id}/restore`).set("Cookie", adminCookie)
+
+        expect(response.status).toBe(400)
+        expect(response.body.error).toBe("Some members are already in a group")
+    });
+});
+
+describe("deleted categories", () => {
+    test("A category in the trash cannot be created again", async () => {
+        await categories.create({ type: "food", color: "red", deletedAt: new Date() })
+
+        const response = await request(app).post("/api/categories").set("Cookie", adminCookie).send({ type: "food", color: "blue" })
+
+        expect(response.status).toBe(400)
+        expect(response.body.error).toBe("Category is in the trash, restore it")
+    });
+});
+
+describe("purgeTrash", () => {
+    test("Removes only the records deleted before the retention period", async () => {
+        const old = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000)
+        await categories.insertMany([
+            { type: "food", color: "red" },
+            { type: "old", color: "blue", deletedAt: old },
+            { type: "recent", color: "green", deletedAt: new Date() }
+        ])
+
+        const response = await request(app).delete("/api/trash/categories").set("Cookie", adminCookie)
+
+        expect(response.status).toBe(200)
+        expect(response.body.data.count).toBe(1)
+        expect(await categories.countDocuments({ deletedAt: { $ne: null } })).toBe(1)
+        expect(await categories.countDocuments()).toBe(1)
+    });
+
+    test("Returns a 401 error if the caller cannot manage the collection", async () => {
+        const response = await request(app).delete("/api/trash/users").set("Cookie", testerCookie)
+
+        expect(response.status).toBe(401)
+    });
+});
@@ -0,0 +1,308 @@
+import mongoose from 'mongoose';
+import { User, Group } from '../models/User.js';
+import { transactions, categories, accounts, budgets, recurring_transactions } from '../models/model.js';
+import { softDelete } from '../models/softDelete.js';
+import { getRetentionDays, getTrash, restoreFromTrash, purgeTrash } from '../controllers/trash';
+import { mockResponse } from './mocks';
+
+jest.mock('../models/User.js', () => ({
+    User: { find: jest.fn(), findOne: jest.fn(), updateOne: jest.fn(), deleteMany: jest.fn() },
+    Group: { find: jest.fn(), findOne: jest.fn(), updateOne: jest.fn(), deleteMany: jest.fn() }
+}));
+jest.mock('../models/model.js', () => ({
+    transactions: { find: jest.fn(), findOne: jest.fn(), updateMany: jest.fn(), deleteMany: jest.fn() },
+    categories: { find: jest.fn(), findOne: jest.fn(), updateOne: jest.fn(), deleteMany: jest.fn() },
+    accounts: { findOne: jest.fn() },
+    budgets: { updateMany: jest.fn(), deleteMany: jest.fn() },
+    recurring_transactions: { updateMany: jest.fn(), deleteMany: jest.fn() }
+}));
+
+const VerifyAuthmodule = require('../controllers/utils');
+
+beforeEach(() => {
+    jest.restoreAllMocks()
+    jest.resetAllMocks()
+    delete process.env.TRASH_RETENTION_DAYS
+});
+
+const authorized = () => jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }));
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("softDelete", () => {
+    // the queries fail without a connection, after their middleware has run
+    const Note = mongoose.model("Note", new mongoose.Schema({ text: String }, { bufferCommands: false }).plugin(softDelete));
+    const filterOf = async (query) => {
+        await query.exec().catch(() => null);
+        return query.getFilter();
+    };
+
+    test("should add a deletedAt attribute, null by default", () => {
+        expect(new Note({ text: "note" }).deletedAt).toBeNull();
+    });
+
+    test("should hide the deleted records from the reads", async () => {
+        expect(await filterOf(Note.find({ text: "note" }))).toEqual({ text: "note", deletedAt: null });
+        expect(await filterOf(Note.findOne({ text: "note" }, null, { sort: { text: 1 } }))).toEqual({ text: "note", deletedAt: null });
+        expect(await filterOf(Note.countDocuments())).toEqual({ deletedAt: null });
+    });
+
+    test("should not change the reads filtering on deletedAt or having the withDeleted option", async () => {
+        expect(await filterOf(Note.find({ deletedAt: { $ne: null } }))).toEqual({ deletedAt: { $ne: null } });
+        const query = Note.findOne({ text: "note" }, null, { withDeleted: true });
+        expect(await filterOf(query)).toEqual({ text: "note" });
+        expect(query.getOptions()).not.toHaveProperty("withDeleted");
+    });
+
+    test("should not change the updates and the deletions", async () => {
+        expect(await filterOf(Note.updateMany({ text: "note" }, { text: "new" }))).toEqual({ text: "note" });
+        expect(await filterOf(Note.deleteMany({ text: "note" }))).toEqual({ text: "note" });
+    });
+
+    test("should add the condition to the first $match of the aggregations", async () => {
+        const search = Note.aggregate([{ $match: { $text: { $search: "note" } } }, { $count: "total" }]);
+        await search.exec().catch(() => null);
+        const grouping = Note.aggregate([{ $group: { _id: "$text" } }]);
+        await grouping.exec().catch(() => null);
+
+        expect(search.pipeline()[0]).toEqual({ $match: { $text: { $search: "note" }, deletedAt: null } });
+        expect(grouping.pipeline()[0]).toEqual({ $match: { deletedAt: null } });
+    });
+});
+
+describe("getRetentionDays", () => {
+    test("should return TRASH_RETENTION_DAYS, or 30 if it is not a valid number of days", () => {
+        expect(getRetentionDays()).toBe(30);
+        process.env.TRASH_RETENTION_DAYS = "7";
+        expect(getRetentionDays()).toBe(7);
+        process.env.TRASH_RETENTION_DAYS = "0";
+        expect(getRetentionDays()).toBe(0);
+        process.env.TRASH_RETENTION_DAYS = "-1";
+        expect(getRetentionDays()).toBe(30);
+        process.env.TRASH_RETENTION_DAYS = "week";
+        expect(getRetentionDays()).toBe(30);
+    });
+});
+
+describe("getTrash", () => {
+    test("should return the deleted records of the collection with the permission of the collection", async () => {
+        const deletedAt = new Date();
+        const mockReq = { params: { collection: "users" } };
+        const mockRes = mockResponse();
+        authorized();
+        User.find.mockResolvedValueOnce([{ _id: "id", username: "Mario", email: "mario.red@email.com", role: "Regular", password: "hash", deletedAt: deletedAt }]);
+
+        await getTrash(mockReq, mockRes);
+
+        expect(VerifyAuthmodule.verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: "Permission", permission: "users:manage" });
+        expect(User.find).toHaveBeenCalledWith({ deletedAt: { $ne: null } }, null, { sort: { deletedAt: -1 } });
+        expect(mockRes.status).toHaveBeenCalledWith(200);
+        expect(mockRes.json).toHaveBeenCalledWith({ data: [{ _id: "id", username: "Mario", email: "mario.red@email.com", role: "Regular", deletedAt: deletedAt }], refreshedTokenMessage: "refreshed" });
+    });
+
+    test("should check the permission of each collection", async () => {
+        authorized();
+        transactions.find.mockResolvedValueOnce([]);
+        Group.find.mockResolvedValueOnce([]);
+        categories.find.mockResolvedValueOnce([]);
+
+        await getTrash({ params: { collection: "transactions" } }, mockResponse());
+        await getTrash({ params: { collection: "groups" } }, mockResponse());
+        await getTrash({ params: { collection: "categories" } }, mockResponse());
+
+        expect(VerifyAuthmodule.verifyAuth.mock.calls.map((call) => call[2].permission)).toEqual(["transactions:manage", "groups:manage", "categories:manage"]);
+    });
+
+    test("should return a 400 error if the collection has no trash", async () => {
+        const mockRes = mockResponse();
+        authorized();
+
+        await getTrash({ params: { collection: "toString" } }, mockRes);
+
+        expect(VerifyAuthmodule.verifyAuth).not.toHaveBeenCalled();
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Collection not valid" });
+    });
+
+    test("should return a 401 error if the role of the caller cannot manage the collection", async () => {
+        const mockRes = mockResponse();
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: false, cause: "Permission: role not allowed" }));
+
+        await getTrash({ params: { collection: "groups" } }, mockRes);
+
+        expect(Group.find).not.toHaveBeenCalled();
+        expect(mockRes.status).toHaveBeenCalledWith(401);
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Permission: role not allowed" });
+    });
+});
+
+describe("restoreFromTrash", () => {
+    const id = "6470c8f1a1b2c3d4e5f60001";
+    const deletedAt = new Date();
+
+    test("should restore a user with the records deleted together with it", async () => {
+        const mockRes = mockResponse();
+        authorized();
+        User.findOne.mockResolvedValueOnce({ _id: id, username: "Mario", deletedAt: deletedAt });
+        transactions.updateMany.mockResolvedValueOnce({ modifiedCount: 4 });
+        budgets.updateMany.mockResolvedValueOnce({ modifiedCount: 2 });
+        recurring_transactions.updateMany.mockResolvedValueOnce({ modifiedCount: 1 });
+
+        await restoreFromTrash({ params: { collection: "users", id: id } }, mockRes);
+
+        expect(User.findOne).toHaveBeenCalledWith({ _id: id, deletedAt: { $ne: null } });
+        expect(User.updateOne).toHaveBeenCalledWith({ _id: id }, { $set: { deletedAt: null, deletedFromGroup: null } });
+        expect(transactions.updateMany).toHaveBeenCalledWith({ username: "Mario", deletedAt: deletedAt }, { $set: { deletedAt: null } });
+        expect(budgets.updateMany).toHaveBeenCalledWith({ username: "Mario", deletedAt: deletedAt }, { $set: { deletedAt: null } });
+        expect(recurring_transactions.updateMany).toHaveBeenCalledWith({ username: "Mario", deletedAt: deletedAt }, { $set: { deletedAt: null } });
+        expect(Group.updateOne).not.toHaveBeenCalled();
+        expect(mockRes.status).toHaveBeenCalledWith(200);
+        expect(mockRes.json).toHaveBeenCalledWith({ data: { message: "Record restored", restored: 8 }, refreshedTokenMessage: "refreshed" });
+    });
+
+    test("should add a restored user back to the group it was removed from", async () => {
+        const mockRes = mockResponse();
+        authorized();
+        User.findOne.mockResolvedValueOnce({ _id: id, username: "Mario", email: "mario.red@email.com", deletedFromGroup: "family", deletedAt: deletedAt });
+        transactions.updateMany.mockResolvedValueOnce({ modifiedCount: 0 });
+        budgets.updateMany.mockResolvedValueOnce({ modifiedCount: 0 });
+        recurring_transactions.updateMany.mockResolvedValueOnce({ modifiedCount: 0 });
+        Group.findOne.mockResolvedValueOnce(null);
+
+        await restoreFromTrash({ params: { collection: "users", id: id } }, mockRes);
+
+        expect(Group.findOne).toHaveBeenCalledWith({ "members.email": "mario.red@email.com" });
+        expect(Group.updateOne).toHaveBeenCalledWith(
+            { name: "family", deletedAt: { $in: [null, deletedAt] } },
+            { $set: { deletedAt: null }, $push: { members: { email: "mario.red@email.com", user: id } } }
+        );
+        expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should not add a restored user back to its group if it joined another group", async () => {
+        const mockRes = mockResponse();
+        authorized();
+        User.findOne.mockResolvedValueOnce({ _id: id, username: "Mario", email: "mario.red@email.com", deletedFromGroup: "family", deletedAt: deletedAt });
+        transactions.updateMany.mockResolvedValueOnce({ modifiedCount: 0 });
+        budgets.updateMany.mockResolvedValueOnce({ modifiedCount: 0 });
+        recurring_transactions.updateMany.mockResolvedValueOnce({ modifiedCount: 0 });
+        Group.findOne.mockResolvedValueOnce({ name: "friends" });
+
+        await restoreFromTrash({ params: { collection: "users", id: id } }, mockRes);
+
+        expect(Group.updateOne).not.toHaveBeenCalled();
+        expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should restore both the transactions of a transfer", async () => {
+        const mockRes = mockResponse();
+        authorized();
+        transactions.findOne.mockResolvedValueOnce({ _id: id, username: "Mario", account: "account", transfer: "transfer", deletedAt: deletedAt });
+        User.findOne.mockResolvedValueOnce({ username: "Mario" });
+        accounts.findOne.mockResolvedValueOnce({ _id: "account" });
+        transactions.updateMany.mockResolvedValueOnce({ modifiedCount: 2 });
+
+        await restoreFromTrash({ params: { collection: "transactions", id: id } }, mockRes);
+
+        expect(transactions.updateMany).toHaveBeenCalledWith({ transfer: "transfer", deletedAt: deletedAt }, { $set: { deletedAt: null } });
+        expect(mockRes.json).toHaveBeenCalledWith({ data: { message: "Record restored", restored: 2 }, refreshedTokenMessage: "refreshed" });
+    });
+
+    test("should return a 400 error if the user or the account of the transaction do not exist", async () => {
+        authorized();
+        transactions.findOne.mockResolvedValue({ _id: id, username: "Mario", account: "account", deletedAt: deletedAt });
+        User.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce({ username: "Mario" });
+        accounts.findOne.mockResolvedValueOnce(null);
+
+        const userRes = mockResponse();
+        await restoreFromTrash({ params: { collection: "transactions", id: id } }, userRes);
+        const accountRes = mockResponse();
+        await restoreFromTrash({ params: { collection: "transactions", id: id } }, accountRes);
+
+        expect(transactions.updateMany).not.toHaveBeenCalled();
+        expect(userRes.json).toHaveBeenCalledWith({ error: "User of the transaction not found" });
+        expect(accountRes.json).toHaveBeenCalledWith({ error: "Account of the transaction not found" });
+    });
+
+    test("should return a 400 error if some members of the group joined another group", async () => {
+        const mockRes = mockResponse();
+        authorized();
+        Group.findOne
+            .mockResolvedValueOnce({ _id: id, name: "family", members: [{ email: "mario.red@email.com" }], deletedAt: deletedAt })
+            .mockResolvedValueOnce({ name: "friends" });
+
+        await restoreFromTrash({ params: { collection: "groups", id: id } }, mockRes);
+
+        expect(Group.findOne).toHaveBeenLastCalledWith({ "members.email": { $in: ["mario.red@email.com"] } });
+        expect(Group.updateOne).not.toHaveBeenCalled();
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Some members are already in a group" });
+    });
+
+    test("should restore a category", async () => {
+        const mockRes = mockResponse();
+        authorized();
+        categories.findOne.mockResolvedValueOnce({ _id: id, type: "food", deletedAt: deletedAt });
+
+        await restoreFromTrash({ params: { collection: "categories", id: id } }, mockRes);
+
+        expect(categories.updateOne).toHaveBeenCalledWith({ _id: id }, { $set: { deletedAt: null } });
+        expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should return a 400 error if the record is not in the trash", async () => {
+        authorized();
+        categories.findOne.mockResolvedValueOnce(null);
+
+        const missingRes = mockResponse();
+        await restoreFromTrash({ params: { collection: "categories", id: id } }, missingRes);
+        const invalidRes = mockResponse();
+        await restoreFromTrash({ params: { collection: "categories", id: "notAnId" } }, invalidRes);
+
+        expect(categories.findOne).toHaveBeenCalledTimes(1);
+        expect(missingRes.json).toHaveBeenCalledWith({ error: "Record not found in the trash" });
+        expect(invalidRes.json).toHaveBeenCalledWith({ error: "Record not found in the trash" });
+    });
+});
+
+describe("purgeTrash", () => {
+    test("should remove the records deleted before the retention period", async () => {
+        process.env.TRASH_RETENTION_DAYS = "10";
+        const mockRes = mockResponse();
+        authorized();
+        categories.deleteMany.mockResolvedValueOnce({ deletedCount: 2 });
+
+        await purgeTrash({ params: { collection: "categories" } }, mockRes);
+
+        const deletedBefore = categories.deleteMany.mock.calls[0][0].deletedAt.$lte;
+        expect(Date.now() - deletedBefore.getTime()).toBeGreaterThanOrEqual(10 * DAY);
+        expect(Date.now() - deletedBefore.getTime()).toBeLessThan(10 * DAY + 60000);
+        expect(mockRes.status).toHaveBeenCalledWith(200);
+        expect(mockRes.json).toHaveBeenCalledWith({ data: { message: "Trash purged", count: 2, deletedBefore: deletedBefore }, refreshedTokenMessage: "refreshed" });
+    });
+
+    test("should remove the records of the purged users", async () => {
+        const mockRes = mockResponse();
+        authorized();
+        User.find.mockResolvedValueOnce([{ _id: "id", username: "Mario" }]);
+        User.deleteMany.mockResolvedValueOnce({ deletedCount: 1 });
+
+        await purgeTrash({ params: { collection: "users" } }, mockRes);
+
+        expect(User.find).toHaveBeenCalledWith({ deletedAt: { $lte: expect.any(Date) } });
+        expect(transactions.deleteMany).toHaveBeenCalledWith({ username: { $in: ["Mario"] } });
+        expect(budgets.deleteMany).toHaveBeenCalledWith({ username: { $in: ["Mario"] }, group: null });
+        expect(recurring_transactions.deleteMany).toHaveBeenCalledWith({ username: { $in: ["Mario"] } });
+        expect(User.deleteMany).toHaveBeenCalledWith({ _id: { $in: ["id"] } });
+        expect(mockRes.json.mock.calls[0][0].data.count).toBe(1);
+    });
+
+    test("should return a 401 error if the role of the caller cannot manage the collection", async () => {
+        const mockRes = mockResponse();
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: false, cause: "Permission: role not allowed" }));
+
+        await purgeTrash({ params: { collection: "transactions" } }, mockRes);
+
+        expect(transactions.deleteMany).not.toHaveBeenCalled();
+        expect(mockRes.status).toHaveBeenCalledWith(401);
+    });
+});
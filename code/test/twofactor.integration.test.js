@@ -0,0 +1,155 @@
+import request from 'supertest';
+import { app } from '../app';
+import { User, Session, LoginAttempt } from '../models/User.js';
+import { resetRateLimits } from '../controllers/limits';
+import { generateTotp } from '../controllers/twofactor';
+import jwt from 'jsonwebtoken';
+import bcrypt from 'bcryptjs';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+beforeAll(async () => {
+    const dbName = "testingDatabaseTwoFactor";
+    const url = `${process.env.MONGO_URI}/${dbName}`;
+
+    await mongoose.connect(url, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+    });
+});
+
+afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+    resetRateLimits()
+    await User.deleteMany({})
+    await Session.deleteMany({})
+    await LoginAttempt.deleteMany({})
+    await User.create({ username: "tester", email: "tester@test.com", password: await bcrypt.hash("password", 12), verified: true })
+});
+
+const testerAccessTokenValid = jwt.sign({ email: "tester@test.com", username: "tester", role: "Regular" }, process.env.ACCESS_KEY, { expiresIn: '1y' })
+const adminAccessTokenValid = jwt.sign({ email: "admin@email.com", username: "admin", role: "Admin" }, process.env.ACCESS_KEY, { expiresIn: '1y' })
+const currentStep = () => Math.floor(Date.now() / 30000)
+
+// enrol and confirm the two-factor authentication of the tester, returning its secret and recovery codes
+const enableTwoFactor = async () => {
+    const enrolment = await request(app)
+        .post("/api/users/tester/2fa")
+        .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+    const { secret } = enrolment.body.data
+    const confirmation = await request(app)
+        .post("/api/users/tester/2fa/verify")
+        .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+        .send({ code: generateTotp(secret, currentStep() - 1) })
+    return { secret: secret, recoveryCodes: confirmation.body.data.recoveryCodes }
+}
+
+const login = () => request(app)
+    .post("/api/login")
+    .send({ email: "tester@test.com", password: "password", device: "laptop" })
+
+describe("enrolment", () => {
+    test("Enables the two-factor authentication with a code of the enrolled secret", async () => {
+        const enrolment = await request(app)
+            .post("/api/users/tester/2fa")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+        expect(enrolment.status).toBe(200)
+        expect(enrolment.body.data.otpauthUri).toContain(`secret=${enrolment.body.data.secret}`)
+
+        const wrong = await request(app)
+            .post("/api/users/tester/2fa/verify")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ code: generateTotp(enrolment.body.data.secret, currentStep() - 10) })
+        expect(wrong.status).toBe(400)
+
+        const confirmation = await request(app)
+            .post("/api/users/tester/2fa/verify")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ code: generateTotp(enrolment.body.data.secret, currentStep()) })
+        expect(confirmation.status).toBe(200)
+        expect(confirmation.body.data.recoveryCodes).toHaveLength(10)
+
+        const user = await User.findOne({ username: "tester" })
+        expect(user.twoFactor.enabled).toBe(true)
+        expect(user.twoFactor.recoveryCodes).not.toContain(confirmation.body.data.recoveryCodes[0])
+    });
+});
+
+describe("two-step login", () => {
+    test("Issues the tokens only after the TOTP code", async () => {
+        const { secret } = await enableTwoFactor()
+
+        const first = await login()
+        expect(first.status).toBe(200)
+        expect(first.body.data.twoFactorRequired).toBe(true)
+        expect(first.headers["set-cookie"]).toBeUndefined()
+        expect(await Session.countDocuments({ username: "tester" })).toBe(0)
+
+        const second = await request(app)
+            .post("/api/login/2fa")
+            .send({ challengeToken: first.body.data.challengeToken, code: generateTotp(secret, currentStep() + 1) })
+        expect(second.status).toBe(200)
+        expect(second.body.data).toHaveProperty("accessToken")
+        expect(await Session.countDocuments({ username: "tester", device: "laptop" })).toBe(1)
+    });
+
+    test("Does not accept the same TOTP code twice", async () => {
+        const { secret } = await enableTwoFactor()
+        const code = generateTotp(secret, currentStep())
+        const { challengeToken } = (await login()).body.data
+
+        await request(app).post("/api/login/2fa").send({ challengeToken: challengeToken, code: code })
+        const replay = await request(app).post("/api/login/2fa").send({ challengeToken: challengeToken, code: code })
+
+        expect(replay.status).toBe(400)
+        expect(replay.body.error).toBe("Code not valid")
+    });
+
+    test("Accepts each recovery code once", async () => {
+        const { recoveryCodes } = await enableTwoFactor()
+        const { challengeToken } = (await login()).body.data
+
+        const first = await request(app).post("/api/login/2fa").send({ challengeToken: challengeToken, recoveryCode: recoveryCodes[0] })
+        const again = await request(app).post("/api/login/2fa").send({ challengeToken: challengeToken, recoveryCode: recoveryCodes[0] })
+
+        expect(first.status).toBe(200)
+        expect(again.status).toBe(400)
+        expect((await User.findOne({ username: "tester" })).twoFactor.recoveryCodes).toHaveLength(9)
+    });
+
+    test("The challenge token is not accepted as an access token", async () => {
+        await enableTwoFactor()
+        const { challengeToken } = (await login()).body.data
+
+        const response = await request(app)
+            .get("/api/users/tester")
+            .set("Authorization", `Bearer ${challengeToken}`)
+
+        expect(response.status).toBe(401)
+    });
+});
+
+describe("disableTwoFactor", () => {
+    test("The user disables it with a recovery code, an Admin without codes", async () => {
+        const { recoveryCodes } = await enableTwoFactor()
+
+        const byUser = await request(app)
+            .delete("/api/users/tester/2fa")
+            .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+            .send({ recoveryCode: recoveryCodes[1] })
+        expect(byUser.status).toBe(200)
+        expect((await login()).body.data).toHaveProperty("accessToken")
+
+        await enableTwoFactor()
+        const byAdmin = await request(app)
+            .delete("/api/users/tester/2fa")
+            .set("Cookie", `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`)
+        expect(byAdmin.status).toBe(200)
+    });
+});
@@ -0,0 +1,243 @@
+import { User } from '../models/User.js';
+import {
+    base32Encode, base32Decode, generateTotp, matchTotp, useSecondFactor,
+    enrolTwoFactor, confirmTwoFactor, disableTwoFactor
+} from '../controllers/twofactor';
+import { hashToken } from '../controllers/utils';
+import { mockResponse } from './mocks';
+
+jest.mock('../models/User.js', () => ({
+    User: { findOne: jest.fn(), updateOne: jest.fn() }
+}));
+
+const VerifyAuthmodule = require('../controllers/utils');
+
+beforeEach(() => {
+    jest.restoreAllMocks()
+    jest.resetAllMocks()
+});
+
+// the secret of the test vectors of RFC 6238, "12345678901234567890" in base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const stepOf = (seconds) => Math.floor(seconds / 30);
+
+describe("base32", () => {
+    test("should encode and decode the secrets", () => {
+        expect(base32Encode(Buffer.from("12345678901234567890"))).toBe(RFC_SECRET);
+        expect(base32Decode(RFC_SECRET).toString()).toBe("12345678901234567890");
+        expect(base32Decode("gezd gnbv gy3t qojq gezd gnbv gy3t qojq").toString()).toBe("12345678901234567890");
+    });
+
+    test("should throw an error for characters out of the alphabet", () => {
+        expect(() => base32Decode("GEZ1")).toThrow("Secret not valid");
+    });
+});
+
+describe("generateTotp", () => {
+    test("should return the codes of the RFC 6238 test vectors", () => {
+        expect(generateTotp(RFC_SECRET, stepOf(59))).toBe("287082");
+        expect(generateTotp(RFC_SECRET, stepOf(1111111109))).toBe("081804");
+        expect(generateTotp(RFC_SECRET, stepOf(1234567890))).toBe("005924");
+        expect(generateTotp(RFC_SECRET, stepOf(2000000000))).toBe("279037");
+    });
+});
+
+describe("matchTotp", () => {
+    const time = 1111111109 * 1000;
+    const step = stepOf(1111111109);
+
+    test("should accept the code of the current, previous and next step", () => {
+        expect(matchTotp(RFC_SECRET, generateTotp(RFC_SECRET, step), 0, time)).toBe(step);
+        expect(matchTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 1), 0, time)).toBe(step - 1);
+        expect(matchTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 1), 0, time)).toBe(step + 1);
+        expect(matchTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 2), 0, time)).toBeNull();
+    });
+
+    test("should not accept a code whose step was already used", () => {
+        expect(matchTotp(RFC_SECRET, generateTotp(RFC_SECRET, step), step, time)).toBeNull();
+    });
+
+    test("should not accept codes that are not made of 6 digits", () => {
+        expect(matchTotp(RFC_SECRET, "81804", 0, time)).toBeNull();
+        expect(matchTotp(RFC_SECRET, "abcdef", 0, time)).toBeNull();
+        expect(matchTotp(RFC_SECRET, 81804, 0, time)).toBeNull();
+    });
+});
+
+describe("useSecondFactor", () => {
+    const user = () => ({ _id: "u1", twoFactor: { enabled: true, secret: RFC_SECRET, lastUsedStep: 0, recoveryCodes: [] } });
+
+    test("should store the step of a valid TOTP code so that it cannot be used again", async () => {
+        const step = stepOf(Date.now() / 1000);
+        User.updateOne.mockResolvedValueOnce({ modifiedCount: 1 });
+
+        expect(await useSecondFactor(user(), { code: generateTotp(RFC_SECRET, step) })).toBe(true);
+        expect(User.updateOne).toHaveBeenCalledWith({ _id: "u1", "twoFactor.lastUsedStep": { $lt: step } }, { $set: { "twoFactor.lastUsedStep": step } });
+    });
+
+    test("should reject a TOTP code used by a concurrent request", async () => {
+        User.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+
+        expect(await useSecondFactor(user(), { code: generateTotp(RFC_SECRET, stepOf(Date.now() / 1000)) })).toBe(false);
+    });
+
+    test("should remove a recovery code, comparing it without dash and case", async () => {
+        User.updateOne.mockResolvedValueOnce({ modifiedCount: 1 });
+
+        expect(await useSecondFactor(user(), { recoveryCode: "ABCDE-12345" })).toBe(true);
+        const hash = hashToken("abcde12345");
+        expect(User.updateOne).toHaveBeenCalledWith({ _id: "u1", "twoFactor.recoveryCodes": hash }, { $pull: { "twoFactor.recoveryCodes": hash } });
+    });
+
+    test("should reject a wrong code without updating the user", async () => {
+        expect(await useSecondFactor(user(), { code: "000000x" })).toBe(false);
+        expect(await useSecondFactor(user(), {})).toBe(false);
+        expect(User.updateOne).not.toHaveBeenCalled();
+    });
+});
+
+describe("enrolTwoFactor", () => {
+    test("should store a new secret and return it with its otpauth URI", async () => {
+        const mockRes = mockResponse();
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }));
+        User.findOne.mockResolvedValueOnce({ _id: "u1", username: "mario", email: "mario@email.com" });
+
+        await enrolTwoFactor({ params: { username: "mario" } }, mockRes);
+
+        const { secret, otpauthUri } = mockRes.json.mock.calls[0][0].data;
+        expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+        expect(otpauthUri).toBe(`otpauth://totp/EzWallet:mario%40email.com?secret=${secret}&issuer=EzWallet&algorithm=SHA1&digits=6&period=30`);
+        expect(User.updateOne).toHaveBeenCalledWith({ _id: "u1" }, { $set: { twoFactor: { enabled: false, secret: secret, lastUsedStep: 0, recoveryCodes: [] } } });
+        expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should return a 400 error if the two-factor authentication is already enabled", async () => {
+        const mockRes = mockResponse();
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }));
+        User.findOne.mockResolvedValueOnce({ _id: "u1", username: "mario", twoFactor: { enabled: true } });
+
+        await enrolTwoFactor({ params: { username: "mario" } }, mockRes);
+
+        expect(User.updateOne).not.toHaveBeenCalled();
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Two-factor authentication already enabled" });
+    });
+
+    test("should return a 401 error if the caller is not the user", async () => {
+        const mockRes = mockResponse();
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: false, cause: "User: Mismatched users" }));
+
+        await enrolTwoFactor({ params: { username: "mario" } }, mockRes);
+
+        expect(mockRes.status).toHaveBeenCalledWith(401);
+    });
+});
+
+describe("confirmTwoFactor", () => {
+    test("should enable the two-factor authentication and return the recovery codes, storing their hashes", async () => {
+        const mockRes = mockResponse();
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }));
+        User.findOne.mockResolvedValueOnce({ _id: "u1", username: "mario", twoFactor: { enabled: false, secret: RFC_SECRET } });
+        const step = stepOf(Date.now() / 1000);
+
+        await confirmTwoFactor({ params: { username: "mario" }, body: { code: generateTotp(RFC_SECRET, step) } }, mockRes);
+
+        const { recoveryCodes } = mockRes.json.mock.calls[0][0].data;
+        expect(recoveryCodes).toHaveLength(10);
+        recoveryCodes.forEach((code) => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+        expect(User.updateOne).toHaveBeenCalledWith({ _id: "u1" }, {
+            $set: {
+                "twoFactor.enabled": true,
+                "twoFactor.lastUsedStep": step,
+                "twoFactor.recoveryCodes": recoveryCodes.map((code) => hashToken(code.replace("-", "")))
+            }
+        });
+        expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should return a 400 error if the code is not valid", async () => {
+        const mockRes = mockResponse();
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }));
+        User.findOne.mockResolvedValueOnce({ _id: "u1", username: "mario", twoFactor: { enabled: false, secret: RFC_SECRET } });
+
+        await confirmTwoFactor({ params: { username: "mario" }, body: { code: "12345" } }, mockRes);
+
+        expect(User.updateOne).not.toHaveBeenCalled();
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Code not valid" });
+    });
+
+    test("should return a 400 error if the enrolment was not started", async () => {
+        const mockRes = mockResponse();
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }));
+        User.findOne.mockResolvedValueOnce({ _id: "u1", username: "mario", twoFactor: { enabled: false } });
+
+        await confirmTwoFactor({ params: { username: "mario" }, body: { code: "123456" } }, mockRes);
+
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Two-factor authentication not enrolled" });
+    });
+
+    test("should return a 400 error if the code is missing", async () => {
+        const mockRes = mockResponse();
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }));
+
+        await confirmTwoFactor({ params: { username: "mario" }, body: {} }, mockRes);
+
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Some Parameter is Missing" });
+    });
+});
+
+describe("disableTwoFactor", () => {
+    const enabledUser = () => ({ _id: "u1", username: "mario", twoFactor: { enabled: true, secret: RFC_SECRET, lastUsedStep: 0 } });
+
+    test("should disable the two-factor authentication of the user with a valid code", async () => {
+        const mockRes = mockResponse();
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation((req, res, info) => info.authType === "User"
+            ? { authorized: true, cause: "Authorized" } : { authorized: false, cause: "Admin: Mismatched role" });
+        User.findOne.mockResolvedValueOnce(enabledUser());
+        User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+        await disableTwoFactor({ params: { username: "mario" }, body: { code: generateTotp(RFC_SECRET, stepOf(Date.now() / 1000)) } }, mockRes);
+
+        expect(User.updateOne).toHaveBeenLastCalledWith({ _id: "u1" }, { $unset: { twoFactor: "" } });
+        expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should return a 400 error if the user gives a wrong code", async () => {
+        const mockRes = mockResponse();
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation((req, res, info) => info.authType === "User"
+            ? { authorized: true, cause: "Authorized" } : { authorized: false, cause: "Admin: Mismatched role" });
+        User.findOne.mockResolvedValueOnce(enabledUser());
+
+        await disableTwoFactor({ params: { username: "mario" }, body: { code: "000000x" } }, mockRes);
+
+        expect(User.updateOne).not.toHaveBeenCalled();
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Code not valid" });
+    });
+
+    test("should let an Admin disable it without a code", async () => {
+        const mockRes = mockResponse();
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation((req, res, info) => info.authType === "Permission"
+            ? { authorized: true, cause: "Authorized" } : { authorized: false, cause: "User: Mismatched users" });
+        User.findOne.mockResolvedValueOnce(enabledUser());
+
+        await disableTwoFactor({ params: { username: "mario" }, body: {} }, mockRes);
+
+        expect(User.updateOne).toHaveBeenCalledWith({ _id: "u1" }, { $unset: { twoFactor: "" } });
+        expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should return a 400 error if the two-factor authentication is not enabled", async () => {
+        const mockRes = mockResponse();
+        jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }));
+        User.findOne.mockResolvedValueOnce({ _id: "u1", username: "mario" });
+
+        await disableTwoFactor({ params: { username: "mario" }, body: {} }, mockRes);
+
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Two-factor authentication not enabled" });
+    });
+});
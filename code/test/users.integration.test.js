@@ -1,7 +1,7 @@
 import request from 'supertest';
 import { app } from '../app';
-import { User, Group } from '../models/User.js';
-import { transactions, categories } from '../models/model';
+import { User, Group, Session } from '../models/User.js';
+import { transactions, categories, group_expenses } from '../models/model';
 import jwt from 'jsonwebtoken';
 import mongoose, { Model } from 'mongoose';
 import dotenv from 'dotenv';
@@ -38,6 +38,8 @@ beforeEach(async () => {
   await Group.deleteMany({})
   await categories.deleteMany({})
   await transactions.deleteMany({})
+  await group_expenses.deleteMany({})
+  await Session.deleteMany({})
 });
 
 /**
@@ -238,6 +240,125 @@ describe("getUser", () => {
   });
 })
 
+describe("updateUser", () => {
+  test("Changes the username and renames the records of the user", async () => {
+    await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+    await transactions.create({ username: "tester", type: "food", amount: 20 })
+    await group_expenses.create({ group: "family", paidBy: "tester", amount: 20, split: "equal", shares: [{ username: "tester", amount: 10 }, { username: "luigi", amount: 10 }] })
+    await Session.create({ username: "tester", jti: "first", expiresAt: new Date(Date.now() + 60000) })
+
+    const response = await request(app)
+      .patch("/api/users/tester")
+      .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+      .send({ username: "supertester" })
+
+    expect(response.status).toBe(200)
+    expect(response.body.data).toEqual({ username: "supertester", email: "tester@test.com", role: "Regular" })
+    expect(await transactions.countDocuments({ username: "supertester" })).toBe(1)
+    const expense = await group_expenses.findOne({})
+    expect(expense.paidBy).toBe("supertester")
+    expect(expense.shares.map((share) => share.username)).toEqual(["supertester", "luigi"])
+    expect(await Session.countDocuments({ username: "supertester", revoked: true })).toBe(1)
+  });
+
+  test("Changes the email in the members of the group", async () => {
+    const user = await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+    await Group.create({ name: "family", members: [{ email: "tester@test.com", user: user._id }, { email: "luigi@test.com" }] })
+
+    const response = await request(app)
+      .patch("/api/users/tester")
+      .set("Cookie", `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`)
+      .send({ email: "new.tester@test.com" })
+
+    expect(response.status).toBe(200)
+    const group = await Group.findOne({ name: "family" })
+    expect(group.members.map((member) => member.email)).toEqual(["new.tester@test.com", "luigi@test.com"])
+  });
+
+  test("Returns a 400 error if the email belongs to another user", async () => {
+    await User.insertMany([
+      { username: "tester", email: "tester@test.com", password: "tester" },
+      { username: "luigi", email: "luigi@test.com", password: "luigi" }
+    ])
+
+    const response = await request(app)
+      .patch("/api/users/tester")
+      .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+      .send({ email: "luigi@test.com" })
+
+    expect(response.status).toBe(400)
+    expect(response.body.error).toBe("already existing user")
+    expect((await User.findOne({ username: "tester" })).email).toBe("tester@test.com")
+  });
+
+  test("Returns a 400 error if the username belongs to a user in the trash", async () => {
+    await User.insertMany([
+      { username: "tester", email: "tester@test.com", password: "tester" },
+      { username: "luigi", email: "luigi@test.com", password: "luigi", deletedAt: new Date() }
+    ])
+
+    const response = await request(app)
+      .patch("/api/users/tester")
+      .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+      .send({ username: "luigi" })
+
+    expect(response.status).toBe(400)
+    expect(response.body.error).toBe("already existing user")
+    expect(await User.findOne({ username: "tester" })).not.toBeNull()
+  });
+
+  test("Returns a 401 error if called by another user", async () => {
+    await User.create({ username: "luigi", email: "luigi@test.com", password: "luigi" })
+
+    const response = await request(app)
+      .patch("/api/users/luigi")
+      .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+      .send({ username: "mario" })
+
+    expect(response.status).toBe(401)
+  });
+})
+
+describe("changePassword", () => {
+  test("Changes the password if the current one is right", async () => {
+    await User.create({ username: "tester", email: "tester@test.com", password: await bcrypt.hash("oldPassword", 12) })
+
+    const response = await request(app)
+      .post("/api/users/tester/password")
+      .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+      .send({ currentPassword: "oldPassword", newPassword: "newPassword" })
+
+    expect(response.status).toBe(200)
+    const login = await request(app)
+      .post("/api/login")
+      .send({ email: "tester@test.com", password: "newPassword" })
+    expect(login.status).toBe(200)
+  });
+
+  test("Returns a 400 error if the current password is wrong", async () => {
+    await User.create({ username: "tester", email: "tester@test.com", password: await bcrypt.hash("oldPassword", 12) })
+
+    const response = await request(app)
+      .post("/api/users/tester/password")
+      .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+      .send({ currentPassword: "wrong", newPassword: "newPassword" })
+
+    expect(response.status).toBe(400)
+    expect(response.body.error).toBe("wrong credentials")
+  });
+
+  test("Returns a 401 error if called by an admin for another user", async () => {
+    await User.create({ username: "tester", email: "tester@test.com", password: await bcrypt.hash("oldPassword", 12) })
+
+    const response = await request(app)
+      .post("/api/users/tester/password")
+      .set("Cookie", `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`)
+      .send({ currentPassword: "oldPassword", newPassword: "newPassword" })
+
+    expect(response.status).toBe(401)
+  });
+})
+
 /**
  * - Request Parameters: None
  * - Request request body Content: An object having a string attribute for the `name` of the group and an array that lists all the `memberEmails`
@@ -1385,6 +1506,201 @@ describe("removeFromGroup", () => {
  * - Returns a 400 error if the email passed in the request body represents an admin
  * - Returns a 401 error if called by an authenticated user who is not an admin (authType = Admin)
  */
+describe("roles", () => {
+  const tokenOf = (username, role) => jwt.sign({ email: `${username}@test.com`, username: username, role: role }, process.env.ACCESS_KEY, { expiresIn: '1y' })
+  const cookieOf = (username, role) => `accessToken=${tokenOf(username, role)}; refreshToken=${tokenOf(username, role)}`
+
+  test("An Admin assigns a role and revokes the sessions of the user", async () => {
+    await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+    await Session.create({ username: "tester", jti: "jti", expiresAt: new Date(Date.now() + 60000) })
+
+    const response = await request(app)
+      .patch("/api/users/tester/role")
+      .set("Cookie", `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`)
+      .send({ role: "Auditor" })
+
+    expect(response.status).toBe(200)
+    expect(response.body.data).toEqual({ username: "tester", email: "tester@test.com", role: "Auditor" })
+    expect((await User.findOne({ username: "tester" })).role).toBe("Auditor")
+    expect(await Session.countDocuments({ username: "tester", revoked: false })).toBe(0)
+  });
+
+  test("The tokens issued before a change of role are rejected", async () => {
+    await User.insertMany([
+      { username: "admin", email: "admin@email.com", password: "admin", role: "Admin" },
+      { username: "other", email: "other@test.com", password: "other", role: "Admin" }
+    ])
+    // issued before the change, in a previous second
+    const oldToken = jwt.sign({ email: "other@test.com", username: "other", role: "Admin", iat: Math.floor(Date.now() / 1000) - 60 }, process.env.ACCESS_KEY, { expiresIn: '1h' })
+
+    await request(app)
+      .patch("/api/users/other/role")
+      .set("Cookie", `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`)
+      .send({ role: "Regular" })
+    const response = await request(app)
+      .get("/api/users")
+      .set("Cookie", `accessToken=${oldToken}; refreshToken=${oldToken}`)
+
+    expect(response.status).toBe(401)
+    expect(response.body.error).toBe("Tokens revoked, perform login again")
+  });
+
+  test("The last Admin that is not disabled cannot be demoted", async () => {
+    await User.insertMany([
+      { username: "admin", email: "admin@email.com", password: "admin", role: "Admin" },
+      { username: "former", email: "former@email.com", password: "former", role: "Admin", disabled: true }
+    ])
+
+    const response = await request(app)
+      .patch("/api/users/admin/role")
+      .set("Cookie", `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`)
+      .send({ role: "Regular" })
+
+    expect(response.status).toBe(400)
+    expect(response.body.error).toBe("The last Admin cannot be demoted")
+    expect((await User.findOne({ username: "admin" })).role).toBe("Admin")
+  });
+
+  test("Only the roles listed by getRoles can be assigned", async () => {
+    await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+
+    const roles = await request(app)
+      .get("/api/roles")
+      .set("Cookie", `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`)
+    const response = await request(app)
+      .patch("/api/users/tester/role")
+      .set("Cookie", `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`)
+      .send({ role: "Superuser" })
+
+    expect(roles.body.data.map(({ role }) => role)).not.toContain("Superuser")
+    expect(response.status).toBe(400)
+    expect(response.body.error).toBe("Role not valid")
+  });
+
+  test("An Auditor can read the users and the groups but cannot change them", async () => {
+    await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+
+    const users = await request(app).get("/api/users").set("Cookie", cookieOf("auditor", "Auditor"))
+    const groups = await request(app).get("/api/groups").set("Cookie", cookieOf("auditor", "Auditor"))
+    const deletion = await request(app).delete("/api/users").set("Cookie", cookieOf("auditor", "Auditor")).send({ email: "tester@test.com" })
+    const promotion = await request(app).patch("/api/users/tester/role").set("Cookie", cookieOf("auditor", "Auditor")).send({ role: "Admin" })
+
+    expect(users.status).toBe(200)
+    expect(groups.status).toBe(200)
+    expect(deletion.status).toBe(401)
+    expect(promotion.status).toBe(401)
+    expect(await User.countDocuments({ username: "tester" })).toBe(1)
+  });
+
+  test("A GroupManager manages the groups and a CategoryManager the categories only", async () => {
+    await User.insertMany([
+      { username: "tester", email: "tester@test.com", password: "tester" },
+      { username: "luigi", email: "luigi@test.com", password: "luigi" }
+    ])
+    await Group.create({ name: "family", members: [{ email: "tester@test.com" }] })
+
+    const insert = await request(app)
+      .patch("/api/groups/family/insert")
+      .set("Cookie", cookieOf("manager", "GroupManager"))
+      .send({ emails: ["luigi@test.com"] })
+    const category = await request(app)
+      .post("/api/categories")
+      .set("Cookie", cookieOf("manager", "GroupManager"))
+      .send({ type: "food", color: "red" })
+    const allowedCategory = await request(app)
+      .post("/api/categories")
+      .set("Cookie", cookieOf("categories", "CategoryManager"))
+      .send({ type: "food", color: "red" })
+
+    expect(insert.status).toBe(200)
+    expect(category.status).toBe(401)
+    expect(allowedCategory.status).toBe(200)
+  });
+});
+
+describe("updateUserStatus", () => {
+  const setStatus = (username, disabled) => request(app)
+    .patch(`/api/users/${username}/status`)
+    .set("Cookie", `accessToken=${adminAccessTokenValid}; refreshToken=${adminAccessTokenValid}`)
+    .send({ disabled: disabled })
+  const login = () => request(app)
+    .post("/api/login")
+    .send({ email: "tester@test.com", password: "password" })
+
+  test("Disabling prevents the logins and revokes the sessions, keeping the data of the user", async () => {
+    const user = await User.create({ username: "tester", email: "tester@test.com", password: await bcrypt.hash("password", 12) })
+    await transactions.create({ username: "tester", type: "food", amount: 20 })
+    await Group.create({ name: "family", members: [{ email: "tester@test.com", user: user._id }] })
+    const { refreshToken } = (await login()).body.data
+
+    const response = await setStatus("tester", true)
+
+    expect(response.status).toBe(200)
+    expect(response.body.data).toEqual({ username: "tester", email: "tester@test.com", role: "Regular", disabled: true })
+    expect(await Session.countDocuments({ username: "tester", revoked: false })).toBe(0)
+    expect((await login()).body.error).toBe("User disabled")
+    expect((await request(app).post("/api/refresh").send({ refreshToken: refreshToken })).status).toBe(401)
+    expect(await transactions.countDocuments({ username: "tester" })).toBe(1)
+    expect(await Group.countDocuments({ "members.email": "tester@test.com" })).toBe(1)
+  });
+
+  test("Disabling rejects the tokens already issued to the user", async () => {
+    await User.create({ username: "tester", email: "tester@test.com", password: await bcrypt.hash("password", 12) })
+    const { accessToken, refreshToken } = (await login()).body.data
+
+    await setStatus("tester", true)
+    const response = await request(app)
+      .get("/api/users/tester")
+      .set("Cookie", `accessToken=${accessToken}; refreshToken=${refreshToken}`)
+
+    expect(response.status).toBe(401)
+    expect(response.body.error).toBe("Tokens revoked, perform login again")
+  });
+
+  test("Enabling lets the user login again", async () => {
+    await User.create({ username: "tester", email: "tester@test.com", password: await bcrypt.hash("password", 12), disabled: true })
+
+    const response = await setStatus("tester", false)
+
+    expect(response.status).toBe(200)
+    expect(response.body.data.disabled).toBe(false)
+    expect((await login()).status).toBe(200)
+  });
+
+  test("Returns a 400 error if the Admin disables itself", async () => {
+    await User.create({ username: "admin", email: "admin@email.com", password: "admin", role: "Admin" })
+
+    const response = await setStatus("admin", true)
+
+    expect(response.status).toBe(400)
+    expect(response.body.error).toBe("Users cannot disable themselves")
+  });
+
+  test("Returns a 400 error if the last enabled Admin is disabled", async () => {
+    await User.insertMany([
+      { username: "root", email: "root@email.com", password: "root", role: "Admin" },
+      { username: "former", email: "former@email.com", password: "former", role: "Admin", disabled: true }
+    ])
+
+    const response = await setStatus("root", true)
+
+    expect(response.status).toBe(400)
+    expect(response.body.error).toBe("The last Admin cannot be disabled")
+    expect((await User.findOne({ username: "root" })).disabled).toBe(false)
+  });
+
+  test("Returns a 401 error if the caller is not an Admin", async () => {
+    await User.create({ username: "tester", email: "tester@test.com", password: "tester" })
+
+    const response = await request(app)
+      .patch("/api/users/tester/status")
+      .set("Cookie", `accessToken=${testerAccessTokenValid}; refreshToken=${testerAccessTokenValid}`)
+      .send({ disabled: true })
+
+    expect(response.status).toBe(401)
+  });
+});
+
 describe("deleteUser", () => {
   test("Should successfully delete the given user who does not belongs to a group", async () => {
     await categories.create({ type: "food", color: "red" })
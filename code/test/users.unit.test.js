@@ -1,9 +1,11 @@
 import request from 'supertest';
 import { app } from '../app';
-import { Group, User } from '../models/User.js';
-import { transactions } from '../models/model.js';
-import { getUsers, getUser, deleteUser, createGroup, getGroup, getGroups, addToGroup, removeFromGroup, deleteGroup } from '../controllers/users';
+import { Group, User, Session } from '../models/User.js';
+import { transactions, group_expenses, budgets, recurring_transactions } from '../models/model.js';
+import { getUsers, getUser, deleteUser, createGroup, getGroup, getGroups, addToGroup, removeFromGroup, deleteGroup, updateUser, changePassword, unlockUser, getRoles, updateUserRole, updateUserStatus } from '../controllers/users';
 import { verifyAuth } from '../controllers/utils';
+import { sendMail } from '../controllers/mail';
+import { clearLoginFailures } from '../controllers/limits';
 import { response } from 'express';
 import jwt from 'jsonwebtoken';
 process.env.ACCESS_KEY = 'EZWALLET';
@@ -16,6 +18,16 @@ process.env.ACCESS_KEY = 'EZWALLET';
  */
 jest.mock("../models/User.js")
 jest.mock("../models/model.js")
+jest.mock("bcryptjs")
+jest.mock("../controllers/mail")
+// rateLimit is called by the routes loaded with the app, so it has to return a middleware
+jest.mock("../controllers/limits", () => ({
+    getLoginRetryDelay: jest.fn(),
+    recordLoginFailure: jest.fn(),
+    clearLoginFailures: jest.fn(),
+    rateLimit: () => (req, res, next) => next(),
+    resetRateLimits: jest.fn()
+}));
 
 /**
  * Defines code to be executed before each test case is launched
@@ -27,6 +39,7 @@ beforeEach(() => {
 });
 
 const VerifyAuthmodule = require('../controllers/utils');
+const bcrypt = require("bcryptjs")
 
 /**
  * - Request Parameters: None
@@ -209,6 +222,270 @@ describe("getUser", () => {
   })
 })
 
+/*
+- Request Parameters: A string equal to the `username` of the user
+- Request Body Content: An object having at least one of the attributes `username` and `email`
+- Response `data` Content: An object having attributes `username`, `email` and `role`
+- The new username is set in the records of the user, the new email in its group, and the sessions of the user are revoked
+- Returns a 400 error if the request body contains neither `username` nor `email`, or one of them is an empty string
+- Returns a 400 error if the email is not in a valid email format
+- Returns a 400 error if the user does not exist
+- Returns a 400 error if another user already has the new username or email
+- Returns a 401 error if called by another user who is not an admin (authType = User / Admin)
+*/
+describe("updateUser", () => {
+  const mockResponse = () => ({
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(),
+    locals: { refreshedTokenMessage: "refreshed" },
+  })
+  const existingUser = { _id: "6429bef916d9643d863aa7b7", username: "mario", email: "mario@email.com", role: "Regular" }
+
+  beforeEach(() => {
+    jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+  })
+
+  test("should change the username and cascade it to the records of the user", async () => {
+    const mockReq = { params: { username: "mario" }, body: { username: "supermario" } }
+    const mockRes = mockResponse()
+    User.findOne.mockResolvedValueOnce(existingUser).mockResolvedValueOnce(null)
+    User.findOneAndUpdate.mockResolvedValueOnce({ ...existingUser, username: "supermario" })
+
+    await updateUser(mockReq, mockRes)
+
+    expect(User.findOne).toHaveBeenCalledWith({ username: "supermario" }, null, { withDeleted: true })
+    expect(User.findOneAndUpdate).toHaveBeenCalledWith({ _id: existingUser._id }, { $set: { username: "supermario" } }, { new: true })
+    expect(transactions.updateMany).toHaveBeenCalledWith({ username: "mario" }, { $set: { username: "supermario" } })
+    expect(group_expenses.updateMany).toHaveBeenCalledWith({ paidBy: "mario" }, { $set: { paidBy: "supermario" } })
+    expect(group_expenses.updateMany).toHaveBeenCalledWith({ "shares.username": "mario" }, { $set: { "shares.$[share].username": "supermario" } }, { arrayFilters: [{ "share.username": "mario" }] })
+    expect(Session.updateMany).toHaveBeenCalledWith({ username: "supermario", revoked: false }, { $set: { revoked: true } })
+    // the models of User.js share the same mock functions, so only the filters tell the groups apart
+    expect(Group.updateMany.mock.calls.some(([filter]) => "members.email" in filter)).toBe(false)
+    expect(mockRes.status).toHaveBeenCalledWith(200)
+    expect(mockRes.json).toHaveBeenCalledWith({ data: { username: "supermario", email: "mario@email.com", role: "Regular" }, refreshedTokenMessage: "refreshed" })
+  })
+
+  test("should change the email and cascade it to the members of the group", async () => {
+    const mockReq = { params: { username: "mario" }, body: { email: "super.mario@email.com" } }
+    const mockRes = mockResponse()
+    User.findOne.mockResolvedValueOnce(existingUser).mockResolvedValueOnce(null)
+    User.findOneAndUpdate.mockResolvedValueOnce({ ...existingUser, email: "super.mario@email.com" })
+
+    await updateUser(mockReq, mockRes)
+
+    expect(User.findOne).toHaveBeenCalledWith({ email: "super.mario@email.com" }, null, { withDeleted: true })
+    expect(User.findOneAndUpdate).toHaveBeenCalledWith({ _id: existingUser._id }, { $set: { email: "super.mario@email.com", verified: false } }, { new: true })
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: "super.mario@email.com" }))
+    expect(Group.updateMany).toHaveBeenCalledWith({ "members.email": "mario@email.com" }, { $set: { "members.$[member].email": "super.mario@email.com" } }, { arrayFilters: [{ "member.email": "mario@email.com" }] })
+    expect(transactions.updateMany).not.toHaveBeenCalled()
+    expect(mockRes.status).toHaveBeenCalledWith(200)
+  })
+
+  test("should not revoke the sessions if nothing changes", async () => {
+    const mockReq = { params: { username: "mario" }, body: { username: "mario", email: "mario@email.com" } }
+    const mockRes = mockResponse()
+    User.findOne.mockResolvedValueOnce(existingUser)
+    User.findOneAndUpdate.mockResolvedValueOnce(existingUser)
+
+    await updateUser(mockReq, mockRes)
+
+    expect(Session.updateMany).not.toHaveBeenCalled()
+    expect(mockRes.status).toHaveBeenCalledWith(200)
+  })
+
+  test("should return a 400 error if another user has the username", async () => {
+    const mockReq = { params: { username: "mario" }, body: { username: "luigi" } }
+    const mockRes = mockResponse()
+    User.findOne.mockResolvedValueOnce(existingUser).mockResolvedValueOnce({ username: "luigi" })
+
+    await updateUser(mockReq, mockRes)
+
+    expect(User.findOne).toHaveBeenCalledWith({ username: "luigi" }, null, { withDeleted: true })
+    expect(User.findOneAndUpdate).not.toHaveBeenCalled()
+    expect(mockRes.status).toHaveBeenCalledWith(400)
+    expect(mockRes.json).toHaveBeenCalledWith({ error: "already existing user" })
+  })
+
+  test("should return a 400 error if another user has the email, also if it is in the trash", async () => {
+    const mockReq = { params: { username: "mario" }, body: { email: "luigi@email.com" } }
+    const mockRes = mockResponse()
+    User.findOne.mockResolvedValueOnce(existingUser).mockResolvedValueOnce({ username: "luigi", deletedAt: new Date() })
+
+    await updateUser(mockReq, mockRes)
+
+    expect(User.findOne).toHaveBeenCalledWith({ email: "luigi@email.com" }, null, { withDeleted: true })
+    expect(mockRes.status).toHaveBeenCalledWith(400)
+    expect(mockRes.json).toHaveBeenCalledWith({ error: "already existing user" })
+  })
+
+  test("should return a 400 error if the unique index rejects the update", async () => {
+    const mockReq = { params: { username: "mario" }, body: { username: "luigi" } }
+    const mockRes = mockResponse()
+    User.findOne.mockResolvedValueOnce(existingUser).mockResolvedValueOnce(null)
+    User.findOneAndUpdate.mockRejectedValueOnce({ code: 11000, message: "E11000 duplicate key error" })
+
+    await updateUser(mockReq, mockRes)
+
+    expect(mockRes.status).toHaveBeenCalledWith(400)
+    expect(mockRes.json).toHaveBeenCalledWith({ error: "already existing user" })
+  })
+
+  test("should return a 400 error if the body has neither username nor email", async () => {
+    const mockRes = mockResponse()
+
+    await updateUser({ params: { username: "mario" }, body: {} }, mockRes)
+
+    expect(mockRes.status).toHaveBeenCalledWith(400)
+    expect(mockRes.json).toHaveBeenCalledWith({ error: "Some Parameter is Missing" })
+  })
+
+  test("should return a 400 error if a parameter is an empty string", async () => {
+    const mockRes = mockResponse()
+
+    await updateUser({ params: { username: "mario" }, body: { username: " " } }, mockRes)
+
+    expect(mockRes.status).toHaveBeenCalledWith(400)
+    expect(mockRes.json).toHaveBeenCalledWith({ error: "Some Parameter is an Empty String" })
+  })
+
+  test("should return a 400 error if the email is not valid", async () => {
+    const mockRes = mockResponse()
+
+    await updateUser({ params: { username: "mario" }, body: { email: "mario" } }, mockRes)
+
+    expect(mockRes.status).toHaveBeenCalledWith(400)
+    expect(mockRes.json).toHaveBeenCalledWith({ error: "Invalid email format" })
+  })
+
+  test("should return a 400 error if the user does not exist", async () => {
+    const mockRes = mockResponse()
+    User.findOne.mockResolvedValueOnce(null)
+
+    await updateUser({ params: { username: "mario" }, body: { username: "supermario" } }, mockRes)
+
+    expect(mockRes.status).toHaveBeenCalledWith(400)
+    expect(mockRes.json).toHaveBeenCalledWith({ error: "User not found" })
+  })
+
+  test("should return a 401 error if called by another user who is not an admin", async () => {
+    VerifyAuthmodule.verifyAuth.mockImplementation((req, res, info) => info.authType === "User" ?
+      { authorized: false, cause: "User: Mismatched users" } : { authorized: false, cause: "Admin: Mismatched role" })
+    const mockRes = mockResponse()
+
+    await updateUser({ params: { username: "mario" }, body: { username: "supermario" } }, mockRes)
+
+    expect(User.findOne).not.toHaveBeenCalled()
+    expect(mockRes.status).toHaveBeenCalledWith(401)
+    expect(mockRes.json).toHaveBeenCalledWith({ error: "User: Mismatched users" })
+  })
+})
+
+/*
+- Request Parameters: A string equal to the `username` of the user
+- Request Body Content: An object having attributes `currentPassword` and `newPassword`
+- Response `data` Content: A message confirming the update
+- The other sessions of the user are revoked
+- Returns a 400 error if the request body does not contain all the necessary attributes or at least one of them is an empty string
+- Returns a 400 error if the user does not exist
+- Returns a 400 error if `currentPassword` is not the password of the user
+- Returns a 401 error if called by another user (authType = User)
+*/
+describe("changePassword", () => {
+  const mockResponse = () => ({
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(),
+    locals: { refreshedTokenMessage: "refreshed" },
+  })
+  const sessionRefreshToken = jwt.sign({ username: "mario", email: "mario@email.com", role: "Regular", family: "6470c8f1a1b2c3d4e5f60001", jti: "first" }, process.env.ACCESS_KEY)
+
+  beforeEach(() => {
+    jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+  })
+
+  test("should update the password and revoke the other sessions of the user", async () => {
+    const mockReq = { params: { username: "mario" }, body: { currentPassword: "old", newPassword: "new" }, cookies: { refreshToken: sessionRefreshToken } }
+    const mockRes = mockResponse()
+    const user = { username: "mario", password: "oldHash", save: jest.fn() }
+    User.findOne.mockResolvedValueOnce(user)
+    bcrypt.compare.mockResolvedValueOnce(true)
+    bcrypt.hash.mockResolvedValueOnce("newHash")
+
+    await changePassword(mockReq, mockRes)
+
+    expect(bcrypt.compare).toHaveBeenCalledWith("old", "oldHash")
+    expect(bcrypt.hash).toHaveBeenCalledWith("new", 12)
+    expect(user.password).toBe("newHash")
+    expect(user.save).toHaveBeenCalled()
+    expect(Session.updateMany).toHaveBeenCalledWith({ username: "mario", revoked: false, _id: { $ne: "6470c8f1a1b2c3d4e5f60001" } }, { $set: { revoked: true } })
+    expect(mockRes.status).toHaveBeenCalledWith(200)
+    expect(mockRes.json).toHaveBeenCalledWith({ data: { message: "Password updated" }, refreshedTokenMessage: "refreshed" })
+  })
+
+  test("should revoke all the sessions if the request does not belong to a session", async () => {
+    const mockReq = { params: { username: "mario" }, body: { currentPassword: "old", newPassword: "new" }, cookies: {} }
+    const mockRes = mockResponse()
+    User.findOne.mockResolvedValueOnce({ username: "mario", password: "oldHash", save: jest.fn() })
+    bcrypt.compare.mockResolvedValueOnce(true)
+
+    await changePassword(mockReq, mockRes)
+
+    expect(Session.updateMany).toHaveBeenCalledWith({ username: "mario", revoked: false }, { $set: { revoked: true } })
+    expect(mockRes.status).toHaveBeenCalledWith(200)
+  })
+
+  test("should return a 400 error if the current password is wrong", async () => {
+    const mockReq = { params: { username: "mario" }, body: { currentPassword: "wrong", newPassword: "new" }, cookies: {} }
+    const mockRes = mockResponse()
+    const user = { username: "mario", password: "oldHash", save: jest.fn() }
+    User.findOne.mockResolvedValueOnce(user)
+    bcrypt.compare.mockResolvedValueOnce(false)
+
+    await changePassword(mockReq, mockRes)
+
+    expect(user.save).not.toHaveBeenCalled()
+    expect(mockRes.status).toHaveBeenCalledWith(400)
+    expect(mockRes.json).toHaveBeenCalledWith({ error: "wrong credentials" })
+  })
+
+  test("should return a 400 error if a parameter is missing", async () => {
+    const mockRes = mockResponse()
+
+    await changePassword({ params: { username: "mario" }, body: { newPassword: "new" } }, mockRes)
+
+    expect(mockRes.status).toHaveBeenCalledWith(400)
+    expect(mockRes.json).toHaveBeenCalledWith({ error: "Some Parameter is Missing" })
+  })
+
+  test("should return a 400 error if a parameter is an empty string", async () => {
+    const mockRes = mockResponse()
+
+    await changePassword({ params: { username: "mario" }, body: { currentPassword: "old", newPassword: "  " } }, mockRes)
+
+    expect(mockRes.status).toHaveBeenCalledWith(400)
+    expect(mockRes.json).toHaveBeenCalledWith({ error: "Some Parameter is an Empty String" })
+  })
+
+  test("should return a 400 error if the user does not exist", async () => {
+    const mockRes = mockResponse()
+    User.findOne.mockResolvedValueOnce(null)
+
+    await changePassword({ params: { username: "mario" }, body: { currentPassword: "old", newPassword: "new" } }, mockRes)
+
+    expect(mockRes.status).toHaveBeenCalledWith(400)
+    expect(mockRes.json).toHaveBeenCalledWith({ error: "User not found" })
+  })
+
+  test("should return a 401 error if called by another user", async () => {
+    VerifyAuthmodule.verifyAuth.mockImplementation(() => ({ authorized: false, cause: "User: Mismatched users" }))
+    const mockRes = mockResponse()
+
+    await changePassword({ params: { username: "mario" }, body: { currentPassword: "old", newPassword: "new" } }, mockRes)
+
+    expect(mockRes.status).toHaveBeenCalledWith(401)
+    expect(mockRes.json).toHaveBeenCalledWith({ error: "User: Mismatched users" })
+  })
+})
+
 /*
 - Request Parameters: None
 - Request request body Content: An object having a string attribute for the `name` of the group and an array that lists all the `memberEmails`
@@ -231,7 +508,7 @@ describe("createGroup", () => {
     const mockReq = {
       body: { name: "testgroup1", memberEmails: ["notingroup1@example.com", "notingroup2@example.com", "notingroup3@example.com"] },
       url: 'api/groups',
-      cookies: {refreshToken: "mockRefreshToken"}
+      cookies: {refreshToken: jwt.sign({ username: "notingroup1", email: "notingroup1@example.com", role: "Regular" }, process.env.ACCESS_KEY)}
     }
 
     const mockRes = {
@@ -265,10 +542,10 @@ describe("createGroup", () => {
 
     await createGroup(mockReq, mockRes)
 
-    expect(Group.findOne).toHaveBeenCalledWith({name: "testgroup1"}) // name in body
+    expect(Group.findOne).toHaveBeenCalledWith({name: "testgroup1"}, null, { withDeleted: true }) // name in body
     expect(verifyAuth).toHaveBeenCalled() // simple auth for group creation
 
-    expect(User.findOne).toHaveBeenCalledWith({refreshToken: "mockRefreshToken"}) // calling user with refreshToken check
+    expect(User.findOne).toHaveBeenCalledWith({username: "notingroup1"}) // calling user of the refresh token
 
     expect(Group.findOne).toHaveBeenCalledWith({email: "notingroup1@example.com"}) // calling user email
 
@@ -461,9 +738,9 @@ describe("createGroup", () => {
 
     await createGroup(mockReq, mockRes)
 
-    expect(Group.findOne).toHaveBeenCalledWith({name : group.name})
+    expect(Group.findOne).toHaveBeenCalledWith({name : group.name}, null, { withDeleted: true })
     expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: "Simple" })
-    expect(User.findOne).toHaveBeenCalledWith({refreshToken: mockReq.cookies.refreshToken})
+    expect(User.findOne).toHaveBeenCalledWith({username: "testuser"})
     expect(mockRes.status).toHaveBeenCalledWith(400)
     expect(mockRes.json).toHaveBeenCalledWith(response)
   })
@@ -570,6 +847,35 @@ describe("createGroup", () => {
     expect(mockRes.status).toHaveBeenCalledWith(401)
     expect(mockRes.json).toHaveBeenCalledWith(response)
   })
+
+  test("should not add the members that did not verify their email if the verification is required for groups", async () => {
+    process.env.EMAIL_VERIFICATION_REQUIRED = "groups"
+    const mockReq = {
+      body: { name: "testgroup1", memberEmails: ["verified@example.com", "unverified@example.com"] },
+      cookies: { refreshToken: jwt.sign({ username: "caller", email: "caller@example.com", role: "Regular" }, process.env.ACCESS_KEY) }
+    }
+    const mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      locals: {}
+    }
+    const caller = { _id: "c", username: "caller", email: "caller@example.com", verified: false }
+    jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+    Group.findOne.mockResolvedValueOnce(null) // no group with the same name
+    User.findOne.mockResolvedValueOnce(caller)
+    Group.findOne.mockResolvedValueOnce(null) // caller not in a group
+    User.findOne.mockResolvedValueOnce({ _id: "v", email: "verified@example.com", verified: true })
+    Group.findOne.mockResolvedValueOnce(null)
+    User.findOne.mockResolvedValueOnce({ _id: "u", email: "unverified@example.com", verified: false })
+    Group.create.mockImplementationOnce(async (group) => group)
+
+    await createGroup(mockReq, mockRes)
+    delete process.env.EMAIL_VERIFICATION_REQUIRED
+
+    expect(Group.create).toHaveBeenCalledWith({ name: "testgroup1", members: [{ email: "verified@example.com", user: "v" }, { email: "caller@example.com", user: "c" }] })
+    expect(mockRes.status).toHaveBeenCalledWith(200)
+    expect(mockRes.json.mock.calls[0][0].data.membersNotVerified).toEqual([{ email: "unverified@example.com" }])
+  })
 })
 
 /**
@@ -1077,7 +1383,7 @@ describe("addToGroup", () => {
 
     await addToGroup(mockReq, mockRes)
 
-    expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: "Admin" })
+    expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: "Permission", permission: "groups:manage" })
     expect(mockRes.status).toHaveBeenCalledWith(401);
     expect(mockRes.json).toHaveBeenCalledWith(response);
   })
@@ -1187,7 +1493,7 @@ describe("removeFromGroup", () => {
     await removeFromGroup(req, res);
 
     expect(Group.findOne).toHaveBeenCalledWith({ name: "existinggroup" });//find group by name
-    expect(verifyAuth).toHaveBeenCalledWith(req, res, { authType: "Admin" })
+    expect(verifyAuth).toHaveBeenCalledWith(req, res, { authType: "Permission", permission: "groups:manage" })
     expect(res.status).toHaveBeenCalledWith(400);
     expect(res.json).toHaveBeenCalledWith({ error: 'Some Parameter is Missing' });
   });
@@ -1233,7 +1539,7 @@ describe("removeFromGroup", () => {
     await removeFromGroup(req, res);
 
     expect(Group.findOne).toHaveBeenCalledWith({ name: "existinggroup" });//find group by name
-    expect(verifyAuth).toHaveBeenCalledWith(req, res, { authType: "Admin" })
+    expect(verifyAuth).toHaveBeenCalledWith(req, res, { authType: "Permission", permission: "groups:manage" })
     expect(User.findOne).toHaveBeenCalledWith({ email: 'notuser1@example.com' });
 
     expect(res.status).toHaveBeenCalledWith(400);
@@ -1266,7 +1572,7 @@ describe("removeFromGroup", () => {
     await removeFromGroup(req, res);
 
     expect(Group.findOne).toHaveBeenCalledWith({ name: "existinggroup" });//find group by name
-    expect(verifyAuth).toHaveBeenCalledWith(req, res, { authType: "Admin" })
+    expect(verifyAuth).toHaveBeenCalledWith(req, res, { authType: "Permission", permission: "groups:manage" })
     expect(User.findOne).toHaveBeenCalledWith({ email: 'notuser1@example.com' });
     expect(Group.findOne).toHaveBeenCalledWith({ "members.email": 'notuser1@example.com', name: 'existinggroup' });
 
@@ -1299,7 +1605,7 @@ describe("removeFromGroup", () => {
     await removeFromGroup(req, res);
 
     expect(Group.findOne).toHaveBeenCalledWith({ name: "existinggroup" });//find group by name
-    expect(verifyAuth).toHaveBeenCalledWith(req, res, { authType: "Admin" })
+    expect(verifyAuth).toHaveBeenCalledWith(req, res, { authType: "Permission", permission: "groups:manage" })
 
     expect(res.status).toHaveBeenCalledWith(400);
     expect(res.json).toHaveBeenCalledWith({ error: "Invalid email format" });
@@ -1330,7 +1636,7 @@ describe("removeFromGroup", () => {
     await removeFromGroup(req, res);
 
     expect(Group.findOne).toHaveBeenCalledWith({ name: "existinggroup" });//find group by name
-    expect(verifyAuth).toHaveBeenCalledWith(req, res, { authType: "Admin" })
+    expect(verifyAuth).toHaveBeenCalledWith(req, res, { authType: "Permission", permission: "groups:manage" })
 
     expect(res.status).toHaveBeenCalledWith(400);
     expect(res.json).toHaveBeenCalledWith({ error: "Email is an Empty String" });
@@ -1358,7 +1664,7 @@ describe("removeFromGroup", () => {
     await removeFromGroup(req, res);
 
     expect(Group.findOne).toHaveBeenCalledWith({ name: "existinggroup" });//find group by name
-    expect(verifyAuth).toHaveBeenCalledWith(req, res, { authType: "Admin" })
+    expect(verifyAuth).toHaveBeenCalledWith(req, res, { authType: "Permission", permission: "groups:manage" })
     expect(res.status).toHaveBeenCalledWith(400);
     expect(res.json).toHaveBeenCalledWith({ error: "Can't remove all members"  });
   });
@@ -1412,7 +1718,7 @@ describe("removeFromGroup", () => {
     await removeFromGroup(req, res);
 
     expect(Group.findOne).toHaveBeenCalledWith({ name: "existinggroup" });//find group by name
-    expect(verifyAuth).toHaveBeenCalledWith(req, res, { authType: "Admin"})
+    expect(verifyAuth).toHaveBeenCalledWith(req, res, { authType: "Permission", permission: "groups:manage" })
     expect(res.status).toHaveBeenCalledWith(401);
     expect(res.json).toHaveBeenCalledWith({ error: "Admin: Mismatched role"});
   });
@@ -1434,6 +1740,251 @@ describe("removeFromGroup", () => {
  * - Returns a 401 error if called by an authenticated user who is not an admin (authType = Admin)
  */
 
+describe("unlockUser", () => {
+  test("should forget the failed logins of the account of the user", async () => {
+    const mockReq = { params: { username: "Mario" } }
+    const mockRes = { status: jest.fn().mockReturnThis(), json: jest.fn(), locals: { refreshedTokenMessage: "" } }
+    jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+    jest.spyOn(User, "findOne").mockImplementation(() => ({ username: "Mario", email: "mario.red@email.com" }))
+    clearLoginFailures.mockResolvedValueOnce(true)
+
+    await unlockUser(mockReq, mockRes)
+
+    expect(User.findOne).toHaveBeenCalledWith({ username: "Mario" })
+    expect(clearLoginFailures).toHaveBeenCalledWith("mario.red@email.com")
+    expect(mockRes.status).toHaveBeenCalledWith(200)
+    expect(mockRes.json).toHaveBeenCalledWith({ data: { message: "Account unlocked", wasLocked: true }, refreshedTokenMessage: "" })
+  });
+
+  test("should return a 400 error if the user does not exist", async () => {
+    const mockReq = { params: { username: "Mario" } }
+    const mockRes = { status: jest.fn().mockReturnThis(), json: jest.fn(), locals: {} }
+    jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+    jest.spyOn(User, "findOne").mockImplementation(() => null)
+
+    await unlockUser(mockReq, mockRes)
+
+    expect(clearLoginFailures).not.toHaveBeenCalled()
+    expect(mockRes.status).toHaveBeenCalledWith(400)
+    expect(mockRes.json).toHaveBeenCalledWith({ error: "User not found" })
+  });
+
+  test("should return a 401 error if the caller is not an Admin", async () => {
+    const mockReq = { params: { username: "Mario" } }
+    const mockRes = { status: jest.fn().mockReturnThis(), json: jest.fn(), locals: {} }
+    jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: false, cause: "Admin: Mismatched role" }))
+
+    await unlockUser(mockReq, mockRes)
+
+    expect(clearLoginFailures).not.toHaveBeenCalled()
+    expect(mockRes.status).toHaveBeenCalledWith(401)
+    expect(mockRes.json).toHaveBeenCalledWith({ error: "Admin: Mismatched role" })
+  });
+});
+
+describe("getRoles", () => {
+  test("should return the roles with their permissions", async () => {
+    const mockRes = { status: jest.fn().mockReturnThis(), json: jest.fn(), locals: { refreshedTokenMessage: "" } }
+    jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+    await getRoles({}, mockRes)
+
+    expect(VerifyAuthmodule.verifyAuth).toHaveBeenCalledWith({}, mockRes, { authType: "Permission", permission: "users:read" })
+    const roles = mockRes.json.mock.calls[0][0].data
+    expect(roles.map(({ role }) => role)).toEqual(["Regular", "Auditor", "CategoryManager", "GroupManager", "Admin"])
+    expect(roles.find(({ role }) => role === "Auditor").permissions).toEqual(["users:read", "groups:read", "transactions:read"])
+    expect(mockRes.status).toHaveBeenCalledWith(200)
+  });
+});
+
+describe("updateUserRole", () => {
+  const mockResponse = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn(), locals: { refreshedTokenMessage: "" } })
+
+  test("should assign the role and revoke the sessions of the user", async () => {
+    const mockReq = { params: { username: "Mario" }, body: { role: "Auditor" } }
+    const mockRes = mockResponse()
+    jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+    jest.spyOn(User, "findOne").mockImplementation(async () => ({ _id: "id", username: "Mario", email: "mario.red@email.com", role: "Regular" }))
+    jest.spyOn(User, "updateOne").mockImplementation(async () => ({ modifiedCount: 1 }))
+    jest.spyOn(Session, "updateMany").mockImplementation(async () => ({ modifiedCount: 2 }))
+
+    await updateUserRole(mockReq, mockRes)
+
+    expect(VerifyAuthmodule.verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: "Permission", permission: "users:manage" })
+    expect(User.findOne).toHaveBeenCalledWith({ username: "Mario" })
+    expect(User.updateOne).toHaveBeenCalledWith({ _id: "id" }, { $set: { role: "Auditor", tokensRevokedAt: expect.any(Date) } })
+    expect(Session.updateMany).toHaveBeenCalledWith({ username: "Mario", revoked: false }, { $set: { revoked: true } })
+    expect(mockRes.status).toHaveBeenCalledWith(200)
+    expect(mockRes.json).toHaveBeenCalledWith({ data: { username: "Mario", email: "mario.red@email.com", role: "Auditor" }, refreshedTokenMessage: "" })
+  });
+
+  test("should demote an Admin if another Admin is not disabled", async () => {
+    const mockRes = mockResponse()
+    jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+    jest.spyOn(User, "findOne").mockImplementation(async () => ({ _id: "id", username: "Mario", email: "mario.red@email.com", role: "Admin" }))
+    jest.spyOn(User, "countDocuments").mockImplementation(async () => 1)
+    jest.spyOn(User, "updateOne").mockImplementation(async () => ({ modifiedCount: 1 }))
+    jest.spyOn(Session, "updateMany").mockImplementation(async () => ({ modifiedCount: 0 }))
+
+    await updateUserRole({ params: { username: "Mario" }, body: { role: "Regular" } }, mockRes)
+
+    expect(User.countDocuments).toHaveBeenCalledWith({ role: "Admin", disabled: { $ne: true }, username: { $ne: "Mario" } })
+    expect(mockRes.status).toHaveBeenCalledWith(200)
+  });
+
+  test("should return a 400 error if the user is the last Admin and the role is not Admin", async () => {
+    const mockRes = mockResponse()
+    jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+    jest.spyOn(User, "findOne").mockImplementation(async () => ({ _id: "id", username: "Mario", email: "mario.red@email.com", role: "Admin" }))
+    jest.spyOn(User, "countDocuments").mockImplementation(async () => 0)
+
+    await updateUserRole({ params: { username: "Mario" }, body: { role: "Auditor" } }, mockRes)
+
+    expect(User.updateOne).not.toHaveBeenCalled()
+    expect(Session.updateMany).not.toHaveBeenCalled()
+    expect(mockRes.status).toHaveBeenCalledWith(400)
+    expect(mockRes.json).toHaveBeenCalledWith({ error: "The last Admin cannot be demoted" })
+  });
+
+  test("should return a 400 error if the role is not valid", async () => {
+    jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+    const unknownRes = mockResponse()
+    await updateUserRole({ params: { username: "Mario" }, body: { role: "Superuser" } }, unknownRes)
+    const inheritedRes = mockResponse()
+    await updateUserRole({ params: { username: "Mario" }, body: { role: "toString" } }, inheritedRes)
+    const missingRes = mockResponse()
+    await updateUserRole({ params: { username: "Mario" }, body: {} }, missingRes)
+
+    expect(User.findOne).not.toHaveBeenCalled()
+    expect(User.updateOne).not.toHaveBeenCalled()
+    expect(unknownRes.json).toHaveBeenCalledWith({ error: "Role not valid" })
+    expect(inheritedRes.json).toHaveBeenCalledWith({ error: "Role not valid" })
+    expect(missingRes.json).toHaveBeenCalledWith({ error: "Some Parameter is Missing" })
+  });
+
+  test("should return a 400 error if the user does not exist", async () => {
+    const mockRes = mockResponse()
+    jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+    jest.spyOn(User, "findOne").mockImplementation(async () => null)
+
+    await updateUserRole({ params: { username: "Nobody" }, body: { role: "Admin" } }, mockRes)
+
+    expect(User.updateOne).not.toHaveBeenCalled()
+    expect(mockRes.status).toHaveBeenCalledWith(400)
+    expect(mockRes.json).toHaveBeenCalledWith({ error: "User not found" })
+  });
+
+  test("should return a 401 error if the caller cannot manage users", async () => {
+    const mockRes = mockResponse()
+    jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: false, cause: "Permission: role not allowed" }))
+
+    await updateUserRole({ params: { username: "Mario" }, body: { role: "Admin" } }, mockRes)
+
+    expect(mockRes.status).toHaveBeenCalledWith(401)
+    expect(mockRes.json).toHaveBeenCalledWith({ error: "Permission: role not allowed" })
+  });
+});
+
+describe("updateUserStatus", () => {
+  const mockResponse = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn(), locals: { refreshedTokenMessage: "" } })
+  const adminCookies = () => {
+    const token = jwt.sign({ username: "admin", email: "admin@email.com", role: "Admin" }, process.env.ACCESS_KEY)
+    return { accessToken: token, refreshToken: token }
+  }
+
+  test("should disable the user and revoke its sessions", async () => {
+    const mockReq = { params: { username: "Mario" }, body: { disabled: true }, cookies: adminCookies() }
+    const mockRes = mockResponse()
+    jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+    jest.spyOn(User, "findOne").mockImplementation(async () => ({ _id: "id1", username: "Mario", email: "mario.red@email.com", role: "Regular", disabled: false }))
+    jest.spyOn(User, "updateOne").mockImplementation(async () => ({ modifiedCount: 1 }))
+    jest.spyOn(Session, "updateMany").mockImplementation(async () => ({ modifiedCount: 2 }))
+
+    await updateUserStatus(mockReq, mockRes)
+
+    expect(VerifyAuthmodule.verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: "Permission", permission: "users:manage" })
+    expect(User.findOne).toHaveBeenCalledWith({ username: "Mario" })
+    expect(User.updateOne).toHaveBeenCalledWith({ _id: "id1" }, { $set: { disabled: true, tokensRevokedAt: expect.any(Date) } })
+    expect(Session.updateMany).toHaveBeenCalledWith({ username: "Mario", revoked: false }, { $set: { revoked: true } })
+    expect(mockRes.status).toHaveBeenCalledWith(200)
+    expect(mockRes.json).toHaveBeenCalledWith({ data: { username: "Mario", email: "mario.red@email.com", role: "Regular", disabled: true }, refreshedTokenMessage: "" })
+  });
+
+  test("should enable the user without touching its sessions", async () => {
+    const mockRes = mockResponse()
+    jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+    jest.spyOn(User, "findOne").mockImplementation(async () => ({ _id: "id1", username: "Mario", email: "mario.red@email.com", role: "Regular", disabled: true }))
+    jest.spyOn(User, "updateOne").mockImplementation(async () => ({ modifiedCount: 1 }))
+
+    await updateUserStatus({ params: { username: "Mario" }, body: { disabled: false }, cookies: adminCookies() }, mockRes)
+
+    expect(User.updateOne).toHaveBeenCalledWith({ _id: "id1" }, { $set: { disabled: false } })
+    expect(Session.updateMany).not.toHaveBeenCalled()
+    expect(mockRes.status).toHaveBeenCalledWith(200)
+  });
+
+  test("should return a 400 error if disabled is missing or not a boolean", async () => {
+    jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+    const missingRes = mockResponse()
+    await updateUserStatus({ params: { username: "Mario" }, body: {}, cookies: adminCookies() }, missingRes)
+    const stringRes = mockResponse()
+    await updateUserStatus({ params: { username: "Mario" }, body: { disabled: "true" }, cookies: adminCookies() }, stringRes)
+
+    expect(User.updateOne).not.toHaveBeenCalled()
+    expect(missingRes.json).toHaveBeenCalledWith({ error: "Some Parameter is Missing" })
+    expect(stringRes.json).toHaveBeenCalledWith({ error: "Disabled must be true or false" })
+  });
+
+  test("should return a 400 error if the caller disables itself", async () => {
+    const mockRes = mockResponse()
+    jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+
+    await updateUserStatus({ params: { username: "admin" }, body: { disabled: true }, cookies: adminCookies() }, mockRes)
+
+    expect(User.updateOne).not.toHaveBeenCalled()
+    expect(mockRes.status).toHaveBeenCalledWith(400)
+    expect(mockRes.json).toHaveBeenCalledWith({ error: "Users cannot disable themselves" })
+  });
+
+  test("should return a 400 error if the user is the last enabled Admin", async () => {
+    const mockRes = mockResponse()
+    jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+    jest.spyOn(User, "findOne").mockImplementation(async () => ({ _id: "id2", username: "root", email: "root@email.com", role: "Admin", disabled: false }))
+    jest.spyOn(User, "countDocuments").mockImplementation(async () => 0)
+
+    await updateUserStatus({ params: { username: "root" }, body: { disabled: true }, cookies: adminCookies() }, mockRes)
+
+    expect(User.countDocuments).toHaveBeenCalledWith({ role: "Admin", disabled: { $ne: true }, username: { $ne: "root" } })
+    expect(User.updateOne).not.toHaveBeenCalled()
+    expect(Session.updateMany).not.toHaveBeenCalled()
+    expect(mockRes.status).toHaveBeenCalledWith(400)
+    expect(mockRes.json).toHaveBeenCalledWith({ error: "The last Admin cannot be disabled" })
+  });
+
+  test("should return a 400 error if the user does not exist", async () => {
+    const mockRes = mockResponse()
+    jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: true, cause: "Authorized" }))
+    jest.spyOn(User, "findOne").mockImplementation(async () => null)
+
+    await updateUserStatus({ params: { username: "Nobody" }, body: { disabled: true }, cookies: adminCookies() }, mockRes)
+
+    expect(Session.updateMany).not.toHaveBeenCalled()
+    expect(mockRes.status).toHaveBeenCalledWith(400)
+    expect(mockRes.json).toHaveBeenCalledWith({ error: "User not found" })
+  });
+
+  test("should return a 401 error if the caller cannot manage users", async () => {
+    const mockRes = mockResponse()
+    jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => ({ authorized: false, cause: "Permission: role not allowed" }))
+
+    await updateUserStatus({ params: { username: "Mario" }, body: { disabled: true }, cookies: adminCookies() }, mockRes)
+
+    expect(User.updateOne).not.toHaveBeenCalled()
+    expect(mockRes.status).toHaveBeenCalledWith(401)
+    expect(mockRes.json).toHaveBeenCalledWith({ error: "Permission: role not allowed" })
+  });
+});
+
 describe("deleteUser", () => {
   test("Should successfully delete the given user who does not belongs to a group", async () => {
     const mockReq = {
@@ -1446,23 +1997,25 @@ describe("deleteUser", () => {
       json: jest.fn(),
       locals: jest.fn(),
     }
-    const deletedTransactions = { deletedCount: 3 };
+    const deletedTransactions = { modifiedCount: 3 };
     const retrieveUser = { username: 'userToDelete', email: 'delete.me@polito.it', role: 'Regular' };
     const res = { authorized: true, cause: "Authorized" };
-    const response = { data: { deletedTransactions: deletedTransactions.deletedCount, deletedFromGroup: false }, refreshedTokenMessage: undefined };
+    const response = { data: { deletedTransactions: deletedTransactions.modifiedCount, deletedFromGroup: false }, refreshedTokenMessage: undefined };
 
     jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => res)
     jest.spyOn(User, "findOne").mockImplementation(() => retrieveUser)
-    jest.spyOn(User, "deleteOne").mockImplementation(() => { })
+    jest.spyOn(User, "updateOne").mockImplementation(() => { })
     jest.spyOn(Group, "findOneAndUpdate").mockImplementation(() => null)
-    jest.spyOn(transactions, "deleteMany").mockImplementation(() => deletedTransactions)
+    jest.spyOn(transactions, "updateMany").mockImplementation(() => deletedTransactions)
 
     await deleteUser(mockReq, mockRes)
 
     expect(User.findOne).toHaveBeenCalled()
     expect(Group.findOneAndUpdate).toHaveBeenCalled()
-    expect(transactions.deleteMany).toHaveBeenCalled()
-    expect(User.deleteOne).toHaveBeenCalled()
+    expect(transactions.updateMany).toHaveBeenCalledWith({ username: retrieveUser.username, deletedAt: null }, { $set: { deletedAt: expect.any(Date) } })
+    expect(recurring_transactions.updateMany).toHaveBeenCalledWith({ username: retrieveUser.username, deletedAt: null }, { $set: { deletedAt: expect.any(Date) } })
+    expect(budgets.updateMany).toHaveBeenCalledWith({ username: retrieveUser.username, group: null, deletedAt: null }, { $set: { deletedAt: expect.any(Date) } })
+    expect(User.updateOne).toHaveBeenCalledWith({ email: mockReq.body.email }, { $set: { deletedAt: expect.any(Date), deletedFromGroup: null } })
     expect(mockRes.status).toHaveBeenCalledWith(200)
     expect(mockRes.json).toHaveBeenCalledWith(response)
   })
@@ -1478,24 +2031,24 @@ describe("deleteUser", () => {
       json: jest.fn(),
       locals: jest.fn(),
     }
-    const deletedTransactions = { deletedCount: 3 };
+    const deletedTransactions = { modifiedCount: 3 };
     const fromGroup = { name: "groupName", members: [{ email: "other.member@polito.it", user: 1 }] };
     const retrieveUser = { username: 'userToDelete', email: 'delete.me@polito.it', role: 'Regular' };
     const res = { authorized: true, cause: "Authorized" };
-    const response = { data: { deletedTransactions: deletedTransactions.deletedCount, deletedFromGroup: true }, refreshedTokenMessage: undefined };
+    const response = { data: { deletedTransactions: deletedTransactions.modifiedCount, deletedFromGroup: true }, refreshedTokenMessage: undefined };
 
     jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => res)
     jest.spyOn(User, "findOne").mockImplementation(() => retrieveUser)
-    jest.spyOn(User, "deleteOne").mockImplementation(() => { })
+    jest.spyOn(User, "updateOne").mockImplementation(() => { })
     jest.spyOn(Group, "findOneAndUpdate").mockImplementation(() => fromGroup)
-    jest.spyOn(transactions, "deleteMany").mockImplementation(() => deletedTransactions)
+    jest.spyOn(transactions, "updateMany").mockImplementation(() => deletedTransactions)
 
     await deleteUser(mockReq, mockRes)
 
     expect(User.findOne).toHaveBeenCalled()
     expect(Group.findOneAndUpdate).toHaveBeenCalled()
-    expect(transactions.deleteMany).toHaveBeenCalled()
-    expect(User.deleteOne).toHaveBeenCalled()
+    expect(transactions.updateMany).toHaveBeenCalledWith({ username: retrieveUser.username, deletedAt: null }, { $set: { deletedAt: expect.any(Date) } })
+    expect(User.updateOne).toHaveBeenCalledWith({ email: mockReq.body.email }, { $set: { deletedAt: expect.any(Date), deletedFromGroup: fromGroup.name } })
     expect(mockRes.status).toHaveBeenCalledWith(200)
     expect(mockRes.json).toHaveBeenCalledWith(response)
   })
@@ -1511,26 +2064,26 @@ describe("deleteUser", () => {
       json: jest.fn(),
       locals: jest.fn(),
     }
-    const deletedTransactions = { deletedCount: 3 };
+    const deletedTransactions = { modifiedCount: 3 };
     const fromGroup = { name: "groupName", members: [] };
     const retrieveUser = { username: 'userToDelete', email: 'delete.me@polito.it', role: 'Regular' };
     const res = { authorized: true, cause: "Authorized" };
-    const response = { data: { deletedTransactions: deletedTransactions.deletedCount, deletedFromGroup: true }, refreshedTokenMessage: undefined };
+    const response = { data: { deletedTransactions: deletedTransactions.modifiedCount, deletedFromGroup: true }, refreshedTokenMessage: undefined };
 
     jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => res)
     jest.spyOn(User, "findOne").mockImplementation(() => retrieveUser)
-    jest.spyOn(User, "deleteOne").mockImplementation(() => { })
+    jest.spyOn(User, "updateOne").mockImplementation(() => { })
     jest.spyOn(Group, "findOneAndUpdate").mockImplementation(() => fromGroup)
-    jest.spyOn(Group, "deleteOne").mockImplementation(() => { })
-    jest.spyOn(transactions, "deleteMany").mockImplementation(() => deletedTransactions)
+    jest.spyOn(Group, "updateOne").mockImplementation(() => { })
+    jest.spyOn(transactions, "updateMany").mockImplementation(() => deletedTransactions)
 
     await deleteUser(mockReq, mockRes)
 
     expect(User.findOne).toHaveBeenCalled()
     expect(Group.findOneAndUpdate).toHaveBeenCalled()
-    expect(transactions.deleteMany).toHaveBeenCalled()
-    expect(Group.deleteOne).toHaveBeenCalledWith({ name: fromGroup.name })
-    expect(User.deleteOne).toHaveBeenCalled()
+    expect(transactions.updateMany).toHaveBeenCalledWith({ username: retrieveUser.username, deletedAt: null }, { $set: { deletedAt: expect.any(Date) } })
+    expect(Group.updateOne).toHaveBeenCalledWith({ name: fromGroup.name }, { $set: { deletedAt: expect.any(Date) } })
+    expect(User.updateOne).toHaveBeenCalledWith({ email: mockReq.body.email }, { $set: { deletedAt: expect.any(Date), deletedFromGroup: fromGroup.name } })
     expect(mockRes.status).toHaveBeenCalledWith(200)
     expect(mockRes.json).toHaveBeenCalledWith(response)
   })
@@ -1654,7 +2207,7 @@ describe("deleteUser", () => {
 
     await deleteUser(mockReq, mockRes)
 
-    expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: "Admin" })
+    expect(verifyAuth).toHaveBeenCalledWith(mockReq, mockRes, { authType: "Permission", permission: "users:manage" })
     expect(mockRes.status).toHaveBeenCalledWith(401)
     expect(mockRes.json).toHaveBeenCalledWith(response)
   })
@@ -1694,11 +2247,11 @@ describe("deleteGroup", () => {
     const response = { data: { message: "Group deleted successfully" }, refreshedTokenMessage: undefined }
 
     jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => res) // authenticated as admin
-    Group.deleteOne.mockResolvedValueOnce(1) // 1 group mocked deletion
+    Group.updateOne.mockResolvedValueOnce({ matchedCount: 1 }) // 1 group mocked deletion
 
     await deleteGroup(mockReq, mockRes)
 
-    expect(Group.deleteOne).toHaveBeenCalledWith({name: "testgroup1"})
+    expect(Group.updateOne).toHaveBeenCalledWith({ name: "testgroup1", deletedAt: null }, { $set: { deletedAt: expect.any(Date) } })
     expect(verifyAuth).toHaveBeenCalled() 
     expect(mockRes.status).toHaveBeenCalledWith(200)
     expect(mockRes.json).toHaveBeenCalledWith(response)
@@ -1768,11 +2321,11 @@ describe("deleteGroup", () => {
     const response = { error: "Group Does Not exist" }
 
     jest.spyOn(VerifyAuthmodule, "verifyAuth").mockImplementation(() => res)
-    Group.deleteOne.mockResolvedValueOnce({deletedCount: 0})
+    Group.updateOne.mockResolvedValueOnce({ matchedCount: 0 })
 
     await deleteGroup(mockReq, mockRes)
 
-    expect(Group.deleteOne).toHaveBeenCalledWith({name: "testgroup1"})
+    expect(Group.updateOne).toHaveBeenCalledWith({ name: "testgroup1", deletedAt: null }, { $set: { deletedAt: expect.any(Date) } })
     expect(verifyAuth).toHaveBeenCalled() 
     expect(mockRes.status).toHaveBeenCalledWith(400)
     expect(mockRes.json).toHaveBeenCalledWith(response)
@@ -403,6 +403,31 @@ describe("utils.js", () => {
             expect(message).toBe(true)
         })
     })
+
+    describe("verifyAuth with an Authorization header", () => {
+        test("Bearer token of the requested user", () => {
+            const req = { headers: { authorization: `Bearer ${testerAccessTokenValid}` } }
+            const response = verifyAuth(req, {}, { authType: "User", username: "tester" })
+            expect(response.authorized).toBe(true)
+        })
+        test("Bearer token of an Admin with authType:Admin", () => {
+            const req = { headers: { authorization: `Bearer ${adminAccessTokenValid}` } }
+            const response = verifyAuth(req, {}, { authType: "Admin" })
+            expect(response.authorized).toBe(true)
+        })
+        test("Bearer token of a member with authType:Group", () => {
+            const req = { headers: { authorization: `Bearer ${testerAccessTokenValid}` } }
+            const response = verifyAuth(req, {}, { authType: "Group", emails: ["tester@test.com"] })
+            expect(response.authorized).toBe(true)
+        })
+        test("Expired bearer token is not refreshed", () => {
+            const req = { headers: { authorization: `Bearer ${testerAccessTokenExpired}` }, cookies: { refreshToken: testerAccessTokenValid } }
+            const res = { cookie: jest.fn(), locals: {} }
+            const response = verifyAuth(req, res, { authType: "Simple" })
+            expect(response.authorized).toBe(false)
+            expect(res.cookie).not.toHaveBeenCalled()
+        })
+    })
 })
 
 
@@ -1,5 +1,6 @@
-import { handleDateFilterParams, verifyAuth, handleAmountFilterParams } from '../controllers/utils';
+import { handleDateFilterParams, verifyAuth, checkRevokedTokens, hasPermission, getBearerToken, getAuthenticatedUsername, handleAmountFilterParams, handleSearchParams, handlePaginationParams, paginationStages, paginateResult } from '../controllers/utils';
 import jwt from 'jsonwebtoken'
+import { User } from '../models/User.js'
 
 beforeEach(() => {
     jest.clearAllMocks()
@@ -453,6 +454,45 @@ describe('verifyAuth', () => {
         const result = verifyAuth(req, res, info);
         expect(result).toEqual(response);
     });
+    //the accessToken is expired and the refreshToken belongs to a session => error 401, the tokens must be refreshed with POST /api/refresh
+    test('should not refresh the access token when the refreshToken belongs to a session', () => {
+        const req = {
+            cookies: {
+                accessToken: jwt.sign({ username: 'testuser', email: 'test@example.com', role: 'Regular', exp: Math.floor(Date.now() / 1000) - 30 }, process.env.ACCESS_KEY),
+                refreshToken: jwt.sign({ username: 'testuser', email: 'test@example.com', role: 'Regular', family: '6470c8f1a1b2c3d4e5f60001', jti: 'first' }, process.env.ACCESS_KEY, { expiresIn: '1y' }),
+            },
+        };
+        const res = {
+            cookie: jest.fn(),
+            locals: {},
+        };
+        const info = {
+            authType: 'User',
+            username: 'testuser',
+        };
+
+        const result = verifyAuth(req, res, info);
+        expect(result).toEqual({ authorized: false, cause: "Access token expired: refresh the tokens" });
+        expect(res.cookie).not.toHaveBeenCalled();
+    });
+    //the accessToken cookie holds a refresh token => error 401, even if it has not been rotated or revoked yet
+    test('should not authorize a refresh token sent as accessToken cookie', () => {
+        const refreshToken = jwt.sign({ username: 'testuser', email: 'test@example.com', role: 'Regular', family: '6470c8f1a1b2c3d4e5f60001', jti: 'first' }, process.env.ACCESS_KEY, { expiresIn: '7d' });
+        const req = {
+            cookies: {
+                accessToken: refreshToken,
+                refreshToken: refreshToken,
+            },
+        };
+        const res = {
+            cookie: jest.fn(),
+            locals: {},
+        };
+
+        const result = verifyAuth(req, res, { authType: 'Simple' });
+        expect(result).toEqual({ authorized: false, cause: "Refresh tokens cannot be used as access tokens" });
+        expect(res.cookie).not.toHaveBeenCalled();
+    });
     //- the accessToken is expired and the refreshToken has a `username` equal to the requested one => success
     test('should return the correct result when access token is expired and the refreshToken has a `username` equal to the requested one for Regular authType', () => {
         const req = {
@@ -773,6 +813,198 @@ describe('verifyAuth', () => {
     });
   
 });
+
+describe('verifyAuth with an Authorization header', () => {
+    const bearer = (claims, options = { expiresIn: '1h' }) => ({
+        headers: { authorization: `Bearer ${jwt.sign(claims, process.env.ACCESS_KEY, options)}` },
+        cookies: {},
+    });
+    const regular = { username: 'testuser', email: 'test@example.com', role: 'Regular' };
+    const admin = { username: 'admin', email: 'admin@example.com', role: 'Admin' };
+
+    test('should authorize a valid bearer token with Simple authType', () => {
+        expect(verifyAuth(bearer(regular), { cookie: jest.fn(), locals: {} }, { authType: 'Simple' })).toEqual({ authorized: true, cause: 'Authorized' });
+    });
+    test('should authorize a bearer token of the requested user with User authType', () => {
+        expect(verifyAuth(bearer(regular), { cookie: jest.fn(), locals: {} }, { authType: 'User', username: 'testuser' })).toEqual({ authorized: true, cause: 'Authorized' });
+    });
+    test('should not authorize a bearer token of another user with User authType', () => {
+        expect(verifyAuth(bearer(regular), { cookie: jest.fn(), locals: {} }, { authType: 'User', username: 'other' })).toEqual({ authorized: false, cause: 'User: Mismatched users' });
+    });
+    test('should authorize a bearer token of an Admin with Admin authType', () => {
+        expect(verifyAuth(bearer(admin), { cookie: jest.fn(), locals: {} }, { authType: 'Admin' })).toEqual({ authorized: true, cause: 'Authorized' });
+    });
+    test('should not authorize a bearer token of a Regular user with Admin authType', () => {
+        expect(verifyAuth(bearer(regular), { cookie: jest.fn(), locals: {} }, { authType: 'Admin' })).toEqual({ authorized: false, cause: 'Admin: Mismatched role' });
+    });
+    test('should authorize a bearer token of a member with Group authType', () => {
+        expect(verifyAuth(bearer(regular), { cookie: jest.fn(), locals: {} }, { authType: 'Group', emails: ['other@example.com', 'test@example.com'] })).toEqual({ authorized: true, cause: 'Authorized' });
+    });
+    test('should not authorize a bearer token of a non member with Group authType', () => {
+        expect(verifyAuth(bearer(regular), { cookie: jest.fn(), locals: {} }, { authType: 'Group', emails: ['other@example.com'] })).toEqual({ authorized: false, cause: 'Group: user not in group' });
+    });
+    test('should not authorize a bearer token with missing information', () => {
+        expect(verifyAuth(bearer({ username: 'testuser' }), { cookie: jest.fn(), locals: {} }, { authType: 'Simple' })).toEqual({ authorized: false, cause: 'Token is missing information' });
+    });
+    test('should not authorize nor refresh an expired bearer token', () => {
+        const res = { cookie: jest.fn(), locals: {} };
+        const req = bearer({ ...regular, exp: Math.floor(Date.now() / 1000) - 30 }, {});
+        req.cookies = { refreshToken: jwt.sign(regular, process.env.ACCESS_KEY, { expiresIn: '1y' }) };
+
+        expect(verifyAuth(req, res, { authType: 'Simple' })).toEqual({ authorized: false, cause: 'Access token expired: refresh the tokens' });
+        expect(res.cookie).not.toHaveBeenCalled();
+    });
+    test('should not authorize a refresh token sent as bearer token', () => {
+        const req = bearer({ ...regular, family: '6470c8f1a1b2c3d4e5f60001', jti: 'first' });
+        expect(verifyAuth(req, { cookie: jest.fn(), locals: {} }, { authType: 'Simple' })).toEqual({ authorized: false, cause: 'Refresh tokens cannot be used as access tokens' });
+    });
+    test('should not authorize a bearer token with a wrong signature', () => {
+        const req = { headers: { authorization: `Bearer ${jwt.sign(regular, 'wrong key')}` } };
+        expect(verifyAuth(req, { cookie: jest.fn(), locals: {} }, { authType: 'Simple' })).toEqual({ authorized: false, cause: 'JsonWebTokenError' });
+    });
+    test('should ignore the cookies when the request has a bearer token', () => {
+        const req = bearer(regular);
+        req.cookies = {
+            accessToken: jwt.sign(admin, process.env.ACCESS_KEY, { expiresIn: '1h' }),
+            refreshToken: jwt.sign(admin, process.env.ACCESS_KEY, { expiresIn: '1y' }),
+        };
+        expect(verifyAuth(req, { cookie: jest.fn(), locals: {} }, { authType: 'Admin' })).toEqual({ authorized: false, cause: 'Admin: Mismatched role' });
+    });
+});
+
+describe('verifyAuth with Permission authType', () => {
+    const cookiesOf = (claims, accessOptions = { expiresIn: '1h' }) => ({
+        cookies: {
+            accessToken: jwt.sign(claims, process.env.ACCESS_KEY, accessOptions),
+            refreshToken: jwt.sign(claims, process.env.ACCESS_KEY, { expiresIn: '1y' }),
+        },
+    });
+    const auditor = { username: 'auditor', email: 'auditor@example.com', role: 'Auditor' };
+    const regular = { username: 'testuser', email: 'test@example.com', role: 'Regular' };
+
+    test('should authorize the tokens of a role that grants the permission', () => {
+        const result = verifyAuth(cookiesOf(auditor), { cookie: jest.fn(), locals: {} }, { authType: 'Permission', permission: 'transactions:read' });
+        expect(result).toEqual({ authorized: true, cause: 'Authorized' });
+    });
+    test('should not authorize the tokens of a role that does not grant the permission', () => {
+        const result = verifyAuth(cookiesOf(auditor), { cookie: jest.fn(), locals: {} }, { authType: 'Permission', permission: 'transactions:manage' });
+        expect(result).toEqual({ authorized: false, cause: 'Permission: role not allowed' });
+    });
+    test('should check the refresh token when the access token has expired', () => {
+        const res = { cookie: jest.fn(), locals: {} };
+        expect(verifyAuth(cookiesOf(auditor, { expiresIn: '0s' }), res, { authType: 'Permission', permission: 'users:read' })).toEqual({ authorized: true, cause: 'Authorized' });
+        expect(res.cookie).toHaveBeenCalledWith('accessToken', expect.any(String), expect.any(Object));
+        expect(verifyAuth(cookiesOf(regular, { expiresIn: '0s' }), { cookie: jest.fn(), locals: {} }, { authType: 'Permission', permission: 'users:read' }))
+            .toEqual({ authorized: false, cause: 'Permission: Access Token Expired and role not allowed' });
+    });
+    test('should check the role of a bearer token', () => {
+        const req = { headers: { authorization: `Bearer ${jwt.sign(auditor, process.env.ACCESS_KEY, { expiresIn: '1h' })}` }, cookies: {} };
+        expect(verifyAuth(req, { cookie: jest.fn(), locals: {} }, { authType: 'Permission', permission: 'groups:read' })).toEqual({ authorized: true, cause: 'Authorized' });
+        expect(verifyAuth(req, { cookie: jest.fn(), locals: {} }, { authType: 'Permission', permission: 'groups:manage' })).toEqual({ authorized: false, cause: 'Permission: role not allowed' });
+    });
+});
+
+describe('hasPermission', () => {
+    test('should grant every permission to Admins and none to Regular users', () => {
+        ['users:read', 'users:manage', 'groups:manage', 'categories:manage', 'rates:manage'].forEach((permission) => {
+            expect(hasPermission('Admin', permission)).toBe(true);
+            expect(hasPermission('Regular', permission)).toBe(false);
+        });
+    });
+    test('should grant the permissions of the intermediate roles', () => {
+        expect(hasPermission('CategoryManager', 'categories:manage')).toBe(true);
+        expect(hasPermission('CategoryManager', 'transactions:read')).toBe(false);
+        expect(hasPermission('GroupManager', 'groups:manage')).toBe(true);
+        expect(hasPermission('Auditor', 'groups:manage')).toBe(false);
+    });
+    test('should not grant permissions to unknown roles', () => {
+        expect(hasPermission('Superuser', 'users:read')).toBe(false);
+        expect(hasPermission('constructor', 'users:read')).toBe(false);
+    });
+});
+
+describe('checkRevokedTokens', () => {
+    const claims = { username: 'testuser', email: 'test@example.com', role: 'Admin' };
+    // a token issued `age` seconds ago
+    const token = (age) => jwt.sign({ ...claims, iat: Math.floor(Date.now() / 1000) - age }, process.env.ACCESS_KEY, { expiresIn: '1h' });
+
+    afterEach(() => {
+        jest.restoreAllMocks()
+    });
+
+    test('should mark the tokens issued before the last change of the role or the status of the user', async () => {
+        jest.spyOn(User, 'findOne').mockResolvedValue({ username: 'testuser', disabled: false, tokensRevokedAt: new Date(Date.now() - 60 * 1000) });
+        const res = { locals: {} };
+        const next = jest.fn();
+
+        await checkRevokedTokens({ headers: {}, cookies: { accessToken: token(10), refreshToken: token(120) } }, res, next);
+
+        expect(User.findOne).toHaveBeenCalledTimes(1);
+        expect(User.findOne).toHaveBeenCalledWith({ username: 'testuser' });
+        expect(res.locals.tokensRevoked).toBe(true);
+        expect(next).toHaveBeenCalled();
+        expect(verifyAuth({ cookies: {} }, res, { authType: 'Simple' })).toEqual({ authorized: false, cause: 'Tokens revoked, perform login again' });
+    });
+
+    test('should keep the tokens issued after the change', async () => {
+        jest.spyOn(User, 'findOne').mockResolvedValue({ username: 'testuser', disabled: false, tokensRevokedAt: new Date(Date.now() - 60 * 1000) });
+        const res = { locals: {} };
+        const next = jest.fn();
+
+        await checkRevokedTokens({ headers: { authorization: `Bearer ${token(10)}` } }, res, next);
+
+        expect(res.locals.tokensRevoked).toBeUndefined();
+        expect(next).toHaveBeenCalled();
+    });
+
+    test('should mark the tokens of a disabled user', async () => {
+        jest.spyOn(User, 'findOne').mockResolvedValue({ username: 'testuser', disabled: true, tokensRevokedAt: null });
+        const res = { locals: {} };
+
+        await checkRevokedTokens({ headers: { authorization: `Bearer ${token(0)}` } }, res, jest.fn());
+
+        expect(res.locals.tokensRevoked).toBe(true);
+    });
+
+    test('should not read the database for requests without tokens', async () => {
+        jest.spyOn(User, 'findOne');
+        const res = { locals: {} };
+        const next = jest.fn();
+
+        await checkRevokedTokens({ headers: {}, cookies: {} }, res, next);
+
+        expect(User.findOne).not.toHaveBeenCalled();
+        expect(next).toHaveBeenCalled();
+    });
+});
+
+describe('getBearerToken', () => {
+    test('should return the token of the Authorization header', () => {
+        expect(getBearerToken({ headers: { authorization: 'Bearer abc.def.ghi' } })).toBe('abc.def.ghi');
+        expect(getBearerToken({ headers: { authorization: 'bearer abc.def.ghi' } })).toBe('abc.def.ghi');
+    });
+    test('should return undefined without a bearer Authorization header', () => {
+        expect(getBearerToken({ headers: {} })).toBeUndefined();
+        expect(getBearerToken({ headers: { authorization: 'Basic dXNlcjpwYXNz' } })).toBeUndefined();
+        expect(getBearerToken({})).toBeUndefined();
+    });
+});
+
+describe('getAuthenticatedUsername', () => {
+    test('should return the username of the bearer token', () => {
+        const req = {
+            headers: { authorization: `Bearer ${jwt.sign({ username: 'bearer' }, process.env.ACCESS_KEY)}` },
+            cookies: { refreshToken: jwt.sign({ username: 'cookie' }, process.env.ACCESS_KEY) },
+        };
+        expect(getAuthenticatedUsername(req)).toBe('bearer');
+    });
+    test('should return the username of the refresh token cookie without a bearer token', () => {
+        expect(getAuthenticatedUsername({ cookies: { refreshToken: jwt.sign({ username: 'cookie' }, process.env.ACCESS_KEY) } })).toBe('cookie');
+    });
+    test('should return undefined if the request has no tokens', () => {
+        expect(getAuthenticatedUsername({ cookies: {} })).toBeUndefined();
+    });
+});
 /*Returns an object with an amount attribute used for filtering mongoDB's aggregate queries
 The value of amount is an object that depends on the query parameters:
 If the query parameters include min then it must include a $gte attribute that is an integer equal to min
@@ -872,3 +1104,117 @@ describe("handleAmountFilterParams", () => {
     }); 
 });
 
+
+describe("handleSearchParams", () => {
+    test('should return a text search on the words of q', () => {
+        const req = { query: { q: 'pizza margherita' } };
+
+        expect(handleSearchParams(req)).toEqual({ $text: { $search: 'pizza margherita' } });
+    });
+    test('should return an empty object when q is not defined', () => {
+        const req = { query: {} };
+
+        expect(handleSearchParams(req)).toEqual({});
+    });
+    test('should throw an error when q is an empty string', () => {
+        const req = { query: { q: '  ' } };
+
+        expect(() => handleSearchParams(req)).toThrow('Search not valid');
+    });
+});
+
+describe("handlePaginationParams", () => {
+    test('should return no limit and insertion order when there are no query parameters', () => {
+        const req = { query: {} };
+
+        expect(handlePaginationParams(req)).toEqual({ limit: null, skip: 0, sortField: "_id", sortDirection: 1, after: null });
+    });
+    test('should compute the number of transactions to skip from page and limit', () => {
+        const req = { query: { limit: '10', page: '3', sort: '-amount' } };
+
+        expect(handlePaginationParams(req)).toEqual({ limit: 10, skip: 20, sortField: "amount", sortDirection: -1, after: null });
+    });
+    test('should decode a cursor returned by paginateResult', () => {
+        const pagination = { limit: 1, skip: 0, sortField: "date", sortDirection: 1, after: null };
+        const result = [
+            { _id: "646a1e5a3f1c2a0012345678", date: new Date("2023-05-01T10:00:00.000Z") },
+            { _id: "646a1e5a3f1c2a0012345679", date: new Date("2023-05-02T10:00:00.000Z") }
+        ];
+        const { nextCursor } = paginateResult(result, pagination);
+        const req = { query: { limit: '1', sort: 'date', cursor: nextCursor } };
+
+        const { after } = handlePaginationParams(req);
+        expect(after.value).toEqual(new Date("2023-05-01T10:00:00.000Z"));
+        expect(after.id.toString()).toBe("646a1e5a3f1c2a0012345678");
+    });
+    test('should throw an error when page and cursor are used together', () => {
+        const req = { query: { limit: '10', page: '2', cursor: 'abc' } };
+
+        expect(() => handlePaginationParams(req)).toThrow('Unauthorized query parameters');
+    });
+    test('should throw an error when the limit is not valid', () => {
+        const req = { query: { limit: '0' } };
+
+        expect(() => handlePaginationParams(req)).toThrow('Limit not valid');
+    });
+    test('should throw an error when page is used without limit', () => {
+        const req = { query: { page: '2' } };
+
+        expect(() => handlePaginationParams(req)).toThrow('Page requires a limit');
+    });
+    test('should throw an error when the sort field is not supported', () => {
+        const req = { query: { sort: 'color' } };
+
+        expect(() => handlePaginationParams(req)).toThrow('Sort not valid');
+    });
+    test('should throw an error when the sort or the cursor are repeated', () => {
+        expect(() => handlePaginationParams({ query: { sort: ['date', '-amount'] } })).toThrow('Sort not valid');
+        expect(() => handlePaginationParams({ query: { cursor: ['a', 'b'] } })).toThrow('Cursor not valid');
+    });
+    test('should throw an error when the cursor was created with another sort field', () => {
+        const cursor = Buffer.from(JSON.stringify({ field: "amount", value: 10, id: "646a1e5a3f1c2a0012345678" })).toString("base64url");
+        const req = { query: { sort: 'date', cursor: cursor } };
+
+        expect(() => handlePaginationParams(req)).toThrow('Cursor not valid');
+    });
+});
+
+describe("paginationStages", () => {
+    test('should only sort by insertion order without pagination', () => {
+        const pagination = { limit: null, skip: 0, sortField: "_id", sortDirection: 1, after: null };
+
+        expect(paginationStages(pagination)).toEqual([{ $sort: { _id: 1 } }]);
+    });
+    test('should select the transactions after the cursor and one more than the limit', () => {
+        const after = { value: 10, id: "646a1e5a3f1c2a0012345678" };
+        const pagination = { limit: 5, skip: 0, sortField: "amount", sortDirection: -1, after: after };
+
+        expect(paginationStages(pagination)).toEqual([
+            { $match: { $or: [{ amount: { $lt: 10 } }, { amount: 10, _id: { $lt: after.id } }] } },
+            { $sort: { amount: -1, _id: -1 } },
+            { $limit: 6 }
+        ]);
+    });
+    test('should skip the transactions of the previous pages', () => {
+        const pagination = { limit: 5, skip: 10, sortField: "_id", sortDirection: 1, after: null };
+
+        expect(paginationStages(pagination)).toEqual([{ $sort: { _id: 1 } }, { $skip: 10 }, { $limit: 6 }]);
+    });
+});
+
+describe("paginateResult", () => {
+    test('should return no cursor on the last page', () => {
+        const pagination = { limit: 2, skip: 0, sortField: "_id", sortDirection: 1, after: null };
+        const result = [{ _id: "646a1e5a3f1c2a0012345678" }, { _id: "646a1e5a3f1c2a0012345679" }];
+
+        expect(paginateResult(result, pagination)).toEqual({ page: result, nextCursor: null });
+    });
+    test('should drop the extra transaction and return a cursor to the following page', () => {
+        const pagination = { limit: 1, skip: 0, sortField: "_id", sortDirection: 1, after: null };
+        const result = [{ _id: "646a1e5a3f1c2a0012345678" }, { _id: "646a1e5a3f1c2a0012345679" }];
+
+        const { page, nextCursor } = paginateResult(result, pagination);
+        expect(page).toEqual([result[0]]);
+        expect(JSON.parse(Buffer.from(nextCursor, "base64url").toString())).toEqual({ field: "_id", id: "646a1e5a3f1c2a0012345678" });
+    });
+});
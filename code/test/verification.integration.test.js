@@ -0,0 +1,133 @@
+import request from 'supertest';
+import { app } from '../app';
+import { User, Group, EmailVerification } from '../models/User.js';
+import { outboxTransport, setMailTransport } from '../controllers/mail';
+import { resetRateLimits } from '../controllers/limits';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const outbox = path.join(os.tmpdir(), `ezwallet-verification-${Date.now()}`);
+
+beforeAll(async () => {
+    const dbName = "testingDatabaseVerification";
+    const url = `${process.env.MONGO_URI}/${dbName}`;
+
+    await mongoose.connect(url, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+    });
+    setMailTransport(outboxTransport(outbox));
+});
+
+afterAll(async () => {
+    await fs.rm(outbox, { recursive: true, force: true });
+    await mongoose.connection.db.dropDatabase();
+    await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+    resetRateLimits()
+    delete process.env.EMAIL_VERIFICATION_REQUIRED
+    await fs.rm(outbox, { recursive: true, force: true });
+    await User.deleteMany({})
+    await Group.deleteMany({})
+    await EmailVerification.deleteMany({})
+});
+
+// return the verification token contained in the last mail written in the outbox
+const lastMailToken = async () => {
+    const files = (await fs.readdir(outbox)).sort();
+    const mail = JSON.parse(await fs.readFile(path.join(outbox, files[files.length - 1]), "utf8"));
+    return mail.text.match(/\/api\/verify\/([0-9a-f]{64})/)[1];
+}
+
+const register = (username) => request(app)
+    .post("/api/register")
+    .send({ username: username, email: `${username}@test.com`, password: "password" })
+
+describe("verifyEmail", () => {
+    test("Verifies the email with the token mailed on registration", async () => {
+        await register("tester")
+        expect((await User.findOne({ username: "tester" })).verified).toBe(false)
+
+        const response = await request(app)
+            .get(`/api/verify/${await lastMailToken()}`)
+
+        expect(response.status).toBe(200)
+        expect((await User.findOne({ username: "tester" })).verified).toBe(true)
+    });
+
+    test("Returns a 400 error if the token was already used", async () => {
+        await register("tester")
+        const token = await lastMailToken()
+        await request(app).get(`/api/verify/${token}`)
+
+        const response = await request(app)
+            .get(`/api/verify/${token}`)
+
+        expect(response.status).toBe(400)
+        expect(response.body.error).toBe("Verification token not valid")
+    });
+
+    test("A resent token replaces the previous one", async () => {
+        await register("tester")
+        const first = await lastMailToken()
+
+        const resend = await request(app)
+            .post("/api/verify")
+            .send({ email: "tester@test.com" })
+        expect(resend.status).toBe(200)
+
+        expect((await request(app).get(`/api/verify/${first}`)).status).toBe(400)
+        expect((await request(app).get(`/api/verify/${await lastMailToken()}`)).status).toBe(200)
+    });
+});
+
+describe("unverified users", () => {
+    test("Can login unless the verification is required for login", async () => {
+        await register("tester")
+
+        const allowed = await request(app)
+            .post("/api/login")
+            .send({ email: "tester@test.com", password: "password" })
+        expect(allowed.status).toBe(200)
+
+        process.env.EMAIL_VERIFICATION_REQUIRED = "login"
+        const rejected = await request(app)
+            .post("/api/login")
+            .send({ email: "tester@test.com", password: "password" })
+        expect(rejected.status).toBe(400)
+        expect(rejected.body.error).toBe("Email not verified")
+
+        await request(app).get(`/api/verify/${await lastMailToken()}`)
+        const verified = await request(app)
+            .post("/api/login")
+            .send({ email: "tester@test.com", password: "password" })
+        expect(verified.status).toBe(200)
+    });
+
+    test("Are not added to groups if the verification is required for groups", async () => {
+        process.env.EMAIL_VERIFICATION_REQUIRED = "groups"
+        await User.insertMany([
+            { username: "tester", email: "tester@test.com", password: "tester", verified: true },
+            { username: "luigi", email: "luigi@test.com", password: "luigi", verified: true },
+            { username: "peach", email: "peach@test.com", password: "peach" }
+        ])
+        const token = jwt.sign({ email: "tester@test.com", username: "tester", role: "Regular" }, process.env.ACCESS_KEY, { expiresIn: '1y' })
+
+        const response = await request(app)
+            .post("/api/groups")
+            .set("Cookie", `accessToken=${token}; refreshToken=${token}`)
+            .send({ name: "family", memberEmails: ["luigi@test.com", "peach@test.com"] })
+
+        expect(response.status).toBe(200)
+        expect(response.body.data.group.members).toEqual([{ email: "luigi@test.com" }, { email: "tester@test.com" }])
+        expect(response.body.data.membersNotVerified).toEqual([{ email: "peach@test.com" }])
+    });
+});
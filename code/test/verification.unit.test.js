@@ -0,0 +1,137 @@
+import { User, EmailVerification } from '../models/User.js';
+import { isVerificationRequired, sendVerificationMail, verifyEmail, resendVerification } from '../controllers/verification';
+import { sendMail } from '../controllers/mail';
+import { hashToken } from '../controllers/utils';
+import { mockResponse } from './mocks';
+
+jest.mock('../models/User.js', () => ({
+    User: { findOne: jest.fn(), findOneAndUpdate: jest.fn() },
+    EmailVerification: { create: jest.fn(), deleteMany: jest.fn(), findOneAndDelete: jest.fn() }
+}));
+jest.mock('../controllers/mail');
+
+beforeEach(() => {
+    jest.restoreAllMocks()
+    jest.resetAllMocks()
+    delete process.env.EMAIL_VERIFICATION_REQUIRED
+});
+
+describe("isVerificationRequired", () => {
+    test("should not require the verification if the environment variable is not set", () => {
+        expect(isVerificationRequired("login")).toBe(false);
+        expect(isVerificationRequired("groups")).toBe(false);
+    });
+
+    test("should require the verification for the listed actions only", () => {
+        process.env.EMAIL_VERIFICATION_REQUIRED = "login";
+        expect(isVerificationRequired("login")).toBe(true);
+        expect(isVerificationRequired("groups")).toBe(false);
+
+        process.env.EMAIL_VERIFICATION_REQUIRED = "login, groups";
+        expect(isVerificationRequired("groups")).toBe(true);
+    });
+});
+
+describe("sendVerificationMail", () => {
+    test("should store the hash of a new token and mail a link with the token", async () => {
+        await sendVerificationMail({ username: "mario", email: "mario@email.com" });
+
+        expect(EmailVerification.deleteMany).toHaveBeenCalledWith({ username: "mario" });
+        const mail = sendMail.mock.calls[0][0];
+        expect(mail.to).toBe("mario@email.com");
+        const token = mail.text.match(/\/api\/verify\/([0-9a-f]{64})/)[1];
+        expect(EmailVerification.create).toHaveBeenCalledWith({ username: "mario", email: "mario@email.com", tokenHash: hashToken(token), expiresAt: expect.any(Date) });
+    });
+});
+
+describe("verifyEmail", () => {
+    test("should consume the token and mark the user as verified", async () => {
+        const mockRes = mockResponse();
+        EmailVerification.findOneAndDelete.mockResolvedValueOnce({ username: "mario", email: "mario@email.com" });
+        User.findOneAndUpdate.mockResolvedValueOnce({ username: "mario" });
+
+        await verifyEmail({ params: { token: "abc123" } }, mockRes);
+
+        expect(EmailVerification.findOneAndDelete).toHaveBeenCalledWith({ tokenHash: hashToken("abc123"), expiresAt: { $gt: expect.any(Date) } });
+        expect(User.findOneAndUpdate).toHaveBeenCalledWith({ username: "mario", email: "mario@email.com" }, { $set: { verified: true } });
+        expect(mockRes.status).toHaveBeenCalledWith(200);
+        expect(mockRes.json).toHaveBeenCalledWith({ data: { message: "Email verified" } });
+    });
+
+    test("should return a 400 error if the token does not exist or has expired", async () => {
+        const mockRes = mockResponse();
+        EmailVerification.findOneAndDelete.mockResolvedValueOnce(null);
+
+        await verifyEmail({ params: { token: "abc123" } }, mockRes);
+
+        expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Verification token not valid" });
+    });
+
+    test("should return a 400 error if the user changed email after the token was sent", async () => {
+        const mockRes = mockResponse();
+        EmailVerification.findOneAndDelete.mockResolvedValueOnce({ username: "mario", email: "old@email.com" });
+        User.findOneAndUpdate.mockResolvedValueOnce(null);
+
+        await verifyEmail({ params: { token: "abc123" } }, mockRes);
+
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Verification token not valid" });
+    });
+
+    test("should return a 500 error if the database fails", async () => {
+        const mockRes = mockResponse();
+        EmailVerification.findOneAndDelete.mockRejectedValueOnce(new Error("Database error"));
+
+        await verifyEmail({ params: { token: "abc123" } }, mockRes);
+
+        expect(mockRes.status).toHaveBeenCalledWith(500);
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Database error" });
+    });
+});
+
+describe("resendVerification", () => {
+    test("should send a new token to an unverified user", async () => {
+        const mockRes = mockResponse();
+        User.findOne.mockResolvedValueOnce({ username: "mario", email: "mario@email.com", verified: false });
+
+        await resendVerification({ body: { email: "mario@email.com" } }, mockRes);
+
+        expect(EmailVerification.create).toHaveBeenCalledWith(expect.objectContaining({ username: "mario" }));
+        expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: "mario@email.com" }));
+        expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should return the same message without sending mails to verified or unknown users", async () => {
+        const verifiedRes = mockResponse();
+        User.findOne.mockResolvedValueOnce({ username: "mario", email: "mario@email.com", verified: true });
+        await resendVerification({ body: { email: "mario@email.com" } }, verifiedRes);
+
+        const unknownRes = mockResponse();
+        User.findOne.mockResolvedValueOnce(null);
+        await resendVerification({ body: { email: "nobody@email.com" } }, unknownRes);
+
+        expect(sendMail).not.toHaveBeenCalled();
+        expect(verifiedRes.json.mock.calls[0][0]).toEqual(unknownRes.json.mock.calls[0][0]);
+        expect(unknownRes.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should return a 400 error if the email is missing", async () => {
+        const mockRes = mockResponse();
+
+        await resendVerification({ body: {} }, mockRes);
+
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Some Parameter is Missing" });
+    });
+
+    test("should return a 400 error if the email is not valid", async () => {
+        const mockRes = mockResponse();
+
+        await resendVerification({ body: { email: "mario" } }, mockRes);
+
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.json).toHaveBeenCalledWith({ error: "Invalid email format" });
+    });
+});